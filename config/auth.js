@@ -0,0 +1,88 @@
+// config/auth.js
+// Password hashing and JWT helpers for LinkWavez authentication
+
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+require('dotenv').config();
+
+// Validate environment variables: without its own secrets a deployment would
+// accept tokens anyone can sign
+if (!process.env.JWT_SECRET) {
+  throw new Error('Missing JWT_SECRET in .env file');
+}
+
+if (!process.env.JWT_REFRESH_SECRET) {
+  throw new Error('Missing JWT_REFRESH_SECRET in .env file');
+}
+
+const ACCESS_TOKEN_SECRET = process.env.JWT_SECRET;
+const REFRESH_TOKEN_SECRET = process.env.JWT_REFRESH_SECRET;
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.JWT_REFRESH_TTL_DAYS || '30', 10);
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS || '10', 10);
+
+// Hash a plain-text password for storage in users.password_hash
+async function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+// Compare a plain-text password against a stored hash
+async function verifyPassword(password, passwordHash) {
+  if (!password || !passwordHash) return false;
+  return bcrypt.compare(password, passwordHash);
+}
+
+// Short-lived token sent as "Authorization: Bearer <token>"
+function signAccessToken(user) {
+  return jwt.sign(
+    { sub: user.id, username: user.username, email: user.email, type: 'access' },
+    ACCESS_TOKEN_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Long-lived token used only against /api/auth/refresh.
+// The jti is stored (hashed) in refresh_tokens so it can be revoked on logout.
+function signRefreshToken(user) {
+  const tokenId = crypto.randomUUID();
+  const token = jwt.sign(
+    { sub: user.id, type: 'refresh', jti: tokenId },
+    REFRESH_TOKEN_SECRET,
+    { expiresIn: `${REFRESH_TOKEN_TTL_DAYS}d` }
+  );
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  return { token, tokenId, expiresAt };
+}
+
+function verifyAccessToken(token) {
+  const payload = jwt.verify(token, ACCESS_TOKEN_SECRET);
+  if (payload.type !== 'access') {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+  return payload;
+}
+
+function verifyRefreshToken(token) {
+  const payload = jwt.verify(token, REFRESH_TOKEN_SECRET);
+  if (payload.type !== 'refresh') {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+  return payload;
+}
+
+// Refresh tokens are never stored in plain text
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  signAccessToken,
+  signRefreshToken,
+  verifyAccessToken,
+  verifyRefreshToken,
+  hashToken
+};
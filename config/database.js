@@ -1,24 +1,30 @@
 // config/database.js
-// Centralized Supabase Configuration
+// Centralized Data Access - Supabase query builder + pg connection pool
+//
+// Every router and middleware gets its database handles from here:
+//   const { supabase } = require('../config/database');  // query builder
+//   const { pool } = require('../config/database');      // raw SQL
+// Shared queries live in repositories/ on top of these two handles.
+//
+// The storage driver is chosen with DB_DRIVER:
+//   supabase (default) - hosted Supabase, needs SUPABASE_URL / SUPABASE_KEY
+//   pglite             - embedded Postgres, runs fully offline
+// Both drivers expose the same { supabase, pool, ready, withConnection, close }
+// handles; the schema itself lives in db/migrations (npm run migrate).
 
-const { createClient } = require('@supabase/supabase-js');
 require('dotenv').config();
 
-// Validate environment variables
-if (!process.env.SUPABASE_URL) {
-  throw new Error('Missing SUPABASE_URL in .env file');
-}
+const DRIVERS = {
+  supabase: () => require('../db/supabase'),
+  pglite: () => require('../db/pglite')
+};
 
-if (!process.env.SUPABASE_KEY) {
-  throw new Error('Missing SUPABASE_KEY in .env file');
-}
+const driverName = (process.env.DB_DRIVER || 'supabase').toLowerCase();
 
-// Create and export Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
+if (!DRIVERS[driverName]) {
+  throw new Error(`Unknown DB_DRIVER "${driverName}" (expected one of: ${Object.keys(DRIVERS).join(', ')})`);
+}
 
-console.log('✅ Supabase connected successfully!');
+const { driver, supabase, pool, ready, withConnection, close } = DRIVERS[driverName]().connect();
 
-module.exports = supabase;
\ No newline at end of file
+module.exports = { driver, supabase, pool, ready, withConnection, close };
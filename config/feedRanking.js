@@ -0,0 +1,159 @@
+// config/feedRanking.js
+// Feed ranking configuration (services/feedRanking.js)
+//
+// `weights` multiply each scorer's points; a weight of 0 switches a scorer off.
+// `scorers` hold the points each scorer hands out.
+// `diversity` configures the re-ranking pass after scoring (services/feedDiversity.js).
+//
+// Override weights without a deploy:
+//   FEED_RANKING_WEIGHTS='{"recency": 1.5, "engagement": 0.5}'
+//   FEED_DIVERSITY='{"outOfBubbleShare": 0.3}'
+// or point FEED_RANKING_CONFIG at a JSON file shaped like this module
+// ({ "weights": {...}, "scorers": {...}, "diversity": {...} }); all are merged
+// over the defaults.
+
+const fs = require('fs');
+require('dotenv').config();
+
+const DEFAULTS = {
+  weights: {
+    recency: 1,
+    engagement: 1,
+    mood_match: 1,
+    time_of_day: 1,
+    passion_match: 1,
+    creator_quality: 1,
+    safety: 1,
+    affinity: 1,
+    skip_penalty: 1
+  },
+
+  scorers: {
+    // Points by post age, first matching bracket wins
+    recency: {
+      brackets: [
+        { maxHours: 1, points: 30 },
+        { maxHours: 6, points: 20 },
+        { maxHours: 24, points: 10 }
+      ]
+    },
+
+    // Reactions + comments, one point per `perPoints`, capped
+    engagement: { perPoints: 10, max: 50 },
+
+    // Detected mood -> content type it wants, and the reaction that signals it
+    mood_match: {
+      contentTypePoints: 40,
+      reactionPoints: 30,
+      moods: {
+        'fun-seeking': { contentTypes: ['entertainment'], reaction: 'laugh', minReactions: 10 },
+        learning: { contentTypes: ['educational'], reaction: 'thinking', minReactions: 5 },
+        supportive: { contentTypes: ['inspirational'], reaction: 'care', minReactions: 5 }
+      }
+    },
+
+    // Part of the day -> content types that suit it
+    time_of_day: {
+      points: 25,
+      contentTypes: {
+        morning: ['motivational', 'news'],
+        afternoon: ['educational'],
+        evening: ['entertainment', 'social'],
+        night: []
+      }
+    },
+
+    // Per passion found in the post hashtags
+    passion_match: { pointsPerPassion: 35 },
+
+    // Creators above the thresholds
+    creator_quality: { auraThreshold: 800, auraPoints: 15, wisdomThreshold: 800, wisdomPoints: 15 },
+
+    // Shown less often, never hidden
+    safety: { crisisPenalty: 20, factCheckPenalty: 15 },
+
+    // Learned affinities (services/feedAffinity.js), each score -1..1 times
+    // its points; hashtags use the average over the post's known hashtags
+    affinity: { contentTypePoints: 20, hashtagPoints: 15, creatorPoints: 25 },
+
+    // Content the user keeps skipping: the worst skip rate among the post's
+    // creator / content type / hashtags, counted once seen `minEvents` times
+    skip_penalty: { points: 40, minEvents: 3, minSkipRate: 0.5 }
+  },
+
+  diversity: {
+    enabled: true,
+    // Posts in a row from the same creator / of the same content type
+    maxCreatorRun: 2,
+    maxContentTypeRun: 3,
+    // A hashtag appears at most `maxPerHashtag` times in any `hashtagWindow` posts
+    hashtagWindow: 5,
+    maxPerHashtag: 2,
+    // Share of feed slots kept for posts outside the user's bubble (not
+    // followed, no passion / liked hashtag, no liked content type); 0 = none
+    outOfBubbleShare: 0.2
+  }
+};
+
+const readOverrides = () => {
+  const overrides = { weights: {}, scorers: {}, diversity: {} };
+
+  if (process.env.FEED_RANKING_CONFIG) {
+    try {
+      const file = JSON.parse(fs.readFileSync(process.env.FEED_RANKING_CONFIG, 'utf8'));
+      Object.assign(overrides.weights, file.weights);
+      Object.assign(overrides.scorers, file.scorers);
+      Object.assign(overrides.diversity, file.diversity);
+    } catch (error) {
+      console.warn(`⚠️ Could not read FEED_RANKING_CONFIG (${error.message}) - using default feed ranking`);
+    }
+  }
+
+  if (process.env.FEED_RANKING_WEIGHTS) {
+    try {
+      Object.assign(overrides.weights, JSON.parse(process.env.FEED_RANKING_WEIGHTS));
+    } catch (error) {
+      console.warn('⚠️ FEED_RANKING_WEIGHTS is not valid JSON - using default feed weights');
+    }
+  }
+
+  if (process.env.FEED_DIVERSITY) {
+    try {
+      Object.assign(overrides.diversity, JSON.parse(process.env.FEED_DIVERSITY));
+    } catch (error) {
+      console.warn('⚠️ FEED_DIVERSITY is not valid JSON - using default feed diversity');
+    }
+  }
+
+  return overrides;
+};
+
+// Diversity counts are whole posts, at least 1; the out-of-bubble share is
+// between 0 and 1. An invalid override falls back to the default.
+const DIVERSITY_LIMITS = {
+  maxCreatorRun: (value) => Number.isInteger(value) && value >= 1,
+  maxContentTypeRun: (value) => Number.isInteger(value) && value >= 1,
+  hashtagWindow: (value) => Number.isInteger(value) && value >= 1,
+  maxPerHashtag: (value) => Number.isInteger(value) && value >= 1,
+  outOfBubbleShare: (value) => typeof value === 'number' && value >= 0 && value <= 1
+};
+
+const checkDiversity = (diversity) => {
+  for (const [name, isValid] of Object.entries(DIVERSITY_LIMITS)) {
+    if (!isValid(diversity[name])) {
+      console.warn(`⚠️ Invalid feed diversity ${name} (${JSON.stringify(diversity[name])}) - using ${DEFAULTS.diversity[name]}`);
+      diversity[name] = DEFAULTS.diversity[name];
+    }
+  }
+  return diversity;
+};
+
+const overrides = readOverrides();
+
+module.exports = {
+  weights: { ...DEFAULTS.weights, ...overrides.weights },
+  scorers: Object.fromEntries(Object.entries(DEFAULTS.scorers).map(([name, params]) => {
+    return [name, { ...params, ...overrides.scorers[name] }];
+  })),
+  diversity: checkDiversity({ ...DEFAULTS.diversity, ...overrides.diversity })
+};
@@ -0,0 +1,49 @@
+// db/migrate.js
+// Migration CLI - runs against the driver selected by DB_DRIVER
+//
+//   npm run migrate                     apply all pending migrations
+//   npm run migrate:rollback            revert the last applied migration
+//   npm run migrate:rollback -- 3       revert the last 3
+//   npm run migrate:status              list migrations and whether they ran
+//
+// The hosted driver connects through DATABASE_URL. The pglite driver already
+// applies pending migrations on start-up, so for it these commands only make
+// sense with PGLITE_DATA_DIR set.
+
+const { withConnection, close, driver } = require('../config/database');
+const { migrate, rollback, status } = require('./migrator');
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  if (driver === 'pglite' && !process.env.PGLITE_DATA_DIR) {
+    console.warn('⚠️ PGLITE_DATA_DIR not set - migrating a throwaway in-memory database');
+  }
+
+  if (command === 'up') {
+    const applied = await withConnection(db => migrate(db));
+    console.log(applied.length ? `✅ ${applied.length} migration(s) applied` : '✅ Database is up to date');
+  } else if (command === 'down') {
+    const steps = parseInt(arg || '1', 10);
+
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new Error('Rollback steps must be a positive integer');
+    }
+
+    const reverted = await withConnection(db => rollback(db, { steps }));
+    console.log(reverted.length ? `✅ ${reverted.length} migration(s) rolled back` : '✅ Nothing to roll back');
+  } else if (command === 'status') {
+    const migrations = await withConnection(db => status(db));
+    migrations.forEach(m => console.log(`${m.applied ? '✅' : '⏳'} ${m.version}_${m.name}`));
+  } else {
+    throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+  }
+}
+
+main()
+  .then(() => close())
+  .catch(async (error) => {
+    console.error('❌ Migration error:', error.message);
+    await Promise.resolve(close()).catch(() => {});
+    process.exitCode = 1;
+  });
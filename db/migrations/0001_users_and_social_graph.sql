@@ -0,0 +1,165 @@
+-- db/migrations/0001_users_and_social_graph.sql
+-- Users, accounts, scores, privacy and the follow graph
+--
+-- The baseline migrations (0001-0009) use IF NOT EXISTS so they can be
+-- applied to the hosted database, which already has these tables.
+-- Foreign keys are declared wherever a route embeds a related table
+-- (e.g. users:user_id(...)), since the embed is resolved from them.
+
+-- migrate:up
+
+-- ==========================================
+-- USERS & ACCOUNTS
+-- ==========================================
+CREATE TABLE IF NOT EXISTS users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  username TEXT NOT NULL UNIQUE,
+  email TEXT NOT NULL UNIQUE,
+  password_hash TEXT,
+  full_name TEXT,
+  avatar_url TEXT,
+  profile_picture_url TEXT,
+  cloudinary_public_id TEXT,
+  bio TEXT,
+  wisdom_score INTEGER NOT NULL DEFAULT 0,
+  aura_score INTEGER NOT NULL DEFAULT 0,
+  verified BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash TEXT NOT NULL UNIQUE,
+  user_agent TEXT,
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS avatars (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  avatar_data JSONB NOT NULL DEFAULT '{}',
+  aura_level TEXT NOT NULL DEFAULT 'bronze',
+  wisdom_level INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS wallet (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  wisdom_coins INTEGER NOT NULL DEFAULT 0,
+  premium_coins INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS user_scores (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  aura_score INTEGER NOT NULL DEFAULT 0,
+  wisdom_score INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS user_passions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  passion TEXT NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS user_privacy_settings (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  privacy_preset TEXT NOT NULL DEFAULT 'social',
+  show_wisdom_score BOOLEAN DEFAULT true,
+  show_aura_score BOOLEAN DEFAULT true,
+  show_follower_count BOOLEAN DEFAULT true,
+  show_post_count BOOLEAN DEFAULT true,
+  show_badges BOOLEAN DEFAULT true,
+  show_communities BOOLEAN DEFAULT true,
+  show_location BOOLEAN DEFAULT true,
+  show_last_active BOOLEAN DEFAULT true,
+  show_photos_tab BOOLEAN DEFAULT true,
+  show_videos_tab BOOLEAN DEFAULT true,
+  post_visibility TEXT DEFAULT 'public',
+  show_scores_on_posts BOOLEAN DEFAULT true,
+  who_can_comment TEXT DEFAULT 'everyone',
+  who_can_share TEXT DEFAULT 'everyone',
+  show_reactions_count BOOLEAN DEFAULT true,
+  show_view_count BOOLEAN DEFAULT true,
+  who_can_message TEXT DEFAULT 'followers',
+  show_online_status TEXT DEFAULT 'friends',
+  show_read_receipts BOOLEAN DEFAULT true,
+  show_typing_indicator BOOLEAN DEFAULT true,
+  who_can_tag TEXT DEFAULT 'friends',
+  who_can_mention TEXT DEFAULT 'everyone',
+  ghost_mode_enabled BOOLEAN DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS behavioral_patterns (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  laugh_count INTEGER NOT NULL DEFAULT 0,
+  support_count INTEGER NOT NULL DEFAULT 0,
+  care_count INTEGER NOT NULL DEFAULT 0,
+  thinking_count INTEGER NOT NULL DEFAULT 0,
+  applaud_count INTEGER NOT NULL DEFAULT 0,
+  fire_count INTEGER NOT NULL DEFAULT 0,
+  last_updated TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS search_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  query TEXT NOT NULL,
+  type TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- ==========================================
+-- SOCIAL GRAPH
+-- ==========================================
+CREATE TABLE IF NOT EXISTS follows (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  follower_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  following_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (follower_id, following_id)
+);
+
+CREATE TABLE IF NOT EXISTS followers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  follower_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  following_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (follower_id, following_id)
+);
+
+CREATE TABLE IF NOT EXISTS user_follows (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  follower_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  following_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (follower_id, following_id)
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS user_follows CASCADE;
+DROP TABLE IF EXISTS followers CASCADE;
+DROP TABLE IF EXISTS follows CASCADE;
+DROP TABLE IF EXISTS search_history CASCADE;
+DROP TABLE IF EXISTS behavioral_patterns CASCADE;
+DROP TABLE IF EXISTS user_privacy_settings CASCADE;
+DROP TABLE IF EXISTS user_passions CASCADE;
+DROP TABLE IF EXISTS user_scores CASCADE;
+DROP TABLE IF EXISTS wallet CASCADE;
+DROP TABLE IF EXISTS avatars CASCADE;
+DROP TABLE IF EXISTS refresh_tokens CASCADE;
+DROP TABLE IF EXISTS users CASCADE;
@@ -0,0 +1,172 @@
+-- db/migrations/0002_posts_reactions_comments.sql
+-- Posts (wisdom_clips), reactions, comments, hashtags and notifications
+
+-- migrate:up
+
+-- ==========================================
+-- POSTS, REACTIONS & COMMENTS
+-- ==========================================
+CREATE TABLE IF NOT EXISTS wisdom_clips (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  caption TEXT,
+  media_url TEXT,
+  media_type TEXT DEFAULT 'text',
+  hashtags TEXT[] NOT NULL DEFAULT '{}',
+  visibility TEXT NOT NULL DEFAULT 'public',
+  post_type TEXT NOT NULL DEFAULT 'normal',
+  content_type TEXT,
+  emotion_tag TEXT,
+  is_anonymous BOOLEAN NOT NULL DEFAULT false,
+  is_crisis BOOLEAN NOT NULL DEFAULT false,
+  needs_fact_check BOOLEAN NOT NULL DEFAULT false,
+  like_count INTEGER NOT NULL DEFAULT 0,
+  comment_count INTEGER NOT NULL DEFAULT 0,
+  share_count INTEGER NOT NULL DEFAULT 0,
+  view_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS wisdom_clips_user_created_idx ON wisdom_clips (user_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS post_media (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  post_id UUID REFERENCES wisdom_clips(id) ON DELETE CASCADE,
+  media_url TEXT NOT NULL,
+  cloudinary_public_id TEXT,
+  media_type TEXT,
+  width INTEGER,
+  height INTEGER,
+  format TEXT,
+  file_size BIGINT,
+  duration NUMERIC,
+  thumbnail_url TEXT,
+  thumbnail_public_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS post_reaction_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  post_id UUID NOT NULL UNIQUE REFERENCES wisdom_clips(id) ON DELETE CASCADE,
+  allowed_reactions TEXT[] NOT NULL DEFAULT '{laugh,support,care,thinking,applaud,fire}',
+  blocked_reactions TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS reactions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  clip_id UUID NOT NULL REFERENCES wisdom_clips(id) ON DELETE CASCADE,
+  reaction_type TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS reactions_clip_idx ON reactions (clip_id);
+
+CREATE TABLE IF NOT EXISTS comments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  clip_id UUID NOT NULL REFERENCES wisdom_clips(id) ON DELETE CASCADE,
+  parent_comment_id UUID REFERENCES comments(id) ON DELETE CASCADE,
+  content TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS comments_clip_idx ON comments (clip_id);
+
+CREATE TABLE IF NOT EXISTS comment_priority_scores (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  comment_id UUID NOT NULL UNIQUE REFERENCES comments(id) ON DELETE CASCADE,
+  user_id UUID,
+  celebrity_id UUID,
+  subscription_level TEXT,
+  fan_tier TEXT,
+  base_score NUMERIC,
+  fan_tier_bonus NUMERIC,
+  premium_bonus NUMERIC,
+  final_score NUMERIC,
+  priority_score NUMERIC,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS feed_interactions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  post_id UUID REFERENCES wisdom_clips(id) ON DELETE CASCADE,
+  interaction_type TEXT NOT NULL,
+  duration_seconds NUMERIC,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- ==========================================
+-- HASHTAGS
+-- ==========================================
+CREATE TABLE IF NOT EXISTS hashtags (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tag TEXT NOT NULL UNIQUE,
+  post_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS hashtag_follows (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  hashtag TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (user_id, hashtag)
+);
+
+-- ==========================================
+-- NOTIFICATIONS
+-- ==========================================
+CREATE TABLE IF NOT EXISTS notifications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  title TEXT,
+  message TEXT,
+  data JSONB NOT NULL DEFAULT '{}',
+  action_url TEXT,
+  read BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS notifications_user_idx ON notifications (user_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  push_enabled BOOLEAN NOT NULL DEFAULT true,
+  email_enabled BOOLEAN NOT NULL DEFAULT false,
+  likes BOOLEAN NOT NULL DEFAULT true,
+  comments BOOLEAN NOT NULL DEFAULT true,
+  follows BOOLEAN NOT NULL DEFAULT true,
+  mentions BOOLEAN NOT NULL DEFAULT true,
+  donations BOOLEAN NOT NULL DEFAULT true,
+  charity_updates BOOLEAN NOT NULL DEFAULT true,
+  crisis_alerts BOOLEAN NOT NULL DEFAULT true,
+  messages BOOLEAN NOT NULL DEFAULT true,
+  fan_tier_updates BOOLEAN NOT NULL DEFAULT true,
+  premium_updates BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS notification_preferences CASCADE;
+DROP TABLE IF EXISTS notifications CASCADE;
+DROP TABLE IF EXISTS hashtag_follows CASCADE;
+DROP TABLE IF EXISTS hashtags CASCADE;
+DROP TABLE IF EXISTS feed_interactions CASCADE;
+DROP TABLE IF EXISTS comment_priority_scores CASCADE;
+DROP TABLE IF EXISTS comments CASCADE;
+DROP TABLE IF EXISTS reactions CASCADE;
+DROP TABLE IF EXISTS post_reaction_rules CASCADE;
+DROP TABLE IF EXISTS post_media CASCADE;
+DROP TABLE IF EXISTS wisdom_clips CASCADE;
@@ -0,0 +1,79 @@
+-- db/migrations/0003_crisis_and_charity.sql
+-- Crisis alerts / responses and charity campaigns
+
+-- migrate:up
+
+-- ==========================================
+-- CRISIS SUPPORT
+-- ==========================================
+CREATE TABLE IF NOT EXISTS crisis_alerts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  post_id UUID REFERENCES wisdom_clips(id) ON DELETE SET NULL,
+  content TEXT,
+  detected_keyword TEXT,
+  severity TEXT NOT NULL DEFAULT 'medium',
+  crisis_type TEXT,
+  status TEXT NOT NULL DEFAULT 'pending',
+  resolved_by UUID,
+  resolved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS crisis_responses (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  alert_id UUID NOT NULL REFERENCES crisis_alerts(id) ON DELETE CASCADE,
+  helper_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  message TEXT,
+  action TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- ==========================================
+-- CHARITY
+-- ==========================================
+CREATE TABLE IF NOT EXISTS charity_campaigns (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  description TEXT,
+  goal_amount NUMERIC NOT NULL,
+  raised_amount NUMERIC NOT NULL DEFAULT 0,
+  category TEXT,
+  beneficiaries INTEGER NOT NULL DEFAULT 0,
+  location TEXT,
+  image_url TEXT,
+  end_date TIMESTAMPTZ,
+  verified BOOLEAN NOT NULL DEFAULT false,
+  status TEXT NOT NULL DEFAULT 'active',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS charity_milestones (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  campaign_id UUID NOT NULL REFERENCES charity_campaigns(id) ON DELETE CASCADE,
+  title TEXT,
+  milestone_amount NUMERIC NOT NULL,
+  reached BOOLEAN NOT NULL DEFAULT false,
+  reached_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS donations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  campaign_id UUID NOT NULL REFERENCES charity_campaigns(id) ON DELETE CASCADE,
+  amount NUMERIC NOT NULL,
+  anonymous BOOLEAN NOT NULL DEFAULT false,
+  message TEXT,
+  payment_status TEXT NOT NULL DEFAULT 'completed',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS donations CASCADE;
+DROP TABLE IF EXISTS charity_milestones CASCADE;
+DROP TABLE IF EXISTS charity_campaigns CASCADE;
+DROP TABLE IF EXISTS crisis_responses CASCADE;
+DROP TABLE IF EXISTS crisis_alerts CASCADE;
@@ -0,0 +1,202 @@
+-- db/migrations/0004_streaming_chat_avatars.sql
+-- Live streaming, chat and AI avatars
+
+-- migrate:up
+
+-- ==========================================
+-- LIVE STREAMING
+-- ==========================================
+CREATE TABLE IF NOT EXISTS live_streams (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  streamer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  description TEXT,
+  category TEXT,
+  thumbnail_url TEXT,
+  stream_key TEXT,
+  agora_channel_name TEXT,
+  status TEXT NOT NULL DEFAULT 'live',
+  viewer_count INTEGER NOT NULL DEFAULT 0,
+  total_views INTEGER NOT NULL DEFAULT 0,
+  total_gifts_received NUMERIC NOT NULL DEFAULT 0,
+  duration_minutes INTEGER,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  ended_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS stream_viewers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  stream_id UUID NOT NULL REFERENCES live_streams(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  joined_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  left_at TIMESTAMPTZ,
+  watch_time_minutes NUMERIC
+);
+
+CREATE TABLE IF NOT EXISTS stream_comments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  stream_id UUID NOT NULL REFERENCES live_streams(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  comment TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS stream_gifts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  stream_id UUID NOT NULL REFERENCES live_streams(id) ON DELETE CASCADE,
+  sender_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  receiver_id UUID,
+  gift_type TEXT NOT NULL,
+  amount NUMERIC NOT NULL DEFAULT 0,
+  message TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- ==========================================
+-- CHAT
+-- ==========================================
+CREATE TABLE IF NOT EXISTS organizations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  description TEXT,
+  logo_url TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  max_members INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS organization_members (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role TEXT NOT NULL DEFAULT 'member',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (organization_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS conversations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  type TEXT NOT NULL DEFAULT 'direct',
+  name TEXT,
+  description TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  celebrity_id UUID,
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  max_participants INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS conversation_participants (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role TEXT NOT NULL DEFAULT 'member',
+  required_fan_tier TEXT,
+  joined_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (conversation_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  sender_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  content TEXT,
+  message_type TEXT NOT NULL DEFAULT 'text',
+  attachment_url TEXT,
+  read BOOLEAN NOT NULL DEFAULT false,
+  read_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS messages_conversation_idx ON messages (conversation_id, created_at);
+
+CREATE TABLE IF NOT EXISTS chat_moods (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
+  mood TEXT NOT NULL,
+  emoji TEXT,
+  duration_minutes INTEGER,
+  expires_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS celebrity_fan_groups (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  celebrity_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
+  fan_tier TEXT,
+  min_tier_required TEXT,
+  max_members INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS celebrity_fans (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  celebrity_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  fan_id UUID NOT NULL,
+  tier TEXT,
+  points INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (celebrity_id, fan_id)
+);
+
+-- ==========================================
+-- AI AVATARS
+-- ==========================================
+CREATE TABLE IF NOT EXISTS user_avatars (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  personality JSONB NOT NULL DEFAULT '{}',
+  interests JSONB NOT NULL DEFAULT '[]',
+  communication_style TEXT DEFAULT 'balanced',
+  values JSONB NOT NULL DEFAULT '[]',
+  bio TEXT,
+  conversation_topics JSONB NOT NULL DEFAULT '[]',
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS avatar_chat_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  requester_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  target_user_id UUID NOT NULL,
+  status TEXT NOT NULL DEFAULT 'active',
+  vibe_score NUMERIC NOT NULL DEFAULT 0,
+  message_count INTEGER NOT NULL DEFAULT 0,
+  feedback TEXT,
+  last_message_at TIMESTAMPTZ,
+  ended_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS avatar_messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  session_id UUID NOT NULL REFERENCES avatar_chat_sessions(id) ON DELETE CASCADE,
+  sender TEXT NOT NULL,
+  message TEXT NOT NULL,
+  is_avatar BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS avatar_messages CASCADE;
+DROP TABLE IF EXISTS avatar_chat_sessions CASCADE;
+DROP TABLE IF EXISTS user_avatars CASCADE;
+DROP TABLE IF EXISTS celebrity_fans CASCADE;
+DROP TABLE IF EXISTS celebrity_fan_groups CASCADE;
+DROP TABLE IF EXISTS chat_moods CASCADE;
+DROP TABLE IF EXISTS messages CASCADE;
+DROP TABLE IF EXISTS conversation_participants CASCADE;
+DROP TABLE IF EXISTS conversations CASCADE;
+DROP TABLE IF EXISTS organization_members CASCADE;
+DROP TABLE IF EXISTS organizations CASCADE;
+DROP TABLE IF EXISTS stream_gifts CASCADE;
+DROP TABLE IF EXISTS stream_comments CASCADE;
+DROP TABLE IF EXISTS stream_viewers CASCADE;
+DROP TABLE IF EXISTS live_streams CASCADE;
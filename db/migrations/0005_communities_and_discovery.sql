@@ -0,0 +1,206 @@
+-- db/migrations/0005_communities_and_discovery.sql
+-- Communities (clans), meetups and local discovery
+
+-- migrate:up
+
+-- ==========================================
+-- COMMUNITIES
+-- ==========================================
+CREATE TABLE IF NOT EXISTS categories (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  icon TEXT,
+  order_index INTEGER NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS sub_categories (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  category_id UUID NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  icon TEXT,
+  order_index INTEGER NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS communities (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  sub_category_id UUID REFERENCES sub_categories(id) ON DELETE SET NULL,
+  creator_id UUID NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  rules TEXT,
+  community_type TEXT NOT NULL DEFAULT 'public',
+  location TEXT,
+  location_lat DOUBLE PRECISION,
+  location_long DOUBLE PRECISION,
+  skill_level TEXT NOT NULL DEFAULT 'all',
+  member_count INTEGER NOT NULL DEFAULT 0,
+  avatar_url TEXT,
+  cover_photo_url TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT communities_creator_id_fkey FOREIGN KEY (creator_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS community_members (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  community_id UUID NOT NULL REFERENCES communities(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role TEXT NOT NULL DEFAULT 'member',
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  joined_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (community_id, user_id)
+);
+
+-- Keyed by membership so members can embed reputation:community_reputation(...)
+CREATE TABLE IF NOT EXISTS community_reputation (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  community_id UUID NOT NULL,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  wisdom_score INTEGER NOT NULL DEFAULT 0,
+  expert_level TEXT NOT NULL DEFAULT 'newcomer',
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (community_id, user_id),
+  FOREIGN KEY (community_id, user_id) REFERENCES community_members(community_id, user_id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS posts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  community_id UUID NOT NULL REFERENCES communities(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  post_type TEXT NOT NULL DEFAULT 'discussion',
+  title TEXT,
+  content TEXT,
+  media_urls JSONB NOT NULL DEFAULT '[]',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS post_reactions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  post_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  reaction_type TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS post_replies (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  post_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  content TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS clan_meetups (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  community_id UUID NOT NULL REFERENCES communities(id) ON DELETE CASCADE,
+  organizer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  description TEXT,
+  location TEXT,
+  location_lat DOUBLE PRECISION,
+  location_long DOUBLE PRECISION,
+  meetup_date TIMESTAMPTZ NOT NULL,
+  max_attendees INTEGER NOT NULL DEFAULT 50,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS meetup_attendees (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  meetup_id UUID NOT NULL REFERENCES clan_meetups(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'interested',
+  joined_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (meetup_id, user_id)
+);
+
+-- ==========================================
+-- LOCAL DISCOVERY
+-- ==========================================
+CREATE TABLE IF NOT EXISTS local_businesses (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  name TEXT NOT NULL,
+  category TEXT,
+  description TEXT,
+  address TEXT,
+  location_lat DOUBLE PRECISION,
+  location_long DOUBLE PRECISION,
+  phone TEXT,
+  website TEXT,
+  opening_hours JSONB,
+  photos JSONB NOT NULL DEFAULT '[]',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS local_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  title TEXT NOT NULL,
+  description TEXT,
+  event_type TEXT,
+  organizer TEXT,
+  location TEXT,
+  location_lat DOUBLE PRECISION,
+  location_long DOUBLE PRECISION,
+  start_time TIMESTAMPTZ,
+  end_time TIMESTAMPTZ,
+  is_free BOOLEAN NOT NULL DEFAULT true,
+  ticket_price NUMERIC,
+  ticket_url TEXT,
+  photos JSONB NOT NULL DEFAULT '[]',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS local_news (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  title TEXT NOT NULL,
+  content TEXT,
+  summary TEXT,
+  source TEXT,
+  news_type TEXT,
+  location TEXT,
+  location_lat DOUBLE PRECISION,
+  location_long DOUBLE PRECISION,
+  radius_km NUMERIC NOT NULL DEFAULT 10,
+  expires_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS discovery_posts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  post_type TEXT,
+  title TEXT,
+  content TEXT,
+  location TEXT,
+  location_lat DOUBLE PRECISION,
+  location_long DOUBLE PRECISION,
+  media_urls JSONB NOT NULL DEFAULT '[]',
+  tags JSONB NOT NULL DEFAULT '[]',
+  upvotes INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS discovery_posts CASCADE;
+DROP TABLE IF EXISTS local_news CASCADE;
+DROP TABLE IF EXISTS local_events CASCADE;
+DROP TABLE IF EXISTS local_businesses CASCADE;
+DROP TABLE IF EXISTS meetup_attendees CASCADE;
+DROP TABLE IF EXISTS clan_meetups CASCADE;
+DROP TABLE IF EXISTS post_replies CASCADE;
+DROP TABLE IF EXISTS post_reactions CASCADE;
+DROP TABLE IF EXISTS posts CASCADE;
+DROP TABLE IF EXISTS community_reputation CASCADE;
+DROP TABLE IF EXISTS community_members CASCADE;
+DROP TABLE IF EXISTS communities CASCADE;
+DROP TABLE IF EXISTS sub_categories CASCADE;
+DROP TABLE IF EXISTS categories CASCADE;
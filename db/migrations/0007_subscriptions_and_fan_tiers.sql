@@ -0,0 +1,154 @@
+-- db/migrations/0007_subscriptions_and_fan_tiers.sql
+-- Subscriptions, fan tiers and celebrity tools
+
+-- migrate:up
+
+-- ==========================================
+-- SUBSCRIPTIONS & FAN TIERS
+-- ==========================================
+CREATE TABLE IF NOT EXISTS subscription_plans (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  plan_name TEXT NOT NULL,
+  plan_type TEXT NOT NULL UNIQUE,
+  price_monthly NUMERIC NOT NULL DEFAULT 0,
+  features JSONB NOT NULL DEFAULT '{}',
+  badge_color TEXT,
+  badge_icon TEXT,
+  priority_boost INTEGER NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS subscriptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  plan_id UUID REFERENCES subscription_plans(id),
+  plan_type TEXT,
+  status TEXT NOT NULL DEFAULT 'active',
+  started_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  expires_at TIMESTAMPTZ,
+  next_billing_date TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS user_subscriptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  tier TEXT NOT NULL DEFAULT 'free',
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS fan_subscriptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  celebrity_id UUID,
+  plan TEXT NOT NULL,
+  amount NUMERIC NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'active',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS verification_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  verification_type TEXT,
+  requested_plan TEXT,
+  id_document_url TEXT,
+  proof_documents JSONB,
+  social_media_links JSONB,
+  follower_count INTEGER,
+  reason TEXT,
+  status TEXT NOT NULL DEFAULT 'pending',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS fan_badges (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  badge_name TEXT NOT NULL UNIQUE,
+  badge_icon TEXT,
+  badge_color TEXT,
+  min_interactions INTEGER NOT NULL DEFAULT 0,
+  priority_multiplier NUMERIC NOT NULL DEFAULT 1
+);
+
+-- badge_id / user_id / celebrity_id serve the comments route (embeds
+-- fan_badges); the fan_user_id / celebrity_user_id pair serves the fan tier
+-- routes, which join on current_badge_id explicitly.
+CREATE TABLE IF NOT EXISTS user_fan_status (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID,
+  celebrity_id UUID,
+  badge_id UUID REFERENCES fan_badges(id),
+  fan_user_id UUID,
+  celebrity_user_id UUID,
+  current_badge_id UUID,
+  points INTEGER NOT NULL DEFAULT 0,
+  total_interactions INTEGER NOT NULL DEFAULT 0,
+  comment_count INTEGER NOT NULL DEFAULT 0,
+  reaction_count INTEGER NOT NULL DEFAULT 0,
+  first_interaction_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_interaction_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  badge_earned_at TIMESTAMPTZ,
+  UNIQUE (fan_user_id, celebrity_user_id)
+);
+
+CREATE TABLE IF NOT EXISTS fan_interactions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  fan_user_id UUID NOT NULL,
+  celebrity_user_id UUID NOT NULL,
+  interaction_type TEXT NOT NULL,
+  post_id UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS exclusive_content (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  celebrity_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  title TEXT,
+  content TEXT,
+  media_url TEXT,
+  required_subscription TEXT,
+  expires_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS celebrity_settings (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  celebrity_user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  enable_ai_replies BOOLEAN NOT NULL DEFAULT false,
+  enable_auto_filter BOOLEAN NOT NULL DEFAULT true,
+  dm_access_tier TEXT NOT NULL DEFAULT 'superfan_plus',
+  comment_filter_level TEXT NOT NULL DEFAULT 'medium',
+  show_fan_tiers_publicly BOOLEAN NOT NULL DEFAULT true,
+  auto_thank_new_fans BOOLEAN NOT NULL DEFAULT false,
+  monthly_shoutout_enabled BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS ai_insights (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  celebrity_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  insight_type TEXT NOT NULL,
+  insight_title TEXT,
+  insight_description TEXT,
+  priority TEXT NOT NULL DEFAULT 'medium',
+  is_read BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS ai_insights CASCADE;
+DROP TABLE IF EXISTS celebrity_settings CASCADE;
+DROP TABLE IF EXISTS exclusive_content CASCADE;
+DROP TABLE IF EXISTS fan_interactions CASCADE;
+DROP TABLE IF EXISTS user_fan_status CASCADE;
+DROP TABLE IF EXISTS fan_badges CASCADE;
+DROP TABLE IF EXISTS verification_requests CASCADE;
+DROP TABLE IF EXISTS fan_subscriptions CASCADE;
+DROP TABLE IF EXISTS user_subscriptions CASCADE;
+DROP TABLE IF EXISTS subscriptions CASCADE;
+DROP TABLE IF EXISTS subscription_plans CASCADE;
@@ -0,0 +1,92 @@
+-- db/migrations/0008_functions.sql
+-- Stored procedures called via supabase.rpc and raw SQL
+
+-- migrate:up
+
+-- ==========================================
+-- FUNCTIONS
+-- ==========================================
+CREATE OR REPLACE FUNCTION increment_aura(p_user_id UUID, p_amount INTEGER)
+RETURNS VOID AS $$
+BEGIN
+  UPDATE users SET aura_score = aura_score + p_amount WHERE id = p_user_id;
+
+  INSERT INTO user_scores (user_id, aura_score)
+  VALUES (p_user_id, p_amount)
+  ON CONFLICT (user_id) DO UPDATE
+    SET aura_score = user_scores.aura_score + p_amount,
+        updated_at = now();
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION track_fan_interaction(
+  p_user_id UUID,
+  p_celebrity_id UUID,
+  p_interaction_type TEXT,
+  p_points INTEGER
+)
+RETURNS VOID AS $$
+BEGIN
+  INSERT INTO fan_interactions (fan_user_id, celebrity_user_id, interaction_type)
+  VALUES (p_user_id, p_celebrity_id, p_interaction_type);
+
+  INSERT INTO user_fan_status (
+    user_id, celebrity_id, fan_user_id, celebrity_user_id,
+    points, total_interactions, comment_count, reaction_count
+  )
+  VALUES (
+    p_user_id, p_celebrity_id, p_user_id, p_celebrity_id,
+    p_points, 1,
+    CASE WHEN p_interaction_type = 'comment' THEN 1 ELSE 0 END,
+    CASE WHEN p_interaction_type = 'reaction' THEN 1 ELSE 0 END
+  )
+  ON CONFLICT (fan_user_id, celebrity_user_id) DO UPDATE SET
+    points = user_fan_status.points + p_points,
+    total_interactions = user_fan_status.total_interactions + 1,
+    comment_count = user_fan_status.comment_count + CASE WHEN p_interaction_type = 'comment' THEN 1 ELSE 0 END,
+    reaction_count = user_fan_status.reaction_count + CASE WHEN p_interaction_type = 'reaction' THEN 1 ELSE 0 END,
+    last_interaction_at = now();
+
+  UPDATE user_fan_status ufs
+  SET badge_id = fb.id,
+      current_badge_id = fb.id
+  FROM (
+    SELECT id FROM fan_badges
+    WHERE min_interactions <= (
+      SELECT total_interactions FROM user_fan_status
+      WHERE fan_user_id = p_user_id AND celebrity_user_id = p_celebrity_id
+    )
+    ORDER BY min_interactions DESC
+    LIMIT 1
+  ) fb
+  WHERE ufs.fan_user_id = p_user_id AND ufs.celebrity_user_id = p_celebrity_id;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION calculate_comment_priority_score(
+  p_subscription_level TEXT,
+  p_fan_tier TEXT,
+  p_engagement INTEGER
+)
+RETURNS NUMERIC AS $$
+  SELECT 10
+    + CASE p_subscription_level
+        WHEN 'superfan_plus' THEN 50
+        WHEN 'superfan' THEN 30
+        ELSE 0
+      END
+    + CASE p_fan_tier
+        WHEN 'Die-Hard Fan' THEN 40
+        WHEN 'Super Fan' THEN 30
+        WHEN 'Loyal Fan' THEN 20
+        WHEN 'Active Fan' THEN 10
+        ELSE 0
+      END
+    + COALESCE(p_engagement, 0);
+$$ LANGUAGE sql IMMUTABLE;
+
+-- migrate:down
+
+DROP FUNCTION IF EXISTS calculate_comment_priority_score(TEXT, TEXT, INTEGER);
+DROP FUNCTION IF EXISTS track_fan_interaction(UUID, UUID, TEXT, INTEGER);
+DROP FUNCTION IF EXISTS increment_aura(UUID, INTEGER);
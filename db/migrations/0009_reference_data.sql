@@ -0,0 +1,28 @@
+-- db/migrations/0009_reference_data.sql
+-- Reference data - fan badges and subscription plans
+
+-- migrate:up
+
+-- ==========================================
+-- REFERENCE DATA
+-- ==========================================
+INSERT INTO fan_badges (name, badge_name, badge_icon, badge_color, min_interactions, priority_multiplier) VALUES
+  ('New Fan', 'New Fan', '🌱', '#9CA3AF', 0, 1),
+  ('Active Fan', 'Active Fan', '⭐', '#3B82F6', 10, 1.2),
+  ('Loyal Fan', 'Loyal Fan', '💎', '#8B5CF6', 50, 1.5),
+  ('Super Fan', 'Super Fan', '🔥', '#F59E0B', 150, 2),
+  ('Die-Hard Fan', 'Die-Hard Fan', '👑', '#EF4444', 500, 3)
+ON CONFLICT (badge_name) DO NOTHING;
+
+INSERT INTO subscription_plans (plan_name, plan_type, price_monthly, features, badge_color, badge_icon, priority_boost) VALUES
+  ('Free', 'free', 0, '{"basic_feed": true}', NULL, NULL, 0),
+  ('Superfan', 'superfan', 4.99, '{"basic_feed": true, "priority_comments": true, "exclusive_content": true}', '#F59E0B', '⭐', 20),
+  ('Superfan Plus', 'superfan_plus', 9.99, '{"basic_feed": true, "priority_comments": true, "exclusive_content": true, "direct_messages": true}', '#8B5CF6', '💎', 40),
+  ('Creator Pro', 'creator_pro', 19.99, '{"basic_feed": true, "celebrity_dashboard": true, "advanced_analytics": true}', '#10B981', '✓', 30),
+  ('Business', 'business', 49.99, '{"basic_feed": true, "celebrity_dashboard": true, "advanced_analytics": true, "promoted_posts": true}', '#111827', '🏢', 30)
+ON CONFLICT (plan_type) DO NOTHING;
+
+-- migrate:down
+
+DELETE FROM subscription_plans WHERE plan_type IN ('free', 'superfan', 'superfan_plus', 'creator_pro', 'business');
+DELETE FROM fan_badges WHERE badge_name IN ('New Fan', 'Active Fan', 'Loyal Fan', 'Super Fan', 'Die-Hard Fan');
@@ -0,0 +1,12 @@
+-- db/migrations/0010_behavioral_pattern_engagement.sql
+-- Per content type engagement counts for behavioral_patterns
+-- ({ "normal": 3, "educational": 1, ... }), written by the reactions route
+
+-- migrate:up
+
+ALTER TABLE behavioral_patterns
+  ADD COLUMN IF NOT EXISTS content_engagement JSONB NOT NULL DEFAULT '{}';
+
+-- migrate:down
+
+ALTER TABLE behavioral_patterns DROP COLUMN IF EXISTS content_engagement;
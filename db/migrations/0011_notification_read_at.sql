@@ -0,0 +1,11 @@
+-- db/migrations/0011_notification_read_at.sql
+-- When a notification was read, set by the mark-as-read routes
+
+-- migrate:up
+
+ALTER TABLE notifications
+  ADD COLUMN IF NOT EXISTS read_at TIMESTAMPTZ;
+
+-- migrate:down
+
+ALTER TABLE notifications DROP COLUMN IF EXISTS read_at;
@@ -0,0 +1,122 @@
+-- db/migrations/0012_moderation.sql
+-- Content-safety term lists (services/moderation.js) and the moderation
+-- result stored on every user-generated text surface
+
+-- migrate:up
+
+-- ==========================================
+-- MODERATION TERMS
+-- ==========================================
+-- weight: 1-100, how strongly a single match signals its category
+CREATE TABLE IF NOT EXISTS moderation_terms (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  term TEXT NOT NULL,
+  language TEXT NOT NULL DEFAULT 'en',
+  category TEXT NOT NULL,
+  weight INTEGER NOT NULL DEFAULT 50 CHECK (weight BETWEEN 1 AND 100),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (term, language)
+);
+
+ALTER TABLE wisdom_clips
+  ADD COLUMN IF NOT EXISTS moderation_score INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS moderation_labels TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE comments
+  ADD COLUMN IF NOT EXISTS moderation_score INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS moderation_labels TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE messages
+  ADD COLUMN IF NOT EXISTS moderation_score INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS moderation_labels TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE stream_comments
+  ADD COLUMN IF NOT EXISTS moderation_score INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS moderation_labels TEXT[] NOT NULL DEFAULT '{}';
+
+-- ==========================================
+-- REFERENCE DATA (English + Malay)
+-- ==========================================
+INSERT INTO moderation_terms (term, language, category, weight) VALUES
+  -- Self-harm
+  ('suicide', 'en', 'self_harm', 80),
+  ('suicidal', 'en', 'self_harm', 80),
+  ('kill myself', 'en', 'self_harm', 90),
+  ('end my life', 'en', 'self_harm', 90),
+  ('end it all', 'en', 'self_harm', 70),
+  ('want to die', 'en', 'self_harm', 70),
+  ('no reason to live', 'en', 'self_harm', 70),
+  ('better off dead', 'en', 'self_harm', 70),
+  ('self harm', 'en', 'self_harm', 60),
+  ('cut myself', 'en', 'self_harm', 70),
+  ('hurt myself', 'en', 'self_harm', 60),
+  ('going to jump', 'en', 'self_harm', 80),
+  ('pills ready', 'en', 'self_harm', 90),
+  ('gun loaded', 'en', 'self_harm', 90),
+  ('bridge ready', 'en', 'self_harm', 80),
+  ('bunuh diri', 'ms', 'self_harm', 80),
+  ('nak mati', 'ms', 'self_harm', 70),
+  ('ingin mati', 'ms', 'self_harm', 70),
+  ('mahu mati', 'ms', 'self_harm', 70),
+  ('tamatkan hidup', 'ms', 'self_harm', 90),
+  ('tak nak hidup lagi', 'ms', 'self_harm', 70),
+  ('tiada sebab untuk hidup', 'ms', 'self_harm', 70),
+  ('lebih baik mati', 'ms', 'self_harm', 70),
+  ('cederakan diri', 'ms', 'self_harm', 60),
+  ('toreh tangan', 'ms', 'self_harm', 70),
+  ('terjun bangunan', 'ms', 'self_harm', 80),
+  ('telan pil', 'ms', 'self_harm', 70),
+
+  -- Violence
+  ('kill someone', 'en', 'violence', 70),
+  ('murder', 'en', 'violence', 50),
+  ('shoot up', 'en', 'violence', 70),
+  ('terrorist attack', 'en', 'violence', 60),
+  ('bomb', 'en', 'violence', 30),
+  ('bunuh dia', 'ms', 'violence', 70),
+  ('bunuh orang', 'ms', 'violence', 70),
+  ('serangan pengganas', 'ms', 'violence', 60),
+  ('letak bom', 'ms', 'violence', 60),
+
+  -- Depression / hopelessness
+  ('everyone hates me', 'en', 'depression', 40),
+  ('world better without me', 'en', 'depression', 60),
+  ('nobody cares', 'en', 'depression', 30),
+  ('burden to everyone', 'en', 'depression', 50),
+  ('can''t take it anymore', 'en', 'depression', 50),
+  ('goodbye everyone', 'en', 'depression', 40),
+  ('goodbye world', 'en', 'depression', 50),
+  ('final goodbye', 'en', 'depression', 60),
+  ('final message', 'en', 'depression', 40),
+  ('last post', 'en', 'depression', 30),
+  ('semua orang benci saya', 'ms', 'depression', 40),
+  ('dunia lebih baik tanpa saya', 'ms', 'depression', 60),
+  ('tiada siapa peduli', 'ms', 'depression', 30),
+  ('beban kepada semua', 'ms', 'depression', 50),
+  ('tak tahan lagi', 'ms', 'depression', 50),
+  ('selamat tinggal semua', 'ms', 'depression', 50),
+  ('penat hidup', 'ms', 'depression', 50),
+
+  -- Misinformation
+  ('share before they delete', 'en', 'misinformation', 50),
+  ('doctors don''t want you to know', 'en', 'misinformation', 50),
+  ('they''re hiding this', 'en', 'misinformation', 40),
+  ('mainstream media won''t tell you', 'en', 'misinformation', 40),
+  ('wake up sheeple', 'en', 'misinformation', 40),
+  ('do your own research', 'en', 'misinformation', 20),
+  ('plandemic', 'en', 'misinformation', 50),
+  ('hoax', 'en', 'misinformation', 40),
+  ('sebarkan sebelum dipadam', 'ms', 'misinformation', 50),
+  ('viralkan sebelum dipadam', 'ms', 'misinformation', 50),
+  ('doktor tak mahu anda tahu', 'ms', 'misinformation', 50),
+  ('media arus perdana tak akan beritahu', 'ms', 'misinformation', 40)
+ON CONFLICT (term, language) DO NOTHING;
+
+-- migrate:down
+
+ALTER TABLE stream_comments DROP COLUMN IF EXISTS moderation_labels, DROP COLUMN IF EXISTS moderation_score;
+ALTER TABLE messages DROP COLUMN IF EXISTS moderation_labels, DROP COLUMN IF EXISTS moderation_score;
+ALTER TABLE comments DROP COLUMN IF EXISTS moderation_labels, DROP COLUMN IF EXISTS moderation_score;
+ALTER TABLE wisdom_clips DROP COLUMN IF EXISTS moderation_labels, DROP COLUMN IF EXISTS moderation_score;
+DROP TABLE IF EXISTS moderation_terms CASCADE;
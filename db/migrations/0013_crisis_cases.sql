@@ -0,0 +1,69 @@
+-- db/migrations/0013_crisis_cases.sql
+-- Crisis alerts as cases (services/crisisCases.js): assignment, response
+-- deadlines, escalation, the case timeline and professional responders
+
+-- migrate:up
+
+-- ==========================================
+-- CASE STATE
+-- ==========================================
+-- status: pending -> acknowledged -> in_progress -> escalated -> resolved / closed
+-- response_due_at: when the case must be acknowledged; missing it re-notifies
+-- further helpers (renotify_count) and eventually escalates
+ALTER TABLE crisis_alerts
+  ADD COLUMN IF NOT EXISTS assigned_helper_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS acknowledged_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS response_due_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS notified_helper_ids UUID[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS renotify_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS escalated_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS closed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT now();
+
+CREATE INDEX IF NOT EXISTS idx_crisis_alerts_due
+  ON crisis_alerts (response_due_at)
+  WHERE response_due_at IS NOT NULL;
+
+-- ==========================================
+-- CASE TIMELINE
+-- ==========================================
+-- One row per action on a case; actor_id is NULL for the deadline sweeper
+CREATE TABLE IF NOT EXISTS crisis_alert_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  alert_id UUID NOT NULL REFERENCES crisis_alerts(id) ON DELETE CASCADE,
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  event_type TEXT NOT NULL,
+  from_status TEXT,
+  to_status TEXT,
+  details JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_crisis_alert_events_alert
+  ON crisis_alert_events (alert_id, created_at);
+
+-- ==========================================
+-- PROFESSIONAL RESPONDERS
+-- ==========================================
+-- Counsellors / helpline staff who receive escalated cases
+CREATE TABLE IF NOT EXISTS crisis_responders (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  organization TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS crisis_responders CASCADE;
+DROP TABLE IF EXISTS crisis_alert_events CASCADE;
+DROP INDEX IF EXISTS idx_crisis_alerts_due;
+ALTER TABLE crisis_alerts
+  DROP COLUMN IF EXISTS updated_at,
+  DROP COLUMN IF EXISTS closed_at,
+  DROP COLUMN IF EXISTS escalated_at,
+  DROP COLUMN IF EXISTS renotify_count,
+  DROP COLUMN IF EXISTS notified_helper_ids,
+  DROP COLUMN IF EXISTS response_due_at,
+  DROP COLUMN IF EXISTS acknowledged_at,
+  DROP COLUMN IF EXISTS assigned_helper_id;
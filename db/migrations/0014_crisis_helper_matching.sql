@@ -0,0 +1,34 @@
+-- db/migrations/0014_crisis_helper_matching.sql
+-- Helper profiles read by services/helperMatching.js (languages, opt-in
+-- availability windows, case capacity) and the language of each crisis case
+
+-- migrate:up
+
+-- ==========================================
+-- CRISIS HELPER PROFILES
+-- ==========================================
+-- availability_windows: [{ "days": [1,2,3,4,5], "start": "18:00", "end": "23:00" }]
+--   in the helper's timezone (days: 0 = Sunday); empty = no schedule set
+-- is_available = false pauses crisis alerts for the helper
+CREATE TABLE IF NOT EXISTS crisis_helper_profiles (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  languages TEXT[] NOT NULL DEFAULT '{en}',
+  availability_windows JSONB NOT NULL DEFAULT '[]',
+  timezone TEXT NOT NULL DEFAULT 'Asia/Kuala_Lumpur',
+  max_open_cases INTEGER NOT NULL DEFAULT 3 CHECK (max_open_cases BETWEEN 1 AND 20),
+  is_available BOOLEAN NOT NULL DEFAULT true,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE crisis_alerts
+  ADD COLUMN IF NOT EXISTS language TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_crisis_alerts_assigned_open
+  ON crisis_alerts (assigned_helper_id)
+  WHERE status IN ('acknowledged', 'in_progress', 'escalated');
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_crisis_alerts_assigned_open;
+ALTER TABLE crisis_alerts DROP COLUMN IF EXISTS language;
+DROP TABLE IF EXISTS crisis_helper_profiles CASCADE;
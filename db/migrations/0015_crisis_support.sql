@@ -0,0 +1,28 @@
+-- db/migrations/0015_crisis_support.sql
+-- What the person in crisis sees of a helper response (services/crisisSupport.js):
+-- the private support chat and their accept / decline / change-helper reply
+
+-- migrate:up
+
+-- user_decision: 'accepted' | 'declined' | 'different_helper'
+ALTER TABLE crisis_responses
+  ADD COLUMN IF NOT EXISTS conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS user_decision TEXT,
+  ADD COLUMN IF NOT EXISTS user_decided_at TIMESTAMPTZ;
+
+-- Latest reply and the chat of the helper currently supporting the user
+ALTER TABLE crisis_alerts
+  ADD COLUMN IF NOT EXISTS support_conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS user_decision TEXT,
+  ADD COLUMN IF NOT EXISTS user_decision_at TIMESTAMPTZ;
+
+-- migrate:down
+
+ALTER TABLE crisis_alerts
+  DROP COLUMN IF EXISTS user_decision_at,
+  DROP COLUMN IF EXISTS user_decision,
+  DROP COLUMN IF EXISTS support_conversation_id;
+ALTER TABLE crisis_responses
+  DROP COLUMN IF EXISTS user_decided_at,
+  DROP COLUMN IF EXISTS user_decision,
+  DROP COLUMN IF EXISTS conversation_id;
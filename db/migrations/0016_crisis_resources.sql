@@ -0,0 +1,99 @@
+-- db/migrations/0016_crisis_resources.sql
+-- Crisis resource directory (services/crisisResources.js): helplines, text
+-- lines and local services by country / region and crisis type, the regions
+-- used to place a user, and platform admins who maintain the directory
+
+-- migrate:up
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS is_admin BOOLEAN NOT NULL DEFAULT false;
+
+-- ==========================================
+-- CRISIS RESOURCES
+-- ==========================================
+-- country_code: ISO 3166-1 alpha-2, NULL = international
+-- region: state / province within the country, NULL = whole country
+-- crisis_types: empty = every crisis type
+-- location_lat / location_long / service_radius_km: walk-in services that
+--   are only listed for users within the radius
+CREATE TABLE IF NOT EXISTS crisis_resources (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  resource_type TEXT NOT NULL DEFAULT 'helpline',
+  description TEXT,
+  phone TEXT,
+  sms TEXT,
+  website TEXT,
+  hours TEXT,
+  country_code TEXT,
+  region TEXT,
+  crisis_types TEXT[] NOT NULL DEFAULT '{}',
+  languages TEXT[] NOT NULL DEFAULT '{}',
+  location_lat DOUBLE PRECISION,
+  location_long DOUBLE PRECISION,
+  service_radius_km DOUBLE PRECISION,
+  priority INTEGER NOT NULL DEFAULT 50,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_crisis_resources_country
+  ON crisis_resources (country_code, region)
+  WHERE is_active;
+
+-- ==========================================
+-- CRISIS REGIONS
+-- ==========================================
+-- Bounding boxes that place a coordinate in a country (region NULL) or a
+-- region; the smallest box containing the point wins
+CREATE TABLE IF NOT EXISTS crisis_regions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  country_code TEXT NOT NULL,
+  region TEXT,
+  min_lat DOUBLE PRECISION NOT NULL,
+  max_lat DOUBLE PRECISION NOT NULL,
+  min_long DOUBLE PRECISION NOT NULL,
+  max_long DOUBLE PRECISION NOT NULL,
+  UNIQUE (country_code, region)
+);
+
+-- Where each case was raised, resolved when it is opened
+ALTER TABLE crisis_alerts
+  ADD COLUMN IF NOT EXISTS country_code TEXT,
+  ADD COLUMN IF NOT EXISTS region TEXT;
+
+-- ==========================================
+-- REFERENCE DATA
+-- ==========================================
+INSERT INTO crisis_regions (country_code, region, min_lat, max_lat, min_long, max_long) VALUES
+  ('MY', NULL, 0.85, 7.40, 99.60, 119.30),
+  ('SG', NULL, 1.16, 1.48, 103.60, 104.10),
+  ('BN', NULL, 4.00, 5.10, 114.00, 115.40),
+  ('MY', 'Kuala Lumpur', 3.03, 3.25, 101.60, 101.76),
+  ('MY', 'Selangor', 2.60, 3.85, 100.80, 101.97),
+  ('MY', 'Penang', 5.10, 5.60, 100.17, 100.56),
+  ('MY', 'Johor', 1.25, 2.90, 102.50, 104.50),
+  ('MY', 'Sabah', 4.00, 7.40, 115.10, 119.30),
+  ('MY', 'Sarawak', 0.85, 5.00, 109.60, 115.70)
+ON CONFLICT (country_code, region) DO NOTHING;
+
+INSERT INTO crisis_resources (name, resource_type, description, phone, sms, website, hours, country_code, region, crisis_types, languages, priority) VALUES
+  ('Emergency Services (Malaysia)', 'emergency', 'Police, ambulance and fire', '999', NULL, NULL, '24 hours', 'MY', NULL, '{}', '{en,ms}', 150),
+  ('Befrienders Kuala Lumpur', 'helpline', 'Emotional support for anyone in distress or thinking about suicide', '+603-7627 2929', NULL, 'https://www.befrienders.org.my', '24 hours', 'MY', NULL, '{}', '{en,ms,zh}', 100),
+  ('Befrienders Penang', 'helpline', 'Emotional support for anyone in distress', '+604-281 5161', NULL, 'https://www.befrienders.org.my', '24 hours', 'MY', 'Penang', '{}', '{en,ms,zh}', 95),
+  ('Women''s Aid Organisation Hotline', 'helpline', 'Support for survivors of domestic and sexual violence', '+603-3000 8858', '+6018-988 8058', 'https://wao.org.my', '24 hours', 'MY', NULL, '{violence}', '{en,ms}', 95),
+  ('Talian Kasih', 'helpline', 'Government helpline for family, abuse and emotional support', '15999', '+6019-261 5999', NULL, '24 hours', 'MY', NULL, '{}', '{ms,en}', 90),
+  ('Malaysian Mental Health Association', 'local_service', 'Counselling and mental health support', '+603-2780 6803', NULL, 'https://mmha.org.my', 'Office hours', 'MY', 'Kuala Lumpur', '{depression}', '{en,ms}', 60),
+  ('Emergency Services (Singapore)', 'emergency', 'Police 999, ambulance and fire', '995', NULL, NULL, '24 hours', 'SG', NULL, '{}', '{en}', 150),
+  ('Samaritans of Singapore', 'helpline', 'Support for people in crisis or thinking about suicide', '1767', NULL, 'https://www.sos.org.sg', '24 hours', 'SG', NULL, '{}', '{en}', 100),
+  ('SOS CareText', 'text_line', 'Text-based support', NULL, '+65 9151 1767', 'https://www.sos.org.sg', '24 hours', 'SG', NULL, '{}', '{en}', 90),
+  ('Find A Helpline', 'directory', 'Free, confidential helplines in every country', NULL, NULL, 'https://findahelpline.com', NULL, NULL, NULL, '{}', '{}', 10);
+
+-- migrate:down
+
+ALTER TABLE crisis_alerts DROP COLUMN IF EXISTS region, DROP COLUMN IF EXISTS country_code;
+DROP TABLE IF EXISTS crisis_regions CASCADE;
+DROP TABLE IF EXISTS crisis_resources CASCADE;
+ALTER TABLE users DROP COLUMN IF EXISTS is_admin;
@@ -0,0 +1,26 @@
+-- db/migrations/0017_crisis_alert_sources.sql
+-- Where a crisis alert came from: every user-generated text surface is
+-- scanned (posts, comments, chat messages, live-stream comments), and helpers
+-- open the flagged content from the alert
+
+-- migrate:up
+
+-- source_type: 'manual' | 'post' | 'comment' | 'message' | 'stream_comment'
+-- source_id: id of the row in wisdom_clips / comments / messages / stream_comments
+ALTER TABLE crisis_alerts
+  ADD COLUMN IF NOT EXISTS source_type TEXT NOT NULL DEFAULT 'manual',
+  ADD COLUMN IF NOT EXISTS source_id UUID;
+
+UPDATE crisis_alerts
+  SET source_type = 'post', source_id = post_id
+  WHERE post_id IS NOT NULL AND source_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_crisis_alerts_source
+  ON crisis_alerts (source_type, source_id);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_crisis_alerts_source;
+ALTER TABLE crisis_alerts
+  DROP COLUMN IF EXISTS source_id,
+  DROP COLUMN IF EXISTS source_type;
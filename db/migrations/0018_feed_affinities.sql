@@ -0,0 +1,31 @@
+-- db/migrations/0018_feed_affinities.sql
+-- Per-user feed affinities learned from feed_interactions
+-- (services/feedAffinity.js), read by the feed ranking pipeline
+
+-- migrate:up
+
+-- content_types / hashtags / creators: { "<key>": { "score": -1..1, "skip_rate": 0..1, "events": n } }
+-- dwell: { "avg_seconds": n, "by_content_type": { "<type>": seconds } }
+CREATE TABLE IF NOT EXISTS user_feed_affinities (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  content_types JSONB NOT NULL DEFAULT '{}',
+  hashtags JSONB NOT NULL DEFAULT '{}',
+  creators JSONB NOT NULL DEFAULT '{}',
+  dwell JSONB NOT NULL DEFAULT '{}',
+  interactions_count INTEGER NOT NULL DEFAULT 0,
+  skip_rate DOUBLE PRECISION NOT NULL DEFAULT 0,
+  last_interaction_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_feed_interactions_user_created
+  ON feed_interactions (user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_feed_interactions_created
+  ON feed_interactions (created_at);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_feed_interactions_created;
+DROP INDEX IF EXISTS idx_feed_interactions_user_created;
+DROP TABLE IF EXISTS user_feed_affinities CASCADE;
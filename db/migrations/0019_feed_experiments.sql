@@ -0,0 +1,54 @@
+-- db/migrations/0019_feed_experiments.sql
+-- Feed ranking experiments (services/feedExperiments.js): A/B tests of
+-- ranking variants on the personalized / discover feeds and the feed pages
+-- each bucketed user was served
+
+-- migrate:up
+
+-- ==========================================
+-- FEED EXPERIMENTS
+-- ==========================================
+-- surfaces: feeds the experiment ranks ('personalized', 'discover')
+-- variants: [{ "name": "control", "allocation": 50, "weights": { "<scorer>": n } }]
+--   allocation is the percent of users bucketed into the variant; users
+--   outside every allocation keep the default ranking
+CREATE TABLE IF NOT EXISTS feed_experiments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  key TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  description TEXT,
+  surfaces TEXT[] NOT NULL DEFAULT '{personalized,discover}',
+  variants JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'running', 'stopped')),
+  started_at TIMESTAMPTZ,
+  stopped_at TIMESTAMPTZ,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_feed_experiments_running
+  ON feed_experiments (status)
+  WHERE status = 'running';
+
+-- ==========================================
+-- FEED EXPERIMENT EXPOSURES
+-- ==========================================
+-- One row per feed page served to a bucketed user
+CREATE TABLE IF NOT EXISTS feed_experiment_exposures (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  experiment_id UUID NOT NULL REFERENCES feed_experiments(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  variant TEXT NOT NULL,
+  surface TEXT NOT NULL,
+  post_ids UUID[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_feed_experiment_exposures_experiment
+  ON feed_experiment_exposures (experiment_id, variant);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS feed_experiment_exposures CASCADE;
+DROP TABLE IF EXISTS feed_experiments CASCADE;
@@ -0,0 +1,23 @@
+-- db/migrations/0020_user_timezones.sql
+-- User timezones (services/timezones.js) for time-of-day feed ranking, event
+-- times and analytics days, and notification quiet hours kept in that timezone
+
+-- migrate:up
+
+-- IANA name ('Asia/Kuala_Lumpur'); NULL = not set, the default timezone applies
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS timezone TEXT;
+
+-- 'HH:MM' local time; both NULL = no quiet hours. May run past midnight.
+ALTER TABLE notification_preferences
+  ADD COLUMN IF NOT EXISTS quiet_hours_start TEXT,
+  ADD COLUMN IF NOT EXISTS quiet_hours_end TEXT;
+
+-- migrate:down
+
+ALTER TABLE notification_preferences
+  DROP COLUMN IF EXISTS quiet_hours_end,
+  DROP COLUMN IF EXISTS quiet_hours_start;
+
+ALTER TABLE users
+  DROP COLUMN IF EXISTS timezone;
@@ -0,0 +1,53 @@
+-- db/migrations/0021_feed_candidates.sql
+-- Precomputed personalized feed candidates (services/feedCandidates.js):
+-- posts fanned out to followers on write, when each user's store was last
+-- rebuilt from follows, and the ranked snapshots feed cursors page through
+
+-- migrate:up
+
+-- ==========================================
+-- FEED CANDIDATES
+-- ==========================================
+-- One row per post in a user's feed store; post_created_at copies the post's
+-- created_at so the newest candidates are read without joining wisdom_clips
+CREATE TABLE IF NOT EXISTS feed_candidates (
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  post_id UUID NOT NULL REFERENCES wisdom_clips(id) ON DELETE CASCADE,
+  author_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  post_created_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (user_id, post_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_feed_candidates_user_recent
+  ON feed_candidates (user_id, post_created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_feed_candidates_post_created
+  ON feed_candidates (post_created_at);
+
+CREATE TABLE IF NOT EXISTS feed_candidate_builds (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  built_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- ==========================================
+-- FEED SESSIONS
+-- ==========================================
+-- The ranked post ids behind a feed cursor, so later pages keep the order of
+-- the first one
+CREATE TABLE IF NOT EXISTS feed_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  post_ids UUID[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_feed_sessions_expires
+  ON feed_sessions (expires_at);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS feed_sessions CASCADE;
+DROP TABLE IF EXISTS feed_candidate_builds CASCADE;
+DROP TABLE IF EXISTS feed_candidates CASCADE;
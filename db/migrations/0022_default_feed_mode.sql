@@ -0,0 +1,20 @@
+-- db/migrations/0022_default_feed_mode.sql
+-- Which feed GET /api/feed/home/:userId serves a user by default: the ranked
+-- 'personalized' feed or the chronological 'following' feed
+
+-- migrate:up
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS default_feed_mode TEXT NOT NULL DEFAULT 'personalized'
+    CHECK (default_feed_mode IN ('personalized', 'following'));
+
+-- Following feed pages: a followed author's public posts, newest first
+CREATE INDEX IF NOT EXISTS idx_wisdom_clips_author_recent
+  ON wisdom_clips (user_id, created_at DESC, id DESC);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_wisdom_clips_author_recent;
+
+ALTER TABLE users
+  DROP COLUMN IF EXISTS default_feed_mode;
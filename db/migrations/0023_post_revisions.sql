@@ -0,0 +1,36 @@
+-- db/migrations/0023_post_revisions.sql
+-- Post edit history: every version of an edited post's caption / media with
+-- the safety results it got, so an edit cannot quietly replace flagged content
+
+-- migrate:up
+
+ALTER TABLE wisdom_clips
+  ADD COLUMN IF NOT EXISTS is_edited BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ;
+
+-- revision_number 1 is the post as first published; the highest is the
+-- current version. created_at is when that version went live.
+CREATE TABLE IF NOT EXISTS post_revisions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  post_id UUID NOT NULL REFERENCES wisdom_clips(id) ON DELETE CASCADE,
+  revision_number INTEGER NOT NULL,
+  caption TEXT,
+  media_url TEXT,
+  hashtags TEXT[] DEFAULT '{}',
+  content_type TEXT,
+  is_crisis BOOLEAN DEFAULT false,
+  needs_fact_check BOOLEAN DEFAULT false,
+  moderation_score INTEGER NOT NULL DEFAULT 0,
+  moderation_labels TEXT[] NOT NULL DEFAULT '{}',
+  edited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (post_id, revision_number)
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS post_revisions CASCADE;
+
+ALTER TABLE wisdom_clips
+  DROP COLUMN IF EXISTS edited_at,
+  DROP COLUMN IF EXISTS is_edited;
@@ -0,0 +1,37 @@
+-- db/migrations/0024_post_drafts.sql
+-- Draft and scheduled posts (services/postDrafts.js): stored apart from
+-- wisdom_clips so they never show up in feeds, search or profiles until the
+-- scheduler (or the author) publishes them
+
+-- migrate:up
+
+-- status: draft (no publish_at) -> scheduled (publish_at set) -> publishing
+-- (claimed by the scheduler) -> published (post_id set); cancelled by the
+-- author, failed when publishing raised an error
+CREATE TABLE IF NOT EXISTS post_drafts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  caption TEXT NOT NULL,
+  media_url TEXT,
+  media_type TEXT DEFAULT 'text',
+  visibility TEXT NOT NULL DEFAULT 'public',
+  status TEXT NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('draft', 'scheduled', 'publishing', 'published', 'cancelled', 'failed')),
+  publish_at TIMESTAMPTZ,
+  published_at TIMESTAMPTZ,
+  post_id UUID REFERENCES wisdom_clips(id) ON DELETE SET NULL,
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_drafts_user_status
+  ON post_drafts (user_id, status);
+
+CREATE INDEX IF NOT EXISTS idx_post_drafts_due
+  ON post_drafts (publish_at)
+  WHERE status = 'scheduled';
+
+-- migrate:down
+
+DROP TABLE IF EXISTS post_drafts CASCADE;
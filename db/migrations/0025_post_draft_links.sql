@@ -0,0 +1,24 @@
+-- db/migrations/0025_post_draft_links.sql
+-- The draft a post was published from, so publishing a draft is idempotent:
+-- the scheduler can tell whether a draft it lost track of (stuck in
+-- 'publishing') already became a post, and one draft can never become two
+
+-- migrate:up
+
+ALTER TABLE wisdom_clips
+  ADD COLUMN IF NOT EXISTS draft_id UUID REFERENCES post_drafts(id) ON DELETE SET NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wisdom_clips_draft
+  ON wisdom_clips (draft_id)
+  WHERE draft_id IS NOT NULL;
+
+-- Drafts claimed for publishing, by claim time (updated_at)
+CREATE INDEX IF NOT EXISTS idx_post_drafts_publishing
+  ON post_drafts (updated_at)
+  WHERE status = 'publishing';
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_post_drafts_publishing;
+DROP INDEX IF EXISTS idx_wisdom_clips_draft;
+ALTER TABLE wisdom_clips DROP COLUMN IF EXISTS draft_id;
@@ -0,0 +1,15 @@
+-- db/migrations/0026_job_watermarks.sql
+-- How far a background job has read an append-only table, so a restart
+-- resumes where the job stopped (services/feedAffinity.js)
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS job_watermarks (
+  job TEXT PRIMARY KEY,
+  watermark TIMESTAMPTZ NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS job_watermarks CASCADE;
@@ -0,0 +1,122 @@
+// db/migrator.js
+// Versioned SQL migrations - db/migrations/<version>_<name>.sql
+//
+// Each file holds an up and a down section:
+//   -- migrate:up
+//   CREATE TABLE ...;
+//   -- migrate:down
+//   DROP TABLE ...;
+// Applied versions are recorded in schema_migrations. Every migration runs
+// in its own transaction together with its schema_migrations row.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.sql$/;
+
+const CREATE_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+  )
+`;
+
+// Read and split every migration file, ordered by version
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  return fs.readdirSync(dir)
+    .filter(file => FILE_PATTERN.test(file))
+    .sort()
+    .map(file => {
+      const [, version, name] = file.match(FILE_PATTERN);
+      const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+      const upIndex = sql.indexOf('-- migrate:up');
+      const downIndex = sql.indexOf('-- migrate:down');
+
+      if (upIndex === -1 || downIndex === -1 || downIndex < upIndex) {
+        throw new Error(`Migration ${file} must contain "-- migrate:up" followed by "-- migrate:down"`);
+      }
+
+      return {
+        version,
+        name,
+        file,
+        up: sql.slice(upIndex, downIndex).trim(),
+        down: sql.slice(downIndex).trim()
+      };
+    });
+}
+
+async function appliedVersions(db) {
+  await db.exec(CREATE_TABLE_SQL);
+  const { rows } = await db.query('SELECT version FROM schema_migrations ORDER BY version');
+  return rows.map(row => row.version);
+}
+
+// Apply every pending migration. `db` needs exec(sql) for multi-statement
+// scripts and query(text, params) for single statements.
+async function migrate(db, { log = console.log } = {}) {
+  const applied = new Set(await appliedVersions(db));
+  const pending = loadMigrations().filter(m => !applied.has(m.version));
+
+  for (const migration of pending) {
+    await db.exec(`
+      BEGIN;
+      ${migration.up}
+      ;
+      INSERT INTO schema_migrations (version, name) VALUES ('${migration.version}', '${migration.name}');
+      COMMIT;
+    `).catch(async (error) => {
+      await db.exec('ROLLBACK').catch(() => {});
+      error.message = `Migration ${migration.file} failed: ${error.message}`;
+      throw error;
+    });
+
+    log(`⬆️  Applied ${migration.file}`);
+  }
+
+  return pending.map(m => m.version);
+}
+
+// Revert the most recently applied migrations (default: one)
+async function rollback(db, { steps = 1, log = console.log } = {}) {
+  const applied = await appliedVersions(db);
+  const byVersion = new Map(loadMigrations().map(m => [m.version, m]));
+  const targets = applied.slice(-steps).reverse();
+
+  for (const version of targets) {
+    const migration = byVersion.get(version);
+
+    if (!migration) {
+      throw new Error(`Migration file for applied version ${version} not found`);
+    }
+
+    await db.exec(`
+      BEGIN;
+      ${migration.down}
+      ;
+      DELETE FROM schema_migrations WHERE version = '${migration.version}';
+      COMMIT;
+    `).catch(async (error) => {
+      await db.exec('ROLLBACK').catch(() => {});
+      error.message = `Rollback of ${migration.file} failed: ${error.message}`;
+      throw error;
+    });
+
+    log(`⬇️  Rolled back ${migration.file}`);
+  }
+
+  return targets;
+}
+
+async function status(db) {
+  const applied = new Set(await appliedVersions(db));
+  return loadMigrations().map(m => ({
+    version: m.version,
+    name: m.name,
+    applied: applied.has(m.version)
+  }));
+}
+
+module.exports = { loadMigrations, migrate, rollback, status };
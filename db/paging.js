@@ -0,0 +1,42 @@
+// db/paging.js
+// Reading result sets larger than one response
+//
+// Supabase (PostgREST) returns at most 1000 rows per request and puts `.in()`
+// filters in the request URL, so reports that read whole tables go through:
+//   readAll(build)           - every row, a page at a time
+//   inBatches(ids, read)     - read(batch) for slices of a long id list
+
+const PAGE_SIZE = 1000;
+const ID_BATCH_SIZE = 200;
+
+// `build` returns a fresh query ordered down to a unique column (id), so
+// pages neither overlap nor skip rows
+async function readAll(build) {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await build().range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
+// read(batch) resolves to rows; results are concatenated in batch order
+async function inBatches(ids, read) {
+  const rows = [];
+
+  for (let start = 0; start < ids.length; start += ID_BATCH_SIZE) {
+    rows.push(...await read(ids.slice(start, start + ID_BATCH_SIZE)));
+  }
+
+  return rows;
+}
+
+module.exports = {
+  PAGE_SIZE,
+  ID_BATCH_SIZE,
+  readAll,
+  inBatches
+};
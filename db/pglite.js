@@ -0,0 +1,122 @@
+// db/pglite.js
+// Local storage driver - embedded Postgres (PGlite), no network required
+//
+// Exposes the same handles as the hosted driver:
+//   supabase - supabase-js compatible query builder (db/queryBuilder.js)
+//   pool     - pg Pool compatible { query(text, params) }
+// Pending migrations (db/migrations) are applied on start-up. Data lives in
+// memory unless PGLITE_DATA_DIR points at a directory to persist it.
+
+const { createClient } = require('./queryBuilder');
+const { migrate } = require('./migrator');
+
+// PostgREST returns timestamps as ISO-8601 strings and numerics as numbers;
+// the query builder parses the same way so handlers see identical values.
+function restParsers(types) {
+  return {
+    [types.TIMESTAMPTZ]: (value) => value.replace(' ', 'T').replace(/([+-]\d\d)$/, '$1:00'),
+    [types.TIMESTAMP]: (value) => value.replace(' ', 'T'),
+    [types.DATE]: (value) => value,
+    [types.NUMERIC]: (value) => Number(value),
+    [types.INT8]: (value) => Number(value)
+  };
+}
+
+const FOREIGN_KEYS_SQL = `
+  SELECT con.conname AS name,
+         src.relname AS table,
+         ref.relname AS ref_table,
+         ARRAY(SELECT a.attname FROM unnest(con.conkey) WITH ORDINALITY k(num, ord)
+               JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.num
+               ORDER BY k.ord)::text[] AS columns,
+         ARRAY(SELECT a.attname FROM unnest(con.confkey) WITH ORDINALITY k(num, ord)
+               JOIN pg_attribute a ON a.attrelid = con.confrelid AND a.attnum = k.num
+               ORDER BY k.ord)::text[] AS ref_columns
+  FROM pg_constraint con
+  JOIN pg_class src ON src.oid = con.conrelid
+  JOIN pg_class ref ON ref.oid = con.confrelid
+  JOIN pg_namespace ns ON ns.oid = src.relnamespace
+  WHERE con.contype = 'f' AND ns.nspname = 'public'
+`;
+
+const KEYS_SQL = `
+  SELECT con.contype AS type,
+         src.relname AS table,
+         ARRAY(SELECT a.attname FROM unnest(con.conkey) k(num)
+               JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.num)::text[] AS columns
+  FROM pg_constraint con
+  JOIN pg_class src ON src.oid = con.conrelid
+  JOIN pg_namespace ns ON ns.oid = src.relnamespace
+  WHERE con.contype IN ('p', 'u') AND ns.nspname = 'public'
+`;
+
+function connect({ dataDir = process.env.PGLITE_DATA_DIR } = {}) {
+  // Loaded lazily so the hosted driver never needs the package
+  const { PGlite, types } = require('@electric-sql/pglite');
+
+  const db = new PGlite(dataDir || undefined);
+  const parsers = restParsers(types);
+
+  // PGlite is a single connection, so it doubles as the migration session
+  const withConnection = (fn) => fn({
+    exec: (sql) => db.exec(sql),
+    query: (text, params) => db.query(text, params)
+  });
+
+  const ready = db.waitReady
+    .then(() => db.exec(`SET TIME ZONE 'UTC'`))
+    .then(() => withConnection(session => migrate(session, { log: () => {} })))
+    .then((applied) => {
+      console.log(`✅ PGlite ready (${dataDir ? dataDir : 'in-memory'}, ${applied.length} migrations applied)`);
+    });
+
+  const supabase = createClient({
+    ready,
+    query: (sql, params) => db.query(sql, params, { parsers }),
+    meta: async () => {
+      const { rows: foreignKeys } = await db.query(FOREIGN_KEYS_SQL);
+      const { rows: keys } = await db.query(KEYS_SQL);
+
+      const primaryKeys = {};
+      const uniqueKeys = {};
+      keys.forEach(({ type, table, columns }) => {
+        if (type === 'p') primaryKeys[table] = columns;
+        (uniqueKeys[table] = uniqueKeys[table] || []).push(columns);
+      });
+
+      return { primaryKeys, uniqueKeys, foreignKeys };
+    }
+  });
+
+  // Closing mid-migration crashes PGlite, so let start-up settle first
+  const close = () => supabase.ready.catch(() => {}).then(() => db.close());
+
+  // node-postgres style results for the raw SQL routes
+  const pool = {
+    async query(text, params) {
+      await ready;
+      const result = await db.query(text, params);
+      return {
+        rows: result.rows,
+        rowCount: result.affectedRows || result.rows.length,
+        fields: result.fields
+      };
+    },
+    on() {},
+    end: close
+  };
+
+  return {
+    driver: 'pglite',
+    supabase,
+    pool,
+    ready: supabase.ready,
+    withConnection: async (fn) => {
+      await ready;
+      return withConnection(fn);
+    },
+    close
+  };
+}
+
+module.exports = { connect };
@@ -0,0 +1,682 @@
+// db/queryBuilder.js
+// Supabase-compatible query builder over a local Postgres (PGlite)
+//
+// Implements the slice of the supabase-js API the routes use, so they run
+// unchanged against the local driver:
+//   from(table).select / insert / update / upsert / delete
+//   eq, neq, gt, gte, lt, lte, like, ilike, is, in, contains, not, or, match, filter
+//   order, limit, range, single, maybeSingle, { count: 'exact', head: true }
+//   embeds (alias:table!hint(columns), nested, and table(count)) resolved from foreign keys
+//   rpc(fn, params)
+// Results follow supabase-js: { data, error, count, status } - errors are
+// returned, never thrown.
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const quote = (name) => {
+  if (!IDENTIFIER.test(name)) {
+    throw new QueryError(`Invalid identifier "${name}"`, '42602');
+  }
+  return `"${name}"`;
+};
+
+class QueryError extends Error {
+  constructor(message, code, details = null, hint = null) {
+    super(message);
+    this.code = code;
+    this.details = details;
+    this.hint = hint;
+  }
+}
+
+// Shape a thrown error like a PostgREST error body
+const toErrorBody = (error) => ({
+  message: error.message,
+  code: error.code || null,
+  details: error.details || error.detail || null,
+  hint: error.hint || null
+});
+
+// Split on commas that are not inside parentheses
+function splitTopLevel(input) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of input) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  parts.push(current);
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+// Parse a PostgREST select string into column and embed items
+function parseSelect(columns = '*') {
+  return splitTopLevel(columns).map(item => {
+    const match = item.match(/^(?:(\w+)\s*:\s*)?(\w+|\*)(?:::\w+)?(?:\s*!\s*(\w+))?\s*(?:\(([\s\S]*)\))?$/);
+
+    if (!match) {
+      throw new QueryError(`Could not parse select item "${item}"`, 'PGRST100');
+    }
+
+    const [, alias, name, hint, inner] = match;
+
+    if (inner !== undefined) {
+      return {
+        type: 'embed',
+        alias: alias || name,
+        target: name,
+        hint: hint || null,
+        items: inner.trim() === 'count' ? [{ type: 'count' }] : parseSelect(inner || '*')
+      };
+    }
+
+    if (name === '*') return { type: 'star' };
+    if (name === 'count' && !alias) return { type: 'count' };
+
+    return { type: 'column', name: name, alias: alias || name };
+  });
+}
+
+// Parse a PostgREST value list "(a,b,c)" into an array
+function parseList(value) {
+  if (Array.isArray(value)) return value;
+
+  return String(value)
+    .replace(/^\(/, '')
+    .replace(/\)$/, '')
+    .split(',')
+    .map(item => item.trim().replace(/^"(.*)"$/, '$1'))
+    .filter(item => item !== '');
+}
+
+// Parse "true" / "false" / "null" as used by is() and or() strings
+function parseIsValue(value) {
+  if (value === null || value === 'null') return null;
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  throw new QueryError(`Invalid value for is: "${value}"`, 'PGRST100');
+}
+
+const OPERATORS = {
+  eq: '=',
+  neq: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: 'LIKE',
+  ilike: 'ILIKE'
+};
+
+// Compile a single filter to SQL, pushing values onto params
+function compileFilter({ column, operator, value, negate = false }, params) {
+  const col = quote(column);
+  const bind = (v) => {
+    params.push(v);
+    return `$${params.length}`;
+  };
+
+  let sql;
+
+  if (OPERATORS[operator]) {
+    const v = (operator === 'like' || operator === 'ilike') ? String(value).replace(/\*/g, '%') : value;
+    sql = `${col} ${OPERATORS[operator]} ${bind(v)}`;
+  } else if (operator === 'is') {
+    const v = parseIsValue(value);
+    sql = `${col} IS ${v === null ? 'NULL' : v ? 'TRUE' : 'FALSE'}`;
+  } else if (operator === 'in') {
+    const list = parseList(value);
+    sql = list.length ? `${col} = ANY(${bind(list)})` : 'FALSE';
+  } else if (operator === 'cs' || operator === 'contains') {
+    sql = `${col} @> ${bind(value)}`;
+  } else if (operator === 'cd' || operator === 'containedBy') {
+    sql = `${col} <@ ${bind(value)}`;
+  } else {
+    throw new QueryError(`Unsupported filter operator "${operator}"`, 'PGRST100');
+  }
+
+  return negate ? `NOT (${sql})` : sql;
+}
+
+// Parse an or() string such as "name.ilike.%x%,expires_at.is.null"
+function parseOrFilters(expression) {
+  return splitTopLevel(expression).map(part => {
+    const [column, ...rest] = part.split('.');
+    let negate = false;
+
+    if (rest[0] === 'not') {
+      negate = true;
+      rest.shift();
+    }
+
+    const operator = rest.shift();
+    const value = rest.join('.');
+
+    return { column, operator, value, negate };
+  });
+}
+
+class QueryBuilder {
+  constructor(client, table) {
+    this.client = client;
+    this.table = table;
+    this.action = 'select';
+    this.items = parseSelect('*');
+    this.returning = false;
+    this.filters = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.offsetCount = null;
+    this.countMode = null;
+    this.head = false;
+    this.singleMode = null;
+    this.values = null;
+    this.upsertOptions = null;
+    this.parseError = null;
+  }
+
+  // ---------- actions ----------
+
+  select(columns = '*', { count = null, head = false } = {}) {
+    try {
+      this.items = parseSelect(columns);
+    } catch (error) {
+      this.parseError = error;
+    }
+
+    if (this.action === 'select') {
+      this.countMode = count;
+      this.head = head;
+    } else {
+      this.returning = true;
+    }
+
+    return this;
+  }
+
+  insert(values, { count = null } = {}) {
+    this.action = 'insert';
+    this.values = values;
+    this.countMode = count;
+    return this;
+  }
+
+  upsert(values, { onConflict = null, ignoreDuplicates = false, count = null } = {}) {
+    this.action = 'upsert';
+    this.values = values;
+    this.countMode = count;
+    this.upsertOptions = { onConflict, ignoreDuplicates };
+    return this;
+  }
+
+  update(values, { count = null } = {}) {
+    this.action = 'update';
+    this.values = values;
+    this.countMode = count;
+    return this;
+  }
+
+  delete({ count = null } = {}) {
+    this.action = 'delete';
+    this.countMode = count;
+    return this;
+  }
+
+  // ---------- filters ----------
+
+  addFilter(column, operator, value, negate = false) {
+    this.filters.push({ column, operator, value, negate });
+    return this;
+  }
+
+  eq(column, value) { return this.addFilter(column, 'eq', value); }
+  neq(column, value) { return this.addFilter(column, 'neq', value); }
+  gt(column, value) { return this.addFilter(column, 'gt', value); }
+  gte(column, value) { return this.addFilter(column, 'gte', value); }
+  lt(column, value) { return this.addFilter(column, 'lt', value); }
+  lte(column, value) { return this.addFilter(column, 'lte', value); }
+  like(column, pattern) { return this.addFilter(column, 'like', pattern); }
+  ilike(column, pattern) { return this.addFilter(column, 'ilike', pattern); }
+  is(column, value) { return this.addFilter(column, 'is', value); }
+  in(column, values) { return this.addFilter(column, 'in', values); }
+  contains(column, value) { return this.addFilter(column, 'contains', value); }
+  containedBy(column, value) { return this.addFilter(column, 'containedBy', value); }
+
+  not(column, operator, value) {
+    return this.addFilter(column, operator, value, true);
+  }
+
+  filter(column, operator, value) {
+    if (operator.startsWith('not.')) {
+      return this.addFilter(column, operator.slice(4), value, true);
+    }
+    return this.addFilter(column, operator, value);
+  }
+
+  match(query) {
+    Object.entries(query).forEach(([column, value]) => this.eq(column, value));
+    return this;
+  }
+
+  or(expression) {
+    try {
+      this.filters.push({ or: parseOrFilters(expression) });
+    } catch (error) {
+      this.parseError = error;
+    }
+    return this;
+  }
+
+  // ---------- modifiers ----------
+
+  order(column, { ascending = true, nullsFirst } = {}) {
+    this.orders.push({ column, ascending, nullsFirst });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = parseInt(count, 10);
+    return this;
+  }
+
+  range(from, to) {
+    this.offsetCount = parseInt(from, 10);
+    this.limitCount = parseInt(to, 10) - parseInt(from, 10) + 1;
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybeSingle';
+    return this;
+  }
+
+  // ---------- execution ----------
+
+  then(onFulfilled, onRejected) {
+    return this.execute().then(onFulfilled, onRejected);
+  }
+
+  catch(onRejected) {
+    return this.execute().catch(onRejected);
+  }
+
+  async execute() {
+    try {
+      if (this.parseError) throw this.parseError;
+
+      await this.client.ready;
+
+      const result = await this.run();
+      return this.shape(result);
+    } catch (error) {
+      return {
+        data: null,
+        error: toErrorBody(error),
+        count: null,
+        status: error.code === 'PGRST116' ? 406 : 400,
+        statusText: 'Bad Request'
+      };
+    }
+  }
+
+  whereClause(params) {
+    if (this.filters.length === 0) return '';
+
+    const clauses = this.filters.map(filter => {
+      if (filter.or) {
+        return `(${filter.or.map(f => compileFilter(f, params)).join(' OR ')})`;
+      }
+      return compileFilter(filter, params);
+    });
+
+    return ` WHERE ${clauses.join(' AND ')}`;
+  }
+
+  orderClause() {
+    if (this.orders.length === 0) return '';
+
+    const parts = this.orders.map(({ column, ascending, nullsFirst }) => {
+      let part = `${quote(column)} ${ascending ? 'ASC' : 'DESC'}`;
+      if (nullsFirst === true) part += ' NULLS FIRST';
+      if (nullsFirst === false) part += ' NULLS LAST';
+      return part;
+    });
+
+    return ` ORDER BY ${parts.join(', ')}`;
+  }
+
+  pageClause() {
+    let sql = '';
+    if (Number.isInteger(this.limitCount)) sql += ` LIMIT ${this.limitCount}`;
+    if (Number.isInteger(this.offsetCount)) sql += ` OFFSET ${this.offsetCount}`;
+    return sql;
+  }
+
+  async run() {
+    const table = quote(this.table);
+    const params = [];
+
+    if (this.action === 'select') {
+      const where = this.whereClause(params);
+      let count = null;
+
+      if (this.countMode) {
+        const { rows } = await this.client.query(`SELECT count(*)::int AS count FROM ${table}${where}`, params);
+        count = rows[0].count;
+      }
+
+      if (this.head) {
+        return { rows: null, count, status: 200 };
+      }
+
+      const { rows } = await this.client.query(
+        `SELECT * FROM ${table}${where}${this.orderClause()}${this.pageClause()}`,
+        params
+      );
+
+      return { rows: await this.client.project(this.table, rows, this.items), count, status: 200 };
+    }
+
+    if (this.action === 'insert' || this.action === 'upsert') {
+      const rows = (Array.isArray(this.values) ? this.values : [this.values]).map(stripUndefined);
+      const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+      let sql;
+      if (columns.length === 0) {
+        sql = `INSERT INTO ${table} DEFAULT VALUES`;
+      } else {
+        const tuples = rows.map(row => `(${columns.map(column => {
+          if (!(column in row)) return 'DEFAULT';
+          params.push(row[column]);
+          return `$${params.length}`;
+        }).join(', ')})`);
+
+        sql = `INSERT INTO ${table} (${columns.map(quote).join(', ')}) VALUES ${tuples.join(', ')}`;
+      }
+
+      if (this.action === 'upsert') {
+        const target = this.upsertOptions.onConflict
+          ? this.upsertOptions.onConflict.split(',').map(c => quote(c.trim()))
+          : this.client.primaryKey(this.table).map(quote);
+        const updates = columns.filter(c => !target.includes(quote(c)));
+
+        sql += ` ON CONFLICT (${target.join(', ')})`;
+        sql += (this.upsertOptions.ignoreDuplicates || updates.length === 0)
+          ? ' DO NOTHING'
+          : ` DO UPDATE SET ${updates.map(c => `${quote(c)} = EXCLUDED.${quote(c)}`).join(', ')}`;
+      }
+
+      const { rows: inserted } = await this.client.query(`${sql} RETURNING *`, params);
+      return this.returningResult(inserted, 201);
+    }
+
+    if (this.action === 'update') {
+      const values = stripUndefined(this.values || {});
+      const columns = Object.keys(values);
+
+      if (columns.length === 0) {
+        throw new QueryError('Update requires at least one column', 'PGRST100');
+      }
+
+      const assignments = columns.map(column => {
+        params.push(values[column]);
+        return `${quote(column)} = $${params.length}`;
+      });
+
+      const { rows } = await this.client.query(
+        `UPDATE ${table} SET ${assignments.join(', ')}${this.whereClause(params)} RETURNING *`,
+        params
+      );
+      return this.returningResult(rows, 200);
+    }
+
+    if (this.action === 'delete') {
+      const { rows } = await this.client.query(
+        `DELETE FROM ${table}${this.whereClause(params)} RETURNING *`,
+        params
+      );
+      return this.returningResult(rows, 200);
+    }
+
+    throw new QueryError(`Unknown action "${this.action}"`, 'PGRST100');
+  }
+
+  async returningResult(rows, status) {
+    const count = this.countMode ? rows.length : null;
+
+    if (!this.returning) {
+      return { rows: null, count, status: status === 201 ? 201 : 204 };
+    }
+
+    return { rows: await this.client.project(this.table, rows, this.items), count, status };
+  }
+
+  shape({ rows, count, status }) {
+    let data = rows;
+
+    if (this.singleMode && rows !== null) {
+      if (rows.length > 1 || (rows.length === 0 && this.singleMode === 'single')) {
+        throw new QueryError(
+          'JSON object requested, multiple (or no) rows returned',
+          'PGRST116',
+          `The result contains ${rows.length} rows`
+        );
+      }
+      data = rows[0] || null;
+    }
+
+    return { data, error: null, count, status, statusText: 'OK' };
+  }
+}
+
+function stripUndefined(row) {
+  return Object.fromEntries(Object.entries(row).filter(([, value]) => value !== undefined));
+}
+
+// Supabase-like client bound to a query function and schema metadata.
+// `db.query(sql, params)` must resolve to { rows, fields }; `db.meta()`
+// resolves to { primaryKeys, uniqueKeys, foreignKeys }.
+function createClient(db) {
+  let meta = null;
+
+  const client = {
+    ready: null,
+    query: (sql, params) => db.query(sql, params),
+
+    primaryKey(table) {
+      return meta.primaryKeys[table] || ['id'];
+    },
+
+    // Resolve the foreign key behind an embed
+    relationship(source, embed) {
+      const fks = meta.foreignKeys;
+
+      // users:user_id(...) - embed through a named FK column
+      const viaColumn = fks.filter(fk =>
+        fk.table === source && fk.columns.length === 1 && fk.columns[0] === embed.target
+      );
+      if (viaColumn.length === 1) {
+        return { fk: viaColumn[0], target: viaColumn[0].ref_table, many: false };
+      }
+
+      let candidates = [
+        ...fks.filter(fk => fk.table === source && fk.ref_table === embed.target)
+          .map(fk => ({ fk, target: embed.target, many: false })),
+        ...fks.filter(fk => fk.ref_table === source && fk.table === embed.target)
+          .map(fk => ({ fk, target: embed.target, many: true }))
+      ];
+
+      if (embed.hint) {
+        candidates = candidates.filter(({ fk }) =>
+          fk.name === embed.hint || (fk.columns.length === 1 && fk.columns[0] === embed.hint)
+        );
+      }
+
+      if (candidates.length === 0) {
+        throw new QueryError(
+          `Could not find a relationship between '${source}' and '${embed.target}' in the schema cache`,
+          'PGRST200'
+        );
+      }
+
+      if (candidates.length > 1) {
+        throw new QueryError(
+          `Could not embed because more than one relationship was found for '${source}' and '${embed.target}'`,
+          'PGRST201',
+          candidates.map(({ fk }) => fk.name).join(', ')
+        );
+      }
+
+      const relation = candidates[0];
+
+      // One-to-many whose FK columns are unique on the target embeds a single row
+      if (relation.many) {
+        const unique = (meta.uniqueKeys[relation.target] || [])
+          .some(key => key.length === relation.fk.columns.length &&
+            key.every(column => relation.fk.columns.includes(column)));
+        if (unique) relation.many = false;
+        relation.oneToOne = unique;
+      }
+
+      return relation;
+    },
+
+    // Apply a parsed select list (columns + embeds) to fetched rows
+    async project(table, rows, items) {
+      if (!rows.length) return [];
+
+      const star = items.some(item => item.type === 'star');
+      const columns = items.filter(item => item.type === 'column');
+      const embeds = items.filter(item => item.type === 'embed');
+
+      const projected = rows.map(row => {
+        const out = star ? { ...row } : {};
+        columns.forEach(({ name, alias }) => {
+          if (!(name in row)) {
+            throw new QueryError(`column ${table}.${name} does not exist`, '42703');
+          }
+          out[alias] = row[name];
+        });
+        return out;
+      });
+
+      for (const embed of embeds) {
+        const relation = client.relationship(table, embed);
+        const { fk, target } = relation;
+
+        // Columns on the base rows and on the target that must match
+        const reverse = relation.many || relation.oneToOne;
+        const localColumns = reverse ? fk.ref_columns : fk.columns;
+        const remoteColumns = reverse ? fk.columns : fk.ref_columns;
+
+        const keyOf = (row, cols) => JSON.stringify(cols.map(c => row[c]));
+        const keys = [...new Map(rows
+          .filter(row => localColumns.every(c => row[c] !== null && row[c] !== undefined))
+          .map(row => [keyOf(row, localColumns), localColumns.map(c => row[c])])
+        ).values()];
+
+        let related = [];
+        const isCount = embed.items.length === 1 && embed.items[0].type === 'count';
+
+        if (keys.length > 0) {
+          const params = [];
+          const tuples = keys.map(key => `(${key.map(value => {
+            params.push(value);
+            return `$${params.length}`;
+          }).join(', ')})`);
+          const where = `(${remoteColumns.map(quote).join(', ')}) IN (${tuples.join(', ')})`;
+
+          if (isCount) {
+            const { rows: counted } = await client.query(
+              `SELECT ${remoteColumns.map(quote).join(', ')}, count(*)::int AS count FROM ${quote(target)} WHERE ${where} GROUP BY ${remoteColumns.map(quote).join(', ')}`,
+              params
+            );
+            related = counted;
+          } else {
+            const { rows: fetched } = await client.query(
+              `SELECT * FROM ${quote(target)} WHERE ${where}`,
+              params
+            );
+            const shaped = await client.project(target, fetched, embed.items);
+            related = fetched.map((raw, i) => ({ raw, shaped: shaped[i] }));
+          }
+        }
+
+        const grouped = new Map();
+        related.forEach(entry => {
+          const raw = isCount ? entry : entry.raw;
+          const key = keyOf(raw, remoteColumns);
+          if (!grouped.has(key)) grouped.set(key, []);
+          grouped.get(key).push(isCount ? { count: entry.count } : entry.shaped);
+        });
+
+        rows.forEach((row, i) => {
+          const matches = grouped.get(keyOf(row, localColumns)) || [];
+
+          if (isCount) {
+            projected[i][embed.alias] = [{ count: matches[0]?.count || 0 }];
+          } else if (relation.many) {
+            projected[i][embed.alias] = matches;
+          } else {
+            projected[i][embed.alias] = matches[0] || null;
+          }
+        });
+      }
+
+      return projected;
+    },
+
+    from(table) {
+      return new QueryBuilder(client, table);
+    },
+
+    // Call a Postgres function with named arguments, like supabase.rpc
+    async rpc(fn, params = {}) {
+      try {
+        await client.ready;
+
+        const values = [];
+        const args = Object.entries(params).map(([name, value]) => {
+          values.push(value);
+          return `${quote(name)} => $${values.length}`;
+        });
+
+        const { rows, fields } = await client.query(
+          `SELECT * FROM ${quote(fn)}(${args.join(', ')})`,
+          values
+        );
+
+        // Scalar (or void) functions return their value directly
+        const scalar = fields.length === 1 && fields[0].name === fn;
+        const data = scalar ? (rows[0]?.[fn] === '' ? null : rows[0]?.[fn] ?? null) : rows;
+
+        return { data, error: null, count: null, status: 200, statusText: 'OK' };
+      } catch (error) {
+        return { data: null, error: toErrorBody(error), count: null, status: 400, statusText: 'Bad Request' };
+      }
+    }
+  };
+
+  client.ready = Promise.resolve(db.ready).then(() => db.meta()).then(loaded => {
+    meta = loaded;
+  });
+
+  return client;
+}
+
+module.exports = { createClient, parseSelect, QueryError };
@@ -0,0 +1,61 @@
+// db/supabase.js
+// Hosted storage driver - Supabase (PostgREST) + direct pg connection
+
+const { createClient } = require('@supabase/supabase-js');
+const { Pool } = require('pg');
+
+function connect() {
+  // Validate environment variables
+  if (!process.env.SUPABASE_URL) {
+    throw new Error('Missing SUPABASE_URL in .env file (or set DB_DRIVER=pglite to run locally)');
+  }
+
+  if (!process.env.SUPABASE_KEY) {
+    throw new Error('Missing SUPABASE_KEY in .env file (or set DB_DRIVER=pglite to run locally)');
+  }
+
+  if (!process.env.DATABASE_URL) {
+    console.warn('⚠️ DATABASE_URL not set in .env file - pg-based routes (users, celebrity, fans, subscriptions) will fail');
+  }
+
+  // Supabase client (query builder over PostgREST)
+  const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_KEY
+  );
+
+  // pg pool (direct Postgres connection, e.g. the Supabase connection string)
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    max: parseInt(process.env.DATABASE_POOL_SIZE || '10', 10),
+    ssl: process.env.DATABASE_SSL === 'false' ? false : { rejectUnauthorized: false }
+  });
+
+  pool.on('error', (err) => {
+    console.error('❌ Unexpected pg pool error:', err.message);
+  });
+
+  console.log('✅ Supabase connected successfully!');
+
+  return {
+    driver: 'supabase',
+    supabase,
+    pool,
+    ready: Promise.resolve(),
+    // Run fn on one dedicated connection (migrations need BEGIN/COMMIT on the same session)
+    withConnection: async (fn) => {
+      const client = await pool.connect();
+      try {
+        return await fn({
+          exec: (sql) => client.query(sql),
+          query: (text, params) => client.query(text, params)
+        });
+      } finally {
+        client.release();
+      }
+    },
+    close: () => pool.end()
+  };
+}
+
+module.exports = { connect };
@@ -0,0 +1,327 @@
+// docs/openapi.js
+// OpenAPI 3 document generated from the mounted routers (routes/index.js)
+//
+// Nothing here is written by hand, so the reference cannot drift from the code:
+//   - paths and methods come from the Express route stacks
+//   - path / query parameters and bodies come from the validate(schema) middleware
+//   - the summary is the comment above each router.<method>(...) line
+//   - security follows the auth guards a route runs (requireAuth, bindActor,
+//     requireSelf, requireOwner, requireParticipant, requireAdmin) and error
+//     responses follow the ApiError factories its middleware and handler can raise
+
+const fs = require('fs');
+const path = require('path');
+const apiRoutes = require('../routes');
+const { ERROR_CODES, ApiError } = require('../middleware/errors');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// ApiError factory name -> error code ('notFound' -> 'NOT_FOUND')
+const FACTORY_CODES = Object.fromEntries(
+  Object.getOwnPropertyNames(ApiError)
+    .filter(name => typeof ApiError[name] === 'function')
+    .map(name => [name, ApiError[name]().code])
+);
+
+// ============================================================================
+// VALIDATION RULES -> JSON SCHEMA
+// ============================================================================
+
+const TYPE_FORMATS = {
+  uuid: { type: 'string', format: 'uuid' },
+  date: { type: 'string', format: 'date-time' }
+};
+
+const toJsonSchema = (rule) => {
+  const schema = { ...(TYPE_FORMATS[rule.type] || (rule.type ? { type: rule.type } : {})) };
+
+  if (rule.enum) schema.enum = rule.enum;
+  if (rule.min !== undefined) schema.minimum = rule.min;
+  if (rule.max !== undefined) schema.maximum = rule.max;
+  if (rule.minLength !== undefined) schema.minLength = rule.minLength;
+  if (rule.maxLength !== undefined) schema.maxLength = rule.maxLength;
+  if (rule.pattern) schema.pattern = rule.pattern.source;
+  if (rule.minItems !== undefined) schema.minItems = rule.minItems;
+  if (rule.maxItems !== undefined) schema.maxItems = rule.maxItems;
+  if (rule.items) schema.items = toJsonSchema(rule.items);
+  if (rule.properties) Object.assign(schema, toObjectSchema(rule.properties, rule.strict));
+
+  return schema;
+};
+
+const toObjectSchema = (fields, strict = false) => {
+  const schema = { type: 'object', properties: {} };
+  const required = [];
+
+  for (const [name, rule] of Object.entries(fields)) {
+    schema.properties[name] = toJsonSchema(rule);
+    if (rule.required) required.push(name);
+  }
+
+  if (required.length > 0) schema.required = required;
+  if (strict) schema.additionalProperties = false;
+
+  return schema;
+};
+
+// ============================================================================
+// ROUTE SOURCE (summaries and upload fields)
+// ============================================================================
+
+const ROUTE_LINE = /^router\.(get|post|put|patch|delete)\('([^']+)'/;
+
+// 'GET POST BY ID (with analytics)' -> 'Get post by id (with analytics)'
+const toSummary = (comment) => {
+  const text = /[a-z]/.test(comment.replace(/\(.*\)/, '')) ? comment : comment.toLowerCase();
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+// 'METHOD /path' -> { summary, uploads } for every route declared in routes/<file>.js
+const readRouteSource = (file) => {
+  const lines = fs.readFileSync(path.join(__dirname, '..', 'routes', `${file}.js`), 'utf8').split('\n');
+  const routes = {};
+
+  lines.forEach((line, i) => {
+    const match = line.match(ROUTE_LINE);
+    if (!match) return;
+
+    // The comment block right above the route (// lines or a /** */ block)
+    let end = i;
+    while (end > 0 && lines[end - 1].trim() === '') end--;
+    let start = end - 1;
+    while (start >= 0 && /^\s*(\/\/|\/\*|\*)/.test(lines[start])) start--;
+
+    // Its first line that is not a banner or a "METHOD /path" line;
+    // section numbers ("1.3 ", "4. ") are dropped
+    const comment = lines.slice(start + 1, end)
+      .map(text => text.replace(/^\s*(\/\/|\/\*\*|\*\/|\*)\s?/, '').trim())
+      .map(text => text.replace(/^\d+(\.\d+)*\.?\s+/, ''))
+      .find(text => text && !/^=+$/.test(text) && !/^(GET|POST|PUT|PATCH|DELETE) \//.test(text));
+
+    routes[`${match[1]} ${match[2]}`] = {
+      summary: comment ? toSummary(comment) : undefined,
+      uploads: [...line.matchAll(/upload\.(single|array)\('(\w+)'/g)].map(([, kind, field]) => ({ kind, field }))
+    };
+  });
+
+  return routes;
+};
+
+// ============================================================================
+// OPERATIONS
+// ============================================================================
+
+// '/api/posts' + '/:postId/share' -> '/api/posts/{postId}/share'
+const toOpenApiPath = (mountPath, routePath) => {
+  return (mountPath + (routePath === '/' ? '' : routePath)).replace(/:(\w+)/g, '{$1}');
+};
+
+// GET /api/posts/:postId/share -> getPostsByPostIdShare
+const toOperationId = (method, mountPath, routePath) => {
+  const words = `${mountPath}${routePath}`
+    .split('/')
+    .filter(segment => segment && segment !== 'api')
+    .map(segment => segment.startsWith(':') ? `by-${segment.slice(1)}` : segment)
+    .join('-')
+    .split(/[-_]/)
+    .filter(Boolean);
+
+  return method + words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+};
+
+const describeParameters = (routePath, schema = {}) => {
+  const pathParams = [...routePath.matchAll(/:(\w+)/g)].map(match => match[1]);
+
+  return [
+    ...pathParams.map(name => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: schema.params?.[name] ? toJsonSchema(schema.params[name]) : { type: 'string' }
+    })),
+    ...Object.entries(schema.query || {}).map(([name, rule]) => ({
+      name,
+      in: 'query',
+      required: Boolean(rule.required),
+      schema: toJsonSchema(rule)
+    }))
+  ];
+};
+
+const describeRequestBody = (schema = {}, uploads = []) => {
+  if (!schema.body && uploads.length === 0) return undefined;
+
+  const body = toObjectSchema(schema.body || {}, schema.strict);
+
+  for (const { kind, field } of uploads) {
+    const file = { type: 'string', format: 'binary' };
+    body.properties[field] = kind === 'array' ? { type: 'array', items: file } : file;
+    body.required = [...(body.required || []), field];
+  }
+
+  return {
+    required: Boolean(body.required),
+    content: {
+      [uploads.length > 0 ? 'multipart/form-data' : 'application/json']: { schema: body }
+    }
+  };
+};
+
+const describeResponses = (handler, errorCodes) => {
+  const source = handler.toString();
+  const responses = {};
+
+  const statuses = [...source.matchAll(/res\.status\((2\d\d)\)/g)].map(match => match[1]);
+  if (/\bres\.json\(/.test(source) || statuses.length === 0) statuses.unshift('200');
+
+  // File downloads (CSV exports) are not wrapped in the JSON envelope
+  const fileType = source.match(/res\.type\('(text\/\w+)'\)/)?.[1];
+
+  for (const status of new Set(statuses)) {
+    responses[status] = fileType
+      ? { description: 'File download', content: { [fileType]: { schema: { type: 'string' } } } }
+      : { $ref: '#/components/responses/Success' };
+  }
+
+  const byStatus = {};
+  for (const code of errorCodes) {
+    const status = String(ERROR_CODES[code]);
+    byStatus[status] = [...(byStatus[status] || []), code];
+  }
+
+  for (const status of Object.keys(byStatus).sort()) {
+    responses[status] = {
+      description: byStatus[status].join(' | '),
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    };
+  }
+
+  return responses;
+};
+
+const describeRoute = (mount, route, method, source) => {
+  const handles = route.stack.map(layer => layer.handle);
+  const sources = handles.map(fn => fn.toString());
+  const schema = handles.find(fn => fn.schema)?.schema;
+  const { summary, uploads = [] } = source[`${method} ${route.path}`] || {};
+
+  const errorCodes = new Set();
+  for (const text of sources) {
+    for (const [, factory] of text.matchAll(/ApiError\.(\w+)\(/g)) {
+      if (FACTORY_CODES[factory]) errorCodes.add(FACTORY_CODES[factory]);
+    }
+  }
+  if (uploads.length > 0) errorCodes.add('BAD_REQUEST');
+  errorCodes.add('INTERNAL_ERROR');
+
+  const operation = {
+    tags: [mount.path.replace(/^\/api\//, '')],
+    summary,
+    operationId: toOperationId(method, mount.path, route.path),
+    parameters: describeParameters(route.path, schema),
+    requestBody: describeRequestBody(schema, uploads),
+    responses: describeResponses(handles[handles.length - 1], errorCodes)
+  };
+
+  // Every auth guard starts with the same check on the signed-in user
+  if (sources.some(text => text.includes('!req.user?.id'))) {
+    operation.security = [{ bearerAuth: [] }];
+  }
+
+  // Drop empty keys so the document stays compact
+  return Object.fromEntries(Object.entries(operation).filter(([, value]) => {
+    return value !== undefined && !(Array.isArray(value) && value.length === 0);
+  }));
+};
+
+// ============================================================================
+// DOCUMENT
+// ============================================================================
+
+const COMPONENTS = {
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+  },
+  schemas: {
+    Success: {
+      type: 'object',
+      required: ['success'],
+      properties: {
+        success: { type: 'boolean', enum: [true] },
+        data: {},
+        message: { type: 'string' },
+        meta: { type: 'object', additionalProperties: true }
+      }
+    },
+    Error: {
+      type: 'object',
+      required: ['success', 'error'],
+      properties: {
+        success: { type: 'boolean', enum: [false] },
+        error: {
+          type: 'object',
+          required: ['code', 'message'],
+          properties: {
+            code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+            message: { type: 'string' },
+            details: {}
+          }
+        }
+      }
+    }
+  },
+  responses: {
+    Success: {
+      description: 'Success',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Success' } } }
+    }
+  }
+};
+
+const generateOpenApiDocument = () => {
+  const paths = {};
+
+  for (const mount of apiRoutes) {
+    const source = readRouteSource(mount.file);
+
+    for (const layer of mount.router.stack) {
+      if (!layer.route) continue;
+
+      for (const method of METHODS.filter(m => layer.route.methods[m])) {
+        const openApiPath = toOpenApiPath(mount.path, layer.route.path);
+
+        // Express answers the first matching declaration; a later duplicate is unreachable
+        if (paths[openApiPath]?.[method]) continue;
+
+        paths[openApiPath] = {
+          ...paths[openApiPath],
+          [method]: describeRoute(mount, layer.route, method, source)
+        };
+      }
+    }
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'LinkWavez API',
+      version: '3.1.0',
+      description: 'Generated from the route definitions and validation schemas. ' +
+        'Every response uses the { success, data, message?, meta? } / { success: false, error } envelope.'
+    },
+    servers: [{ url: '/' }],
+    tags: apiRoutes.map(mount => ({ name: mount.path.replace(/^\/api\//, '') })),
+    paths,
+    components: COMPONENTS
+  };
+};
+
+// Routers are fixed once the app has booted, so the document is built once
+let document;
+
+const getOpenApiDocument = () => {
+  if (!document) document = generateOpenApiDocument();
+  return document;
+};
+
+module.exports = { getOpenApiDocument };
@@ -23,110 +23,82 @@ app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Import routes
-const usersRoutes = require('./routes/users');
-const celebrityRoutes = require('./routes/celebrity');
-const fansRoutes = require('./routes/fans');
-const subscriptionsRoutes = require('./routes/subscriptions');
-const fanSubscriptionsRoutes = require('./routes/fanSubscriptions');
-const postsRoutes = require('./routes/posts');
-const feedRoutes = require('./routes/feed');
-const reactionsRoutes = require('./routes/reactions');
-const commentsRoutes = require('./routes/comments');
-const hashtagsRoutes = require('./routes/hashtags');
-const mediaRoutes = require('./routes/media');
-const charityRoutes = require('./routes/charity');
-const { router: crisisRoutes } = require('./routes/crisis');
-const { router: notificationsRoutes } = require('./routes/notifications');
-const searchRoutes = require('./routes/search');
-const analyticsRoutes = require('./routes/analytics');
-const avatarRoutes = require('./routes/avatar');
-const chatRoutes = require('./routes/chat');
-const streamingRoutes = require('./routes/streaming');
-const marketplaceRoutes = require('./routes/marketplace');
-const communitiesRoutes = require('./routes/communities'); 
-const privacyRoutes = require('./routes/privacy'); 
-const discoveryRoutes = require('./routes/discovery');
+// Authentication - sets req.user for every router below
+const { authenticate } = require('./middleware/auth');
+app.use(authenticate);
+
+// Import routes (mount path -> router table, see routes/index.js)
+const apiRoutes = require('./routes');
+const docsRoutes = require('./routes/docs');
 
 // Initialize Socket.IO for chat
 const { initChatSocket } = require('./socket/chatSocket');
 initChatSocket(io);
 
 // API Routes
-app.use('/api/users', usersRoutes);
-app.use('/api/celebrity', celebrityRoutes);
-app.use('/api/fans', fansRoutes);
-app.use('/api/subscriptions', subscriptionsRoutes);
-app.use('/api/fan-subscriptions', fanSubscriptionsRoutes);
-app.use('/api/posts', postsRoutes);
-app.use('/api/feed', feedRoutes);
-app.use('/api/reactions', reactionsRoutes);
-app.use('/api/comments', commentsRoutes);
-app.use('/api/hashtags', hashtagsRoutes);
-app.use('/api/media', mediaRoutes);
-app.use('/api/charity', charityRoutes);
-app.use('/api/crisis', crisisRoutes);
-app.use('/api/notifications', notificationsRoutes);
-app.use('/api/search', searchRoutes);
-app.use('/api/analytics', analyticsRoutes);
-app.use('/api/avatar', avatarRoutes);
-app.use('/api/chat', chatRoutes);
-app.use('/api/streaming', streamingRoutes);
-app.use('/api/marketplace', marketplaceRoutes);
-app.use('/api/communities', communitiesRoutes); 
-app.use('/api/privacy', privacyRoutes); 
-app.use('/api/discovery', discoveryRoutes);
+for (const { path, router } of apiRoutes) {
+  app.use(path, router);
+}
+
+// API reference - GET /api/docs (browsable) and /api/openapi.json
+app.use('/api', docsRoutes);
 
 // Health check
 app.get('/', (req, res) => {
   res.json({
     success: true,
-    app: 'LinkWavez Backend',
-    version: '3.1.0', 
-    features: [
-      '✅ User Authentication',
-      '✅ Celebrity Dashboard',
-      '✅ Fan Management (5 tiers)',
-      '✅ Subscriptions (6 plans)',
-      '✅ Premium Features',
-      '✅ Posts & Feed System',
-      '✅ Smart AI Feed',
-      '✅ 6 Smart Reactions',
-      '✅ Comments with Priority',
-      '✅ Hashtag System',
-      '✅ Charity System 🎗️',
-      '✅ Crisis Detection 🚨',
-      '✅ Notifications 🔔',
-      '✅ Search & Discovery 🔍',
-      '✅ Analytics Dashboard 📊',
-      '✅ AI Avatar System 🤖',
-      '✅ Real-time Chat 💬',
-      '✅ Live Streaming 📹',
-      '✅ Marketplace 🛍️',
-      '✅ Communities (Clans) 🤝', // ← NEW!
-      '✅ Privacy System 🔒', // ← NEW!
-      '✅ Wisdom/Aura Scoring',
-      '✅ Media Upload (Photos/Videos)'
-    ],
-    status: 'running',
-    completionStatus: '100% COMPLETE! 🎉',
-    timestamp: new Date().toISOString()
+    data: {
+      app: 'LinkWavez Backend',
+      version: '3.1.0',
+      features: [
+        '✅ User Authentication',
+        '✅ Celebrity Dashboard',
+        '✅ Fan Management (5 tiers)',
+        '✅ Subscriptions (6 plans)',
+        '✅ Premium Features',
+        '✅ Posts & Feed System',
+        '✅ Smart AI Feed',
+        '✅ 6 Smart Reactions',
+        '✅ Comments with Priority',
+        '✅ Hashtag System',
+        '✅ Charity System 🎗️',
+        '✅ Crisis Detection 🚨',
+        '✅ Notifications 🔔',
+        '✅ Search & Discovery 🔍',
+        '✅ Analytics Dashboard 📊',
+        '✅ AI Avatar System 🤖',
+        '✅ Real-time Chat 💬',
+        '✅ Live Streaming 📹',
+        '✅ Marketplace 🛍️',
+        '✅ Communities (Clans) 🤝', // ← NEW!
+        '✅ Privacy System 🔒', // ← NEW!
+        '✅ Wisdom/Aura Scoring',
+        '✅ Media Upload (Photos/Videos)'
+      ],
+      status: 'running',
+      completionStatus: '100% COMPLETE! 🎉',
+      timestamp: new Date().toISOString()
+    }
   });
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    success: false,
-    message: 'Something went wrong!',
-    error: process.env.NODE_ENV === 'development' ? err.message : undefined
-  });
-});
+// Error handling - unknown routes become NOT_FOUND, and every error forwarded
+// with next(error) is answered as { success: false, error: { code, message } }
+const { notFoundHandler, errorHandler } = require('./middleware/errors');
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 const PORT = process.env.PORT || 10000;
 
-server.listen(PORT, () => {
+// Start listening once the storage driver is ready (schema applied for pglite).
+// When required (e.g. by the test suite) the app is exported without listening.
+const { ready } = require('./config/database');
+const crisisCases = require('./services/crisisCases');
+const feedAffinity = require('./services/feedAffinity');
+const feedCandidates = require('./services/feedCandidates');
+const postDrafts = require('./services/postDrafts');
+
+const start = () => ready.then(() => server.listen(PORT, () => {
   console.log(`
 ╔════════════════════════════════════════════════════════╗
 ║   🎉🎉🎉 LinkWavez Backend v3.1.0 🎉🎉🎉              ║
@@ -191,4 +163,22 @@ server.listen(PORT, () => {
 ║                                                        ║
 ╚════════════════════════════════════════════════════════╝
   `);
-});
\ No newline at end of file
+}));
+
+if (require.main === module) {
+  start().then(() => {
+    // Re-notify helpers / escalate crisis cases whose response deadline passed
+    crisisCases.startDeadlineTimer();
+    // Learn feed affinities from newly tracked interactions
+    feedAffinity.startAffinityJob();
+    // Drop expired feed cursors and old feed candidates
+    feedCandidates.startMaintenance();
+    // Publish scheduled posts when their time comes
+    postDrafts.startScheduler();
+  }).catch((err) => {
+    console.error('❌ Failed to start database:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { app, server, io };
@@ -0,0 +1,47 @@
+// middleware/auth.js
+// Authentication Middleware - populates req.user from the Bearer token
+
+const { verifyAccessToken } = require('../config/auth');
+const { ApiError } = require('./errors');
+
+// Global middleware: mounted before every router in index.js.
+// Requests without a token pass through anonymously; requests with an
+// invalid or expired token are rejected so clients know to refresh.
+const authenticate = (req, res, next) => {
+  const header = req.headers.authorization;
+
+  if (!header) {
+    return next();
+  }
+
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return next(ApiError.unauthorized('Authorization header must be "Bearer <token>"'));
+  }
+
+  try {
+    const payload = verifyAccessToken(token);
+
+    req.user = {
+      id: payload.sub,
+      username: payload.username,
+      email: payload.email
+    };
+
+    next();
+  } catch (error) {
+    return next(ApiError.unauthorized(error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token'));
+  }
+};
+
+// Route-level guard for endpoints that need a signed-in user
+const requireAuth = (req, res, next) => {
+  if (!req.user?.id) {
+    return next(ApiError.unauthorized());
+  }
+
+  next();
+};
+
+module.exports = { authenticate, requireAuth };
@@ -0,0 +1,136 @@
+// middleware/authorize.js
+// Authorization Middleware - derive the acting user from the session and
+// enforce ownership before a route handler runs
+
+const { supabase } = require('../config/database');
+const { ApiError } = require('./errors');
+const conversations = require('../repositories/conversations');
+
+// Bind the acting user to the request body.
+// For each field (e.g. 'userId', 'senderId', 'streamerId'): a value that
+// differs from the signed-in user is rejected, a missing value is filled in,
+// so handlers can keep reading req.body.<field> unchanged.
+// Must run after body parsing (i.e. after multer on multipart routes).
+const bindActor = (...fields) => {
+  return (req, res, next) => {
+    if (!req.user?.id) {
+      return next(ApiError.unauthorized());
+    }
+
+    req.body = req.body || {};
+
+    for (const field of fields) {
+      const supplied = req.body[field];
+
+      if (supplied !== undefined && supplied !== null && supplied !== '' &&
+          String(supplied).trim() !== String(req.user.id)) {
+        return next(ApiError.forbidden(`${field} does not match the authenticated user`));
+      }
+
+      req.body[field] = req.user.id;
+    }
+
+    next();
+  };
+};
+
+// URL parameter (e.g. /preferences/:userId) must be the signed-in user
+const requireSelf = (param = 'userId') => {
+  return (req, res, next) => {
+    if (!req.user?.id) {
+      return next(ApiError.unauthorized());
+    }
+
+    if (String(req.params[param]) !== String(req.user.id)) {
+      return next(ApiError.forbidden('You can only access your own resources'));
+    }
+
+    next();
+  };
+};
+
+// Load a resource by URL parameter and check the signed-in user owns it.
+// The loaded row is exposed as req.resource for the handler.
+//
+//   requireOwner({ table: 'wisdom_clips', param: 'postId', ownerColumn: 'user_id' })
+const requireOwner = ({ table, param = 'id', ownerColumn = 'user_id', label = 'Resource' }) => {
+  return async (req, res, next) => {
+    if (!req.user?.id) {
+      return next(ApiError.unauthorized());
+    }
+
+    try {
+      const { data: resource, error } = await supabase
+        .from(table)
+        .select('*')
+        .eq('id', req.params[param])
+        .maybeSingle();
+
+      if (error) throw error;
+
+      if (!resource) {
+        return next(ApiError.notFound(`${label} not found`));
+      }
+
+      if (String(resource[ownerColumn]) !== String(req.user.id)) {
+        return next(ApiError.forbidden(`You do not own this ${label.toLowerCase()}`));
+      }
+
+      req.resource = resource;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// The signed-in user must take part in the conversation named by the URL
+// parameter or body field (conversations are private, e.g. crisis support
+// chats). Run after validate() so the id is a UUID.
+const requireParticipant = (field = 'conversationId') => {
+  return async (req, res, next) => {
+    if (!req.user?.id) {
+      return next(ApiError.unauthorized());
+    }
+
+    try {
+      const conversationId = req.params[field] || req.body?.[field];
+
+      if (!await conversations.isParticipant(conversationId, req.user.id)) {
+        return next(ApiError.forbidden('You are not a participant of this conversation'));
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Platform admins only (users.is_admin), e.g. maintaining the crisis
+// resource directory
+const requireAdmin = async (req, res, next) => {
+  if (!req.user?.id) {
+    return next(ApiError.unauthorized());
+  }
+
+  try {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('is_admin')
+      .eq('id', req.user.id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!user?.is_admin) {
+      return next(ApiError.forbidden('Admin access required'));
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { bindActor, requireSelf, requireOwner, requireParticipant, requireAdmin };
@@ -1,16 +1,19 @@
 const { pool } = require('../config/database');
+const { ApiError } = require('./errors');
 
 // Middleware to check if user has premium access
 const checkPremium = (requiredFeature) => {
+  const upgrade = {
+    required_feature: requiredFeature,
+    upgrade_url: '/api/subscriptions/plans'
+  };
+
   return async (req, res, next) => {
     try {
       const userId = req.params.userId || req.body.user_id;
       
       if (!userId) {
-        return res.status(401).json({
-          status: 'error',
-          message: 'User ID required'
-        });
+        return next(ApiError.unauthorized('User ID required'));
       }
       
       // Check subscription
@@ -24,32 +27,18 @@ const checkPremium = (requiredFeature) => {
       `, [userId]);
       
       if (result.rows.length === 0) {
-        return res.status(403).json({
-          status: 'error',
-          message: 'Premium subscription required',
-          required_feature: requiredFeature,
-          upgrade_url: '/api/subscriptions/plans'
-        });
+        return next(ApiError.premiumRequired('Premium subscription required', upgrade));
       }
       
       const features = result.rows[0].features;
       
       if (features[requiredFeature] !== true) {
-        return res.status(403).json({
-          status: 'error',
-          message: `This feature requires ${requiredFeature}`,
-          required_feature: requiredFeature,
-          upgrade_url: '/api/subscriptions/plans'
-        });
+        return next(ApiError.premiumRequired(`This feature requires ${requiredFeature}`, upgrade));
       }
       
       next();
     } catch (error) {
-      console.error('Error:', error);
-      res.status(500).json({
-        status: 'error',
-        message: error.message
-      });
+      next(error);
     }
   };
 };
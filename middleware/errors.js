@@ -0,0 +1,129 @@
+// middleware/errors.js
+// API Errors - the error class every router raises and the middleware in
+// index.js that turns it into the one response contract clients rely on:
+//
+//   success: { success: true, data, message?, meta? }
+//   failure: { success: false, error: { code, message, details? } }
+//
+// Handlers forward failures instead of answering them themselves:
+//
+//   if (!post) return next(ApiError.notFound('Post not found'));
+//   ...
+//   } catch (error) {
+//     next(error);
+//   }
+//
+// Anything that is not an ApiError (database, network, programming errors)
+// is logged and answered with a generic INTERNAL_ERROR so raw driver
+// messages never reach the client.
+
+const multer = require('multer');
+
+const ERROR_CODES = {
+  BAD_REQUEST: 400,
+  VALIDATION_FAILED: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  PREMIUM_REQUIRED: 403,
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  INTERNAL_ERROR: 500
+};
+
+class ApiError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = ERROR_CODES[code] || 500;
+    this.details = details;
+  }
+
+  static badRequest(message, details) {
+    return new ApiError('BAD_REQUEST', message, details);
+  }
+
+  static validation(details) {
+    return new ApiError('VALIDATION_FAILED', 'Validation failed', details);
+  }
+
+  static unauthorized(message = 'Authentication required') {
+    return new ApiError('UNAUTHORIZED', message);
+  }
+
+  static forbidden(message = 'You do not have access to this resource', details) {
+    return new ApiError('FORBIDDEN', message, details);
+  }
+
+  static premiumRequired(message = 'Premium subscription required', details) {
+    return new ApiError('PREMIUM_REQUIRED', message, details);
+  }
+
+  static notFound(message = 'Resource not found') {
+    return new ApiError('NOT_FOUND', message);
+  }
+
+  static conflict(message, details) {
+    return new ApiError('CONFLICT', message, details);
+  }
+}
+
+// Postgres errors a client can act on (SQLSTATE -> ApiError)
+const fromDatabaseError = (err) => {
+  switch (err.code) {
+    case '23505':
+      return ApiError.conflict('A record with these details already exists');
+    case '23503':
+      return ApiError.badRequest('A referenced record does not exist');
+    case '22P02':
+      return ApiError.badRequest('Invalid identifier or value');
+    default:
+      return null;
+  }
+};
+
+const toApiError = (err) => {
+  if (err instanceof ApiError) return err;
+
+  // express.json() on a malformed body
+  if (err.type === 'entity.parse.failed') {
+    return ApiError.badRequest('Request body is not valid JSON');
+  }
+
+  if (err instanceof multer.MulterError) {
+    return ApiError.badRequest(err.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : err.message);
+  }
+
+  return fromDatabaseError(err);
+};
+
+// ============================================================================
+// MIDDLEWARE (mounted last in index.js)
+// ============================================================================
+
+const notFoundHandler = (req, res, next) => {
+  next(ApiError.notFound(`Route ${req.method} ${req.path} not found`));
+};
+
+// Express only treats four-argument middleware as an error handler
+const errorHandler = (err, req, res, next) => {
+  const apiError = toApiError(err);
+
+  if (!apiError) {
+    console.error(`❌ ${req.method} ${req.originalUrl} failed:`, err);
+  }
+
+  const { status, code, message, details } = apiError || new ApiError('INTERNAL_ERROR', 'Something went wrong');
+
+  res.status(status).json({
+    success: false,
+    error: details === undefined ? { code, message } : { code, message, details }
+  });
+};
+
+module.exports = {
+  ERROR_CODES,
+  ApiError,
+  notFoundHandler,
+  errorHandler
+};
@@ -3,6 +3,7 @@
 
 const multer = require('multer');
 const path = require('path');
+const { ApiError } = require('./errors');
 
 // Configure multer for memory storage (we'll upload directly to Cloudinary)
 const storage = multer.memoryStorage();
@@ -26,7 +27,7 @@ const fileFilter = (req, file, cb) => {
   if (isImage || isVideo) {
     cb(null, true);
   } else {
-    cb(new Error('Only image and video files are allowed!'), false);
+    cb(ApiError.badRequest('Only image and video files are allowed'), false);
   }
 };
 
@@ -0,0 +1,174 @@
+// middleware/validate.js
+// Request Validation Middleware - check params / query / body against a
+// declarative schema before the route handler runs
+//
+//   router.post('/add', bindActor('user_id'), validate(schemas.addReaction), handler)
+//
+// A schema lists the fields of each request part it checks:
+//
+//   {
+//     params: { clipId: { type: 'uuid', required: true } },
+//     query:  { limit: { type: 'integer', min: 1, max: 100 } },
+//     body:   { reaction_type: { type: 'string', enum: REACTION_TYPES, required: true } },
+//     strict: true   // reject body fields the schema does not list
+//   }
+//
+// Rules: type (string | number | integer | boolean | uuid | date | array | object),
+// required, enum, min / max, minLength / maxLength, pattern, items (rule for
+// array entries), minItems / maxItems, properties (fields of a nested object).
+//
+// Numeric and boolean strings are coerced in place ('12.5' -> 12.5, 'true' -> true)
+// so query strings and multipart bodies validate the same way as JSON.
+// Every failing field is reported in one uniform 400:
+//
+//   { success: false, error: { code: 'VALIDATION_FAILED', message: 'Validation failed',
+//                              details: [{ field: 'body.amount', message: 'must be at least 1' }] } }
+
+const { ApiError } = require('./errors');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const isAbsent = (value) => value === undefined || value === null || value === '';
+
+const coerce = (value, type) => {
+  if (typeof value !== 'string') return value;
+
+  if ((type === 'number' || type === 'integer') && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+
+  if (type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+
+  return value;
+};
+
+// Returns the (possibly coerced) value; pushes { field, message } onto errors
+const checkValue = (value, rule, field, errors) => {
+  const fail = (message) => {
+    errors.push({ field, message });
+    return value;
+  };
+
+  value = coerce(value, rule.type);
+
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return fail('must be a string');
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return fail('must be a number');
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) return fail('must be an integer');
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return fail('must be true or false');
+      break;
+    case 'uuid':
+      if (typeof value !== 'string' || !UUID_PATTERN.test(value)) return fail('must be a valid UUID');
+      break;
+    case 'date':
+      if (typeof value !== 'string' || isNaN(Date.parse(value))) return fail('must be a valid date');
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return fail('must be an array');
+      break;
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+      break;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return fail(`must be one of: ${rule.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (rule.min !== undefined && value < rule.min) return fail(`must be at least ${rule.min}`);
+    if (rule.max !== undefined && value > rule.max) return fail(`must be at most ${rule.max}`);
+  }
+
+  if (typeof value === 'string') {
+    if (rule.minLength !== undefined && value.trim().length < rule.minLength) {
+      return fail(`must be at least ${rule.minLength} characters`);
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return fail(`must be at most ${rule.maxLength} characters`);
+    }
+    if (rule.pattern && !rule.pattern.test(value)) return fail('has an invalid format');
+  }
+
+  if (Array.isArray(value)) {
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+      return fail(`must have at least ${rule.minItems} item${rule.minItems === 1 ? '' : 's'}`);
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      return fail(`must have at most ${rule.maxItems} items`);
+    }
+    if (rule.items) {
+      value = value.map((item, i) => checkField(item, rule.items, `${field}[${i}]`, errors));
+    }
+  }
+
+  if (rule.properties && value && typeof value === 'object' && !Array.isArray(value)) {
+    checkFields(value, rule.properties, field, errors, rule.strict);
+  }
+
+  return value;
+};
+
+const checkField = (value, rule, field, errors) => {
+  if (isAbsent(value)) {
+    if (rule.required) errors.push({ field, message: 'is required' });
+    return value;
+  }
+
+  return checkValue(value, rule, field, errors);
+};
+
+// Validate the fields of one object in place
+const checkFields = (target, fields, prefix, errors, strict = false) => {
+  for (const [name, rule] of Object.entries(fields)) {
+    const value = checkField(target[name], rule, `${prefix}.${name}`, errors);
+
+    if (target[name] !== undefined) {
+      target[name] = value;
+    }
+  }
+
+  if (strict) {
+    for (const name of Object.keys(target)) {
+      if (!fields[name]) {
+        errors.push({ field: `${prefix}.${name}`, message: 'is not allowed' });
+      }
+    }
+  }
+};
+
+// The schema stays readable on the middleware (validate(s).schema) so
+// docs/openapi.js documents exactly the rules that are enforced
+const validate = (schema) => {
+  const middleware = (req, res, next) => {
+    const errors = [];
+
+    if (schema.params) checkFields(req.params, schema.params, 'params', errors);
+    if (schema.query) checkFields(req.query, schema.query, 'query', errors);
+
+    if (schema.body) {
+      req.body = req.body || {};
+      checkFields(req.body, schema.body, 'body', errors, schema.strict);
+    }
+
+    if (errors.length > 0) {
+      return next(ApiError.validation(errors));
+    }
+
+    next();
+  };
+
+  middleware.schema = schema;
+  return middleware;
+};
+
+module.exports = { validate };
@@ -0,0 +1,71 @@
+// repositories/conversations.js
+// Conversation / message inserts for chats opened outside the chat routes
+// (e.g. crisis support chats, services/crisisSupport.js)
+
+const { supabase } = require('../config/database');
+
+// participants: [{ userId, role }]
+async function create({ type, name = null, description = null, createdBy, participants }) {
+  const { data: conversation, error } = await supabase
+    .from('conversations')
+    .insert({
+      type: type,
+      name: name,
+      description: description,
+      created_by: createdBy,
+      max_participants: participants.length
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const { error: participantsError } = await supabase
+    .from('conversation_participants')
+    .insert(participants.map(participant => ({
+      conversation_id: conversation.id,
+      user_id: participant.userId,
+      role: participant.role || 'member'
+    })));
+
+  if (participantsError) throw participantsError;
+  return conversation;
+}
+
+async function isParticipant(conversationId, userId) {
+  const { data } = await supabase
+    .from('conversation_participants')
+    .select('id')
+    .eq('conversation_id', conversationId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  return !!data;
+}
+
+// `columns` carries extra message columns (e.g. moderation.toColumns(safety))
+async function addMessage({ conversationId, senderId, content, columns = {} }) {
+  const { data: message, error } = await supabase
+    .from('messages')
+    .insert({
+      conversation_id: conversationId,
+      sender_id: senderId,
+      content: content,
+      message_type: 'text',
+      read: false,
+      ...columns
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  await supabase
+    .from('conversations')
+    .update({ updated_at: new Date().toISOString() })
+    .eq('id', conversationId);
+
+  return message;
+}
+
+module.exports = { create, isParticipant, addMessage };
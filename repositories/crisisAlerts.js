@@ -0,0 +1,242 @@
+// repositories/crisisAlerts.js
+// Crisis alert / case queries shared by the crisis routes, the case workflow
+// (services/crisisCases.js) and every surface that runs content moderation
+// (posts, silent reposts)
+
+const { supabase } = require('../config/database');
+const { readAll, inBatches } = require('../db/paging');
+
+async function create({ userId, postId = null, sourceType = 'manual', sourceId = null, content, detectedKeyword, severity, crisisType, language = null, countryCode = null, region = null, responseDueAt = null }) {
+  const { data, error } = await supabase
+    .from('crisis_alerts')
+    .insert({
+      user_id: userId,
+      post_id: postId,
+      source_type: sourceType,
+      source_id: sourceId,
+      content: content,
+      detected_keyword: detectedKeyword,
+      severity: severity,
+      crisis_type: crisisType,
+      language: language,
+      country_code: countryCode,
+      region: region,
+      status: 'pending',
+      response_due_at: responseDueAt
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function findById(alertId) {
+  const { data, error } = await supabase
+    .from('crisis_alerts')
+    .select('*')
+    .eq('id', alertId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// The user's latest case that is not resolved or closed yet
+async function findOpenForUser(userId) {
+  const { data, error } = await supabase
+    .from('crisis_alerts')
+    .select('*')
+    .eq('user_id', userId)
+    .in('status', ['pending', 'acknowledged', 'in_progress', 'escalated'])
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// The case a crisis support chat belongs to
+async function findBySupportConversation(conversationId) {
+  const { data, error } = await supabase
+    .from('crisis_alerts')
+    .select('*')
+    .eq('support_conversation_id', conversationId)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Update a case only while it is still in `expectedStatus`.
+// Returns null when someone else moved the case first.
+async function updateIfStatus(alertId, expectedStatus, fields) {
+  const { data, error } = await supabase
+    .from('crisis_alerts')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', alertId)
+    .eq('status', expectedStatus)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function update(alertId, fields) {
+  const { data, error } = await supabase
+    .from('crisis_alerts')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', alertId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// Pending cases whose response deadline has passed
+async function findOverdue(now = new Date()) {
+  const { data, error } = await supabase
+    .from('crisis_alerts')
+    .select('*')
+    .eq('status', 'pending')
+    .lte('response_due_at', now.toISOString())
+    .order('response_due_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Cases opened since `since` (all cases when null), oldest first. Reports
+// read every case in the range, so pass only the columns they need
+async function findCreatedSince(since = null, fields = '*') {
+  return readAll(() => {
+    let query = supabase.from('crisis_alerts').select(fields);
+    if (since) query = query.gte('created_at', since.toISOString());
+
+    return query
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true });
+  });
+}
+
+// ============================================================================
+// HELPER RESPONSES
+// ============================================================================
+
+async function addResponse(alertId, { helperId, message, action }) {
+  const { data, error } = await supabase
+    .from('crisis_responses')
+    .insert({
+      alert_id: alertId,
+      helper_id: helperId,
+      message: message,
+      action: action
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function findResponse(alertId, responseId) {
+  const { data, error } = await supabase
+    .from('crisis_responses')
+    .select('*')
+    .eq('id', responseId)
+    .eq('alert_id', alertId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function updateResponse(responseId, fields) {
+  const { data, error } = await supabase
+    .from('crisis_responses')
+    .update(fields)
+    .eq('id', responseId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function listResponses(alertId) {
+  const { data, error } = await supabase
+    .from('crisis_responses')
+    .select('*')
+    .eq('alert_id', alertId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Responses to the given cases, oldest first within each case
+async function listResponsesForAlerts(alertIds, fields = '*') {
+  return inBatches(alertIds, batch => readAll(() => supabase
+    .from('crisis_responses')
+    .select(fields)
+    .in('alert_id', batch)
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true })
+  ));
+}
+
+// ============================================================================
+// TIMELINE
+// ============================================================================
+
+async function addEvent(alertId, { actorId = null, eventType, fromStatus = null, toStatus = null, details = {} }) {
+  const { data, error } = await supabase
+    .from('crisis_alert_events')
+    .insert({
+      alert_id: alertId,
+      actor_id: actorId,
+      event_type: eventType,
+      from_status: fromStatus,
+      to_status: toStatus,
+      details: details
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function listEvents(alertId) {
+  const { data, error } = await supabase
+    .from('crisis_alert_events')
+    .select('*')
+    .eq('alert_id', alertId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+module.exports = {
+  create,
+  findById,
+  findOpenForUser,
+  findBySupportConversation,
+  update,
+  updateIfStatus,
+  findOverdue,
+  findCreatedSince,
+  addResponse,
+  findResponse,
+  updateResponse,
+  listResponses,
+  listResponsesForAlerts,
+  addEvent,
+  listEvents
+};
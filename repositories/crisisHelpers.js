@@ -0,0 +1,91 @@
+// repositories/crisisHelpers.js
+// Crisis helper profiles (crisis_helper_profiles) and the per-helper case
+// counts services/helperMatching.js ranks on
+
+const { supabase } = require('../config/database');
+
+// Cases a helper is still working on
+const OPEN_CASE_STATUSES = ['acknowledged', 'in_progress', 'escalated'];
+
+async function getProfile(userId) {
+  const { data, error } = await supabase
+    .from('crisis_helper_profiles')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function findProfiles(userIds) {
+  if (!userIds.length) return [];
+
+  const { data, error } = await supabase
+    .from('crisis_helper_profiles')
+    .select('*')
+    .in('user_id', userIds);
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function upsertProfile(userId, fields) {
+  const { data, error } = await supabase
+    .from('crisis_helper_profiles')
+    .upsert({
+      user_id: userId,
+      ...fields,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'user_id' })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// userId -> number of rows, for the given helper column
+const countBy = (rows, column) => {
+  const counts = {};
+  for (const row of rows || []) {
+    counts[row[column]] = (counts[row[column]] || 0) + 1;
+  }
+  return counts;
+};
+
+async function countOpenCases(userIds) {
+  if (!userIds.length) return {};
+
+  const { data, error } = await supabase
+    .from('crisis_alerts')
+    .select('assigned_helper_id')
+    .in('assigned_helper_id', userIds)
+    .in('status', OPEN_CASE_STATUSES);
+
+  if (error) throw error;
+  return countBy(data, 'assigned_helper_id');
+}
+
+// Responses that resolved a case
+async function countResolvedResponses(userIds) {
+  if (!userIds.length) return {};
+
+  const { data, error } = await supabase
+    .from('crisis_responses')
+    .select('helper_id')
+    .in('helper_id', userIds)
+    .eq('action', 'resolved');
+
+  if (error) throw error;
+  return countBy(data, 'helper_id');
+}
+
+module.exports = {
+  OPEN_CASE_STATUSES,
+  getProfile,
+  findProfiles,
+  upsertProfile,
+  countOpenCases,
+  countResolvedResponses
+};
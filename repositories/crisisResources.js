@@ -0,0 +1,153 @@
+// repositories/crisisResources.js
+// Crisis resource directory (crisis_resources), the regions that place a
+// coordinate (crisis_regions) and the location data users already share
+// through discovery posts and communities
+
+const { supabase } = require('../config/database');
+
+// Active resources for a country plus the international ones
+async function findForCountry(countryCode) {
+  let query = supabase
+    .from('crisis_resources')
+    .select('*')
+    .eq('is_active', true);
+
+  query = countryCode
+    ? query.or(`country_code.eq.${countryCode},country_code.is.null`)
+    : query.is('country_code', null);
+
+  const { data, error } = await query.order('priority', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function findAll({ countryCode = null, includeInactive = false } = {}) {
+  let query = supabase.from('crisis_resources').select('*');
+
+  if (countryCode) query = query.eq('country_code', countryCode);
+  if (!includeInactive) query = query.eq('is_active', true);
+
+  const { data, error } = await query
+    .order('country_code', { ascending: true, nullsFirst: false })
+    .order('priority', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function findById(resourceId) {
+  const { data, error } = await supabase
+    .from('crisis_resources')
+    .select('*')
+    .eq('id', resourceId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function create(fields) {
+  const { data, error } = await supabase
+    .from('crisis_resources')
+    .insert(fields)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function update(resourceId, fields) {
+  const { data, error } = await supabase
+    .from('crisis_resources')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', resourceId)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function remove(resourceId) {
+  const { data, error } = await supabase
+    .from('crisis_resources')
+    .delete()
+    .eq('id', resourceId)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Region boxes containing a coordinate
+async function findRegionsAt(lat, lng) {
+  const { data, error } = await supabase
+    .from('crisis_regions')
+    .select('country_code, region, min_lat, max_lat, min_long, max_long')
+    .lte('min_lat', lat)
+    .gte('max_lat', lat)
+    .lte('min_long', lng)
+    .gte('max_long', lng);
+
+  if (error) throw error;
+  return data || [];
+}
+
+// ============================================================================
+// USER LOCATION
+// ============================================================================
+
+// Latest coordinates the user shared on a discovery post
+async function findDiscoveryLocation(userId) {
+  const { data } = await supabase
+    .from('discovery_posts')
+    .select('location, location_lat, location_long')
+    .eq('user_id', userId)
+    .not('location_lat', 'is', null)
+    .not('location_long', 'is', null)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  return data;
+}
+
+// Coordinates of the community the user joined most recently
+async function findCommunityLocation(userId) {
+  const { data: memberships } = await supabase
+    .from('community_members')
+    .select('community_id')
+    .eq('user_id', userId)
+    .eq('is_active', true)
+    .order('joined_at', { ascending: false })
+    .limit(20);
+
+  if (!memberships?.length) return null;
+
+  const { data: communities } = await supabase
+    .from('communities')
+    .select('id, location, location_lat, location_long')
+    .in('id', memberships.map(m => m.community_id))
+    .not('location_lat', 'is', null)
+    .not('location_long', 'is', null);
+
+  const located = new Map((communities || []).map(c => [c.id, c]));
+  const latest = memberships.find(m => located.has(m.community_id));
+
+  return latest ? located.get(latest.community_id) : null;
+}
+
+module.exports = {
+  findForCountry,
+  findAll,
+  findById,
+  create,
+  update,
+  remove,
+  findRegionsAt,
+  findDiscoveryLocation,
+  findCommunityLocation
+};
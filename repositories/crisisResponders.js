@@ -0,0 +1,30 @@
+// repositories/crisisResponders.js
+// Designated professional responders (crisis_responders table) who receive
+// escalated crisis cases
+
+const { supabase } = require('../config/database');
+
+async function findActive() {
+  const { data, error } = await supabase
+    .from('crisis_responders')
+    .select('user_id, organization')
+    .eq('is_active', true);
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function isResponder(userId) {
+  if (!userId) return false;
+
+  const { data } = await supabase
+    .from('crisis_responders')
+    .select('user_id')
+    .eq('user_id', userId)
+    .eq('is_active', true)
+    .maybeSingle();
+
+  return !!data;
+}
+
+module.exports = { findActive, isResponder };
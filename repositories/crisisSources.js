@@ -0,0 +1,109 @@
+// repositories/crisisSources.js
+// The flagged content behind a crisis alert (crisis_alerts.source_type /
+// source_id) and where it was posted, so helpers can see the context.
+// Only the flagged row and its parent are loaded - never the rest of a chat.
+
+const { supabase } = require('../config/database');
+
+async function findPost(postId) {
+  const { data } = await supabase
+    .from('wisdom_clips')
+    .select('id, caption, post_type, created_at')
+    .eq('id', postId)
+    .maybeSingle();
+
+  if (!data) return null;
+
+  return {
+    content: data.caption,
+    created_at: data.created_at,
+    context: { type: 'post', id: data.id, post_type: data.post_type }
+  };
+}
+
+async function findComment(commentId) {
+  const { data: comment } = await supabase
+    .from('comments')
+    .select('id, clip_id, content, created_at')
+    .eq('id', commentId)
+    .maybeSingle();
+
+  if (!comment) return null;
+
+  const { data: post } = await supabase
+    .from('wisdom_clips')
+    .select('id, caption')
+    .eq('id', comment.clip_id)
+    .maybeSingle();
+
+  return {
+    content: comment.content,
+    created_at: comment.created_at,
+    context: { type: 'post', id: comment.clip_id, caption: post?.caption || null }
+  };
+}
+
+async function findMessage(messageId) {
+  const { data: message } = await supabase
+    .from('messages')
+    .select('id, conversation_id, content, created_at')
+    .eq('id', messageId)
+    .maybeSingle();
+
+  if (!message) return null;
+
+  const { data: conversation } = await supabase
+    .from('conversations')
+    .select('id, type')
+    .eq('id', message.conversation_id)
+    .maybeSingle();
+
+  return {
+    content: message.content,
+    created_at: message.created_at,
+    context: { type: 'conversation', id: message.conversation_id, conversation_type: conversation?.type || null }
+  };
+}
+
+async function findStreamComment(commentId) {
+  const { data: comment } = await supabase
+    .from('stream_comments')
+    .select('id, stream_id, comment, created_at')
+    .eq('id', commentId)
+    .maybeSingle();
+
+  if (!comment) return null;
+
+  const { data: stream } = await supabase
+    .from('live_streams')
+    .select('id, title, status')
+    .eq('id', comment.stream_id)
+    .maybeSingle();
+
+  return {
+    content: comment.comment,
+    created_at: comment.created_at,
+    context: { type: 'stream', id: comment.stream_id, title: stream?.title || null, status: stream?.status || null }
+  };
+}
+
+const FINDERS = {
+  post: findPost,
+  comment: findComment,
+  message: findMessage,
+  stream_comment: findStreamComment
+};
+
+// { type, id, content, created_at, context } or null when the alert was
+// raised by hand or the content has since been deleted
+async function findSource(sourceType, sourceId) {
+  const find = FINDERS[sourceType];
+  if (!find || !sourceId) return null;
+
+  const source = await find(sourceId);
+  return source ? { type: sourceType, id: sourceId, ...source } : null;
+}
+
+module.exports = {
+  findSource
+};
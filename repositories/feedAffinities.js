@@ -0,0 +1,117 @@
+// repositories/feedAffinities.js
+// Feed interactions (feed_interactions) and the per-user affinities learned
+// from them (user_feed_affinities)
+
+const { supabase } = require('../config/database');
+
+// ============================================================================
+// INTERACTIONS
+// ============================================================================
+
+// Latest interactions of a user since `since`, with the post they were on
+async function findInteractionsForUser(userId, { since, limit = 500 }) {
+  const { data: interactions, error } = await supabase
+    .from('feed_interactions')
+    .select('post_id, interaction_type, duration_seconds, created_at')
+    .eq('user_id', userId)
+    .gte('created_at', since.toISOString())
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  if (!interactions?.length) return [];
+
+  const postIds = [...new Set(interactions.map(i => i.post_id).filter(Boolean))];
+  if (!postIds.length) return [];
+
+  const { data: posts, error: postsError } = await supabase
+    .from('wisdom_clips')
+    .select('id, user_id, content_type, hashtags')
+    .in('id', postIds);
+
+  if (postsError) throw postsError;
+
+  const byId = new Map((posts || []).map(post => [post.id, post]));
+  return interactions
+    .filter(interaction => byId.has(interaction.post_id))
+    .map(interaction => ({ ...interaction, post: byId.get(interaction.post_id) }));
+}
+
+// Users who interacted after `since` (everyone when null). `since` and
+// `latest` are timestamp strings as stored: a Date would drop the microseconds
+async function findUsersWithInteractionsSince(since = null, limit = 5000) {
+  let query = supabase.from('feed_interactions').select('user_id, created_at');
+  if (since) query = query.gt('created_at', since);
+
+  const { data, error } = await query
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+  return {
+    userIds: [...new Set((data || []).map(row => row.user_id))],
+    latest: data?.length ? data[data.length - 1].created_at : null
+  };
+}
+
+// ============================================================================
+// AFFINITIES
+// ============================================================================
+
+async function getForUser(userId) {
+  const { data, error } = await supabase
+    .from('user_feed_affinities')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function upsert(row) {
+  const { data, error } = await supabase
+    .from('user_feed_affinities')
+    .upsert({ ...row, updated_at: new Date().toISOString() }, { onConflict: 'user_id' })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// ============================================================================
+// JOB WATERMARK
+// ============================================================================
+
+const JOB = 'feed_affinity';
+
+// Newest interaction the job has processed (timestamp string), null before
+// its first run
+async function findWatermark() {
+  const { data, error } = await supabase
+    .from('job_watermarks')
+    .select('watermark')
+    .eq('job', JOB)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.watermark || null;
+}
+
+async function saveWatermark(watermark) {
+  const { error } = await supabase
+    .from('job_watermarks')
+    .upsert({ job: JOB, watermark, updated_at: new Date().toISOString() }, { onConflict: 'job' });
+
+  if (error) throw error;
+}
+
+module.exports = {
+  findInteractionsForUser,
+  findUsersWithInteractionsSince,
+  getForUser,
+  upsert,
+  findWatermark,
+  saveWatermark
+};
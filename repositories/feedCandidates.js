@@ -0,0 +1,185 @@
+// repositories/feedCandidates.js
+// Precomputed personalized feed candidates (feed_candidates), when each
+// user's store was rebuilt (feed_candidate_builds), the ranked snapshots
+// behind feed cursors (feed_sessions) and the post reads that fill them
+
+const { supabase } = require('../config/database');
+
+// ============================================================================
+// CANDIDATE STORE
+// ============================================================================
+
+// Add posts ({ id, user_id, created_at }) to the stores of the given users
+async function addForUsers(userIds, posts) {
+  const rows = userIds.flatMap(userId => posts.map(post => ({
+    user_id: userId,
+    post_id: post.id,
+    author_id: post.user_id,
+    post_created_at: post.created_at
+  })));
+
+  if (!rows.length) return;
+
+  const { error } = await supabase
+    .from('feed_candidates')
+    .upsert(rows, { onConflict: 'user_id,post_id', ignoreDuplicates: true });
+
+  if (error) throw error;
+}
+
+// Newest entries ({ post_id, author_id }) in a user's store
+async function findForUser(userId, limit) {
+  const { data, error } = await supabase
+    .from('feed_candidates')
+    .select('post_id, author_id')
+    .eq('user_id', userId)
+    .order('post_created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function removeForUser(userId, postIds) {
+  if (!postIds.length) return;
+
+  const { error } = await supabase
+    .from('feed_candidates')
+    .delete()
+    .eq('user_id', userId)
+    .in('post_id', postIds);
+
+  if (error) throw error;
+}
+
+async function findBuild(userId) {
+  const { data, error } = await supabase
+    .from('feed_candidate_builds')
+    .select('built_at')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function markBuilt(userId) {
+  const { error } = await supabase
+    .from('feed_candidate_builds')
+    .upsert({ user_id: userId, built_at: new Date().toISOString() }, { onConflict: 'user_id' });
+
+  if (error) throw error;
+}
+
+async function deleteOlderThan(cutoff) {
+  const { error } = await supabase
+    .from('feed_candidates')
+    .delete()
+    .lt('post_created_at', cutoff.toISOString());
+
+  if (error) throw error;
+}
+
+// ============================================================================
+// POSTS
+// ============================================================================
+
+// Latest public posts of the given authors
+async function findRecentPostsByAuthors(authorIds, limit) {
+  if (!authorIds.length) return [];
+
+  const { data, error } = await supabase
+    .from('wisdom_clips')
+    .select('id, user_id, created_at')
+    .in('user_id', authorIds)
+    .eq('visibility', 'public')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Public posts created after `since`, newest first
+async function findRecentPublicPosts(since, limit) {
+  const { data, error } = await supabase
+    .from('wisdom_clips')
+    .select('id, user_id, created_at')
+    .eq('visibility', 'public')
+    .gte('created_at', since.toISOString())
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data || [];
+}
+
+// post id -> reactions + comments
+async function countEngagement(postIds) {
+  const counts = new Map(postIds.map(id => [id, 0]));
+  if (!postIds.length) return counts;
+
+  const [reactions, comments] = await Promise.all([
+    supabase.from('reactions').select('clip_id').in('clip_id', postIds),
+    supabase.from('comments').select('clip_id').in('clip_id', postIds)
+  ]);
+
+  if (reactions.error) throw reactions.error;
+  if (comments.error) throw comments.error;
+
+  for (const row of [...(reactions.data || []), ...(comments.data || [])]) {
+    counts.set(row.clip_id, (counts.get(row.clip_id) || 0) + 1);
+  }
+
+  return counts;
+}
+
+// ============================================================================
+// SESSIONS
+// ============================================================================
+
+async function createSession({ userId, postIds, expiresAt }) {
+  const { data, error } = await supabase
+    .from('feed_sessions')
+    .insert([{ user_id: userId, post_ids: postIds, expires_at: expiresAt.toISOString() }])
+    .select('id')
+    .single();
+
+  if (error) throw error;
+  return data.id;
+}
+
+async function findSession(sessionId) {
+  const { data, error } = await supabase
+    .from('feed_sessions')
+    .select('*')
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function deleteExpiredSessions(now) {
+  const { error } = await supabase
+    .from('feed_sessions')
+    .delete()
+    .lt('expires_at', now.toISOString());
+
+  if (error) throw error;
+}
+
+module.exports = {
+  addForUsers,
+  findForUser,
+  removeForUser,
+  findBuild,
+  markBuilt,
+  deleteOlderThan,
+  findRecentPostsByAuthors,
+  findRecentPublicPosts,
+  countEngagement,
+  createSession,
+  findSession,
+  deleteExpiredSessions
+};
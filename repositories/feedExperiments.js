@@ -0,0 +1,122 @@
+// repositories/feedExperiments.js
+// Feed ranking experiments (feed_experiments), the feed pages served to
+// bucketed users (feed_experiment_exposures) and the interactions measured
+// against them
+
+const { supabase } = require('../config/database');
+const { readAll, inBatches } = require('../db/paging');
+
+// ============================================================================
+// EXPERIMENTS
+// ============================================================================
+
+async function findAll({ status = null } = {}) {
+  let query = supabase.from('feed_experiments').select('*');
+  if (status) query = query.eq('status', status);
+
+  const { data, error } = await query.order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function findById(experimentId) {
+  const { data, error } = await supabase
+    .from('feed_experiments')
+    .select('*')
+    .eq('id', experimentId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Running experiments that rank the given surface
+async function findRunning(surface) {
+  const { data, error } = await supabase
+    .from('feed_experiments')
+    .select('*')
+    .eq('status', 'running')
+    .contains('surfaces', [surface])
+    .order('started_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function create(fields) {
+  const { data, error } = await supabase
+    .from('feed_experiments')
+    .insert([fields])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function update(experimentId, fields) {
+  const { data, error } = await supabase
+    .from('feed_experiments')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', experimentId)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// ============================================================================
+// EXPOSURES
+// ============================================================================
+
+async function recordExposure({ experimentId, userId, variant, surface, postIds }) {
+  const { error } = await supabase
+    .from('feed_experiment_exposures')
+    .insert([{
+      experiment_id: experimentId,
+      user_id: userId,
+      variant,
+      surface,
+      post_ids: postIds
+    }]);
+
+  if (error) throw error;
+}
+
+async function findExposures(experimentId) {
+  return readAll(() => supabase
+    .from('feed_experiment_exposures')
+    .select('user_id, variant, surface, post_ids, created_at')
+    .eq('experiment_id', experimentId)
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true })
+  );
+}
+
+// Feed interactions of the given users between `since` and `until`
+async function findInteractions(userIds, { since, until = null }) {
+  return inBatches(userIds, batch => readAll(() => {
+    let query = supabase
+      .from('feed_interactions')
+      .select('user_id, post_id, interaction_type, created_at')
+      .in('user_id', batch)
+      .gte('created_at', since);
+
+    if (until) query = query.lte('created_at', until);
+
+    return query.order('id', { ascending: true });
+  }));
+}
+
+module.exports = {
+  findAll,
+  findById,
+  findRunning,
+  create,
+  update,
+  recordExposure,
+  findExposures,
+  findInteractions
+};
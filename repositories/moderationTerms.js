@@ -0,0 +1,16 @@
+// repositories/moderationTerms.js
+// Content-safety term lists (moderation_terms table) read by services/moderation.js
+
+const { supabase } = require('../config/database');
+
+async function findActive() {
+  const { data, error } = await supabase
+    .from('moderation_terms')
+    .select('term, language, category, weight')
+    .eq('is_active', true);
+
+  if (error) throw error;
+  return data || [];
+}
+
+module.exports = { findActive };
@@ -0,0 +1,45 @@
+// repositories/notifications.js
+// Notification inserts shared by the notifications, crisis and social routes
+
+const { supabase } = require('../config/database');
+
+async function create({ userId, type, title, message, data = {}, actionUrl = null }) {
+  const { data: notification, error } = await supabase
+    .from('notifications')
+    .insert({
+      user_id: userId,
+      type: type,
+      title: title,
+      message: message,
+      data: data,
+      action_url: actionUrl,
+      read: false
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return notification;
+}
+
+async function createMany(notifications) {
+  if (!notifications.length) return [];
+
+  const { data, error } = await supabase
+    .from('notifications')
+    .insert(notifications.map(n => ({
+      user_id: n.userId,
+      type: n.type,
+      title: n.title,
+      message: n.message,
+      data: n.data || {},
+      action_url: n.actionUrl || null,
+      read: false
+    })))
+    .select();
+
+  if (error) throw error;
+  return data;
+}
+
+module.exports = { create, createMany };
@@ -0,0 +1,114 @@
+// repositories/postDrafts.js
+// Draft and scheduled posts (post_drafts)
+
+const { supabase } = require('../config/database');
+
+// A user's drafts; scheduled ones by publish time, the rest newest first
+async function findForUser(userId, { status = null, limit = 50, offset = 0 } = {}) {
+  let query = supabase.from('post_drafts').select('*').eq('user_id', userId);
+  if (status) query = query.eq('status', status);
+
+  const { data, error } = await query
+    .order('publish_at', { ascending: true, nullsFirst: false })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function findById(draftId) {
+  const { data, error } = await supabase
+    .from('post_drafts')
+    .select('*')
+    .eq('id', draftId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function create(fields) {
+  const { data, error } = await supabase
+    .from('post_drafts')
+    .insert([fields])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// Update a draft only while it is in one of `fromStatuses`; null when it has
+// moved on (e.g. the scheduler claimed it first)
+async function updateIfStatus(draftId, fromStatuses, fields) {
+  const { data, error } = await supabase
+    .from('post_drafts')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', draftId)
+    .in('status', fromStatuses)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Scheduled drafts whose publish time has come
+async function findDue(now, limit) {
+  const { data, error } = await supabase
+    .from('post_drafts')
+    .select('*')
+    .eq('status', 'scheduled')
+    .lte('publish_at', now.toISOString())
+    .order('publish_at', { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Drafts claimed for publishing (status 'publishing') before `claimedBefore`
+async function findStuckPublishing(claimedBefore, limit) {
+  const { data, error } = await supabase
+    .from('post_drafts')
+    .select('*')
+    .eq('status', 'publishing')
+    .lt('updated_at', claimedBefore.toISOString())
+    .order('updated_at', { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+  return data || [];
+}
+
+// { drafts, scheduled, next_publish_at } for a creator's content queue
+async function summarizeQueue(userId) {
+  const { data, error } = await supabase
+    .from('post_drafts')
+    .select('status, publish_at')
+    .eq('user_id', userId)
+    .in('status', ['draft', 'scheduled']);
+
+  if (error) throw error;
+
+  const scheduled = (data || []).filter(row => row.status === 'scheduled')
+    .map(row => row.publish_at)
+    .sort((a, b) => new Date(a) - new Date(b));
+
+  return {
+    drafts: (data || []).length - scheduled.length,
+    scheduled: scheduled.length,
+    next_publish_at: scheduled[0] || null
+  };
+}
+
+module.exports = {
+  findForUser,
+  findById,
+  create,
+  updateIfStatus,
+  findDue,
+  findStuckPublishing,
+  summarizeQueue
+};
@@ -0,0 +1,90 @@
+// repositories/postRevisions.js
+// Post edit history (post_revisions): one row per version of an edited post
+
+const { supabase } = require('../config/database');
+
+// Columns a revision copies from wisdom_clips
+const REVISION_FIELDS = [
+  'caption',
+  'media_url',
+  'hashtags',
+  'content_type',
+  'is_crisis',
+  'needs_fact_check',
+  'moderation_score',
+  'moderation_labels'
+];
+
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Oldest first
+async function findForPost(postId) {
+  const { data, error } = await supabase
+    .from('post_revisions')
+    .select('*')
+    .eq('post_id', postId)
+    .order('revision_number', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function latestNumber(postId) {
+  const { data, error } = await supabase
+    .from('post_revisions')
+    .select('revision_number')
+    .eq('post_id', postId)
+    .order('revision_number', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.revision_number || 0;
+}
+
+// Store versions of a post: [{ post, revision_number, edited_by, created_at }],
+// copying the REVISION_FIELDS of each `post`
+async function create(postId, versions) {
+  const rows = versions.map(({ post, revision_number, edited_by, created_at }) => ({
+    post_id: postId,
+    revision_number,
+    edited_by,
+    created_at,
+    ...Object.fromEntries(REVISION_FIELDS.map(field => [field, post[field]]))
+  }));
+
+  const { data, error } = await supabase
+    .from('post_revisions')
+    .insert(rows)
+    .select();
+
+  if (error) throw error;
+  return data;
+}
+
+// Store an edit as the next revision; the first edit also stores the post as
+// first published (`original`) as revision 1. Two edits racing for the same
+// number hit UNIQUE (post_id, revision_number): the loser numbers again.
+// Returns the edit's revision_number.
+async function append(postId, { original, edit }) {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await latestNumber(postId);
+    const versions = latest === 0 ? [{ ...original, revision_number: 1 }] : [];
+    versions.push({ ...edit, revision_number: Math.max(latest, 1) + 1 });
+
+    try {
+      await create(postId, versions);
+      return versions[versions.length - 1].revision_number;
+    } catch (error) {
+      if (error.code !== '23505' || attempt >= MAX_APPEND_ATTEMPTS) throw error;
+    }
+  }
+}
+
+module.exports = {
+  REVISION_FIELDS,
+  findForPost,
+  latestNumber,
+  create,
+  append
+};
@@ -0,0 +1,62 @@
+// repositories/reactions.js
+// Reaction and comment counts shared by posts, feed and analytics
+
+const { supabase } = require('../config/database');
+
+const REACTION_TYPES = ['laugh', 'support', 'care', 'thinking', 'applaud', 'fire'];
+
+async function countForPost(clipId) {
+  const { count } = await supabase
+    .from('reactions')
+    .select('*', { count: 'exact', head: true })
+    .eq('clip_id', clipId);
+
+  return count || 0;
+}
+
+// { laugh, support, care, thinking, applaud, fire, total }
+async function countByTypeForPost(clipId) {
+  const { data: reactions } = await supabase
+    .from('reactions')
+    .select('reaction_type')
+    .eq('clip_id', clipId);
+
+  const counts = { total: reactions?.length || 0 };
+  REACTION_TYPES.forEach(type => { counts[type] = 0; });
+
+  reactions?.forEach(r => {
+    if (counts.hasOwnProperty(r.reaction_type)) {
+      counts[r.reaction_type]++;
+    }
+  });
+
+  return counts;
+}
+
+async function countCommentsForPost(clipId) {
+  const { count } = await supabase
+    .from('comments')
+    .select('*', { count: 'exact', head: true })
+    .eq('clip_id', clipId);
+
+  return count || 0;
+}
+
+async function getRecentByUser(userId, limit = 10) {
+  const { data } = await supabase
+    .from('reactions')
+    .select('reaction_type')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  return data || [];
+}
+
+module.exports = {
+  REACTION_TYPES,
+  countForPost,
+  countByTypeForPost,
+  countCommentsForPost,
+  getRecentByUser
+};
@@ -0,0 +1,57 @@
+// repositories/userScores.js
+// Aura / wisdom score queries (user_scores table + increment_aura RPC)
+
+const { supabase } = require('../config/database');
+
+// Minimum aura for a "Good Aura" crisis helper
+const GOOD_AURA_THRESHOLD = 800;
+
+async function getAuraScore(userId) {
+  const { data } = await supabase
+    .from('user_scores')
+    .select('aura_score')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  return data?.aura_score || 0;
+}
+
+async function isGoodAuraHelper(userId) {
+  return (await getAuraScore(userId)) >= GOOD_AURA_THRESHOLD;
+}
+
+// Highest aura first; excludeIds skips helpers already contacted for a case
+async function findGoodAuraHelpers(limit = 10, { excludeIds = [] } = {}) {
+  let query = supabase
+    .from('user_scores')
+    .select('user_id, aura_score')
+    .gte('aura_score', GOOD_AURA_THRESHOLD);
+
+  if (excludeIds.length) {
+    query = query.not('user_id', 'in', `(${excludeIds.join(',')})`);
+  }
+
+  const { data, error } = await query
+    .order('aura_score', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function incrementAura(userId, amount) {
+  if (!userId) return;
+
+  await supabase.rpc('increment_aura', {
+    p_user_id: userId,
+    p_amount: amount
+  });
+}
+
+module.exports = {
+  GOOD_AURA_THRESHOLD,
+  getAuraScore,
+  isGoodAuraHelper,
+  findGoodAuraHelpers,
+  incrementAura
+};
@@ -0,0 +1,109 @@
+// repositories/users.js
+// User queries shared by auth, users and profile routes
+
+const { supabase } = require('../config/database');
+
+const PUBLIC_USER_FIELDS = 'id, username, email, avatar_url, bio, wisdom_score, created_at';
+
+async function findById(userId, fields = PUBLIC_USER_FIELDS) {
+  const { data, error } = await supabase
+    .from('users')
+    .select(fields)
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function findByIds(userIds, fields = PUBLIC_USER_FIELDS) {
+  if (!userIds.length) return [];
+
+  const { data, error } = await supabase
+    .from('users')
+    .select(fields)
+    .in('id', userIds);
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function findByEmail(email, fields = PUBLIC_USER_FIELDS) {
+  const { data, error } = await supabase
+    .from('users')
+    .select(fields)
+    .eq('email', email.trim().toLowerCase())
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function findByUsername(username, fields = PUBLIC_USER_FIELDS) {
+  const { data, error } = await supabase
+    .from('users')
+    .select(fields)
+    .eq('username', username.trim())
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Insert a user plus the starter avatar and wallet rows every account gets
+async function create({ username, email, passwordHash, avatarUrl, bio }) {
+  const { data: user, error } = await supabase
+    .from('users')
+    .insert({
+      username: username.trim(),
+      email: email.trim().toLowerCase(),
+      password_hash: passwordHash,
+      avatar_url: avatarUrl || null,
+      bio: bio || null
+    })
+    .select(PUBLIC_USER_FIELDS)
+    .single();
+
+  if (error) throw error;
+
+  await supabase
+    .from('avatars')
+    .insert({ user_id: user.id, avatar_data: {}, aura_level: 'bronze', wisdom_level: 0 });
+
+  await supabase
+    .from('wallet')
+    .insert({ user_id: user.id, wisdom_coins: 0, premium_coins: 0 });
+
+  return user;
+}
+
+async function getFollowingIds(userId) {
+  const { data, error } = await supabase
+    .from('follows')
+    .select('following_id')
+    .eq('follower_id', userId);
+
+  if (error) throw error;
+  return data?.map(f => f.following_id) || [];
+}
+
+async function getFollowerIds(userId) {
+  const { data, error } = await supabase
+    .from('follows')
+    .select('follower_id')
+    .eq('following_id', userId);
+
+  if (error) throw error;
+  return data?.map(f => f.follower_id) || [];
+}
+
+module.exports = {
+  PUBLIC_USER_FIELDS,
+  findById,
+  findByIds,
+  findByEmail,
+  findByUsername,
+  create,
+  getFollowingIds,
+  getFollowerIds
+};
@@ -0,0 +1,132 @@
+// repositories/wisdomClips.js
+// Post (wisdom_clips) queries shared by posts, feed and media routes
+
+const { supabase } = require('../config/database');
+
+// Author fields embedded on feed posts
+const POST_WITH_AUTHOR = `
+  *,
+  users:user_id (
+    id,
+    username,
+    avatar_url,
+    aura_score,
+    wisdom_score
+  )
+`;
+
+const PREMIUM_PLANS = ['premium', 'creator_pro', 'business'];
+
+async function findById(postId, fields = '*') {
+  const { data, error } = await supabase
+    .from('wisdom_clips')
+    .select(fields)
+    .eq('id', postId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Public posts with their author, in no particular order
+async function findPublicWithAuthor(postIds) {
+  if (!postIds.length) return [];
+
+  const { data, error } = await supabase
+    .from('wisdom_clips')
+    .select(POST_WITH_AUTHOR)
+    .in('id', postIds)
+    .eq('visibility', 'public');
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Public posts of the given authors with their author, newest first; `before`
+// ({ created_at, id } of the last post seen) continues after that post
+async function findPublicByAuthors(authorIds, { before = null, limit = 20 } = {}) {
+  if (!authorIds.length) return [];
+
+  let query = supabase
+    .from('wisdom_clips')
+    .select(POST_WITH_AUTHOR)
+    .in('user_id', authorIds)
+    .eq('visibility', 'public');
+
+  if (before) {
+    // created_at < t, or the same created_at with a smaller id
+    query = query
+      .lte('created_at', before.created_at)
+      .or(`created_at.lt.${before.created_at},id.lt.${before.id}`);
+  }
+
+  const { data, error } = await query
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data || [];
+}
+
+// The post a draft was published as (services/postDrafts.js), if any
+async function findByDraft(draftId) {
+  const { data, error } = await supabase
+    .from('wisdom_clips')
+    .select('*')
+    .eq('draft_id', draftId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function create(fields) {
+  const { data, error } = await supabase
+    .from('wisdom_clips')
+    .insert({
+      like_count: 0,
+      comment_count: 0,
+      share_count: 0,
+      view_count: 0,
+      ...fields
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// Bump view_count / share_count etc. from the value already read
+async function incrementCounter(post, column) {
+  await supabase
+    .from('wisdom_clips')
+    .update({ [column]: (post[column] || 0) + 1 })
+    .eq('id', post.id);
+}
+
+// Whether the viewer has an active fan subscription with premium analytics
+async function hasPremiumAnalytics(userId) {
+  if (!userId) return false;
+
+  const { data: subscription } = await supabase
+    .from('fan_subscriptions')
+    .select('plan')
+    .eq('user_id', userId)
+    .eq('status', 'active')
+    .maybeSingle();
+
+  return !!subscription && PREMIUM_PLANS.includes(subscription.plan);
+}
+
+module.exports = {
+  POST_WITH_AUTHOR,
+  findById,
+  findPublicWithAuthor,
+  findPublicByAuthors,
+  findByDraft,
+  create,
+  incrementCounter,
+  hasPremiumAnalytics
+};
@@ -1,17 +1,15 @@
 const express = require('express');
 const router = express.Router();
-const { createClient } = require('@supabase/supabase-js');
-
-// Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
+const { supabase } = require('../config/database');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/analytics');
+const { ApiError } = require('../middleware/errors');
+const timezones = require('../services/timezones');
 
 // ============================================================================
 // USER ANALYTICS (Personal dashboard)
 // ============================================================================
-router.get('/user/:userId', async (req, res) => {
+router.get('/user/:userId', validate(schemas.userAnalytics), async (req, res, next) => {
   try {
     const { userId } = req.params;
     const { timeframe = '30d' } = req.query;
@@ -110,9 +108,12 @@ router.get('/user/:userId', async (req, res) => {
       .gte('created_at', startDate.toISOString())
       .order('created_at');
 
+    // Days run midnight to midnight in the user's timezone
+    const timezone = timezones.resolve(req.get('X-Timezone'), user?.timezone);
+
     const dailyActivity = {};
     dailyPosts?.forEach(post => {
-      const date = new Date(post.created_at).toISOString().split('T')[0];
+      const date = timezones.localDate(post.created_at, timezone);
       dailyActivity[date] = (dailyActivity[date] || 0) + 1;
     });
 
@@ -141,23 +142,20 @@ router.get('/user/:userId', async (req, res) => {
           avgEngagementPerPost: avgEngagement
         },
         dailyActivity: dailyActivity,
+        timezone: timezone,
         timeframe: timeframe
       }
     });
 
   } catch (error) {
-    console.error('❌ User analytics error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // POST ANALYTICS (Individual post performance)
 // ============================================================================
-router.get('/post/:postId', async (req, res) => {
+router.get('/post/:postId', validate(schemas.postAnalytics), async (req, res, next) => {
   try {
     const { postId } = req.params;
 
@@ -169,10 +167,7 @@ router.get('/post/:postId', async (req, res) => {
       .single();
 
     if (postError || !post) {
-      return res.status(404).json({
-        success: false,
-        error: 'Post not found'
-      });
+      return next(ApiError.notFound('Post not found'));
     }
 
     // Get reactions breakdown
@@ -244,11 +239,7 @@ router.get('/post/:postId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Post analytics error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
@@ -271,7 +262,7 @@ function calculateViralScore(post) {
 // ============================================================================
 // CELEBRITY DASHBOARD ANALYTICS
 // ============================================================================
-router.get('/celebrity/:userId', async (req, res) => {
+router.get('/celebrity/:userId', validate(schemas.userAnalytics), async (req, res, next) => {
   try {
     const { userId } = req.params;
     const { timeframe = '30d' } = req.query;
@@ -355,18 +346,14 @@ router.get('/celebrity/:userId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Celebrity analytics error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // PLATFORM-WIDE STATISTICS (Admin only)
 // ============================================================================
-router.get('/platform/stats', async (req, res) => {
+router.get('/platform/stats', async (req, res, next) => {
   try {
     // Total users
     const { count: totalUsers } = await supabase
@@ -460,18 +447,14 @@ router.get('/platform/stats', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Platform stats error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // SCORE TRACKING (Wisdom & Aura over time)
 // ============================================================================
-router.get('/scores/:userId/history', async (req, res) => {
+router.get('/scores/:userId/history', validate(schemas.scoreHistory), async (req, res, next) => {
   try {
     const { userId } = req.params;
 
@@ -496,11 +479,7 @@ router.get('/scores/:userId/history', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Score history error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
@@ -511,13 +490,15 @@ router.get('/health', (req, res) => {
   res.json({
     success: true,
     message: 'Analytics service is running',
-    features: [
-      'User analytics',
-      'Post analytics',
-      'Celebrity dashboard',
-      'Platform statistics',
-      'Score tracking'
-    ]
+    data: {
+      features: [
+        'User analytics',
+        'Post analytics',
+        'Celebrity dashboard',
+        'Platform statistics',
+        'Score tracking'
+      ]
+    }
   });
 });
 
@@ -0,0 +1,234 @@
+// routes/auth.js
+// Authentication API - Signup, Login, Token Refresh, Logout
+
+const express = require('express');
+const router = express.Router();
+const { supabase } = require('../config/database');
+const users = require('../repositories/users');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/auth');
+const { ApiError } = require('../middleware/errors');
+const {
+  hashPassword,
+  verifyPassword,
+  signAccessToken,
+  signRefreshToken,
+  verifyRefreshToken,
+  hashToken
+} = require('../config/auth');
+
+// Helper: Issue an access + refresh token pair and persist the refresh token
+async function issueTokens(user, req) {
+  const accessToken = signAccessToken(user);
+  const refresh = signRefreshToken(user);
+
+  const { error } = await supabase
+    .from('refresh_tokens')
+    .insert({
+      id: refresh.tokenId,
+      user_id: user.id,
+      token_hash: hashToken(refresh.token),
+      user_agent: req.headers['user-agent'] || null,
+      expires_at: refresh.expiresAt.toISOString()
+    });
+
+  if (error) throw error;
+
+  return {
+    accessToken: accessToken,
+    refreshToken: refresh.token,
+    tokenType: 'Bearer'
+  };
+}
+
+// ==========================================
+// SIGNUP
+// ==========================================
+router.post('/signup', validate(schemas.signup), async (req, res, next) => {
+  try {
+    const { username, email, password, avatar_url, bio } = req.body;
+
+    // Check for existing account
+    const emailTaken = await users.findByEmail(email, 'id');
+    const usernameTaken = await users.findByUsername(username, 'id');
+
+    if (emailTaken || usernameTaken) {
+      return next(ApiError.conflict('Username or email already exists'));
+    }
+
+    const passwordHash = await hashPassword(password);
+
+    const user = await users.create({
+      username: username,
+      email: email,
+      passwordHash: passwordHash,
+      avatarUrl: avatar_url,
+      bio: bio
+    });
+
+    const tokens = await issueTokens(user, req);
+
+    console.log(`✅ User signed up: ${user.id}`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        user: user,
+        ...tokens
+      }
+    });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return next(ApiError.conflict('Username or email already exists'));
+    }
+    next(error);
+  }
+});
+
+// ==========================================
+// LOGIN (email or username)
+// ==========================================
+router.post('/login', validate(schemas.login), async (req, res, next) => {
+  try {
+    const { email, username, password } = req.body;
+
+    if (!email && !username) {
+      return next(ApiError.badRequest('Email or username is required'));
+    }
+
+    const fields = `${users.PUBLIC_USER_FIELDS}, password_hash`;
+    const user = email
+      ? await users.findByEmail(email, fields)
+      : await users.findByUsername(username, fields);
+
+    const passwordOk = user ? await verifyPassword(password, user.password_hash) : false;
+
+    if (!passwordOk) {
+      return next(ApiError.unauthorized('Invalid credentials'));
+    }
+
+    delete user.password_hash;
+
+    const tokens = await issueTokens(user, req);
+
+    res.json({
+      success: true,
+      data: {
+        user: user,
+        ...tokens
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==========================================
+// REFRESH (rotates the refresh token)
+// ==========================================
+router.post('/refresh', validate(schemas.refresh), async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    let payload;
+    try {
+      payload = verifyRefreshToken(refreshToken);
+    } catch (err) {
+      return next(ApiError.unauthorized('Invalid or expired refresh token'));
+    }
+
+    const { data: stored } = await supabase
+      .from('refresh_tokens')
+      .select('id, user_id, revoked_at, expires_at')
+      .eq('token_hash', hashToken(refreshToken))
+      .maybeSingle();
+
+    if (!stored || stored.revoked_at || new Date(stored.expires_at) < new Date()) {
+      return next(ApiError.unauthorized('Invalid or expired refresh token'));
+    }
+
+    const user = await users.findById(payload.sub);
+
+    if (!user) {
+      return next(ApiError.unauthorized('User no longer exists'));
+    }
+
+    // Revoke the used token before issuing a new pair
+    await supabase
+      .from('refresh_tokens')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', stored.id);
+
+    const tokens = await issueTokens(user, req);
+
+    res.json({
+      success: true,
+      data: tokens
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==========================================
+// LOGOUT (revokes the refresh token)
+// ==========================================
+router.post('/logout', validate(schemas.logout), async (req, res, next) => {
+  try {
+    const { refreshToken, allDevices = false } = req.body;
+
+    if (allDevices) {
+      if (!req.user?.id) {
+        return next(ApiError.unauthorized('Authentication required'));
+      }
+
+      await supabase
+        .from('refresh_tokens')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('user_id', req.user.id)
+        .is('revoked_at', null);
+    } else if (refreshToken) {
+      await supabase
+        .from('refresh_tokens')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('token_hash', hashToken(refreshToken));
+    } else {
+      return next(ApiError.badRequest('Refresh token is required'));
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==========================================
+// CURRENT USER
+// ==========================================
+router.get('/me', requireAuth, async (req, res, next) => {
+  try {
+    const user = await users.findById(req.user.id);
+
+    if (!user) {
+      return next(ApiError.notFound('User not found'));
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,15 @@
 const express = require('express');
 const router = express.Router();
-const { createClient } = require('@supabase/supabase-js');
-
-// Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
+const { bindActor, requireOwner } = require('../middleware/authorize');
+const { supabase } = require('../config/database');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/avatar');
+const { ApiError } = require('../middleware/errors');
 
 // ============================================================================
 // CREATE/UPDATE USER AVATAR
 // ============================================================================
-router.post('/create', async (req, res) => {
+router.post('/create', bindActor('userId'), validate(schemas.saveAvatar), async (req, res, next) => {
   try {
     const {
       userId,
@@ -24,13 +22,6 @@ router.post('/create', async (req, res) => {
       enabled
     } = req.body;
 
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID is required'
-      });
-    }
-
     // Check if avatar already exists
     const { data: existing } = await supabase
       .from('user_avatars')
@@ -96,18 +87,14 @@ router.post('/create', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Create avatar error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // GET USER AVATAR
 // ============================================================================
-router.get('/:userId', async (req, res) => {
+router.get('/:userId', validate(schemas.userParams), async (req, res, next) => {
   try {
     const { userId } = req.params;
 
@@ -133,28 +120,17 @@ router.get('/:userId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Get avatar error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // START AVATAR CHAT SESSION
 // ============================================================================
-router.post('/chat/start', async (req, res) => {
+router.post('/chat/start', bindActor('requesterId'), validate(schemas.startChat), async (req, res, next) => {
   try {
     const { requesterId, targetUserId } = req.body;
 
-    if (!requesterId || !targetUserId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Requester ID and target user ID are required'
-      });
-    }
-
     // Check if target user has avatar enabled
     const { data: avatar, error: avatarError } = await supabase
       .from('user_avatars')
@@ -163,10 +139,7 @@ router.post('/chat/start', async (req, res) => {
       .single();
 
     if (avatarError || !avatar || !avatar.enabled) {
-      return res.status(404).json({
-        success: false,
-        error: 'This user does not have an AI avatar enabled'
-      });
+      return next(ApiError.notFound('This user does not have an AI avatar enabled'));
     }
 
     // Check if chat session already exists
@@ -218,28 +191,17 @@ router.post('/chat/start', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Start chat error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // SEND MESSAGE TO AVATAR
 // ============================================================================
-router.post('/chat/message', async (req, res) => {
+router.post('/chat/message', bindActor('sender'), validate(schemas.sendMessage), async (req, res, next) => {
   try {
     const { sessionId, message, sender } = req.body;
 
-    if (!sessionId || !message || !sender) {
-      return res.status(400).json({
-        success: false,
-        error: 'Session ID, message, and sender are required'
-      });
-    }
-
     // Get session details
     const { data: session, error: sessionError } = await supabase
       .from('avatar_chat_sessions')
@@ -248,10 +210,11 @@ router.post('/chat/message', async (req, res) => {
       .single();
 
     if (sessionError || !session) {
-      return res.status(404).json({
-        success: false,
-        error: 'Chat session not found'
-      });
+      return next(ApiError.notFound('Chat session not found'));
+    }
+
+    if (session.requester_id !== sender) {
+      return next(ApiError.forbidden('You can only chat in your own sessions'));
     }
 
     // Get avatar personality
@@ -316,18 +279,14 @@ router.post('/chat/message', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Send message error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // GET CHAT HISTORY
 // ============================================================================
-router.get('/chat/:sessionId/messages', async (req, res) => {
+router.get('/chat/:sessionId/messages', validate(schemas.chatHistory), async (req, res, next) => {
   try {
     const { sessionId } = req.params;
     const { limit = 50, offset = 0 } = req.query;
@@ -347,18 +306,14 @@ router.get('/chat/:sessionId/messages', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Get messages error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // GET USER'S CHAT SESSIONS
 // ============================================================================
-router.get('/chat/user/:userId/sessions', async (req, res) => {
+router.get('/chat/user/:userId/sessions', validate(schemas.userSessions), async (req, res, next) => {
   try {
     const { userId } = req.params;
     const { status = 'active' } = req.query;
@@ -378,18 +333,14 @@ router.get('/chat/user/:userId/sessions', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Get sessions error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // END CHAT SESSION
 // ============================================================================
-router.put('/chat/:sessionId/end', async (req, res) => {
+router.put('/chat/:sessionId/end', validate(schemas.endChat), requireOwner({ table: 'avatar_chat_sessions', param: 'sessionId', ownerColumn: 'requester_id', label: 'Chat session' }), async (req, res, next) => {
   try {
     const { sessionId } = req.params;
     const { finalVibeScore, feedback } = req.body;
@@ -417,18 +368,14 @@ router.put('/chat/:sessionId/end', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ End session error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // GET VIBE SCORE
 // ============================================================================
-router.get('/chat/:sessionId/vibe-score', async (req, res) => {
+router.get('/chat/:sessionId/vibe-score', validate(schemas.sessionParams), async (req, res, next) => {
   try {
     const { sessionId } = req.params;
 
@@ -453,18 +400,14 @@ router.get('/chat/:sessionId/vibe-score', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Get vibe score error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // AVATAR STATISTICS
 // ============================================================================
-router.get('/stats/:userId', async (req, res) => {
+router.get('/stats/:userId', validate(schemas.userParams), async (req, res, next) => {
   try {
     const { userId } = req.params;
 
@@ -501,11 +444,7 @@ router.get('/stats/:userId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Avatar stats error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
@@ -589,13 +528,15 @@ router.get('/health', (req, res) => {
   res.json({
     success: true,
     message: 'AI Avatar service is running',
-    features: [
-      'Create AI avatars',
-      'Avatar chat sessions',
-      'Vibe score calculation',
-      'Chat history',
-      'Safety recommendations'
-    ]
+    data: {
+      features: [
+        'Create AI avatars',
+        'Avatar chat sessions',
+        'Vibe score calculation',
+        'Chat history',
+        'Safety recommendations'
+      ]
+    }
   });
 });
 
@@ -2,9 +2,14 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/database');
 const { checkPremium } = require('../middleware/checkPremium');
+const { requireSelf } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/celebrity');
+const { ApiError } = require('../middleware/errors');
+const postDrafts = require('../repositories/postDrafts');
 
 // GET CELEBRITY DASHBOARD
-router.get('/dashboard/:userId', checkPremium('celebrity_dashboard'), async (req, res) => {
+router.get('/dashboard/:userId', checkPremium('celebrity_dashboard'), async (req, res, next) => {
   try {
     const { userId } = req.params;
     
@@ -16,7 +21,7 @@ router.get('/dashboard/:userId', checkPremium('celebrity_dashboard'), async (req
     `, [userId]);
     
     if (celebrity.rows.length === 0) {
-      return res.status(404).json({ status: 'error', message: 'User not found' });
+      return next(ApiError.notFound('User not found'));
     }
     
     const fanTiers = await pool.query(`
@@ -51,24 +56,27 @@ router.get('/dashboard/:userId', checkPremium('celebrity_dashboard'), async (req
       ORDER BY ufs.total_interactions DESC
       LIMIT 10
     `, [userId]);
+
+    // Drafts and scheduled posts are only shown to the creator
+    const contentQueue = req.user?.id === userId ? await postDrafts.summarizeQueue(userId) : null;
     
     res.json({
-      status: 'success',
+      success: true,
       data: {
         celebrity: celebrity.rows[0],
         fan_tiers: fanTiers.rows[0],
         today_stats: todayStats.rows[0],
-        die_hard_fans: dieHardFans.rows
+        die_hard_fans: dieHardFans.rows,
+        content_queue: contentQueue
       }
     });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ status: 'error', message: error.message });
+    next(error);
   }
 });
 
 // GET FAN TIERS BREAKDOWN
-router.get('/:userId/fans/tiers', async (req, res) => {
+router.get('/:userId/fans/tiers', async (req, res, next) => {
   try {
     const { userId } = req.params;
     
@@ -86,17 +94,16 @@ router.get('/:userId/fans/tiers', async (req, res) => {
     `, [userId]);
     
     res.json({
-      status: 'success',
+      success: true,
       data: result.rows
     });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ status: 'error', message: error.message });
+    next(error);
   }
 });
 
 // GET DIE-HARD FANS LIST
-router.get('/:userId/fans/die-hard', async (req, res) => {
+router.get('/:userId/fans/die-hard', validate(schemas.dieHardFans), async (req, res, next) => {
   try {
     const { userId } = req.params;
     const { limit = 50, offset = 0 } = req.query;
@@ -123,18 +130,19 @@ router.get('/:userId/fans/die-hard', async (req, res) => {
     `, [userId, limit, offset]);
     
     res.json({
-      status: 'success',
-      count: result.rows.length,
-      data: result.rows
+      success: true,
+      data: result.rows,
+      meta: {
+        count: result.rows.length
+      }
     });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ status: 'error', message: error.message });
+    next(error);
   }
 });
 
 // GET CELEBRITY SETTINGS
-router.get('/:userId/settings', async (req, res) => {
+router.get('/:userId/settings', async (req, res, next) => {
   try {
     const { userId } = req.params;
     
@@ -152,17 +160,16 @@ router.get('/:userId/settings', async (req, res) => {
     }
     
     res.json({
-      status: 'success',
+      success: true,
       data: result.rows[0]
     });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ status: 'error', message: error.message });
+    next(error);
   }
 });
 
 // UPDATE CELEBRITY SETTINGS
-router.put('/:userId/settings', async (req, res) => {
+router.put('/:userId/settings', requireSelf('userId'), validate(schemas.updateSettings), async (req, res, next) => {
   try {
     const { userId } = req.params;
     const {
@@ -200,17 +207,16 @@ router.put('/:userId/settings', async (req, res) => {
     ]);
     
     res.json({
-      status: 'success',
+      success: true,
       data: result.rows[0]
     });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ status: 'error', message: error.message });
+    next(error);
   }
 });
 
 // GET AI INSIGHTS
-router.get('/:userId/insights', async (req, res) => {
+router.get('/:userId/insights', validate(schemas.listInsights), async (req, res, next) => {
   try {
     const { userId } = req.params;
     const { limit = 10, unread_only = false } = req.query;
@@ -220,7 +226,7 @@ router.get('/:userId/insights', async (req, res) => {
       WHERE celebrity_user_id = $1
     `;
     
-    if (unread_only === 'true') {
+    if (unread_only) {
       query += ` AND is_read = false`;
     }
     
@@ -229,18 +235,19 @@ router.get('/:userId/insights', async (req, res) => {
     const result = await pool.query(query, [userId, limit]);
     
     res.json({
-      status: 'success',
-      count: result.rows.length,
-      data: result.rows
+      success: true,
+      data: result.rows,
+      meta: {
+        count: result.rows.length
+      }
     });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ status: 'error', message: error.message });
+    next(error);
   }
 });
 
 // CREATE AI INSIGHT
-router.post('/:userId/insights', async (req, res) => {
+router.post('/:userId/insights', requireSelf('userId'), validate(schemas.createInsight), async (req, res, next) => {
   try {
     const { userId } = req.params;
     const { insight_type, insight_title, insight_description, priority } = req.body;
@@ -253,17 +260,16 @@ router.post('/:userId/insights', async (req, res) => {
     `, [userId, insight_type, insight_title, insight_description, priority || 'medium']);
     
     res.status(201).json({
-      status: 'success',
+      success: true,
       data: result.rows[0]
     });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ status: 'error', message: error.message });
+    next(error);
   }
 });
 
 // GET FILTERED COMMENTS (By Priority)
-router.get('/:userId/comments/filtered', async (req, res) => {
+router.get('/:userId/comments/filtered', validate(schemas.filteredComments), async (req, res, next) => {
   try {
     const { userId } = req.params;
     const { post_id, filter = 'all' } = req.query;
@@ -311,14 +317,15 @@ router.get('/:userId/comments/filtered', async (req, res) => {
     `, [userId, post_id]);
     
     res.json({
-      status: 'success',
-      filter: filter,
-      count: result.rows.length,
-      data: result.rows
+      success: true,
+      data: result.rows,
+      meta: {
+        filter: filter,
+        count: result.rows.length
+      }
     });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ status: 'error', message: error.message });
+    next(error);
   }
 });
 
@@ -1,17 +1,15 @@
 const express = require('express');
 const router = express.Router();
-const { createClient } = require('@supabase/supabase-js');
-
-// Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
+const { bindActor, requireSelf } = require('../middleware/authorize');
+const { supabase } = require('../config/database');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/charity');
+const { ApiError } = require('../middleware/errors');
 
 // ============================================================================
 // CREATE CHARITY CAMPAIGN
 // ============================================================================
-router.post('/campaigns/create', async (req, res) => {
+router.post('/campaigns/create', bindActor('userId'), validate(schemas.createCampaign), async (req, res, next) => {
   try {
     const {
       userId,
@@ -25,14 +23,6 @@ router.post('/campaigns/create', async (req, res) => {
       endDate
     } = req.body;
 
-    // Validate required fields
-    if (!userId || !title || !goalAmount) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID, title, and goal amount are required'
-      });
-    }
-
     // SKIP USER CHECK FOR TESTING - User validation disabled
     // This allows testing without needing to create users first
 
@@ -69,18 +59,14 @@ router.post('/campaigns/create', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Create campaign error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to create campaign'
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // GET ALL ACTIVE CAMPAIGNS
 // ============================================================================
-router.get('/campaigns', async (req, res) => {
+router.get('/campaigns', validate(schemas.listCampaigns), async (req, res, next) => {
   try {
     const { category, status = 'active', limit = 20 } = req.query;
 
@@ -113,18 +99,14 @@ router.get('/campaigns', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Get campaigns error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // GET CAMPAIGN BY ID
 // ============================================================================
-router.get('/campaigns/:campaignId', async (req, res) => {
+router.get('/campaigns/:campaignId', validate(schemas.campaignParams), async (req, res, next) => {
   try {
     const { campaignId } = req.params;
 
@@ -135,10 +117,7 @@ router.get('/campaigns/:campaignId', async (req, res) => {
       .single();
 
     if (error || !data) {
-      return res.status(404).json({
-        success: false,
-        error: 'Campaign not found'
-      });
+      return next(ApiError.notFound('Campaign not found'));
     }
 
     // Get donation count
@@ -165,36 +144,17 @@ router.get('/campaigns/:campaignId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Get campaign error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // DONATE TO CAMPAIGN
 // ============================================================================
-router.post('/donate', async (req, res) => {
+router.post('/donate', bindActor('userId'), validate(schemas.donate), async (req, res, next) => {
   try {
     const { userId, campaignId, amount, anonymous = false, message } = req.body;
 
-    // Validate
-    if (!userId || !campaignId || !amount) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID, campaign ID, and amount are required'
-      });
-    }
-
-    if (amount <= 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Donation amount must be greater than 0'
-      });
-    }
-
     // Get campaign
     const { data: campaign, error: campaignError } = await supabase
       .from('charity_campaigns')
@@ -204,10 +164,7 @@ router.post('/donate', async (req, res) => {
       .single();
 
     if (campaignError || !campaign) {
-      return res.status(404).json({
-        success: false,
-        error: 'Campaign not found or not active'
-      });
+      return next(ApiError.notFound('Campaign not found or not active'));
     }
 
     // Create donation
@@ -272,18 +229,14 @@ router.post('/donate', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Donation error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to process donation'
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // GET USER'S DONATION HISTORY
 // ============================================================================
-router.get('/donations/user/:userId', async (req, res) => {
+router.get('/donations/user/:userId', requireSelf('userId'), validate(schemas.donationHistory), async (req, res, next) => {
   try {
     const { userId } = req.params;
     const { limit = 50 } = req.query;
@@ -312,18 +265,14 @@ router.get('/donations/user/:userId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Get donations error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // GET CAMPAIGN DONORS
 // ============================================================================
-router.get('/campaigns/:campaignId/donors', async (req, res) => {
+router.get('/campaigns/:campaignId/donors', validate(schemas.campaignDonors), async (req, res, next) => {
   try {
     const { campaignId } = req.params;
     const { limit = 20 } = req.query;
@@ -363,11 +312,7 @@ router.get('/campaigns/:campaignId/donors', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Get donors error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
@@ -378,13 +323,15 @@ router.get('/health', (req, res) => {
   res.json({
     success: true,
     message: 'Charity service is running',
-    features: [
-      'Create campaigns',
-      'Donate with tracking',
-      'Milestones',
-      'Impact reports',
-      'Analytics'
-    ]
+    data: {
+      features: [
+        'Create campaigns',
+        'Donate with tracking',
+        'Milestones',
+        'Impact reports',
+        'Analytics'
+      ]
+    }
   });
 });
 
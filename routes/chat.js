@@ -1,27 +1,22 @@
 const express = require('express');
 const router = express.Router();
-const { createClient } = require('@supabase/supabase-js');
-
-// Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
+const { bindActor, requireSelf, requireOwner, requireParticipant } = require('../middleware/authorize');
+const { supabase } = require('../config/database');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/chat');
+const { ApiError } = require('../middleware/errors');
+const moderation = require('../services/moderation');
+const crisisAlerts = require('../repositories/crisisAlerts');
+const crisisResources = require('../services/crisisResources');
+const crisisCases = require('../services/crisisCases');
 
 // ============================================================================
 // CREATE CONVERSATION (Direct or Group)
 // ============================================================================
-router.post('/conversations/create', async (req, res) => {
+router.post('/conversations/create', bindActor('creatorId'), validate(schemas.createConversation), async (req, res, next) => {
   try {
     const { creatorId, participantIds, type, name, description } = req.body;
 
-    if (!creatorId || !participantIds || participantIds.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Creator ID and participant IDs are required'
-      });
-    }
-
     const conversationType = type || (participantIds.length === 1 ? 'direct' : 'group');
 
     // For direct messages, check if conversation already exists
@@ -92,18 +87,14 @@ router.post('/conversations/create', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Create conversation error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // GET USER'S CONVERSATIONS
 // ============================================================================
-router.get('/conversations/user/:userId', async (req, res) => {
+router.get('/conversations/user/:userId', requireSelf('userId'), validate(schemas.userConversations), async (req, res, next) => {
   try {
     const { userId } = req.params;
     const { limit = 50 } = req.query;
@@ -174,18 +165,14 @@ router.get('/conversations/user/:userId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Get conversations error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // GET CONVERSATION MESSAGES
 // ============================================================================
-router.get('/conversations/:conversationId/messages', async (req, res) => {
+router.get('/conversations/:conversationId/messages', validate(schemas.conversationMessages), requireParticipant(), async (req, res, next) => {
   try {
     const { conversationId } = req.params;
     const { limit = 50, offset = 0 } = req.query;
@@ -199,33 +186,30 @@ router.get('/conversations/:conversationId/messages', async (req, res) => {
 
     if (error) throw error;
 
+    // Crisis support chats carry the helplines for the user's location
+    const alert = await crisisAlerts.findBySupportConversation(conversationId);
+    const crisisResourceList = alert
+      ? (await crisisResources.forAlert(alert, crisisResources.MAX_RESOURCES)).map(crisisResources.toSummary)
+      : null;
+
     res.json({
       success: true,
-      data: data.reverse()
+      data: data.reverse(),
+      ...(alert && { meta: { crisisResources: crisisResourceList } })
     });
 
   } catch (error) {
-    console.error('❌ Get messages error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // SEND MESSAGE
 // ============================================================================
-router.post('/messages/send', async (req, res) => {
+router.post('/messages/send', bindActor('senderId'), validate(schemas.sendMessage), requireParticipant(), async (req, res, next) => {
   try {
     const { conversationId, senderId, content, messageType, attachmentUrl } = req.body;
-
-    if (!conversationId || !senderId || !content) {
-      return res.status(400).json({
-        success: false,
-        error: 'Conversation ID, sender ID, and content are required'
-      });
-    }
+    const safety = await moderation.analyzeText(content);
 
     const { data: message, error } = await supabase
       .from('messages')
@@ -235,7 +219,8 @@ router.post('/messages/send', async (req, res) => {
         content: content,
         message_type: messageType || 'text',
         attachment_url: attachmentUrl,
-        read: false
+        read: false,
+        ...moderation.toColumns(safety)
       })
       .select()
       .single();
@@ -249,34 +234,38 @@ router.post('/messages/send', async (req, res) => {
 
     console.log(`💬 Message sent in conversation ${conversationId}`);
 
+    // The message is sent; a crisis case failing to open must not look like a
+    // failed send (the client would retry and send it twice)
+    let crisis = null;
+    if (safety.isCrisis) {
+      try {
+        crisis = await crisisCases.openFromModeration(safety, { userId: senderId, sourceType: 'message', sourceId: message.id, content });
+      } catch (error) {
+        console.error('❌ Crisis alert error:', error);
+      }
+    }
+
     res.json({
       success: true,
-      data: message
+      data: message,
+      meta: {
+        crisisDetected: safety.isCrisis,
+        crisisResources: crisis ? crisis.resources : []
+      }
     });
 
   } catch (error) {
-    console.error('❌ Send message error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // MARK MESSAGES AS READ
 // ============================================================================
-router.put('/messages/read', async (req, res) => {
+router.put('/messages/read', bindActor('userId'), validate(schemas.markRead), async (req, res, next) => {
   try {
     const { conversationId, userId } = req.body;
 
-    if (!conversationId || !userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Conversation ID and user ID are required'
-      });
-    }
-
     const { data, error } = await supabase
       .from('messages')
       .update({ read: true, read_at: new Date().toISOString() })
@@ -294,18 +283,14 @@ router.put('/messages/read', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Mark as read error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // DELETE MESSAGE
 // ============================================================================
-router.delete('/messages/:messageId', async (req, res) => {
+router.delete('/messages/:messageId', validate(schemas.messageParams), requireOwner({ table: 'messages', param: 'messageId', ownerColumn: 'sender_id', label: 'Message' }), bindActor('userId'), async (req, res, next) => {
   try {
     const { messageId } = req.params;
     const { userId } = req.body;
@@ -317,10 +302,7 @@ router.delete('/messages/:messageId', async (req, res) => {
       .single();
 
     if (!message || message.sender_id !== userId) {
-      return res.status(403).json({
-        success: false,
-        error: 'Unauthorized to delete this message'
-      });
+      return next(ApiError.forbidden('Unauthorized to delete this message'));
     }
 
     const { error } = await supabase
@@ -336,18 +318,14 @@ router.delete('/messages/:messageId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Delete message error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // LEAVE CONVERSATION
 // ============================================================================
-router.delete('/conversations/:conversationId/leave', async (req, res) => {
+router.delete('/conversations/:conversationId/leave', bindActor('userId'), validate(schemas.conversationParams), async (req, res, next) => {
   try {
     const { conversationId } = req.params;
     const { userId } = req.body;
@@ -368,28 +346,17 @@ router.delete('/conversations/:conversationId/leave', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Leave conversation error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // CREATE CELEBRITY CHAT
 // ============================================================================
-router.post('/celebrity/create', async (req, res) => {
+router.post('/celebrity/create', bindActor('celebrityId'), validate(schemas.createFanGroup), async (req, res, next) => {
   try {
     const { celebrityId, fanTier, name, description, maxMembers } = req.body;
 
-    if (!celebrityId || !fanTier) {
-      return res.status(400).json({
-        success: false,
-        error: 'Celebrity ID and fan tier are required'
-      });
-    }
-
     const { data: conversation, error: convError } = await supabase
       .from('conversations')
       .insert({
@@ -436,28 +403,17 @@ router.post('/celebrity/create', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Create celebrity chat error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // JOIN CELEBRITY CHAT
 // ============================================================================
-router.post('/celebrity/join', async (req, res) => {
+router.post('/celebrity/join', bindActor('userId'), validate(schemas.joinFanGroup), async (req, res, next) => {
   try {
     const { userId, conversationId } = req.body;
 
-    if (!userId || !conversationId) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID and conversation ID are required'
-      });
-    }
-
     const { data: conversation } = await supabase
       .from('conversations')
       .select('celebrity_id')
@@ -465,10 +421,7 @@ router.post('/celebrity/join', async (req, res) => {
       .single();
 
     if (!conversation) {
-      return res.status(404).json({
-        success: false,
-        error: 'Conversation not found'
-      });
+      return next(ApiError.notFound('Conversation not found'));
     }
 
     const { data: fanStatus } = await supabase
@@ -479,10 +432,7 @@ router.post('/celebrity/join', async (req, res) => {
       .single();
 
     if (!fanStatus) {
-      return res.status(403).json({
-        success: false,
-        error: 'You must be a fan to join this chat'
-      });
+      return next(ApiError.forbidden('You must be a fan to join this chat'));
     }
 
     const { data: fanGroup } = await supabase
@@ -493,10 +443,7 @@ router.post('/celebrity/join', async (req, res) => {
 
     const tierLevels = { new: 1, active: 2, loyal: 3, super_fan: 4, die_hard: 5 };
     if (tierLevels[fanStatus.tier] < tierLevels[fanGroup.min_tier_required]) {
-      return res.status(403).json({
-        success: false,
-        error: `You need to be at least ${fanGroup.min_tier_required} tier`
-      });
+      return next(ApiError.forbidden(`You need to be at least ${fanGroup.min_tier_required} tier`));
     }
 
     const { data, error } = await supabase
@@ -521,28 +468,17 @@ router.post('/celebrity/join', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Join celebrity chat error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // CREATE WORKPLACE ORGANIZATION
 // ============================================================================
-router.post('/workplace/organization/create', async (req, res) => {
+router.post('/workplace/organization/create', bindActor('creatorId'), validate(schemas.createOrganization), async (req, res, next) => {
   try {
     const { name, description, logoUrl, creatorId, maxMembers } = req.body;
 
-    if (!name || !creatorId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Name and creator ID are required'
-      });
-    }
-
     const { data: org, error: orgError } = await supabase
       .from('organizations')
       .insert({
@@ -574,28 +510,17 @@ router.post('/workplace/organization/create', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Create organization error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // CREATE WORKPLACE CHAT
 // ============================================================================
-router.post('/workplace/chat/create', async (req, res) => {
+router.post('/workplace/chat/create', bindActor('creatorId'), validate(schemas.createWorkplaceChat), async (req, res, next) => {
   try {
     const { organizationId, name, description, creatorId } = req.body;
 
-    if (!organizationId || !name || !creatorId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Organization ID, name, and creator ID are required'
-      });
-    }
-
     const { data: membership } = await supabase
       .from('organization_members')
       .select('role')
@@ -604,10 +529,7 @@ router.post('/workplace/chat/create', async (req, res) => {
       .single();
 
     if (!membership) {
-      return res.status(403).json({
-        success: false,
-        error: 'You must be a member of this organization'
-      });
+      return next(ApiError.forbidden('You must be a member of this organization'));
     }
 
     const { data: conversation, error } = await supabase
@@ -641,28 +563,17 @@ router.post('/workplace/chat/create', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Create workplace chat error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // SET USER MOOD
 // ============================================================================
-router.post('/mood/set', async (req, res) => {
+router.post('/mood/set', bindActor('userId'), validate(schemas.setMood), async (req, res, next) => {
   try {
     const { userId, conversationId, mood, emoji, durationMinutes } = req.body;
 
-    if (!userId || !conversationId || !mood) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID, conversation ID, and mood are required'
-      });
-    }
-
     const duration = durationMinutes || 60;
     const expiresAt = new Date();
     expiresAt.setMinutes(expiresAt.getMinutes() + duration);
@@ -697,18 +608,14 @@ router.post('/mood/set', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Set mood error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // GET CONVERSATION MOODS
 // ============================================================================
-router.get('/conversations/:conversationId/moods', async (req, res) => {
+router.get('/conversations/:conversationId/moods', validate(schemas.conversationParams), async (req, res, next) => {
   try {
     const { conversationId } = req.params;
 
@@ -726,11 +633,7 @@ router.get('/conversations/:conversationId/moods', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Get moods error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
@@ -741,16 +644,18 @@ router.get('/health', (req, res) => {
   res.json({
     success: true,
     message: 'Chat service is running',
-    features: [
-      'Direct messages',
-      'Group chats',
-      'Celebrity fan chats',
-      'Workplace chats',
-      'Mood tracking',
-      'Real-time messaging (Socket.IO)',
-      'Read receipts',
-      'Typing indicators'
-    ]
+    data: {
+      features: [
+        'Direct messages',
+        'Group chats',
+        'Celebrity fan chats',
+        'Workplace chats',
+        'Mood tracking',
+        'Real-time messaging (Socket.IO)',
+        'Read receipts',
+        'Typing indicators'
+      ]
+    }
   });
 });
 
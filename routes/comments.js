@@ -3,7 +3,13 @@
 
 const express = require('express');
 const router = express.Router();
-const supabase = require('../config/database');
+const { supabase } = require('../config/database');
+const { bindActor, requireOwner } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/comments');
+const { ApiError } = require('../middleware/errors');
+const moderation = require('../services/moderation');
+const crisisCases = require('../services/crisisCases');
 
 // Helper: Calculate comment priority score
 async function calculatePriorityScore(userId, celebrityId) {
@@ -54,17 +60,10 @@ async function calculatePriorityScore(userId, celebrityId) {
 // ==========================================
 // CREATE COMMENT
 // ==========================================
-router.post('/create', async (req, res) => {
+router.post('/create', bindActor('user_id'), validate(schemas.createComment), async (req, res, next) => {
   try {
     const { user_id, clip_id, content, parent_comment_id } = req.body;
 
-    if (!user_id || !clip_id || !content) {
-      return res.status(400).json({
-        success: false,
-        message: 'user_id, clip_id, and content are required'
-      });
-    }
-
     // Get post info
     const { data: post, error: postError } = await supabase
       .from('wisdom_clips')
@@ -79,6 +78,8 @@ router.post('/create', async (req, res) => {
     // Calculate priority score
     const priorityScore = await calculatePriorityScore(user_id, celebrityId);
 
+    const safety = await moderation.analyzeText(content);
+
     // Insert comment
     const { data: comment, error: commentError } = await supabase
       .from('comments')
@@ -86,13 +87,26 @@ router.post('/create', async (req, res) => {
         user_id: user_id,
         clip_id: clip_id,
         content: content,
-        parent_comment_id: parent_comment_id || null
+        parent_comment_id: parent_comment_id || null,
+        ...moderation.toColumns(safety)
       }])
       .select()
       .single();
 
     if (commentError) throw commentError;
 
+    // If crisis detected, open (or add to) the author's crisis case. The
+    // comment is saved either way: a case failing to open must not look like
+    // a failed comment (the client would retry and post it twice)
+    let crisis = null;
+    if (safety.isCrisis) {
+      try {
+        crisis = await crisisCases.openFromModeration(safety, { userId: user_id, sourceType: 'comment', sourceId: comment.id, content });
+      } catch (error) {
+        console.error('❌ Crisis alert error:', error);
+      }
+    }
+
     // Store priority score
     await supabase
       .from('comment_priority_scores')
@@ -116,25 +130,24 @@ router.post('/create', async (req, res) => {
 
     res.json({
       success: true,
-      comment: comment,
-      priority_score: priorityScore.final_score,
-      message: 'Comment created successfully'
+      message: 'Comment created successfully',
+      data: comment,
+      meta: {
+        priority_score: priorityScore.final_score,
+        crisisDetected: safety.isCrisis,
+        crisisResources: crisis ? crisis.resources : []
+      }
     });
 
   } catch (error) {
-    console.error('Create comment error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to create comment',
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ==========================================
 // GET COMMENTS FOR POST
 // ==========================================
-router.get('/post/:clipId', async (req, res) => {
+router.get('/post/:clipId', validate(schemas.postComments), async (req, res, next) => {
   try {
     const { clipId } = req.params;
     const { sort = 'priority', limit = 50, offset = 0 } = req.query;
@@ -206,26 +219,23 @@ router.get('/post/:clipId', async (req, res) => {
 
     res.json({
       success: true,
-      comments: paginatedComments,
-      count: paginatedComments.length,
-      total: commentsWithReplies.length,
-      sort_by: sort
+      data: paginatedComments,
+      meta: {
+        count: paginatedComments.length,
+        total: commentsWithReplies.length,
+        sort_by: sort
+      }
     });
 
   } catch (error) {
-    console.error('Get comments error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get comments',
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ==========================================
 // GET FILTERED COMMENTS (Celebrity Dashboard)
 // ==========================================
-router.get('/post/:clipId/filtered', async (req, res) => {
+router.get('/post/:clipId/filtered', validate(schemas.filteredComments), async (req, res, next) => {
   try {
     const { clipId } = req.params;
     const { filter = 'all' } = req.query;
@@ -312,25 +322,22 @@ router.get('/post/:clipId/filtered', async (req, res) => {
 
     res.json({
       success: true,
-      comments: filteredComments,
-      count: filteredComments.length,
-      filter: filter
+      data: filteredComments,
+      meta: {
+        count: filteredComments.length,
+        filter: filter
+      }
     });
 
   } catch (error) {
-    console.error('Get filtered comments error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get filtered comments',
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ==========================================
 // UPDATE COMMENT
 // ==========================================
-router.put('/:commentId', async (req, res) => {
+router.put('/:commentId', validate(schemas.updateComment), requireOwner({ table: 'comments', param: 'commentId', label: 'Comment' }), bindActor('user_id'), async (req, res, next) => {
   try {
     const { commentId } = req.params;
     const { user_id, content } = req.body;
@@ -345,17 +352,17 @@ router.put('/:commentId', async (req, res) => {
     if (checkError) throw checkError;
 
     if (comment.user_id !== user_id) {
-      return res.status(403).json({
-        success: false,
-        message: 'You can only edit your own comments'
-      });
+      return next(ApiError.forbidden('You can only edit your own comments'));
     }
 
+    const safety = await moderation.analyzeText(content);
+
     // Update comment
     const { data: updated, error: updateError } = await supabase
       .from('comments')
       .update({
         content: content,
+        ...moderation.toColumns(safety),
         updated_at: new Date().toISOString()
       })
       .eq('id', commentId)
@@ -364,26 +371,35 @@ router.put('/:commentId', async (req, res) => {
 
     if (updateError) throw updateError;
 
+    // The edit is saved; a crisis case failing to open must not fail it
+    let crisis = null;
+    if (safety.isCrisis) {
+      try {
+        crisis = await crisisCases.openFromModeration(safety, { userId: user_id, sourceType: 'comment', sourceId: commentId, content });
+      } catch (error) {
+        console.error('❌ Crisis alert error:', error);
+      }
+    }
+
     res.json({
       success: true,
-      comment: updated,
-      message: 'Comment updated successfully'
+      message: 'Comment updated successfully',
+      data: updated,
+      meta: {
+        crisisDetected: safety.isCrisis,
+        crisisResources: crisis ? crisis.resources : []
+      }
     });
 
   } catch (error) {
-    console.error('Update comment error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update comment',
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ==========================================
 // DELETE COMMENT
 // ==========================================
-router.delete('/:commentId', async (req, res) => {
+router.delete('/:commentId', validate(schemas.commentParams), requireOwner({ table: 'comments', param: 'commentId', label: 'Comment' }), bindActor('user_id'), async (req, res, next) => {
   try {
     const { commentId } = req.params;
     const { user_id } = req.body;
@@ -398,10 +414,7 @@ router.delete('/:commentId', async (req, res) => {
     if (checkError) throw checkError;
 
     if (comment.user_id !== user_id) {
-      return res.status(403).json({
-        success: false,
-        message: 'You can only delete your own comments'
-      });
+      return next(ApiError.forbidden('You can only delete your own comments'));
     }
 
     // Delete comment (cascade will delete replies)
@@ -418,12 +431,7 @@ router.delete('/:commentId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Delete comment error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to delete comment',
-      error: error.message
-    });
+    next(error);
   }
 });
 
@@ -5,13 +5,11 @@
 
 const express = require('express');
 const router = express.Router();
-const { createClient } = require('@supabase/supabase-js');
-
-// Initialize Supabase client
-const supabase = createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_KEY
-);
+const { supabase } = require('../config/database');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/communities');
+const { ApiError } = require('../middleware/errors');
+const timezones = require('../services/timezones');
 
 // ============================================
 // SECTION 1: COMMUNITY CRUD (10 endpoints)
@@ -19,11 +17,11 @@ const supabase = createClient(
 
 // 1.1 CREATE COMMUNITY
 // POST /api/communities
-router.post('/', async (req, res) => {
+router.post('/', validate(schemas.createCommunity), async (req, res, next) => {
     try {
         const userId = req.user?.id;
         if (!userId) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
+            return next(ApiError.unauthorized('Authentication required'));
         }
 
         const {
@@ -40,14 +38,6 @@ router.post('/', async (req, res) => {
             cover_photo_url
         } = req.body;
 
-        // Validation
-        if (!name || name.trim().length < 3) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Community name must be at least 3 characters' 
-            });
-        }
-
         // Create community
         const { data: community, error } = await supabase
             .from('communities')
@@ -69,10 +59,7 @@ router.post('/', async (req, res) => {
             .select()
             .single();
 
-        if (error) {
-            console.error('Create community error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to create community' });
-        }
+        if (error) throw error;
 
         // Auto-add creator as admin
         await supabase
@@ -90,14 +77,13 @@ router.post('/', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Create community error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
 // 1.2 GET COMMUNITIES (Search & List)
 // GET /api/communities?search=ducati&category=vehicles&location=kl
-router.get('/', async (req, res) => {
+router.get('/', validate(schemas.listCommunities), async (req, res, next) => {
     try {
         const { 
             search, 
@@ -141,30 +127,28 @@ router.get('/', async (req, res) => {
 
         const { data: communities, error, count } = await query;
 
-        if (error) {
-            console.error('Get communities error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to fetch communities' });
-        }
+        if (error) throw error;
 
         res.json({
             success: true,
             data: communities,
-            pagination: {
-                page: parseInt(page),
-                limit: parseInt(limit),
-                total: count
+            meta: {
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total: count
+                }
             }
         });
 
     } catch (error) {
-        console.error('Get communities error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
 // 1.3 GET COMMUNITY DETAILS
 // GET /api/communities/:id
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate(schemas.communityParams), async (req, res, next) => {
     try {
         const { id } = req.params;
         const userId = req.user?.id;
@@ -180,7 +164,7 @@ router.get('/:id', async (req, res) => {
             .single();
 
         if (error || !community) {
-            return res.status(404).json({ success: false, error: 'Community not found' });
+            return next(ApiError.notFound('Community not found'));
         }
 
         // Check if user is member
@@ -211,20 +195,19 @@ router.get('/:id', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Get community details error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
 // 1.4 UPDATE COMMUNITY
 // PUT /api/communities/:id
-router.put('/:id', async (req, res) => {
+router.put('/:id', validate(schemas.updateCommunity), async (req, res, next) => {
     try {
         const { id } = req.params;
         const userId = req.user?.id;
 
         if (!userId) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
+            return next(ApiError.unauthorized('Authentication required'));
         }
 
         // Check if user is creator or moderator
@@ -236,10 +219,7 @@ router.put('/:id', async (req, res) => {
             .single();
 
         if (!membership || !['creator', 'moderator'].includes(membership.role)) {
-            return res.status(403).json({ 
-                success: false, 
-                error: 'Only community creator or moderators can update' 
-            });
+            return next(ApiError.forbidden('Only community creator or moderators can update'));
         }
 
         const updates = req.body;
@@ -254,10 +234,7 @@ router.put('/:id', async (req, res) => {
             .select()
             .single();
 
-        if (error) {
-            console.error('Update community error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to update community' });
-        }
+        if (error) throw error;
 
         res.json({
             success: true,
@@ -266,20 +243,19 @@ router.put('/:id', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Update community error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
 // 1.5 DELETE COMMUNITY
 // DELETE /api/communities/:id
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', validate(schemas.communityParams), async (req, res, next) => {
     try {
         const { id } = req.params;
         const userId = req.user?.id;
 
         if (!userId) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
+            return next(ApiError.unauthorized('Authentication required'));
         }
 
         // Check if user is creator
@@ -290,10 +266,7 @@ router.delete('/:id', async (req, res) => {
             .single();
 
         if (!community || community.creator_id !== userId) {
-            return res.status(403).json({ 
-                success: false, 
-                error: 'Only community creator can delete' 
-            });
+            return next(ApiError.forbidden('Only community creator can delete'));
         }
 
         const { error } = await supabase
@@ -301,10 +274,7 @@ router.delete('/:id', async (req, res) => {
             .delete()
             .eq('id', id);
 
-        if (error) {
-            console.error('Delete community error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to delete community' });
-        }
+        if (error) throw error;
 
         res.json({
             success: true,
@@ -312,14 +282,13 @@ router.delete('/:id', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Delete community error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
 // 1.6 GET CATEGORIES
 // GET /api/communities/categories
-router.get('/system/categories', async (req, res) => {
+router.get('/system/categories', async (req, res, next) => {
     try {
         const { data: categories, error } = await supabase
             .from('categories')
@@ -327,10 +296,7 @@ router.get('/system/categories', async (req, res) => {
             .eq('is_active', true)
             .order('order_index');
 
-        if (error) {
-            console.error('Get categories error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to fetch categories' });
-        }
+        if (error) throw error;
 
         res.json({
             success: true,
@@ -338,14 +304,13 @@ router.get('/system/categories', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Get categories error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
 // 1.7 GET SUB-CATEGORIES
 // GET /api/communities/subcategories/:categoryId
-router.get('/system/subcategories/:categoryId', async (req, res) => {
+router.get('/system/subcategories/:categoryId', async (req, res, next) => {
     try {
         const { categoryId } = req.params;
 
@@ -356,10 +321,7 @@ router.get('/system/subcategories/:categoryId', async (req, res) => {
             .eq('is_active', true)
             .order('order_index');
 
-        if (error) {
-            console.error('Get sub-categories error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to fetch sub-categories' });
-        }
+        if (error) throw error;
 
         res.json({
             success: true,
@@ -367,8 +329,7 @@ router.get('/system/subcategories/:categoryId', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Get sub-categories error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
@@ -378,13 +339,13 @@ router.get('/system/subcategories/:categoryId', async (req, res) => {
 
 // 2.1 JOIN COMMUNITY (with AI Avatar Screening)
 // POST /api/communities/:id/join
-router.post('/:id/join', async (req, res) => {
+router.post('/:id/join', validate(schemas.communityParams), async (req, res, next) => {
     try {
         const { id } = req.params;
         const userId = req.user?.id;
 
         if (!userId) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
+            return next(ApiError.unauthorized('Authentication required'));
         }
 
         // Check if already member
@@ -396,10 +357,7 @@ router.post('/:id/join', async (req, res) => {
             .single();
 
         if (existing) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Already a member of this community' 
-            });
+            return next(ApiError.badRequest('Already a member of this community'));
         }
 
         // Get community details
@@ -410,7 +368,7 @@ router.post('/:id/join', async (req, res) => {
             .single();
 
         if (!community) {
-            return res.status(404).json({ success: false, error: 'Community not found' });
+            return next(ApiError.notFound('Community not found'));
         }
 
         // For private communities, require AI screening
@@ -430,10 +388,7 @@ router.post('/:id/join', async (req, res) => {
                 .select()
                 .single();
 
-            if (error) {
-                console.error('Join community error:', error);
-                return res.status(500).json({ success: false, error: 'Failed to join community' });
-            }
+            if (error) throw error;
 
             return res.json({
                 success: true,
@@ -453,10 +408,7 @@ router.post('/:id/join', async (req, res) => {
             .select()
             .single();
 
-        if (error) {
-            console.error('Join community error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to join community' });
-        }
+        if (error) throw error;
 
         res.json({
             success: true,
@@ -465,20 +417,19 @@ router.post('/:id/join', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Join community error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
 // 2.2 LEAVE COMMUNITY
 // POST /api/communities/:id/leave
-router.post('/:id/leave', async (req, res) => {
+router.post('/:id/leave', validate(schemas.communityParams), async (req, res, next) => {
     try {
         const { id } = req.params;
         const userId = req.user?.id;
 
         if (!userId) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
+            return next(ApiError.unauthorized('Authentication required'));
         }
 
         // Check if creator (can't leave own community)
@@ -489,10 +440,7 @@ router.post('/:id/leave', async (req, res) => {
             .single();
 
         if (community && community.creator_id === userId) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Creator cannot leave community. Transfer ownership or delete community.' 
-            });
+            return next(ApiError.badRequest('Creator cannot leave community. Transfer ownership or delete community.'));
         }
 
         const { error } = await supabase
@@ -501,10 +449,7 @@ router.post('/:id/leave', async (req, res) => {
             .eq('community_id', id)
             .eq('user_id', userId);
 
-        if (error) {
-            console.error('Leave community error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to leave community' });
-        }
+        if (error) throw error;
 
         res.json({
             success: true,
@@ -512,14 +457,13 @@ router.post('/:id/leave', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Leave community error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
 // 2.3 GET COMMUNITY MEMBERS
 // GET /api/communities/:id/members
-router.get('/:id/members', async (req, res) => {
+router.get('/:id/members', validate(schemas.listMembers), async (req, res, next) => {
     try {
         const { id } = req.params;
         const { page = 1, limit = 50, role } = req.query;
@@ -544,10 +488,7 @@ router.get('/:id/members', async (req, res) => {
 
         const { data: members, error } = await query;
 
-        if (error) {
-            console.error('Get members error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to fetch members' });
-        }
+        if (error) throw error;
 
         res.json({
             success: true,
@@ -555,21 +496,20 @@ router.get('/:id/members', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Get members error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
 // 2.4 UPDATE MEMBER ROLE
 // PUT /api/communities/:id/members/:userId/role
-router.put('/:id/members/:memberId/role', async (req, res) => {
+router.put('/:id/members/:memberId/role', validate(schemas.updateMemberRole), async (req, res, next) => {
     try {
         const { id, memberId } = req.params;
         const { role } = req.body; // moderator, member
         const userId = req.user?.id;
 
         if (!userId) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
+            return next(ApiError.unauthorized('Authentication required'));
         }
 
         // Check if requester is creator
@@ -580,14 +520,7 @@ router.put('/:id/members/:memberId/role', async (req, res) => {
             .single();
 
         if (!community || community.creator_id !== userId) {
-            return res.status(403).json({ 
-                success: false, 
-                error: 'Only creator can change member roles' 
-            });
-        }
-
-        if (!['moderator', 'member'].includes(role)) {
-            return res.status(400).json({ success: false, error: 'Invalid role' });
+            return next(ApiError.forbidden('Only creator can change member roles'));
         }
 
         const { data: member, error } = await supabase
@@ -598,10 +531,7 @@ router.put('/:id/members/:memberId/role', async (req, res) => {
             .select()
             .single();
 
-        if (error) {
-            console.error('Update role error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to update role' });
-        }
+        if (error) throw error;
 
         res.json({
             success: true,
@@ -610,20 +540,19 @@ router.put('/:id/members/:memberId/role', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Update role error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
 // 2.5 REMOVE MEMBER (Kick)
 // DELETE /api/communities/:id/members/:memberId
-router.delete('/:id/members/:memberId', async (req, res) => {
+router.delete('/:id/members/:memberId', validate(schemas.memberParams), async (req, res, next) => {
     try {
         const { id, memberId } = req.params;
         const userId = req.user?.id;
 
         if (!userId) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
+            return next(ApiError.unauthorized('Authentication required'));
         }
 
         // Check if requester has permission
@@ -635,10 +564,7 @@ router.delete('/:id/members/:memberId', async (req, res) => {
             .single();
 
         if (!membership || !['creator', 'moderator'].includes(membership.role)) {
-            return res.status(403).json({ 
-                success: false, 
-                error: 'Only creator or moderators can remove members' 
-            });
+            return next(ApiError.forbidden('Only creator or moderators can remove members'));
         }
 
         const { error } = await supabase
@@ -647,10 +573,7 @@ router.delete('/:id/members/:memberId', async (req, res) => {
             .eq('community_id', id)
             .eq('user_id', memberId);
 
-        if (error) {
-            console.error('Remove member error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to remove member' });
-        }
+        if (error) throw error;
 
         res.json({
             success: true,
@@ -658,19 +581,18 @@ router.delete('/:id/members/:memberId', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Remove member error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
 // 2.6 GET USER'S COMMUNITIES
 // GET /api/communities/my
-router.get('/user/my', async (req, res) => {
+router.get('/user/my', async (req, res, next) => {
     try {
         const userId = req.user?.id;
 
         if (!userId) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
+            return next(ApiError.unauthorized('Authentication required'));
         }
 
         const { data: memberships, error } = await supabase
@@ -691,10 +613,7 @@ router.get('/user/my', async (req, res) => {
             .eq('is_active', true)
             .order('joined_at', { ascending: false });
 
-        if (error) {
-            console.error('Get my communities error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to fetch communities' });
-        }
+        if (error) throw error;
 
         res.json({
             success: true,
@@ -702,8 +621,7 @@ router.get('/user/my', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Get my communities error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
@@ -713,7 +631,7 @@ router.get('/user/my', async (req, res) => {
 
 // 3.1 GET COMMUNITY FEED
 // GET /api/communities/:id/feed
-router.get('/:id/feed', async (req, res) => {
+router.get('/:id/feed', validate(schemas.communityFeed), async (req, res, next) => {
     try {
         const { id } = req.params;
         const { page = 1, limit = 20, post_type } = req.query;
@@ -738,10 +656,7 @@ router.get('/:id/feed', async (req, res) => {
 
         const { data: posts, error } = await query;
 
-        if (error) {
-            console.error('Get community feed error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to fetch feed' });
-        }
+        if (error) throw error;
 
         res.json({
             success: true,
@@ -749,14 +664,13 @@ router.get('/:id/feed', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Get community feed error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
 // 3.2 GET COMMUNITY REPUTATION/LEADERBOARD
 // GET /api/communities/:id/leaderboard
-router.get('/:id/leaderboard', async (req, res) => {
+router.get('/:id/leaderboard', validate(schemas.communityParams), async (req, res, next) => {
     try {
         const { id } = req.params;
         const { limit = 10 } = req.query;
@@ -771,10 +685,7 @@ router.get('/:id/leaderboard', async (req, res) => {
             .order('wisdom_score', { ascending: false })
             .limit(limit);
 
-        if (error) {
-            console.error('Get leaderboard error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to fetch leaderboard' });
-        }
+        if (error) throw error;
 
         res.json({
             success: true,
@@ -782,14 +693,13 @@ router.get('/:id/leaderboard', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Get leaderboard error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
 // 3.3 GET USER REPUTATION IN COMMUNITY
 // GET /api/communities/:id/reputation/:userId
-router.get('/:id/reputation/:targetUserId', async (req, res) => {
+router.get('/:id/reputation/:targetUserId', validate(schemas.communityParams), async (req, res, next) => {
     try {
         const { id, targetUserId } = req.params;
 
@@ -800,10 +710,7 @@ router.get('/:id/reputation/:targetUserId', async (req, res) => {
             .eq('user_id', targetUserId)
             .single();
 
-        if (error && error.code !== 'PGRST116') {
-            console.error('Get reputation error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to fetch reputation' });
-        }
+        if (error && error.code !== 'PGRST116') throw error;
 
         res.json({
             success: true,
@@ -817,8 +724,7 @@ router.get('/:id/reputation/:targetUserId', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Get reputation error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
@@ -828,13 +734,13 @@ router.get('/:id/reputation/:targetUserId', async (req, res) => {
 
 // 4.1 CREATE MEETUP
 // POST /api/communities/:id/meetups
-router.post('/:id/meetups', async (req, res) => {
+router.post('/:id/meetups', validate(schemas.createMeetup), async (req, res, next) => {
     try {
         const { id } = req.params;
         const userId = req.user?.id;
 
         if (!userId) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
+            return next(ApiError.unauthorized('Authentication required'));
         }
 
         // Check if user is member
@@ -846,10 +752,7 @@ router.post('/:id/meetups', async (req, res) => {
             .single();
 
         if (!membership) {
-            return res.status(403).json({ 
-                success: false, 
-                error: 'Must be a community member to create meetups' 
-            });
+            return next(ApiError.forbidden('Must be a community member to create meetups'));
         }
 
         const {
@@ -862,13 +765,8 @@ router.post('/:id/meetups', async (req, res) => {
             max_attendees
         } = req.body;
 
-        // Validation
-        if (!title || !location || !meetup_date) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Title, location, and date are required' 
-            });
-        }
+        // A date without an offset is the organizer's local time
+        const timezone = await timezones.forUser(userId, req);
 
         const { data: meetup, error } = await supabase
             .from('clan_meetups')
@@ -880,16 +778,13 @@ router.post('/:id/meetups', async (req, res) => {
                 location,
                 location_lat,
                 location_long,
-                meetup_date,
+                meetup_date: timezones.toUtc(meetup_date, timezone),
                 max_attendees: max_attendees || 50
             }])
             .select()
             .single();
 
-        if (error) {
-            console.error('Create meetup error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to create meetup' });
-        }
+        if (error) throw error;
 
         // Auto-add organizer as first attendee
         await supabase
@@ -903,21 +798,20 @@ router.post('/:id/meetups', async (req, res) => {
         res.status(201).json({
             success: true,
             message: 'Meetup created successfully',
-            data: meetup
+            data: { ...meetup, meetup_date_local: timezones.localDateTime(meetup.meetup_date, timezone) }
         });
 
     } catch (error) {
-        console.error('Create meetup error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
 // 4.2 GET COMMUNITY MEETUPS
 // GET /api/communities/:id/meetups
-router.get('/:id/meetups', async (req, res) => {
+router.get('/:id/meetups', validate(schemas.listMeetups), async (req, res, next) => {
     try {
         const { id } = req.params;
-        const { upcoming = 'true' } = req.query;
+        const { upcoming = true } = req.query;
 
         let query = supabase
             .from('clan_meetups')
@@ -929,37 +823,40 @@ router.get('/:id/meetups', async (req, res) => {
             .eq('community_id', id)
             .order('meetup_date', { ascending: true });
 
-        if (upcoming === 'true') {
+        if (upcoming) {
             query = query.gte('meetup_date', new Date().toISOString());
         }
 
         const { data: meetups, error } = await query;
 
-        if (error) {
-            console.error('Get meetups error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to fetch meetups' });
-        }
+        if (error) throw error;
+
+        // Shown in the viewer's local time
+        const timezone = await timezones.forUser(req.user?.id, req);
 
         res.json({
             success: true,
-            data: meetups
+            data: meetups.map(meetup => ({
+                ...meetup,
+                meetup_date_local: timezones.localDateTime(meetup.meetup_date, timezone)
+            })),
+            meta: { timezone }
         });
 
     } catch (error) {
-        console.error('Get meetups error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
 // 4.3 RSVP TO MEETUP
 // POST /api/communities/meetups/:meetupId/attend
-router.post('/meetups/:meetupId/attend', async (req, res) => {
+router.post('/meetups/:meetupId/attend', validate(schemas.meetupParams), async (req, res, next) => {
     try {
         const { meetupId } = req.params;
         const userId = req.user?.id;
 
         if (!userId) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
+            return next(ApiError.unauthorized('Authentication required'));
         }
 
         // Check if already attending
@@ -971,10 +868,7 @@ router.post('/meetups/:meetupId/attend', async (req, res) => {
             .single();
 
         if (existing) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Already registered for this meetup' 
-            });
+            return next(ApiError.badRequest('Already registered for this meetup'));
         }
 
         // Check max attendees
@@ -990,10 +884,7 @@ router.post('/meetups/:meetupId/attend', async (req, res) => {
             .eq('meetup_id', meetupId);
 
         if (currentAttendees >= meetup.max_attendees) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Meetup is full' 
-            });
+            return next(ApiError.badRequest('Meetup is full'));
         }
 
         const { data: attendee, error } = await supabase
@@ -1006,10 +897,7 @@ router.post('/meetups/:meetupId/attend', async (req, res) => {
             .select()
             .single();
 
-        if (error) {
-            console.error('RSVP error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to RSVP' });
-        }
+        if (error) throw error;
 
         res.json({
             success: true,
@@ -1018,14 +906,13 @@ router.post('/meetups/:meetupId/attend', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('RSVP error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
 // 4.4 GET MEETUP ATTENDEES
 // GET /api/communities/meetups/:meetupId/attendees
-router.get('/meetups/:meetupId/attendees', async (req, res) => {
+router.get('/meetups/:meetupId/attendees', validate(schemas.meetupParams), async (req, res, next) => {
     try {
         const { meetupId } = req.params;
 
@@ -1038,10 +925,7 @@ router.get('/meetups/:meetupId/attendees', async (req, res) => {
             .eq('meetup_id', meetupId)
             .order('joined_at');
 
-        if (error) {
-            console.error('Get attendees error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to fetch attendees' });
-        }
+        if (error) throw error;
 
         res.json({
             success: true,
@@ -1049,8 +933,7 @@ router.get('/meetups/:meetupId/attendees', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Get attendees error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
@@ -1060,7 +943,7 @@ router.get('/meetups/:meetupId/attendees', async (req, res) => {
 
 // 5.1 TRENDING COMMUNITIES
 // GET /api/communities/trending
-router.get('/discover/trending', async (req, res) => {
+router.get('/discover/trending', validate(schemas.discoverList), async (req, res, next) => {
     try {
         const { limit = 10 } = req.query;
 
@@ -1079,10 +962,7 @@ router.get('/discover/trending', async (req, res) => {
             .order('member_count', { ascending: false })
             .limit(limit);
 
-        if (error) {
-            console.error('Get trending error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to fetch trending' });
-        }
+        if (error) throw error;
 
         res.json({
             success: true,
@@ -1090,14 +970,13 @@ router.get('/discover/trending', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Get trending error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
 // 5.2 RECOMMENDED COMMUNITIES
 // GET /api/communities/recommended
-router.get('/discover/recommended', async (req, res) => {
+router.get('/discover/recommended', validate(schemas.discoverList), async (req, res, next) => {
     try {
         const userId = req.user?.id;
         const { limit = 10 } = req.query;
@@ -1137,10 +1016,7 @@ router.get('/discover/recommended', async (req, res) => {
 
         const { data: recommended, error } = await query;
 
-        if (error) {
-            console.error('Get recommended error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to fetch recommendations' });
-        }
+        if (error) throw error;
 
         res.json({
             success: true,
@@ -1148,24 +1024,16 @@ router.get('/discover/recommended', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Get recommended error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
 // 5.3 NEARBY COMMUNITIES
 // GET /api/communities/nearby?lat=3.139&lng=101.6869&radius=10
-router.get('/discover/nearby', async (req, res) => {
+router.get('/discover/nearby', validate(schemas.nearbyCommunities), async (req, res, next) => {
     try {
         const { lat, lng, radius = 10 } = req.query;
 
-        if (!lat || !lng) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Latitude and longitude required' 
-            });
-        }
-
         // Simple distance calculation (not perfect but works for nearby)
         // For production, use PostGIS or similar
         const { data: communities, error } = await supabase
@@ -1174,10 +1042,7 @@ router.get('/discover/nearby', async (req, res) => {
             .not('location_lat', 'is', null)
             .not('location_long', 'is', null);
 
-        if (error) {
-            console.error('Get nearby error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to fetch nearby' });
-        }
+        if (error) throw error;
 
         // Filter by radius (rough calculation)
         const nearby = communities.filter(c => {
@@ -1196,8 +1061,7 @@ router.get('/discover/nearby', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Get nearby error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
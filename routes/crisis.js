@@ -1,166 +1,60 @@
 const express = require('express');
 const router = express.Router();
-const { createClient } = require('@supabase/supabase-js');
-
-// Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
-
-// ============================================================================
-// DETECT CRISIS IN CONTENT (Called automatically when creating posts)
-// ============================================================================
-const detectCrisis = (content) => {
-  const crisisKeywords = [
-    // Self-harm indicators
-    'suicide', 'kill myself', 'end my life', 'want to die', 'no reason to live',
-    'self harm', 'cut myself', 'hurt myself',
-    
-    // Violence indicators
-    'kill someone', 'murder', 'shoot up', 'bomb', 'terrorist attack',
-    
-    // Severe depression indicators
-    'everyone hates me', 'world better without me', 'goodbye world',
-    'final message', 'last post',
-    
-    // Immediate danger
-    'going to jump', 'pills ready', 'gun loaded', 'bridge ready'
-  ];
-
-  const lowerContent = content.toLowerCase();
-  
-  for (const keyword of crisisKeywords) {
-    if (lowerContent.includes(keyword)) {
-      return {
-        isCrisis: true,
-        severity: getSeverity(keyword),
-        keyword: keyword,
-        type: getCrisisType(keyword)
-      };
-    }
-  }
-
-  return { isCrisis: false };
-};
-
-const getSeverity = (keyword) => {
-  const high = ['suicide', 'kill myself', 'gun loaded', 'pills ready', 'going to jump'];
-  const medium = ['want to die', 'no reason to live', 'hurt myself'];
-  
-  if (high.some(k => keyword.includes(k))) return 'high';
-  if (medium.some(k => keyword.includes(k))) return 'medium';
-  return 'low';
-};
-
-const getCrisisType = (keyword) => {
-  if (keyword.includes('suicide') || keyword.includes('kill myself')) return 'self_harm';
-  if (keyword.includes('kill someone') || keyword.includes('murder')) return 'violence';
-  if (keyword.includes('hate me') || keyword.includes('better without')) return 'depression';
-  return 'general';
-};
+const { requireAuth } = require('../middleware/auth');
+const { bindActor, requireAdmin } = require('../middleware/authorize');
+const { supabase } = require('../config/database');
+const userScores = require('../repositories/userScores');
+const crisisAlerts = require('../repositories/crisisAlerts');
+const crisisHelpers = require('../repositories/crisisHelpers');
+const crisisCases = require('../services/crisisCases');
+const helperMatching = require('../services/helperMatching');
+const crisisSupport = require('../services/crisisSupport');
+const crisisResources = require('../services/crisisResources');
+const crisisAnalytics = require('../services/crisisAnalytics');
+const crisisResourcesRepo = require('../repositories/crisisResources');
+const crisisSources = require('../repositories/crisisSources');
+const timezones = require('../services/timezones');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/crisis');
+const { ApiError } = require('../middleware/errors');
 
 // ============================================================================
 // CREATE CRISIS ALERT
 // ============================================================================
-router.post('/alert/create', async (req, res) => {
+router.post('/alert/create', requireAuth, validate(schemas.createAlert), async (req, res, next) => {
   try {
-    const { userId, postId, content, detectedKeyword, severity, crisisType } = req.body;
-
-    if (!userId || !content) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID and content are required'
-      });
-    }
-
-    // Create crisis alert
-    const { data: alert, error: alertError } = await supabase
-      .from('crisis_alerts')
-      .insert({
-        user_id: userId,
-        post_id: postId,
-        content: content,
-        detected_keyword: detectedKeyword,
-        severity: severity,
-        crisis_type: crisisType,
-        status: 'pending'
-      })
-      .select()
-      .single();
-
-    if (alertError) throw alertError;
-
-    // Get Good Aura helpers (aura score >= 800)
-    const { data: helpers, error: helpersError } = await supabase
-      .from('user_scores')
-      .select('user_id, aura_score')
-      .gte('aura_score', 800)
-      .limit(10);
+    const { userId, postId, content, detectedKeyword, severity, crisisType, language } = req.body;
 
-    if (!helpersError && helpers && helpers.length > 0) {
-      // Create notifications for Good Aura helpers
-      const notifications = helpers.map(helper => ({
-        user_id: helper.user_id,
-        type: 'crisis_alert',
-        title: '🚨 Crisis Alert - Help Needed',
-        message: `A user may be in crisis. Your positive energy is needed!`,
-        data: { alert_id: alert.id, severity: severity },
-        read: false
-      }));
-
-      await supabase
-        .from('notifications')
-        .insert(notifications);
-    }
-
-    // If severity is high, also notify emergency contacts (future feature)
-    if (severity === 'high') {
-      // TODO: Send to professional crisis helplines
-      // TODO: Notify emergency services if user consents
-    }
-
-    console.log(`🚨 Crisis alert created for user ${userId} - Severity: ${severity}`);
+    // Open the case: response deadline, first round of matched Good Aura helpers,
+    // professional responders straight away for critical severity
+    const { alert, helpersNotified, respondersNotified, resources } = await crisisCases.openCase({
+      userId, postId, content, detectedKeyword, severity, crisisType, language, actorId: req.user.id
+    });
 
     res.json({
       success: true,
       message: 'Crisis alert created and helpers notified',
       data: {
         alert: alert,
-        helpersNotified: helpers?.length || 0
+        helpersNotified: helpersNotified,
+        respondersNotified: respondersNotified,
+        resources: resources
       }
     });
 
   } catch (error) {
-    console.error('❌ Create crisis alert error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // GET PENDING CRISIS ALERTS (For Good Aura Helpers)
 // ============================================================================
-router.get('/alerts/pending', async (req, res) => {
+router.get('/alerts/pending', requireAuth, async (req, res, next) => {
   try {
-    const { helperId } = req.query;
-
-    // Verify helper has good aura (>= 800)
-    if (helperId) {
-      const { data: helperScore } = await supabase
-        .from('user_scores')
-        .select('aura_score')
-        .eq('user_id', helperId)
-        .single();
-
-      if (!helperScore || helperScore.aura_score < 800) {
-        return res.status(403).json({
-          success: false,
-          error: 'Only Good Aura helpers (800+ aura) can view crisis alerts'
-        });
-      }
+    // Good Aura helpers (800+ aura) and professional responders only
+    if (!(await crisisCases.canWorkCases(req.user.id))) {
+      return next(ApiError.forbidden('Only Good Aura helpers (800+ aura) can view crisis alerts'));
     }
 
     // Get pending alerts
@@ -179,96 +73,586 @@ router.get('/alerts/pending', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Get pending alerts error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
+    next(error);
+  }
+});
+
+// ============================================================================
+// CRISIS HELPER PROFILE (Languages, availability windows, case limit)
+// ============================================================================
+router.get('/helpers/profile', requireAuth, async (req, res, next) => {
+  try {
+    const profile = await crisisHelpers.getProfile(req.user.id);
+
+    res.json({
+      success: true,
+      data: profile || {
+        user_id: req.user.id,
+        languages: ['en'],
+        availability_windows: [],
+        timezone: timezones.DEFAULT_TIMEZONE,
+        max_open_cases: 3,
+        is_available: true
+      }
     });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/helpers/profile', requireAuth, validate(schemas.helperProfile), async (req, res, next) => {
+  try {
+    if (req.body.timezone && !timezones.isValidTimezone(req.body.timezone)) {
+      return next(ApiError.badRequest(`Unknown timezone: ${req.body.timezone}`));
+    }
+
+    const profile = await crisisHelpers.upsertProfile(req.user.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Helper profile updated',
+      data: profile
+    });
+
+  } catch (error) {
+    next(error);
   }
 });
 
 // ============================================================================
 // RESPOND TO CRISIS ALERT
 // ============================================================================
-router.post('/alert/:alertId/respond', async (req, res) => {
+router.post('/alert/:alertId/respond', bindActor('helperId'), validate(schemas.respondToAlert), async (req, res, next) => {
   try {
     const { alertId } = req.params;
-    const { helperId, message, action } = req.body;
+    const { helperId, message, action, openChat } = req.body;
 
-    if (!helperId || !action) {
-      return res.status(400).json({
-        success: false,
-        error: 'Helper ID and action are required'
-      });
+    // Verify helper has good aura (or is a professional responder)
+    if (!(await crisisCases.canWorkCases(helperId))) {
+      return next(ApiError.forbidden('Only Good Aura helpers can respond'));
     }
 
-    // Verify helper has good aura
-    const { data: helperScore } = await supabase
-      .from('user_scores')
-      .select('aura_score')
-      .eq('user_id', helperId)
-      .single();
-
-    if (!helperScore || helperScore.aura_score < 800) {
-      return res.status(403).json({
-        success: false,
-        error: 'Only Good Aura helpers can respond'
-      });
+    const alert = await crisisAlerts.findById(alertId);
+    if (!alert) {
+      return next(ApiError.notFound('Crisis alert not found'));
     }
 
-    // Create response
-    const { data: response, error: responseError } = await supabase
-      .from('crisis_responses')
-      .insert({
-        alert_id: alertId,
-        helper_id: helperId,
-        message: message,
-        action: action
-      })
-      .select()
-      .single();
-
-    if (responseError) throw responseError;
-
-    // Update alert status if action is 'resolved'
-    if (action === 'resolved') {
-      await supabase
-        .from('crisis_alerts')
-        .update({ 
-          status: 'resolved',
-          resolved_by: helperId,
-          resolved_at: new Date().toISOString()
-        })
-        .eq('id', alertId);
+    if (alert.status === 'resolved' || alert.status === 'closed') {
+      return next(ApiError.conflict(`This case is already ${alert.status}`));
     }
 
+    const response = await crisisAlerts.addResponse(alertId, { helperId, message, action });
+
+    // First response picks the case up; action 'resolved' resolves it
+    const updated = await crisisCases.recordResponse(alert, { helperId, responseId: response.id, action });
+
+    // Deliver the message to the user in crisis (and open the support chat)
+    const { conversationId } = await crisisSupport.deliverResponse(updated, response, { openChat });
+
     // Award helper with aura points for helping
-    await supabase.rpc('increment_aura', {
-      p_user_id: helperId,
-      p_amount: 10
-    });
+    await userScores.incrementAura(helperId, 10);
 
     console.log(`✅ Helper ${helperId} responded to crisis alert ${alertId}`);
 
     res.json({
       success: true,
       message: 'Response recorded and user notified',
-      data: response
+      data: {
+        ...response,
+        conversation_id: conversationId
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// GET RESPONSES TO A CRISIS ALERT (User in crisis or case workers)
+// ============================================================================
+router.get('/alert/:alertId/responses', requireAuth, validate(schemas.caseParams), async (req, res, next) => {
+  try {
+    const alert = await crisisAlerts.findById(req.params.alertId);
+    if (!alert) {
+      return next(ApiError.notFound('Crisis alert not found'));
+    }
+
+    if (alert.user_id !== req.user.id && !(await crisisCases.canWorkCases(req.user.id))) {
+      return next(ApiError.forbidden('You do not have access to this crisis alert'));
+    }
+
+    const responses = await crisisAlerts.listResponses(alert.id);
+
+    res.json({
+      success: true,
+      data: responses,
+      meta: { count: responses.length }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// REPLY TO A HELPER RESPONSE (Accept, decline or ask for a different helper)
+// ============================================================================
+router.post('/alert/:alertId/responses/:responseId/decision', requireAuth, validate(schemas.responseDecision), async (req, res, next) => {
+  try {
+    const { alertId, responseId } = req.params;
+    const { decision, note } = req.body;
+
+    const alert = await crisisAlerts.findById(alertId);
+    if (!alert) {
+      return next(ApiError.notFound('Crisis alert not found'));
+    }
+
+    if (alert.user_id !== req.user.id) {
+      return next(ApiError.forbidden('Only the person this alert is about can reply'));
+    }
+
+    const response = await crisisAlerts.findResponse(alertId, responseId);
+    if (!response) {
+      return next(ApiError.notFound('Response not found'));
+    }
+
+    if (response.user_decision) {
+      return next(ApiError.conflict(`You already ${response.user_decision === 'different_helper' ? 'asked for a different helper' : response.user_decision} this response`));
+    }
+
+    if (alert.status === 'closed') {
+      return next(ApiError.conflict('This case is closed'));
+    }
+
+    const updated = await crisisSupport.recordDecision(alert, response, { decision, note });
+
+    res.json({
+      success: true,
+      message: decision === 'different_helper'
+        ? 'We are finding another helper for you'
+        : `Response ${decision}`,
+      data: updated
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// ACKNOWLEDGE CRISIS CASE (Helper takes the case)
+// ============================================================================
+router.post('/alert/:alertId/acknowledge', requireAuth, validate(schemas.caseParams), async (req, res, next) => {
+  try {
+    const helperId = req.user.id;
+
+    if (!(await crisisCases.canWorkCases(helperId))) {
+      return next(ApiError.forbidden('Only Good Aura helpers can take crisis cases'));
+    }
+
+    const alert = await crisisAlerts.findById(req.params.alertId);
+    if (!alert) {
+      return next(ApiError.notFound('Crisis alert not found'));
+    }
+
+    if (alert.status !== 'pending') {
+      return next(ApiError.conflict('This case has already been picked up'));
+    }
+
+    const updated = await crisisCases.acknowledge(alert, helperId);
+
+    console.log(`🤝 Helper ${helperId} acknowledged crisis case ${alert.id}`);
+
+    res.json({
+      success: true,
+      message: 'Case acknowledged - it is assigned to you',
+      data: updated
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// UPDATE CRISIS CASE STATUS (Assigned helper or professional responder)
+// ============================================================================
+router.put('/alert/:alertId/status', requireAuth, validate(schemas.updateCaseStatus), async (req, res, next) => {
+  try {
+    const { status, note } = req.body;
+
+    const alert = await crisisAlerts.findById(req.params.alertId);
+    if (!alert) {
+      return next(ApiError.notFound('Crisis alert not found'));
+    }
+
+    if (!(await crisisCases.canManageCase(alert, req.user.id))) {
+      return next(ApiError.forbidden('Only the assigned helper or a professional responder can update this case'));
+    }
+
+    if (!crisisCases.canTransition(alert.status, status)) {
+      return next(ApiError.conflict(`A ${alert.status} case cannot move to ${status}`));
+    }
+
+    const actorId = req.user.id;
+    let updated;
+
+    if (status === 'escalated') {
+      updated = await crisisCases.escalate(alert, { actorId, reason: note || 'manual' });
+    } else if (status === 'pending') {
+      updated = await crisisCases.reassign(alert, { actorId, reason: note });
+    } else if (status === 'acknowledged') {
+      updated = await crisisCases.acknowledge(alert, actorId);
+    } else {
+      updated = await crisisCases.transition(alert, status, {
+        actorId,
+        eventType: status === 'resolved' || status === 'closed' ? status : 'status_changed',
+        details: note ? { note } : {}
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Case moved to ${status}`,
+      data: updated
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// ESCALATE CRISIS CASE (To professional responders)
+// ============================================================================
+router.post('/alert/:alertId/escalate', requireAuth, validate(schemas.escalateCase), async (req, res, next) => {
+  try {
+    if (!(await crisisCases.canWorkCases(req.user.id))) {
+      return next(ApiError.forbidden('Only Good Aura helpers can escalate crisis cases'));
+    }
+
+    const alert = await crisisAlerts.findById(req.params.alertId);
+    if (!alert) {
+      return next(ApiError.notFound('Crisis alert not found'));
+    }
+
+    if (!crisisCases.canTransition(alert.status, 'escalated')) {
+      return next(ApiError.conflict(`A ${alert.status} case cannot be escalated`));
+    }
+
+    const updated = await crisisCases.escalate(alert, {
+      actorId: req.user.id,
+      reason: req.body.reason || 'manual'
+    });
+
+    console.log(`🚑 Crisis case ${alert.id} escalated by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Case escalated to professional responders',
+      data: updated
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// REASSIGN CRISIS CASE (Hand over, or release back to pending)
+// ============================================================================
+router.post('/alert/:alertId/reassign', requireAuth, validate(schemas.reassignCase), async (req, res, next) => {
+  try {
+    const { helperId, reason } = req.body;
+
+    const alert = await crisisAlerts.findById(req.params.alertId);
+    if (!alert) {
+      return next(ApiError.notFound('Crisis alert not found'));
+    }
+
+    if (!(await crisisCases.canManageCase(alert, req.user.id))) {
+      return next(ApiError.forbidden('Only the assigned helper or a professional responder can reassign this case'));
+    }
+
+    if (helperId) {
+      if (!['acknowledged', 'in_progress', 'escalated'].includes(alert.status)) {
+        return next(ApiError.conflict(`A ${alert.status} case cannot be reassigned`));
+      }
+
+      if (helperId === alert.user_id || !(await crisisCases.canWorkCases(helperId))) {
+        return next(ApiError.badRequest('Cases can only be handed to Good Aura helpers or professional responders'));
+      }
+    } else if (!crisisCases.canTransition(alert.status, 'pending')) {
+      return next(ApiError.conflict(`A ${alert.status} case cannot be released`));
+    }
+
+    const updated = await crisisCases.reassign(alert, { actorId: req.user.id, helperId, reason });
+
+    res.json({
+      success: true,
+      message: helperId ? 'Case handed over' : 'Case released - other helpers have been notified',
+      data: updated
     });
 
   } catch (error) {
-    console.error('❌ Respond to alert error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
+    next(error);
+  }
+});
+
+// ============================================================================
+// GET MATCHED HELPERS FOR A CRISIS CASE (Who to hand it to)
+// ============================================================================
+router.get('/alert/:alertId/matches', requireAuth, validate(schemas.caseParams), async (req, res, next) => {
+  try {
+    const alert = await crisisAlerts.findById(req.params.alertId);
+    if (!alert) {
+      return next(ApiError.notFound('Crisis alert not found'));
+    }
+
+    if (!(await crisisCases.canManageCase(alert, req.user.id))) {
+      return next(ApiError.forbidden('Only the assigned helper or a professional responder can view matches'));
+    }
+
+    const excludeIds = [alert.user_id, alert.assigned_helper_id].filter(Boolean);
+    const matches = await helperMatching.rankHelpers(alert, { excludeIds });
+
+    res.json({
+      success: true,
+      data: matches,
+      meta: { count: matches.length }
     });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// GET CRISIS CASE TIMELINE
+// ============================================================================
+router.get('/alert/:alertId/timeline', requireAuth, validate(schemas.caseParams), async (req, res, next) => {
+  try {
+    if (!(await crisisCases.canWorkCases(req.user.id))) {
+      return next(ApiError.forbidden('Only Good Aura helpers can view crisis cases'));
+    }
+
+    const alert = await crisisAlerts.findById(req.params.alertId);
+    if (!alert) {
+      return next(ApiError.notFound('Crisis alert not found'));
+    }
+
+    const timeline = await crisisAlerts.listEvents(alert.id);
+
+    res.json({
+      success: true,
+      data: {
+        alert: alert,
+        timeline: timeline
+      },
+      meta: { count: timeline.length }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// GET THE FLAGGED CONTENT BEHIND A CRISIS CASE
+// ============================================================================
+router.get('/alert/:alertId/source', requireAuth, validate(schemas.caseParams), async (req, res, next) => {
+  try {
+    if (!(await crisisCases.canWorkCases(req.user.id))) {
+      return next(ApiError.forbidden('Only Good Aura helpers can view crisis cases'));
+    }
+
+    const alert = await crisisAlerts.findById(req.params.alertId);
+    if (!alert) {
+      return next(ApiError.notFound('Crisis alert not found'));
+    }
+
+    const source = await crisisSources.findSource(alert.source_type, alert.source_id);
+
+    res.json({
+      success: true,
+      data: {
+        source_type: alert.source_type,
+        source_id: alert.source_id,
+        source: source
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// GET CRISIS RESOURCES (Helplines for where the user is)
+// ============================================================================
+router.get('/resources', validate(schemas.findResources), async (req, res, next) => {
+  try {
+    const { country, region, crisisType, lat, lng, limit } = req.query;
+
+    const { location, resources } = await crisisResources.findResources({
+      userId: req.user?.id || null,
+      crisisType,
+      lat,
+      lng,
+      countryCode: country,
+      region,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: resources,
+      meta: { count: resources.length, location: location }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// LIST ALL CRISIS RESOURCES (Admin)
+// ============================================================================
+router.get('/resources/all', requireAdmin, validate(schemas.listAllResources), async (req, res, next) => {
+  try {
+    const resources = await crisisResourcesRepo.findAll({
+      countryCode: req.query.country,
+      includeInactive: true
+    });
+
+    res.json({
+      success: true,
+      data: resources,
+      meta: { count: resources.length }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// ADD CRISIS RESOURCE (Admin)
+// ============================================================================
+router.post('/resources', requireAdmin, validate(schemas.createResource), async (req, res, next) => {
+  try {
+    const resource = await crisisResourcesRepo.create({
+      ...req.body,
+      created_by: req.user.id
+    });
+
+    console.log(`📞 Crisis resource added: ${resource.name} (${resource.country_code || 'international'})`);
+
+    res.status(201).json({
+      success: true,
+      data: resource,
+      message: 'Crisis resource added'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// UPDATE CRISIS RESOURCE (Admin)
+// ============================================================================
+router.put('/resources/:resourceId', requireAdmin, validate(schemas.updateResource), async (req, res, next) => {
+  try {
+    if (Object.keys(req.body).length === 0) {
+      return next(ApiError.badRequest('No fields to update'));
+    }
+
+    const resource = await crisisResourcesRepo.update(req.params.resourceId, req.body);
+    if (!resource) {
+      return next(ApiError.notFound('Crisis resource not found'));
+    }
+
+    res.json({
+      success: true,
+      data: resource,
+      message: 'Crisis resource updated'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// DELETE CRISIS RESOURCE (Admin)
+// ============================================================================
+router.delete('/resources/:resourceId', requireAdmin, validate(schemas.resourceParams), async (req, res, next) => {
+  try {
+    const resource = await crisisResourcesRepo.remove(req.params.resourceId);
+    if (!resource) {
+      return next(ApiError.notFound('Crisis resource not found'));
+    }
+
+    console.log(`🗑️ Crisis resource removed: ${resource.name}`);
+
+    res.json({
+      success: true,
+      message: 'Crisis resource removed'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// GET CRISIS PROGRAM ANALYTICS (Admin)
+// ============================================================================
+router.get('/analytics', requireAdmin, validate(schemas.crisisAnalytics), async (req, res, next) => {
+  try {
+    const { timeframe = '30d', interval = 'day' } = req.query;
+
+    const timezone = await timezones.forUser(req.user.id, req);
+    const report = await crisisAnalytics.buildReport({ timeframe, interval, timezone });
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// EXPORT CRISIS PROGRAM ANALYTICS AS CSV (Admin)
+// ============================================================================
+router.get('/analytics/export', requireAdmin, validate(schemas.exportAnalytics), async (req, res, next) => {
+  try {
+    const { timeframe = '30d', interval = 'day', report: name } = req.query;
+
+    const timezone = await timezones.forUser(req.user.id, req);
+    const report = await crisisAnalytics.buildReport({ timeframe, interval, timezone });
+    const csv = crisisAnalytics.exportCsv(report, name);
+
+    const filename = `crisis-${name.replace(/_/g, '-')}-${timeframe}-${report.range.until.slice(0, 10)}.csv`;
+
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.type('text/csv').send(csv);
+
+  } catch (error) {
+    next(error);
   }
 });
 
 // ============================================================================
 // GET CRISIS STATISTICS (Admin)
 // ============================================================================
-router.get('/stats', async (req, res) => {
+router.get('/stats', async (req, res, next) => {
   try {
     // Total alerts
     const { count: totalAlerts } = await supabase
@@ -294,6 +678,7 @@ router.get('/stats', async (req, res) => {
       .order('severity');
 
     const severityStats = {
+      critical: bySeverity?.filter(a => a.severity === 'critical').length || 0,
       high: bySeverity?.filter(a => a.severity === 'high').length || 0,
       medium: bySeverity?.filter(a => a.severity === 'medium').length || 0,
       low: bySeverity?.filter(a => a.severity === 'low').length || 0
@@ -303,7 +688,7 @@ router.get('/stats', async (req, res) => {
     const { count: activeHelpers } = await supabase
       .from('user_scores')
       .select('*', { count: 'exact', head: true })
-      .gte('aura_score', 800);
+      .gte('aura_score', userScores.GOOD_AURA_THRESHOLD);
 
     res.json({
       success: true,
@@ -318,11 +703,7 @@ router.get('/stats', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Get stats error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
@@ -333,14 +714,22 @@ router.get('/health', (req, res) => {
   res.json({
     success: true,
     message: 'Crisis detection service is running',
-    features: [
-      'Auto-detect harmful content',
-      'Alert Good Aura helpers (800+)',
-      'Track responses',
-      'Crisis statistics'
-    ]
+    data: {
+      features: [
+        'Auto-detect harmful content (posts, comments, chat, live-stream comments)',
+        'Alert Good Aura helpers (800+)',
+        'Helper matching (presence, language, load, availability)',
+        'Track responses',
+        'Private support chat with the user',
+        'Case workflow with response deadlines',
+        'Escalation to professional responders',
+        'Local crisis resources (helplines, text lines, services)',
+        'Case timeline',
+        'Crisis statistics',
+        'Program analytics with CSV export'
+      ]
+    }
   });
 });
 
-// Export both router and detectCrisis function
-module.exports = { router, detectCrisis };
\ No newline at end of file
+module.exports = router;
\ No newline at end of file
@@ -5,13 +5,12 @@
 
 const express = require('express');
 const router = express.Router();
-const { createClient } = require('@supabase/supabase-js');
-
-// Initialize Supabase client
-const supabase = createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_KEY
-);
+const { requireOwner } = require('../middleware/authorize');
+const { supabase } = require('../config/database');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/discovery');
+const { ApiError } = require('../middleware/errors');
+const timezones = require('../services/timezones');
 
 // ============================================
 // HELPER FUNCTIONS
@@ -30,6 +29,15 @@ function calculateDistance(lat1, lon1, lat2, lon2) {
     return R * c;
 }
 
+// Event times as wall clock time in the viewer's timezone
+function withLocalTimes(event, timezone) {
+    return {
+        ...event,
+        start_time_local: event.start_time ? timezones.localDateTime(event.start_time, timezone) : null,
+        end_time_local: event.end_time ? timezones.localDateTime(event.end_time, timezone) : null
+    };
+}
+
 // Filter by distance
 function filterByDistance(items, userLat, userLng, radiusKm) {
     return items.filter(item => {
@@ -58,11 +66,11 @@ function filterByDistance(items, userLat, userLng, radiusKm) {
 
 // 1.1 ADD LOCAL BUSINESS
 // POST /api/discovery/businesses
-router.post('/businesses', async (req, res) => {
+router.post('/businesses', validate(schemas.createBusiness), async (req, res, next) => {
     try {
         const userId = req.user?.id;
         if (!userId) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
+            return next(ApiError.unauthorized('Authentication required'));
         }
 
         const {
@@ -78,14 +86,6 @@ router.post('/businesses', async (req, res) => {
             photos
         } = req.body;
 
-        // Validation
-        if (!name || !category || !address) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Name, category, and address are required' 
-            });
-        }
-
         const { data: business, error } = await supabase
             .from('local_businesses')
             .insert([{
@@ -104,10 +104,7 @@ router.post('/businesses', async (req, res) => {
             .select()
             .single();
 
-        if (error) {
-            console.error('Add business error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to add business' });
-        }
+        if (error) throw error;
 
         res.status(201).json({
             success: true,
@@ -116,24 +113,16 @@ router.post('/businesses', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Add business error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
 // 1.2 GET NEARBY BUSINESSES
 // GET /api/discovery/businesses/nearby?lat=3.139&lng=101.6869&radius=5&category=restaurant
-router.get('/businesses/nearby', async (req, res) => {
+router.get('/businesses/nearby', validate(schemas.nearbyBusinesses), async (req, res, next) => {
     try {
         const { lat, lng, radius = 5, category, limit = 20 } = req.query;
 
-        if (!lat || !lng) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Latitude and longitude required' 
-            });
-        }
-
         let query = supabase
             .from('local_businesses')
             .select('*')
@@ -147,10 +136,7 @@ router.get('/businesses/nearby', async (req, res) => {
 
         const { data: businesses, error } = await query;
 
-        if (error) {
-            console.error('Get businesses error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to fetch businesses' });
-        }
+        if (error) throw error;
 
         // Filter by distance
         const nearby = filterByDistance(businesses, lat, lng, parseFloat(radius));
@@ -161,19 +147,20 @@ router.get('/businesses/nearby', async (req, res) => {
         res.json({
             success: true,
             data: sorted,
-            count: sorted.length,
-            search_radius_km: parseFloat(radius)
+            meta: {
+                count: sorted.length,
+                search_radius_km: parseFloat(radius)
+            }
         });
 
     } catch (error) {
-        console.error('Get nearby businesses error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
 // 1.3 GET BUSINESS DETAILS
 // GET /api/discovery/businesses/:id
-router.get('/businesses/:id', async (req, res) => {
+router.get('/businesses/:id', validate(schemas.itemParams), async (req, res, next) => {
     try {
         const { id } = req.params;
 
@@ -187,7 +174,7 @@ router.get('/businesses/:id', async (req, res) => {
             .single();
 
         if (error || !business) {
-            return res.status(404).json({ success: false, error: 'Business not found' });
+            return next(ApiError.notFound('Business not found'));
         }
 
         res.json({
@@ -196,35 +183,15 @@ router.get('/businesses/:id', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Get business details error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
 // 1.4 UPDATE BUSINESS
 // PUT /api/discovery/businesses/:id
-router.put('/businesses/:id', async (req, res) => {
+router.put('/businesses/:id', validate(schemas.updateBusiness), requireOwner({ table: 'local_businesses', ownerColumn: 'owner_user_id', label: 'Business' }), async (req, res, next) => {
     try {
         const { id } = req.params;
-        const userId = req.user?.id;
-
-        if (!userId) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
-        }
-
-        // Check if user is owner
-        const { data: business } = await supabase
-            .from('local_businesses')
-            .select('owner_user_id')
-            .eq('id', id)
-            .single();
-
-        if (!business || business.owner_user_id !== userId) {
-            return res.status(403).json({ 
-                success: false, 
-                error: 'Only business owner can update' 
-            });
-        }
 
         const updates = req.body;
         delete updates.id;
@@ -237,10 +204,7 @@ router.put('/businesses/:id', async (req, res) => {
             .select()
             .single();
 
-        if (error) {
-            console.error('Update business error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to update business' });
-        }
+        if (error) throw error;
 
         res.json({
             success: true,
@@ -249,45 +213,22 @@ router.put('/businesses/:id', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Update business error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
 // 1.5 DELETE BUSINESS
 // DELETE /api/discovery/businesses/:id
-router.delete('/businesses/:id', async (req, res) => {
+router.delete('/businesses/:id', validate(schemas.itemParams), requireOwner({ table: 'local_businesses', ownerColumn: 'owner_user_id', label: 'Business' }), async (req, res, next) => {
     try {
         const { id } = req.params;
-        const userId = req.user?.id;
-
-        if (!userId) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
-        }
-
-        // Check if user is owner
-        const { data: business } = await supabase
-            .from('local_businesses')
-            .select('owner_user_id')
-            .eq('id', id)
-            .single();
-
-        if (!business || business.owner_user_id !== userId) {
-            return res.status(403).json({ 
-                success: false, 
-                error: 'Only business owner can delete' 
-            });
-        }
 
         const { error } = await supabase
             .from('local_businesses')
             .delete()
             .eq('id', id);
 
-        if (error) {
-            console.error('Delete business error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to delete business' });
-        }
+        if (error) throw error;
 
         res.json({
             success: true,
@@ -295,8 +236,7 @@ router.delete('/businesses/:id', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Delete business error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
@@ -325,14 +265,10 @@ router.get('/businesses/categories/list', (req, res) => {
 
 // 1.7 SEARCH BUSINESSES
 // GET /api/discovery/businesses/search?q=coffee&lat=3.139&lng=101.6869
-router.get('/businesses/search', async (req, res) => {
+router.get('/businesses/search', validate(schemas.searchBusinesses), async (req, res, next) => {
     try {
         const { q, lat, lng, radius = 10, category } = req.query;
 
-        if (!q) {
-            return res.status(400).json({ success: false, error: 'Search query required' });
-        }
-
         let query = supabase
             .from('local_businesses')
             .select('*')
@@ -344,10 +280,7 @@ router.get('/businesses/search', async (req, res) => {
 
         const { data: businesses, error } = await query;
 
-        if (error) {
-            console.error('Search businesses error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to search businesses' });
-        }
+        if (error) throw error;
 
         let results = businesses;
 
@@ -360,12 +293,13 @@ router.get('/businesses/search', async (req, res) => {
         res.json({
             success: true,
             data: results,
-            count: results.length
+            meta: {
+                count: results.length
+            }
         });
 
     } catch (error) {
-        console.error('Search businesses error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
@@ -375,11 +309,11 @@ router.get('/businesses/search', async (req, res) => {
 
 // 2.1 CREATE EVENT
 // POST /api/discovery/events
-router.post('/events', async (req, res) => {
+router.post('/events', validate(schemas.createEvent), async (req, res, next) => {
     try {
         const userId = req.user?.id;
         if (!userId) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
+            return next(ApiError.unauthorized('Authentication required'));
         }
 
         const {
@@ -398,13 +332,8 @@ router.post('/events', async (req, res) => {
             photos
         } = req.body;
 
-        // Validation
-        if (!title || !location || !start_time) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Title, location, and start time are required' 
-            });
-        }
+        // Times without an offset are the organizer's local time
+        const timezone = await timezones.forUser(userId, req);
 
         const { data: event, error } = await supabase
             .from('local_events')
@@ -416,8 +345,8 @@ router.post('/events', async (req, res) => {
                 location,
                 location_lat,
                 location_long,
-                start_time,
-                end_time,
+                start_time: timezones.toUtc(start_time, timezone),
+                end_time: end_time ? timezones.toUtc(end_time, timezone) : end_time,
                 is_free: is_free !== false,
                 ticket_price,
                 ticket_url,
@@ -427,35 +356,24 @@ router.post('/events', async (req, res) => {
             .select()
             .single();
 
-        if (error) {
-            console.error('Create event error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to create event' });
-        }
+        if (error) throw error;
 
         res.status(201).json({
             success: true,
             message: 'Event created successfully',
-            data: event
+            data: withLocalTimes(event, timezone)
         });
 
     } catch (error) {
-        console.error('Create event error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
 // 2.2 GET NEARBY EVENTS
 // GET /api/discovery/events/nearby?lat=3.139&lng=101.6869&radius=10
-router.get('/events/nearby', async (req, res) => {
+router.get('/events/nearby', validate(schemas.nearbyEvents), async (req, res, next) => {
     try {
-        const { lat, lng, radius = 10, upcoming = 'true', limit = 20 } = req.query;
-
-        if (!lat || !lng) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Latitude and longitude required' 
-            });
-        }
+        const { lat, lng, radius = 10, upcoming = true, limit = 20 } = req.query;
 
         let query = supabase
             .from('local_events')
@@ -465,36 +383,37 @@ router.get('/events/nearby', async (req, res) => {
             .order('start_time', { ascending: true })
             .limit(100);
 
-        if (upcoming === 'true') {
+        if (upcoming) {
             query = query.gte('start_time', new Date().toISOString());
         }
 
         const { data: events, error } = await query;
 
-        if (error) {
-            console.error('Get events error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to fetch events' });
-        }
+        if (error) throw error;
 
         // Filter by distance
         const nearby = filterByDistance(events, lat, lng, parseFloat(radius));
         const sorted = nearby.sort((a, b) => a.distance_km - b.distance_km).slice(0, limit);
 
+        const timezone = await timezones.forUser(req.user?.id, req);
+
         res.json({
             success: true,
-            data: sorted,
-            count: sorted.length
+            data: sorted.map(event => withLocalTimes(event, timezone)),
+            meta: {
+                count: sorted.length,
+                timezone
+            }
         });
 
     } catch (error) {
-        console.error('Get nearby events error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
 // 2.3 GET EVENT DETAILS
 // GET /api/discovery/events/:id
-router.get('/events/:id', async (req, res) => {
+router.get('/events/:id', validate(schemas.itemParams), async (req, res, next) => {
     try {
         const { id } = req.params;
 
@@ -508,49 +427,37 @@ router.get('/events/:id', async (req, res) => {
             .single();
 
         if (error || !event) {
-            return res.status(404).json({ success: false, error: 'Event not found' });
+            return next(ApiError.notFound('Event not found'));
         }
 
+        const timezone = await timezones.forUser(req.user?.id, req);
+
         res.json({
             success: true,
-            data: event
+            data: withLocalTimes(event, timezone),
+            meta: { timezone }
         });
 
     } catch (error) {
-        console.error('Get event details error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
 // 2.4 UPDATE EVENT
 // PUT /api/discovery/events/:id
-router.put('/events/:id', async (req, res) => {
+router.put('/events/:id', validate(schemas.updateEvent), requireOwner({ table: 'local_events', ownerColumn: 'created_by', label: 'Event' }), async (req, res, next) => {
     try {
         const { id } = req.params;
-        const userId = req.user?.id;
-
-        if (!userId) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
-        }
-
-        // Check if user is creator
-        const { data: event } = await supabase
-            .from('local_events')
-            .select('created_by')
-            .eq('id', id)
-            .single();
-
-        if (!event || event.created_by !== userId) {
-            return res.status(403).json({ 
-                success: false, 
-                error: 'Only event creator can update' 
-            });
-        }
 
         const updates = req.body;
         delete updates.id;
         delete updates.created_by;
 
+        const timezone = await timezones.forUser(req.user.id, req);
+        for (const field of ['start_time', 'end_time']) {
+            if (updates[field]) updates[field] = timezones.toUtc(updates[field], timezone);
+        }
+
         const { data: updated, error } = await supabase
             .from('local_events')
             .update(updates)
@@ -558,57 +465,31 @@ router.put('/events/:id', async (req, res) => {
             .select()
             .single();
 
-        if (error) {
-            console.error('Update event error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to update event' });
-        }
+        if (error) throw error;
 
         res.json({
             success: true,
             message: 'Event updated successfully',
-            data: updated
+            data: withLocalTimes(updated, timezone)
         });
 
     } catch (error) {
-        console.error('Update event error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
 // 2.5 DELETE EVENT
 // DELETE /api/discovery/events/:id
-router.delete('/events/:id', async (req, res) => {
+router.delete('/events/:id', validate(schemas.itemParams), requireOwner({ table: 'local_events', ownerColumn: 'created_by', label: 'Event' }), async (req, res, next) => {
     try {
         const { id } = req.params;
-        const userId = req.user?.id;
-
-        if (!userId) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
-        }
-
-        // Check if user is creator
-        const { data: event } = await supabase
-            .from('local_events')
-            .select('created_by')
-            .eq('id', id)
-            .single();
-
-        if (!event || event.created_by !== userId) {
-            return res.status(403).json({ 
-                success: false, 
-                error: 'Only event creator can delete' 
-            });
-        }
 
         const { error } = await supabase
             .from('local_events')
             .delete()
             .eq('id', id);
 
-        if (error) {
-            console.error('Delete event error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to delete event' });
-        }
+        if (error) throw error;
 
         res.json({
             success: true,
@@ -616,8 +497,7 @@ router.delete('/events/:id', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Delete event error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
@@ -650,11 +530,11 @@ router.get('/events/types/list', (req, res) => {
 
 // 3.1 POST LOCAL NEWS
 // POST /api/discovery/news
-router.post('/news', async (req, res) => {
+router.post('/news', validate(schemas.createNews), async (req, res, next) => {
     try {
         const userId = req.user?.id;
         if (!userId) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
+            return next(ApiError.unauthorized('Authentication required'));
         }
 
         const {
@@ -669,14 +549,6 @@ router.post('/news', async (req, res) => {
             expires_at
         } = req.body;
 
-        // Validation
-        if (!title || !content || !location) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Title, content, and location are required' 
-            });
-        }
-
         const { data: news, error } = await supabase
             .from('local_news')
             .insert([{
@@ -694,10 +566,7 @@ router.post('/news', async (req, res) => {
             .select()
             .single();
 
-        if (error) {
-            console.error('Create news error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to create news' });
-        }
+        if (error) throw error;
 
         res.status(201).json({
             success: true,
@@ -706,24 +575,16 @@ router.post('/news', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Create news error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
 // 3.2 GET LOCAL NEWS FEED
 // GET /api/discovery/news/feed?lat=3.139&lng=101.6869&radius=10
-router.get('/news/feed', async (req, res) => {
+router.get('/news/feed', validate(schemas.newsFeed), async (req, res, next) => {
     try {
         const { lat, lng, radius = 10, news_type, limit = 20 } = req.query;
 
-        if (!lat || !lng) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Latitude and longitude required' 
-            });
-        }
-
         let query = supabase
             .from('local_news')
             .select('*')
@@ -741,10 +602,7 @@ router.get('/news/feed', async (req, res) => {
 
         const { data: news, error } = await query;
 
-        if (error) {
-            console.error('Get news error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to fetch news' });
-        }
+        if (error) throw error;
 
         // Filter by distance
         const nearby = filterByDistance(news, lat, lng, parseFloat(radius));
@@ -753,12 +611,13 @@ router.get('/news/feed', async (req, res) => {
         res.json({
             success: true,
             data: sorted,
-            count: sorted.length
+            meta: {
+                count: sorted.length
+            }
         });
 
     } catch (error) {
-        console.error('Get news feed error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
@@ -789,18 +648,11 @@ router.get('/news/types/list', (req, res) => {
 
 // 4.1 GET PERSONALIZED DISCOVERY FEED
 // GET /api/discovery/feed?lat=3.139&lng=101.6869&radius=10
-router.get('/feed', async (req, res) => {
+router.get('/feed', validate(schemas.localFeed), async (req, res, next) => {
     try {
         const { lat, lng, radius = 10 } = req.query;
         const userId = req.user?.id;
 
-        if (!lat || !lng) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Latitude and longitude required' 
-            });
-        }
-
         const radiusNum = parseFloat(radius);
 
         // Get all local content
@@ -847,33 +699,27 @@ router.get('/feed', async (req, res) => {
         res.json({
             success: true,
             data: feed,
-            count: feed.length,
-            breakdown: {
-                businesses: nearbyBusinesses.length,
-                events: nearbyEvents.length,
-                news: nearbyNews.length
+            meta: {
+                count: feed.length,
+                breakdown: {
+                    businesses: nearbyBusinesses.length,
+                    events: nearbyEvents.length,
+                    news: nearbyNews.length
+                }
             }
         });
 
     } catch (error) {
-        console.error('Get discovery feed error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
 // 4.2 GET TRENDING LOCALLY
 // GET /api/discovery/trending?lat=3.139&lng=101.6869
-router.get('/trending', async (req, res) => {
+router.get('/trending', validate(schemas.localFeed), async (req, res, next) => {
     try {
         const { lat, lng, radius = 10 } = req.query;
 
-        if (!lat || !lng) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Latitude and longitude required' 
-            });
-        }
-
         // Get discovery posts (user-generated local content)
         const { data: posts, error } = await supabase
             .from('discovery_posts')
@@ -885,10 +731,7 @@ router.get('/trending', async (req, res) => {
             .order('upvotes', { ascending: false })
             .limit(50);
 
-        if (error) {
-            console.error('Get trending error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to fetch trending' });
-        }
+        if (error) throw error;
 
         // Filter by distance
         const nearby = filterByDistance(posts || [], lat, lng, parseFloat(radius));
@@ -900,18 +743,17 @@ router.get('/trending', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Get trending error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
 // 4.3 POST DISCOVERY CONTENT
 // POST /api/discovery/posts
-router.post('/posts', async (req, res) => {
+router.post('/posts', validate(schemas.createPost), async (req, res, next) => {
     try {
         const userId = req.user?.id;
         if (!userId) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
+            return next(ApiError.unauthorized('Authentication required'));
         }
 
         const {
@@ -925,13 +767,6 @@ router.post('/posts', async (req, res) => {
             tags
         } = req.body;
 
-        if (!title || !content) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Title and content are required' 
-            });
-        }
-
         const { data: post, error } = await supabase
             .from('discovery_posts')
             .insert([{
@@ -948,10 +783,7 @@ router.post('/posts', async (req, res) => {
             .select()
             .single();
 
-        if (error) {
-            console.error('Create discovery post error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to create post' });
-        }
+        if (error) throw error;
 
         res.status(201).json({
             success: true,
@@ -960,14 +792,13 @@ router.post('/posts', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Create discovery post error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
 // 4.4 UPVOTE DISCOVERY POST
 // POST /api/discovery/posts/:id/upvote
-router.post('/posts/:id/upvote', async (req, res) => {
+router.post('/posts/:id/upvote', validate(schemas.itemParams), async (req, res, next) => {
     try {
         const { id } = req.params;
 
@@ -978,10 +809,7 @@ router.post('/posts/:id/upvote', async (req, res) => {
             .select()
             .single();
 
-        if (error) {
-            console.error('Upvote error:', error);
-            return res.status(500).json({ success: false, error: 'Failed to upvote' });
-        }
+        if (error) throw error;
 
         res.json({
             success: true,
@@ -989,28 +817,16 @@ router.post('/posts/:id/upvote', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Upvote error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
 // 4.5 SEARCH NEARBY
 // GET /api/discovery/search?q=coffee&lat=3.139&lng=101.6869&type=all
-router.get('/search', async (req, res) => {
+router.get('/search', validate(schemas.search), async (req, res, next) => {
     try {
         const { q, lat, lng, radius = 10, type = 'all' } = req.query;
 
-        if (!q) {
-            return res.status(400).json({ success: false, error: 'Search query required' });
-        }
-
-        if (!lat || !lng) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Latitude and longitude required' 
-            });
-        }
-
         const results = {
             businesses: [],
             events: [],
@@ -1079,12 +895,13 @@ router.get('/search', async (req, res) => {
         res.json({
             success: true,
             data: results,
-            count: totalCount
+            meta: {
+                count: totalCount
+            }
         });
 
     } catch (error) {
-        console.error('Search error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        next(error);
     }
 });
 
@@ -1095,16 +912,18 @@ router.get('/search', async (req, res) => {
 router.get('/health', (req, res) => {
     res.json({
         success: true,
-        service: 'Discovery System',
-        status: 'running',
-        features: [
-            'Local Businesses',
-            'Local Events',
-            'Local News',
-            'Discovery Feed',
-            'Trending Locally',
-            'Location-based Search'
-        ]
+        data: {
+            service: 'Discovery System',
+            status: 'running',
+            features: [
+                'Local Businesses',
+                'Local Events',
+                'Local News',
+                'Discovery Feed',
+                'Trending Locally',
+                'Location-based Search'
+            ]
+        }
     });
 });
 
@@ -0,0 +1,41 @@
+// routes/docs.js
+// API Reference - the generated OpenAPI document (docs/openapi.js) and a
+// browsable Swagger UI on top of it
+
+const express = require('express');
+const router = express.Router();
+const { getOpenApiDocument } = require('../docs/openapi');
+
+const SWAGGER_UI = 'https://unpkg.com/swagger-ui-dist@5';
+
+// ============================================================================
+// OPENAPI DOCUMENT
+// ============================================================================
+// Served bare (not in the { success, data } envelope) so codegen and
+// validators can consume it directly
+router.get('/openapi.json', (req, res) => {
+  res.json(getOpenApiDocument());
+});
+
+// ============================================================================
+// BROWSABLE DOCS
+// ============================================================================
+router.get('/docs', (req, res) => {
+  res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>LinkWavez API</title>
+  <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI}/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: '/api/openapi.json', dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>`);
+});
+
+module.exports = router;
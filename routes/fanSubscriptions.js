@@ -1,9 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/database');
+const { bindActor } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/subscriptions');
+const { ApiError } = require('../middleware/errors');
 
 // GET FAN SUBSCRIPTION PLANS
-router.get('/plans', async (req, res) => {
+router.get('/plans', async (req, res, next) => {
   try {
     const result = await pool.query(`
       SELECT * FROM subscription_plans
@@ -13,17 +17,16 @@ router.get('/plans', async (req, res) => {
     `);
     
     res.json({
-      status: 'success',
+      success: true,
       data: result.rows
     });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ status: 'error', message: error.message });
+    next(error);
   }
 });
 
 // SUBSCRIBE AS SUPERFAN
-router.post('/subscribe', async (req, res) => {
+router.post('/subscribe', bindActor('user_id'), validate(schemas.fanSubscribe), async (req, res, next) => {
   try {
     const { user_id, plan_type } = req.body;
     
@@ -32,7 +35,7 @@ router.post('/subscribe', async (req, res) => {
     `, [plan_type]);
     
     if (plan.rows.length === 0) {
-      return res.status(404).json({ status: 'error', message: 'Plan not found' });
+      return next(ApiError.notFound('Plan not found'));
     }
     
     const result = await pool.query(`
@@ -53,18 +56,17 @@ router.post('/subscribe', async (req, res) => {
     `, [user_id, plan.rows[0].id, plan_type]);
     
     res.status(201).json({
-      status: 'success',
+      success: true,
       message: `Successfully subscribed to ${plan_type}!`,
       data: result.rows[0]
     });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ status: 'error', message: error.message });
+    next(error);
   }
 });
 
 // GET EXCLUSIVE CONTENT FOR FAN
-router.get('/exclusive-content/:userId', async (req, res) => {
+router.get('/exclusive-content/:userId', validate(schemas.exclusiveContent), async (req, res, next) => {
   try {
     const { userId } = req.params;
     const { celebrity_id } = req.query;
@@ -112,20 +114,21 @@ router.get('/exclusive-content/:userId', async (req, res) => {
     `, [celebrity_id, subscriptionLevel]);
     
     res.json({
-      status: 'success',
-      user_subscription: subscriptionLevel,
-      fan_tier: fanTier,
-      count: content.rows.length,
-      data: content.rows
+      success: true,
+      data: content.rows,
+      meta: {
+        user_subscription: subscriptionLevel,
+        fan_tier: fanTier,
+        count: content.rows.length
+      }
     });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ status: 'error', message: error.message });
+    next(error);
   }
 });
 
 // CALCULATE AND LOG COMMENT PRIORITY
-router.post('/comment/calculate-priority', async (req, res) => {
+router.post('/comment/calculate-priority', validate(schemas.commentPriority), async (req, res, next) => {
   try {
     const { comment_id, user_id, celebrity_id } = req.body;
     
@@ -169,12 +172,11 @@ router.post('/comment/calculate-priority', async (req, res) => {
     `, [comment_id, user_id, celebrity_id, subscriptionLevel, fanTier]);
     
     res.json({
-      status: 'success',
+      success: true,
       data: result.rows[0]
     });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ status: 'error', message: error.message });
+    next(error);
   }
 });
 
@@ -1,9 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/database');
+const { requireSelf } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/fans');
 
 // GET FAN STATUS
-router.get('/:fanId/status/:celebrityId', async (req, res) => {
+router.get('/:fanId/status/:celebrityId', validate(schemas.fanStatus), async (req, res, next) => {
   try {
     const { fanId, celebrityId } = req.params;
     
@@ -31,23 +34,22 @@ router.get('/:fanId/status/:celebrityId', async (req, res) => {
       `, [fanId, celebrityId]);
       
       return res.json({
-        status: 'success',
+        success: true,
         data: newFan.rows[0]
       });
     }
     
     res.json({
-      status: 'success',
+      success: true,
       data: result.rows[0]
     });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ status: 'error', message: error.message });
+    next(error);
   }
 });
 
 // LOG FAN INTERACTION
-router.post('/:fanId/interaction', async (req, res) => {
+router.post('/:fanId/interaction', requireSelf('fanId'), validate(schemas.logInteraction), async (req, res, next) => {
   try {
     const { fanId } = req.params;
     const { celebrity_user_id, interaction_type, post_id } = req.body;
@@ -94,17 +96,16 @@ router.post('/:fanId/interaction', async (req, res) => {
     `, [fanId, celebrity_user_id]);
     
     res.json({
-      status: 'success',
+      success: true,
       message: 'Interaction logged successfully'
     });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ status: 'error', message: error.message });
+    next(error);
   }
 });
 
 // GET FAN LEADERBOARD
-router.get('/:celebrityId/leaderboard', async (req, res) => {
+router.get('/:celebrityId/leaderboard', validate(schemas.leaderboard), async (req, res, next) => {
   try {
     const { celebrityId } = req.params;
     const { limit = 100 } = req.query;
@@ -130,18 +131,19 @@ router.get('/:celebrityId/leaderboard', async (req, res) => {
     `, [celebrityId, limit]);
     
     res.json({
-      status: 'success',
-      count: result.rows.length,
-      data: result.rows
+      success: true,
+      data: result.rows,
+      meta: {
+        count: result.rows.length
+      }
     });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ status: 'error', message: error.message });
+    next(error);
   }
 });
 
 // GET USER'S BADGES
-router.get('/:userId/badges', async (req, res) => {
+router.get('/:userId/badges', validate(schemas.userBadges), async (req, res, next) => {
   try {
     const { userId } = req.params;
     
@@ -164,13 +166,14 @@ router.get('/:userId/badges', async (req, res) => {
     `, [userId]);
     
     res.json({
-      status: 'success',
-      count: result.rows.length,
-      data: result.rows
+      success: true,
+      data: result.rows,
+      meta: {
+        count: result.rows.length
+      }
     });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ status: 'error', message: error.message });
+    next(error);
   }
 });
 
@@ -3,11 +3,27 @@
 
 const express = require('express');
 const router = express.Router();
-const supabase = require('../config/database');
-
-// Helper: Determine time-based content preference
-function getTimeBasedPreference() {
-  const hour = new Date().getHours();
+const { supabase } = require('../config/database');
+const users = require('../repositories/users');
+const reactionsRepo = require('../repositories/reactions');
+const wisdomClips = require('../repositories/wisdomClips');
+const { POST_WITH_AUTHOR } = wisdomClips;
+const { bindActor, requireAdmin } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/feed');
+const feedRanking = require('../services/feedRanking');
+const feedAffinity = require('../services/feedAffinity');
+const feedCandidates = require('../services/feedCandidates');
+const feedDiversity = require('../services/feedDiversity');
+const feedExperiments = require('../services/feedExperiments');
+const feedExperimentsRepo = require('../repositories/feedExperiments');
+const timezones = require('../services/timezones');
+const { ApiError } = require('../middleware/errors');
+
+// Helper: Determine time-based content preference from the hour in the
+// user's timezone
+function getTimeBasedPreference(timezone) {
+  const { hour } = timezones.localTime(new Date(), timezone);
   
   if (hour >= 6 && hour < 12) {
     return 'morning'; // Motivational, news, light content
@@ -20,18 +36,14 @@ function getTimeBasedPreference() {
   }
 }
 
-// Helper: Calculate user's current mood based on recent activity
-async function detectUserMood(userId) {
+// Helper: Calculate user's current mood based on recent activity, falling
+// back to the learned affinities when reactions say nothing clear
+async function detectUserMood(userId, affinities = null) {
   // Get last 10 reactions
-  const { data: recentReactions } = await supabase
-    .from('reactions')
-    .select('reaction_type')
-    .eq('user_id', userId)
-    .order('created_at', { ascending: false })
-    .limit(10);
+  const recentReactions = await reactionsRepo.getRecentByUser(userId, 10);
 
-  if (!recentReactions || recentReactions.length === 0) {
-    return 'neutral';
+  if (recentReactions.length === 0) {
+    return feedAffinity.moodFromAffinities(affinities) || 'neutral';
   }
 
   // Count reaction types
@@ -56,7 +68,7 @@ async function detectUserMood(userId) {
   if (counts.care + counts.support > 5) return 'supportive'; // In caring mood
   if (counts.applaud + counts.fire > 5) return 'energized'; // Wants inspiration
   
-  return 'balanced'; // Mixed interests
+  return feedAffinity.moodFromAffinities(affinities) || 'balanced'; // Mixed interests
 }
 
 // Helper: Get user's passion interests
@@ -70,219 +82,232 @@ async function getUserPassions(userId) {
   return passions?.map(p => p.passion) || [];
 }
 
-// Helper: Calculate content score for user
-function calculateContentScore(post, userMood, timePreference, userPassions) {
-  let score = 0;
-
-  // Base engagement score
-  const totalEngagement = (post.reactions?.total || 0) + (post.comment_count || 0);
-  score += Math.min(totalEngagement / 10, 50); // Max 50 points from engagement
-
-  // Recency bonus
-  const hoursAgo = (Date.now() - new Date(post.created_at).getTime()) / (1000 * 60 * 60);
-  if (hoursAgo < 1) score += 30;
-  else if (hoursAgo < 6) score += 20;
-  else if (hoursAgo < 24) score += 10;
-
-  // Mood matching
-  if (userMood === 'fun-seeking') {
-    if (post.content_type === 'entertainment') score += 40;
-    if (post.reactions?.laugh > 10) score += 30;
-  } else if (userMood === 'learning') {
-    if (post.content_type === 'educational') score += 40;
-    if (post.reactions?.thinking > 5) score += 30;
-  } else if (userMood === 'supportive') {
-    if (post.content_type === 'inspirational') score += 40;
-    if (post.reactions?.care > 5) score += 30;
-  }
+// Helper: Attach reaction counts and comment count to each post
+async function withEngagement(posts) {
+  return Promise.all(posts.map(async (post) => {
+    const reactionCounts = await reactionsRepo.countByTypeForPost(post.id);
+    const commentCount = await reactionsRepo.countCommentsForPost(post.id);
 
-  // Time-based preference
-  if (timePreference === 'morning') {
-    if (post.content_type === 'motivational' || post.content_type === 'news') score += 25;
-  } else if (timePreference === 'afternoon') {
-    if (post.content_type === 'educational') score += 25;
-  } else if (timePreference === 'evening') {
-    if (post.content_type === 'entertainment' || post.content_type === 'social') score += 25;
-  }
+    return {
+      ...post,
+      reactions: reactionCounts,
+      comment_count: commentCount || 0
+    };
+  }));
+}
 
-  // Passion matching
-  const postHashtags = post.hashtags || [];
-  userPassions.forEach(passion => {
-    if (postHashtags.some(tag => tag.includes(passion.toLowerCase()))) {
-      score += 35;
-    }
-  });
+// Helper: Attach the reactions each post allows
+async function withReactionRules(posts) {
+  return Promise.all(posts.map(async (post) => {
+    const { data: reactionRules } = await supabase
+      .from('post_reaction_rules')
+      .select('*')
+      .eq('post_id', post.id)
+      .single();
 
-  // Quality indicators
-  if (post.users?.aura_score > 800) score += 15; // High-quality creator
-  if (post.users?.wisdom_score > 800) score += 15; // Trusted source
+    return {
+      ...post,
+      allowed_reactions: reactionRules?.allowed_reactions || ['laugh', 'support', 'care', 'thinking', 'applaud', 'fire'],
+      blocked_reactions: reactionRules?.blocked_reactions || []
+    };
+  }));
+}
+
+// Helper: Opaque following feed cursor - the last post served
+function encodeFollowingCursor(post) {
+  return Buffer.from(JSON.stringify({ t: post.created_at, id: post.id })).toString('base64url');
+}
 
-  // Penalize crisis/misinfo
-  if (post.is_crisis) score -= 20; // Show less frequently
-  if (post.needs_fact_check) score -= 15;
+// The timestamp goes back to the database exactly as stored: re-formatting
+// it through a Date would drop the microseconds and skip posts created in the
+// same millisecond
+const CURSOR_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}:\d{2})$/;
 
-  // Diversity bonus (prevent echo chamber)
-  // This would be enhanced with user's historical data
-  
-  return Math.max(0, score);
+function decodeFollowingCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (CURSOR_TIMESTAMP.test(t) && !Number.isNaN(Date.parse(t)) && /^[0-9a-f-]{36}$/i.test(id)) {
+      return { created_at: t, id };
+    }
+  } catch (error) {
+    // Fall through to the invalid cursor error
+  }
+
+  throw ApiError.badRequest('Invalid feed cursor');
 }
 
 // ==========================================
 // GET PERSONALIZED FEED
 // ==========================================
-router.get('/personalized/:userId', async (req, res) => {
+async function personalizedFeed(req, res, next) {
   try {
     const { userId } = req.params;
-    const { limit = 20, offset = 0 } = req.query;
+    const { limit = 20, offset = 0, debug = false, cursor } = req.query;
 
-    // 1. Detect user's current mood
-    const userMood = await detectUserMood(userId);
+    // 1. Detect user's current mood (learned affinities fill in the gaps)
+    const affinities = await feedAffinity.getForUser(userId);
+    const userMood = await detectUserMood(userId, affinities);
 
-    // 2. Get time-based preference
-    const timePreference = getTimeBasedPreference();
+    // 2. Get time-based preference (the user's local time, not the server's)
+    const timezone = await timezones.forUser(userId, req);
+    const timePreference = getTimeBasedPreference(timezone);
 
     // 3. Get user's passions
     const userPassions = await getUserPassions(userId);
 
     // 4. Get user's following list
-    const { data: following } = await supabase
-      .from('follows')
-      .select('following_id')
-      .eq('follower_id', userId);
-
-    const followingIds = following?.map(f => f.following_id) || [];
+    const followingIds = await users.getFollowingIds(userId);
+
+    // 5. Get posts: a cursor pages through the snapshot ranked on the first
+    // page, otherwise rank the user's candidates (followed users' posts fanned
+    // out on write, merged with trending - services/feedCandidates.js)
+    const page = cursor ? await feedCandidates.readPage(userId, cursor, { limit }) : null;
+    const candidateIds = page ? page.postIds : await feedCandidates.candidateIds(userId);
+    const allPosts = await wisdomClips.findPublicWithAuthor(candidateIds);
+
+    // 6. Get engagement data for each post
+    const postsWithEngagement = await withEngagement(allPosts);
+
+    // 7. Score with the ranking pipeline (services/feedRanking.js), best first;
+    // users bucketed into a running experiment rank with their variant's weights
+    const assignment = await feedExperiments.assign('personalized', userId);
+    const weights = feedExperiments.weightsFor(assignment?.variant);
+
+    const scoredPosts = feedRanking.rankPosts(postsWithEngagement, {
+      mood: userMood,
+      timePreference,
+      passions: userPassions,
+      affinities
+    }, { weights, debug });
+
+    // 8. Re-rank for diversity (services/feedDiversity.js) and paginate: later
+    // pages keep the first page's order, so nothing repeats or reshuffles
+    // between pages
+    const bubble = feedDiversity.bubbleOf({ userId, followingIds, passions: userPassions, affinities });
+
+    let paginatedPosts;
+    let nextCursor;
+    let totalAnalyzed;
+
+    if (page) {
+      paginatedPosts = scoredPosts.sort((a, b) => candidateIds.indexOf(a.id) - candidateIds.indexOf(b.id));
+      nextCursor = page.nextCursor;
+      totalAnalyzed = page.total;
+    } else {
+      const rankedPosts = feedDiversity.rerank(scoredPosts, bubble, { debug });
+      const session = await feedCandidates.startSession(userId, rankedPosts.map(post => post.id), { offset, limit });
+      paginatedPosts = rankedPosts.slice(offset, offset + limit);
+      nextCursor = session.nextCursor;
+      totalAnalyzed = rankedPosts.length;
+    }
 
-    // 5. Get posts (mix of following + discover)
-    const { data: followingPosts } = await supabase
-      .from('wisdom_clips')
-      .select(`
-        *,
-        users:user_id (
-          id,
-          username,
-          avatar_url,
-          aura_score,
-          wisdom_score
-        )
-      `)
-      .in('user_id', followingIds.length > 0 ? followingIds : [userId]) // If no following, show own posts
-      .eq('visibility', 'public')
-      .order('created_at', { ascending: false })
-      .limit(50); // Get more to score and filter
+    // 9. Get allowed reactions for each post
+    const finalPosts = await withReactionRules(paginatedPosts);
 
-    // 6. Get discovery posts (not following)
-    const { data: discoveryPosts } = await supabase
-      .from('wisdom_clips')
-      .select(`
-        *,
-        users:user_id (
-          id,
-          username,
-          avatar_url,
-          aura_score,
-          wisdom_score
-        )
-      `)
-      .not('user_id', 'in', `(${[userId, ...followingIds].join(',')})`)
-      .eq('visibility', 'public')
-      .order('created_at', { ascending: false })
-      .limit(30);
-
-    // 7. Combine all posts
-    const allPosts = [...(followingPosts || []), ...(discoveryPosts || [])];
-
-    // 8. Get engagement data for each post
-    const postsWithEngagement = await Promise.all(allPosts.map(async (post) => {
-      // Get reactions
-      const { data: reactions } = await supabase
-        .from('reactions')
-        .select('reaction_type')
-        .eq('clip_id', post.id);
-
-      // Get comments
-      const { count: commentCount } = await supabase
-        .from('comments')
-        .select('*', { count: 'exact', head: true })
-        .eq('clip_id', post.id);
-
-      // Count reactions
-      const reactionCounts = {
-        laugh: 0,
-        support: 0,
-        care: 0,
-        thinking: 0,
-        applaud: 0,
-        fire: 0,
-        total: reactions?.length || 0
-      };
+    if (assignment) {
+      await feedExperiments.recordExposure(assignment, { userId, surface: 'personalized', posts: finalPosts });
+    }
 
-      reactions?.forEach(r => {
-        if (reactionCounts.hasOwnProperty(r.reaction_type)) {
-          reactionCounts[r.reaction_type]++;
-        }
-      });
+    res.json({
+      success: true,
+      data: finalPosts,
+      meta: {
+        mode: 'personalized',
+        personalization: {
+          detected_mood: userMood,
+          time_preference: timePreference,
+          timezone,
+          passions: userPassions,
+          following_count: followingIds.length,
+          learned_interactions: affinities?.interactions_count || 0
+        },
+        count: finalPosts.length,
+        total_analyzed: totalAnalyzed,
+        next_cursor: nextCursor,
+        has_more: nextCursor !== null,
+        diversity: feedDiversity.measure(finalPosts, bubble),
+        ...(assignment && { experiment: { key: assignment.experiment.key, variant: assignment.variant.name } }),
+        ...(debug && { ranking: { weights: feedRanking.effectiveWeights(weights) } })
+      }
+    });
 
-      return {
-        ...post,
-        reactions: reactionCounts,
-        comment_count: commentCount || 0
-      };
-    }));
+  } catch (error) {
+    next(error);
+  }
+}
 
-    // 9. Calculate scores for each post
-    const scoredPosts = postsWithEngagement.map(post => ({
-      ...post,
-      feed_score: calculateContentScore(post, userMood, timePreference, userPassions)
-    }));
+// Get personalized feed (ranked, cursor paged)
+router.get('/personalized/:userId', validate(schemas.personalizedFeed), personalizedFeed);
 
-    // 10. Sort by score
-    scoredPosts.sort((a, b) => b.feed_score - a.feed_score);
+// ==========================================
+// GET FOLLOWING FEED (chronological)
+// ==========================================
+async function followingFeed(req, res, next) {
+  try {
+    const { userId } = req.params;
+    const { limit = 20, cursor } = req.query;
 
-    // 11. Paginate
-    const paginatedPosts = scoredPosts.slice(offset, offset + limit);
+    // Public posts only, as on the personalized feed
+    const followingIds = await users.getFollowingIds(userId);
+    const before = cursor ? decodeFollowingCursor(cursor) : null;
 
-    // 12. Get allowed reactions for each post
-    const finalPosts = await Promise.all(paginatedPosts.map(async (post) => {
-      const { data: reactionRules } = await supabase
-        .from('post_reaction_rules')
-        .select('*')
-        .eq('post_id', post.id)
-        .single();
+    // One extra post tells whether there is a next page
+    const posts = await wisdomClips.findPublicByAuthors(followingIds, { before, limit: limit + 1 });
+    const hasMore = posts.length > limit;
+    const pagePosts = posts.slice(0, limit);
 
-      return {
-        ...post,
-        allowed_reactions: reactionRules?.allowed_reactions || ['laugh', 'support', 'care', 'thinking', 'applaud', 'fire'],
-        blocked_reactions: reactionRules?.blocked_reactions || []
-      };
-    }));
+    const finalPosts = await withReactionRules(await withEngagement(pagePosts));
 
     res.json({
       success: true,
-      feed: finalPosts,
-      personalization: {
-        detected_mood: userMood,
-        time_preference: timePreference,
-        passions: userPassions,
-        following_count: followingIds.length
-      },
-      count: finalPosts.length,
-      total_analyzed: scoredPosts.length
+      data: finalPosts,
+      meta: {
+        mode: 'following',
+        following_count: followingIds.length,
+        count: finalPosts.length,
+        next_cursor: hasMore ? encodeFollowingCursor(pagePosts[pagePosts.length - 1]) : null,
+        has_more: hasMore
+      }
     });
 
   } catch (error) {
-    console.error('Get personalized feed error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get personalized feed',
-      error: error.message
-    });
+    next(error);
+  }
+}
+
+// Get following feed (followed users' posts, newest first)
+router.get('/following/:userId', validate(schemas.followingFeed), followingFeed);
+
+const FEEDS = {
+  personalized: personalizedFeed,
+  following: followingFeed
+};
+
+// ==========================================
+// GET HOME FEED (the user's default feed mode)
+// ==========================================
+router.get('/home/:userId', validate(schemas.homeFeed), async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    // ?mode= switches feeds for this request; users.default_feed_mode otherwise
+    let mode = req.query.mode;
+    if (!mode) {
+      const user = await users.findById(userId, 'default_feed_mode');
+      mode = user?.default_feed_mode || 'personalized';
+    }
+
+    return FEEDS[mode](req, res, next);
+
+  } catch (error) {
+    next(error);
   }
 });
 
 // ==========================================
 // GET DISCOVERY FEED (For You)
 // ==========================================
-router.get('/discover/:userId', async (req, res) => {
+router.get('/discover/:userId', validate(schemas.discoverFeed), async (req, res, next) => {
   try {
     const { userId } = req.params;
     const { limit = 20 } = req.query;
@@ -293,16 +318,7 @@ router.get('/discover/:userId', async (req, res) => {
     // Get trending posts with matching passions
     const { data: posts, error: postsError } = await supabase
       .from('wisdom_clips')
-      .select(`
-        *,
-        users:user_id (
-          id,
-          username,
-          avatar_url,
-          aura_score,
-          wisdom_score
-        )
-      `)
+      .select(POST_WITH_AUTHOR)
       .eq('visibility', 'public')
       .order('created_at', { ascending: false })
       .limit(100);
@@ -322,31 +338,8 @@ router.get('/discover/:userId', async (req, res) => {
 
     // Get engagement data
     const postsWithEngagement = await Promise.all(filteredPosts.map(async (post) => {
-      const { data: reactions } = await supabase
-        .from('reactions')
-        .select('reaction_type')
-        .eq('clip_id', post.id);
-
-      const { count: commentCount } = await supabase
-        .from('comments')
-        .select('*', { count: 'exact', head: true })
-        .eq('clip_id', post.id);
-
-      const reactionCounts = {
-        laugh: 0,
-        support: 0,
-        care: 0,
-        thinking: 0,
-        applaud: 0,
-        fire: 0,
-        total: reactions?.length || 0
-      };
-
-      reactions?.forEach(r => {
-        if (reactionCounts.hasOwnProperty(r.reaction_type)) {
-          reactionCounts[r.reaction_type]++;
-        }
-      });
+      const reactionCounts = await reactionsRepo.countByTypeForPost(post.id);
+      const commentCount = await reactionsRepo.countCommentsForPost(post.id);
 
       return {
         ...post,
@@ -356,32 +349,54 @@ router.get('/discover/:userId', async (req, res) => {
       };
     }));
 
-    // Sort by engagement
-    postsWithEngagement.sort((a, b) => b.engagement_score - a.engagement_score);
+    // Sort by engagement, or rank with the scorer pipeline when the user is
+    // in an experiment variant that sets weights
+    const assignment = await feedExperiments.assign('discover', userId);
+    const affinities = await feedAffinity.getForUser(userId);
 
-    // Take top posts
-    const topPosts = postsWithEngagement.slice(0, limit);
+    let rankedPosts;
+    if (assignment?.variant.weights) {
+      rankedPosts = feedRanking.rankPosts(postsWithEngagement, {
+        timePreference: getTimeBasedPreference(await timezones.forUser(userId, req)),
+        passions: userPassions,
+        affinities
+      }, { weights: feedExperiments.weightsFor(assignment.variant) });
+    } else {
+      rankedPosts = postsWithEngagement.sort((a, b) => b.engagement_score - a.engagement_score);
+    }
+
+    // Re-rank for diversity, then take top posts
+    const bubble = feedDiversity.bubbleOf({
+      userId,
+      followingIds: await users.getFollowingIds(userId),
+      passions: userPassions,
+      affinities
+    });
+    const topPosts = feedDiversity.rerank(rankedPosts, bubble).slice(0, limit);
+
+    if (assignment) {
+      await feedExperiments.recordExposure(assignment, { userId, surface: 'discover', posts: topPosts });
+    }
 
     res.json({
       success: true,
-      posts: topPosts,
-      count: topPosts.length
+      data: topPosts,
+      meta: {
+        count: topPosts.length,
+        diversity: feedDiversity.measure(topPosts, bubble),
+        ...(assignment && { experiment: { key: assignment.experiment.key, variant: assignment.variant.name } })
+      }
     });
 
   } catch (error) {
-    console.error('Get discovery feed error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get discovery feed',
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ==========================================
 // GET TRENDING FEED
 // ==========================================
-router.get('/trending', async (req, res) => {
+router.get('/trending', validate(schemas.trendingFeed), async (req, res, next) => {
   try {
     const { limit = 20 } = req.query;
 
@@ -390,16 +405,7 @@ router.get('/trending', async (req, res) => {
 
     const { data: posts, error: postsError } = await supabase
       .from('wisdom_clips')
-      .select(`
-        *,
-        users:user_id (
-          id,
-          username,
-          avatar_url,
-          aura_score,
-          wisdom_score
-        )
-      `)
+      .select(POST_WITH_AUTHOR)
       .eq('visibility', 'public')
       .gte('created_at', yesterday)
       .order('created_at', { ascending: false });
@@ -408,31 +414,8 @@ router.get('/trending', async (req, res) => {
 
     // Calculate engagement for each
     const postsWithEngagement = await Promise.all(posts.map(async (post) => {
-      const { data: reactions } = await supabase
-        .from('reactions')
-        .select('reaction_type')
-        .eq('clip_id', post.id);
-
-      const { count: commentCount } = await supabase
-        .from('comments')
-        .select('*', { count: 'exact', head: true })
-        .eq('clip_id', post.id);
-
-      const reactionCounts = {
-        laugh: 0,
-        support: 0,
-        care: 0,
-        thinking: 0,
-        applaud: 0,
-        fire: 0,
-        total: reactions?.length || 0
-      };
-
-      reactions?.forEach(r => {
-        if (reactionCounts.hasOwnProperty(r.reaction_type)) {
-          reactionCounts[r.reaction_type]++;
-        }
-      });
+      const reactionCounts = await reactionsRepo.countByTypeForPost(post.id);
+      const commentCount = await reactionsRepo.countCommentsForPost(post.id);
 
       // Calculate trending score (engagement / time)
       const hoursAgo = (Date.now() - new Date(post.created_at).getTime()) / (1000 * 60 * 60);
@@ -454,25 +437,22 @@ router.get('/trending', async (req, res) => {
 
     res.json({
       success: true,
-      posts: trending,
-      count: trending.length,
-      timeframe: '24 hours'
+      data: trending,
+      meta: {
+        count: trending.length,
+        timeframe: '24 hours'
+      }
     });
 
   } catch (error) {
-    console.error('Get trending feed error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get trending feed',
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ==========================================
 // TRACK FEED INTERACTION (Learning)
 // ==========================================
-router.post('/track-interaction', async (req, res) => {
+router.post('/track-interaction', bindActor('user_id'), validate(schemas.trackInteraction), async (req, res, next) => {
   try {
     const { user_id, post_id, interaction_type, duration_seconds } = req.body;
 
@@ -488,8 +468,8 @@ router.post('/track-interaction', async (req, res) => {
 
     if (error) throw error;
 
-    // Update user's behavioral pattern
-    // This data will be used to improve future feed personalization
+    // Folded into the user's feed affinities by the next run of the
+    // affinity job (services/feedAffinity.js)
 
     res.json({
       success: true,
@@ -497,12 +477,90 @@ router.post('/track-interaction', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Track interaction error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to track interaction',
-      error: error.message
+    next(error);
+  }
+});
+
+// ==========================================
+// LIST RANKING EXPERIMENTS (Admin)
+// ==========================================
+router.get('/experiments', requireAdmin, validate(schemas.listExperiments), async (req, res, next) => {
+  try {
+    const experiments = await feedExperimentsRepo.findAll({ status: req.query.status });
+
+    res.json({
+      success: true,
+      data: experiments,
+      meta: { count: experiments.length }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==========================================
+// CREATE RANKING EXPERIMENT (Admin)
+// ==========================================
+router.post('/experiments', requireAdmin, validate(schemas.createExperiment), async (req, res, next) => {
+  try {
+    const experiment = await feedExperiments.createExperiment({
+      ...req.body,
+      createdBy: req.user.id
     });
+
+    res.status(201).json({
+      success: true,
+      data: experiment,
+      message: 'Experiment created - set its status to running to start it'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==========================================
+// UPDATE / START / STOP RANKING EXPERIMENT (Admin)
+// ==========================================
+router.put('/experiments/:experimentId', requireAdmin, validate(schemas.updateExperiment), async (req, res, next) => {
+  try {
+    if (Object.keys(req.body).length === 0) {
+      return next(ApiError.badRequest('No fields to update'));
+    }
+
+    const experiment = await feedExperiments.updateExperiment(req.params.experimentId, req.body);
+
+    res.json({
+      success: true,
+      data: experiment,
+      message: 'Experiment updated'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==========================================
+// RANKING EXPERIMENT ANALYTICS (Admin)
+// ==========================================
+router.get('/experiments/:experimentId/analytics', requireAdmin, validate(schemas.experimentParams), async (req, res, next) => {
+  try {
+    const experiment = await feedExperimentsRepo.findById(req.params.experimentId);
+    if (!experiment) {
+      return next(ApiError.notFound('Experiment not found'));
+    }
+
+    const report = await feedExperiments.buildReport(experiment);
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    next(error);
   }
 });
 
@@ -3,12 +3,15 @@
 
 const express = require('express');
 const router = express.Router();
-const supabase = require('../config/database');
+const { supabase } = require('../config/database');
+const { bindActor } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/hashtags');
 
 // ==========================================
 // GET TRENDING HASHTAGS
 // ==========================================
-router.get('/trending', async (req, res) => {
+router.get('/trending', validate(schemas.trending), async (req, res, next) => {
   try {
     const { limit = 20, timeframe = '24h' } = req.query;
 
@@ -45,25 +48,22 @@ router.get('/trending', async (req, res) => {
 
     res.json({
       success: true,
-      trending: trending,
-      timeframe: timeframe,
-      count: trending.length
+      data: trending,
+      meta: {
+        timeframe: timeframe,
+        count: trending.length
+      }
     });
 
   } catch (error) {
-    console.error('Get trending hashtags error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get trending hashtags',
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ==========================================
 // SEARCH BY HASHTAG
 // ==========================================
-router.get('/search/:tag', async (req, res) => {
+router.get('/search/:tag', validate(schemas.tagSearch), async (req, res, next) => {
   try {
     const { tag } = req.params;
     const { limit = 20, offset = 0 } = req.query;
@@ -128,25 +128,22 @@ router.get('/search/:tag', async (req, res) => {
 
     res.json({
       success: true,
-      hashtag: normalizedTag,
-      posts: postsWithEngagement,
-      count: postsWithEngagement.length
+      data: postsWithEngagement,
+      meta: {
+        hashtag: normalizedTag,
+        count: postsWithEngagement.length
+      }
     });
 
   } catch (error) {
-    console.error('Search hashtag error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to search hashtag',
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ==========================================
 // GET HASHTAG STATS
 // ==========================================
-router.get('/stats/:tag', async (req, res) => {
+router.get('/stats/:tag', validate(schemas.tagParams), async (req, res, next) => {
   try {
     const { tag } = req.params;
 
@@ -193,39 +190,29 @@ router.get('/stats/:tag', async (req, res) => {
 
     res.json({
       success: true,
-      hashtag: normalizedTag,
-      stats: {
-        total_posts: totalPosts || 0,
-        posts_24h: recentPosts || 0,
-        trending_score: recentPosts || 0
-      },
-      related_hashtags: relatedTags
+      data: {
+        hashtag: normalizedTag,
+        stats: {
+          total_posts: totalPosts || 0,
+          posts_24h: recentPosts || 0,
+          trending_score: recentPosts || 0
+        },
+        related_hashtags: relatedTags
+      }
     });
 
   } catch (error) {
-    console.error('Get hashtag stats error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get hashtag stats',
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ==========================================
 // FOLLOW HASHTAG
 // ==========================================
-router.post('/follow', async (req, res) => {
+router.post('/follow', bindActor('user_id'), validate(schemas.followHashtag), async (req, res, next) => {
   try {
     const { user_id, hashtag } = req.body;
 
-    if (!user_id || !hashtag) {
-      return res.status(400).json({
-        success: false,
-        message: 'user_id and hashtag are required'
-      });
-    }
-
     const normalizedTag = hashtag.startsWith('#') ? hashtag.toLowerCase() : `#${hashtag.toLowerCase()}`;
 
     // Check if already following
@@ -239,8 +226,10 @@ router.post('/follow', async (req, res) => {
     if (existing) {
       return res.json({
         success: true,
-        already_following: true,
-        message: 'Already following this hashtag'
+        message: 'Already following this hashtag',
+        data: {
+          already_following: true
+        }
       });
     }
 
@@ -257,23 +246,20 @@ router.post('/follow', async (req, res) => {
     res.json({
       success: true,
       message: 'Hashtag followed successfully',
-      hashtag: normalizedTag
+      data: {
+        hashtag: normalizedTag
+      }
     });
 
   } catch (error) {
-    console.error('Follow hashtag error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to follow hashtag',
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ==========================================
 // UNFOLLOW HASHTAG
 // ==========================================
-router.post('/unfollow', async (req, res) => {
+router.post('/unfollow', bindActor('user_id'), validate(schemas.followHashtag), async (req, res, next) => {
   try {
     const { user_id, hashtag } = req.body;
 
@@ -293,19 +279,14 @@ router.post('/unfollow', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Unfollow hashtag error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to unfollow hashtag',
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ==========================================
 // GET USER'S FOLLOWED HASHTAGS
 // ==========================================
-router.get('/user/:userId/following', async (req, res) => {
+router.get('/user/:userId/following', validate(schemas.userHashtags), async (req, res, next) => {
   try {
     const { userId } = req.params;
 
@@ -341,17 +322,14 @@ router.get('/user/:userId/following', async (req, res) => {
 
     res.json({
       success: true,
-      hashtags: hashtagsWithStats,
-      count: hashtagsWithStats.length
+      data: hashtagsWithStats,
+      meta: {
+        count: hashtagsWithStats.length
+      }
     });
 
   } catch (error) {
-    console.error('Get followed hashtags error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get followed hashtags',
-      error: error.message
-    });
+    next(error);
   }
 });
 
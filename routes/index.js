@@ -0,0 +1,38 @@
+// routes/index.js
+// API Routers - every router the server mounts, by mount path.
+// index.js mounts this table and docs/openapi.js documents it, so a router
+// added here is served and documented at the same time.
+
+const mount = (path, file) => {
+  const exported = require(`./${file}`);
+
+  // notifications exports helpers alongside its router
+  return { path, file, router: exported.router || exported };
+};
+
+module.exports = [
+  mount('/api/auth', 'auth'),
+  mount('/api/users', 'users'),
+  mount('/api/celebrity', 'celebrity'),
+  mount('/api/fans', 'fans'),
+  mount('/api/subscriptions', 'subscriptions'),
+  mount('/api/fan-subscriptions', 'fanSubscriptions'),
+  mount('/api/posts', 'posts'),
+  mount('/api/feed', 'feed'),
+  mount('/api/reactions', 'reactions'),
+  mount('/api/comments', 'comments'),
+  mount('/api/hashtags', 'hashtags'),
+  mount('/api/media', 'media'),
+  mount('/api/charity', 'charity'),
+  mount('/api/crisis', 'crisis'),
+  mount('/api/notifications', 'notifications'),
+  mount('/api/search', 'search'),
+  mount('/api/analytics', 'analytics'),
+  mount('/api/avatar', 'avatar'),
+  mount('/api/chat', 'chat'),
+  mount('/api/streaming', 'streaming'),
+  mount('/api/marketplace', 'marketplace'),
+  mount('/api/communities', 'communities'),
+  mount('/api/privacy', 'privacy'),
+  mount('/api/discovery', 'discovery')
+];
@@ -1,19 +1,88 @@
 const express = require('express');
 const router = express.Router();
-const { createClient } = require('@supabase/supabase-js');
+const { bindActor, requireSelf } = require('../middleware/authorize');
+const { supabase } = require('../config/database');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/marketplace');
+const { ApiError } = require('../middleware/errors');
+
+// Bind req.body.vendorId to the signed-in user's vendor account, the way
+// bindActor binds user ids: another vendor's id is rejected, a missing one is
+// filled in
+const bindVendor = async (req, res, next) => {
+  if (!req.user?.id) {
+    return next(ApiError.unauthorized());
+  }
+
+  try {
+    const { data: vendor, error } = await supabase
+      .from('vendors')
+      .select('id')
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!vendor) {
+      return next(ApiError.forbidden('Register as a vendor first'));
+    }
+
+    req.body = req.body || {};
+    if (req.body.vendorId && String(req.body.vendorId) !== String(vendor.id)) {
+      return next(ApiError.forbidden('vendorId does not match your vendor account'));
+    }
+
+    req.body.vendorId = vendor.id;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Bookings and orders change status by their vendor; the customer can only
+// cancel. The loaded row is exposed as req.resource.
+const requireStatusChange = ({ table, param, label }) => {
+  return async (req, res, next) => {
+    if (!req.user?.id) {
+      return next(ApiError.unauthorized());
+    }
 
-// Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
+    try {
+      const { data: resource, error } = await supabase
+        .from(table)
+        .select('*, vendors:vendor_id (user_id)')
+        .eq('id', req.params[param])
+        .maybeSingle();
+
+      if (error) throw error;
+
+      if (!resource) {
+        return next(ApiError.notFound(`${label} not found`));
+      }
+
+      const isVendor = String(resource.vendors?.user_id) === String(req.user.id);
+      const isCustomer = String(resource.user_id) === String(req.user.id);
+
+      if (!isVendor && !(isCustomer && req.body.status === 'cancelled')) {
+        return next(ApiError.forbidden(isCustomer
+          ? `You can only cancel your ${label.toLowerCase()}`
+          : `Only the vendor can update this ${label.toLowerCase()}`));
+      }
+
+      req.resource = resource;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
 
 // ============================================================================
 // VENDOR MANAGEMENT
 // ============================================================================
 
 // Register as Vendor
-router.post('/vendors/register', async (req, res) => {
+router.post('/vendors/register', bindActor('userId'), validate(schemas.registerVendor), async (req, res, next) => {
   try {
     const {
       userId,
@@ -29,13 +98,6 @@ router.post('/vendors/register', async (req, res) => {
       operatingHours
     } = req.body;
 
-    if (!userId || !businessName || !businessType || !category) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID, business name, business type, and category are required'
-      });
-    }
-
     // Check if user already has a vendor account
     const { data: existing } = await supabase
       .from('vendors')
@@ -44,10 +106,7 @@ router.post('/vendors/register', async (req, res) => {
       .single();
 
     if (existing) {
-      return res.status(400).json({
-        success: false,
-        error: 'User already has a vendor account'
-      });
+      return next(ApiError.badRequest('User already has a vendor account'));
     }
 
     const { data: vendor, error } = await supabase
@@ -82,16 +141,12 @@ router.post('/vendors/register', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Register vendor error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // Get Vendor Details
-router.get('/vendors/:vendorId', async (req, res) => {
+router.get('/vendors/:vendorId', validate(schemas.vendorParams), async (req, res, next) => {
   try {
     const { vendorId } = req.params;
 
@@ -102,10 +157,7 @@ router.get('/vendors/:vendorId', async (req, res) => {
       .single();
 
     if (error || !vendor) {
-      return res.status(404).json({
-        success: false,
-        error: 'Vendor not found'
-      });
+      return next(ApiError.notFound('Vendor not found'));
     }
 
     res.json({
@@ -114,16 +166,12 @@ router.get('/vendors/:vendorId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Get vendor error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // Search Vendors
-router.get('/vendors/search', async (req, res) => {
+router.get('/vendors/search', async (req, res, next) => {
   try {
     const { category, businessType, query, limit = 20, offset = 0 } = req.query;
 
@@ -156,11 +204,7 @@ router.get('/vendors/search', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Search vendors error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
@@ -169,7 +213,7 @@ router.get('/vendors/search', async (req, res) => {
 // ============================================================================
 
 // Create Service
-router.post('/services/create', async (req, res) => {
+router.post('/services/create', bindVendor, validate(schemas.createService), async (req, res, next) => {
   try {
     const {
       vendorId,
@@ -181,13 +225,6 @@ router.post('/services/create', async (req, res) => {
       imageUrl
     } = req.body;
 
-    if (!vendorId || !name || !price) {
-      return res.status(400).json({
-        success: false,
-        error: 'Vendor ID, name, and price are required'
-      });
-    }
-
     const { data: service, error } = await supabase
       .from('services')
       .insert({
@@ -214,16 +251,12 @@ router.post('/services/create', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Create service error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // Get Vendor Services
-router.get('/vendors/:vendorId/services', async (req, res) => {
+router.get('/vendors/:vendorId/services', validate(schemas.vendorParams), async (req, res, next) => {
   try {
     const { vendorId } = req.params;
 
@@ -242,16 +275,12 @@ router.get('/vendors/:vendorId/services', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Get services error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // Book Service
-router.post('/bookings/create', async (req, res) => {
+router.post('/bookings/create', bindActor('userId'), validate(schemas.createBooking), async (req, res, next) => {
   try {
     const {
       userId,
@@ -262,13 +291,6 @@ router.post('/bookings/create', async (req, res) => {
       notes
     } = req.body;
 
-    if (!userId || !vendorId || !serviceId || !bookingDate || !bookingTime) {
-      return res.status(400).json({
-        success: false,
-        error: 'All booking details are required'
-      });
-    }
-
     // Get service details
     const { data: service } = await supabase
       .from('services')
@@ -277,10 +299,7 @@ router.post('/bookings/create', async (req, res) => {
       .single();
 
     if (!service) {
-      return res.status(404).json({
-        success: false,
-        error: 'Service not found'
-      });
+      return next(ApiError.notFound('Service not found'));
     }
 
     const { data: booking, error } = await supabase
@@ -309,16 +328,12 @@ router.post('/bookings/create', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Create booking error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // Get User Bookings
-router.get('/bookings/user/:userId', async (req, res) => {
+router.get('/bookings/user/:userId', requireSelf('userId'), validate(schemas.userBookings), async (req, res, next) => {
   try {
     const { userId } = req.params;
     const { status, limit = 20 } = req.query;
@@ -344,27 +359,16 @@ router.get('/bookings/user/:userId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Get bookings error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // Update Booking Status
-router.put('/bookings/:bookingId/status', async (req, res) => {
+router.put('/bookings/:bookingId/status', validate(schemas.updateBookingStatus), requireStatusChange({ table: 'service_bookings', param: 'bookingId', label: 'Booking' }), async (req, res, next) => {
   try {
     const { bookingId } = req.params;
     const { status } = req.body;
 
-    if (!status) {
-      return res.status(400).json({
-        success: false,
-        error: 'Status is required'
-      });
-    }
-
     const { data, error } = await supabase
       .from('service_bookings')
       .update({ status: status })
@@ -383,11 +387,7 @@ router.put('/bookings/:bookingId/status', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Update booking status error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
@@ -396,7 +396,7 @@ router.put('/bookings/:bookingId/status', async (req, res) => {
 // ============================================================================
 
 // Create Menu Item
-router.post('/food/menu/create', async (req, res) => {
+router.post('/food/menu/create', bindVendor, validate(schemas.createMenuItem), async (req, res, next) => {
   try {
     const {
       vendorId,
@@ -410,13 +410,6 @@ router.post('/food/menu/create', async (req, res) => {
       isSpicy
     } = req.body;
 
-    if (!vendorId || !name || !price) {
-      return res.status(400).json({
-        success: false,
-        error: 'Vendor ID, name, and price are required'
-      });
-    }
-
     const { data: menuItem, error } = await supabase
       .from('menu_items')
       .insert({
@@ -445,16 +438,12 @@ router.post('/food/menu/create', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Create menu item error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // Get Vendor Menu
-router.get('/food/vendors/:vendorId/menu', async (req, res) => {
+router.get('/food/vendors/:vendorId/menu', validate(schemas.vendorMenu), async (req, res, next) => {
   try {
     const { vendorId } = req.params;
     const { category } = req.query;
@@ -480,16 +469,12 @@ router.get('/food/vendors/:vendorId/menu', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Get menu error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // Place Food Order
-router.post('/food/orders/create', async (req, res) => {
+router.post('/food/orders/create', bindActor('userId'), validate(schemas.createFoodOrder), async (req, res, next) => {
   try {
     const {
       userId,
@@ -500,13 +485,6 @@ router.post('/food/orders/create', async (req, res) => {
       paymentMethod
     } = req.body;
 
-    if (!userId || !vendorId || !items || items.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID, vendor ID, and items are required'
-      });
-    }
-
     // Calculate total
     const subtotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
     const deliveryFee = 5.00; // Fixed delivery fee
@@ -557,16 +535,12 @@ router.post('/food/orders/create', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Create food order error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // Get User Food Orders
-router.get('/food/orders/user/:userId', async (req, res) => {
+router.get('/food/orders/user/:userId', requireSelf('userId'), validate(schemas.userOrders), async (req, res, next) => {
   try {
     const { userId } = req.params;
     const { status, limit = 20 } = req.query;
@@ -592,16 +566,12 @@ router.get('/food/orders/user/:userId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Get food orders error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // Update Food Order Status
-router.put('/food/orders/:orderId/status', async (req, res) => {
+router.put('/food/orders/:orderId/status', validate(schemas.updateOrderStatus), requireStatusChange({ table: 'food_orders', param: 'orderId', label: 'Order' }), async (req, res, next) => {
   try {
     const { orderId } = req.params;
     const { status } = req.body;
@@ -624,11 +594,7 @@ router.put('/food/orders/:orderId/status', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Update order status error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
@@ -637,7 +603,7 @@ router.put('/food/orders/:orderId/status', async (req, res) => {
 // ============================================================================
 
 // List Product
-router.post('/products/create', async (req, res) => {
+router.post('/products/create', bindActor('sellerId'), validate(schemas.createProduct), async (req, res, next) => {
   try {
     const {
       sellerId,
@@ -651,13 +617,6 @@ router.post('/products/create', async (req, res) => {
       location
     } = req.body;
 
-    if (!sellerId || !title || !price) {
-      return res.status(400).json({
-        success: false,
-        error: 'Seller ID, title, and price are required'
-      });
-    }
-
     const { data: product, error } = await supabase
       .from('products')
       .insert({
@@ -686,16 +645,12 @@ router.post('/products/create', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Create product error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // Search Products
-router.get('/products/search', async (req, res) => {
+router.get('/products/search', validate(schemas.searchProducts), async (req, res, next) => {
   try {
     const { category, condition, minPrice, maxPrice, query, limit = 20, offset = 0 } = req.query;
 
@@ -736,16 +691,12 @@ router.get('/products/search', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Search products error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // Get Product Details
-router.get('/products/:productId', async (req, res) => {
+router.get('/products/:productId', validate(schemas.productParams), async (req, res, next) => {
   try {
     const { productId } = req.params;
 
@@ -756,10 +707,7 @@ router.get('/products/:productId', async (req, res) => {
       .single();
 
     if (error || !product) {
-      return res.status(404).json({
-        success: false,
-        error: 'Product not found'
-      });
+      return next(ApiError.notFound('Product not found'));
     }
 
     res.json({
@@ -768,11 +716,7 @@ router.get('/products/:productId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Get product error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
@@ -781,7 +725,7 @@ router.get('/products/:productId', async (req, res) => {
 // ============================================================================
 
 // Add Review
-router.post('/reviews/create', async (req, res) => {
+router.post('/reviews/create', bindActor('userId'), validate(schemas.createReview), async (req, res, next) => {
   try {
     const {
       userId,
@@ -792,13 +736,6 @@ router.post('/reviews/create', async (req, res) => {
       images
     } = req.body;
 
-    if (!userId || !vendorId || !rating) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID, vendor ID, and rating are required'
-      });
-    }
-
     const { data: review, error } = await supabase
       .from('reviews')
       .insert({
@@ -826,16 +763,12 @@ router.post('/reviews/create', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Add review error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // Get Vendor Reviews
-router.get('/vendors/:vendorId/reviews', async (req, res) => {
+router.get('/vendors/:vendorId/reviews', validate(schemas.vendorReviews), async (req, res, next) => {
   try {
     const { vendorId } = req.params;
     const { limit = 20, offset = 0 } = req.query;
@@ -855,11 +788,7 @@ router.get('/vendors/:vendorId/reviews', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Get reviews error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
@@ -893,15 +822,17 @@ router.get('/health', (req, res) => {
   res.json({
     success: true,
     message: 'Marketplace service is running',
-    features: [
-      'Service booking (Salons, Fitness, Healthcare)',
-      'Food ordering (Restaurants, Cafes)',
-      'Product marketplace (Buy/Sell)',
-      'Vendor management',
-      'Reviews & ratings',
-      'Order tracking',
-      'Payment integration ready'
-    ]
+    data: {
+      features: [
+        'Service booking (Salons, Fitness, Healthcare)',
+        'Food ordering (Restaurants, Cafes)',
+        'Product marketplace (Buy/Sell)',
+        'Vendor management',
+        'Reviews & ratings',
+        'Order tracking',
+        'Payment integration ready'
+      ]
+    }
   });
 });
 
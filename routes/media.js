@@ -5,8 +5,12 @@ const express = require('express');
 const router = express.Router();
 const cloudinary = require('../config/cloudinary');
 const upload = require('../middleware/upload');
-const supabase = require('../config/database');
+const { supabase } = require('../config/database');
 const streamifier = require('streamifier');
+const { bindActor, requireOwner } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/media');
+const { ApiError } = require('../middleware/errors');
 
 // ============================================
 // HELPER FUNCTIONS
@@ -65,22 +69,16 @@ const deleteFromCloudinary = async (publicId, resourceType = 'image') => {
  * - userId: string (required)
  * - file: image file (required)
  */
-router.post('/profile-picture', upload.single('file'), async (req, res) => {
+router.post('/profile-picture', upload.single('file'), bindActor('userId'), async (req, res, next) => {
   try {
     const { userId } = req.body;
     
     if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID is required'
-      });
+      return next(ApiError.badRequest('User ID is required'));
     }
     
     if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No file uploaded'
-      });
+      return next(ApiError.badRequest('No file uploaded'));
     }
     
     // Upload to Cloudinary
@@ -118,11 +116,7 @@ router.post('/profile-picture', upload.single('file'), async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Profile picture upload error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to upload profile picture'
-    });
+    next(error);
   }
 });
 
@@ -140,22 +134,16 @@ router.post('/profile-picture', upload.single('file'), async (req, res) => {
  * - postId: string (optional - if attaching to existing post)
  * - files: array of files (required)
  */
-router.post('/post-media', upload.array('files', 10), async (req, res) => {
+router.post('/post-media', upload.array('files', 10), bindActor('userId'), validate(schemas.postMedia), async (req, res, next) => {
   try {
     const { userId, postId } = req.body;
     
     if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID is required'
-      });
+      return next(ApiError.badRequest('User ID is required'));
     }
     
     if (!req.files || req.files.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'No files uploaded'
-      });
+      return next(ApiError.badRequest('No files uploaded'));
     }
     
     // Upload all files to Cloudinary
@@ -205,11 +193,7 @@ router.post('/post-media', upload.array('files', 10), async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Post media upload error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to upload post media'
-    });
+    next(error);
   }
 });
 
@@ -221,7 +205,7 @@ router.post('/post-media', upload.array('files', 10), async (req, res) => {
  * GET /api/media/gallery/:userId
  * Get all media uploaded by a user
  */
-router.get('/gallery/:userId', async (req, res) => {
+router.get('/gallery/:userId', validate(schemas.gallery), async (req, res, next) => {
   try {
     const { userId } = req.params;
     const { type, limit = 50, offset = 0 } = req.query;
@@ -254,11 +238,7 @@ router.get('/gallery/:userId', async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Get gallery error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to fetch gallery'
-    });
+    next(error);
   }
 });
 
@@ -270,7 +250,7 @@ router.get('/gallery/:userId', async (req, res) => {
  * DELETE /api/media/:mediaId
  * Delete a media file
  */
-router.delete('/:mediaId', async (req, res) => {
+router.delete('/:mediaId', validate(schemas.mediaParams), requireOwner({ table: 'post_media', param: 'mediaId', label: 'Media' }), bindActor('userId'), async (req, res, next) => {
   try {
     const { mediaId } = req.params;
     const { userId } = req.body; // For security - verify ownership
@@ -283,18 +263,12 @@ router.delete('/:mediaId', async (req, res) => {
       .single();
     
     if (fetchError || !mediaData) {
-      return res.status(404).json({
-        success: false,
-        error: 'Media not found'
-      });
+      return next(ApiError.notFound('Media not found'));
     }
     
     // Verify ownership
     if (mediaData.user_id !== userId) {
-      return res.status(403).json({
-        success: false,
-        error: 'You can only delete your own media'
-      });
+      return next(ApiError.forbidden('You can only delete your own media'));
     }
     
     // Delete from Cloudinary
@@ -319,11 +293,7 @@ router.delete('/:mediaId', async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Delete media error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to delete media'
-    });
+    next(error);
   }
 });
 
@@ -335,7 +305,7 @@ router.delete('/:mediaId', async (req, res) => {
  * GET /api/media/post/:postId
  * Get all media for a specific post
  */
-router.get('/post/:postId', async (req, res) => {
+router.get('/post/:postId', validate(schemas.postMediaList), async (req, res, next) => {
   try {
     const { postId } = req.params;
     
@@ -358,11 +328,7 @@ router.get('/post/:postId', async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Get post media error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to fetch post media'
-    });
+    next(error);
   }
 });
 
@@ -375,25 +341,32 @@ router.get('/post/:postId', async (req, res) => {
  * Upload custom thumbnail for video
  * 
  * Body:
- * - mediaId: string (required)
+ * - mediaId: string (required, media of the signed-in user)
  * - file: image file (required)
  */
-router.post('/thumbnail', upload.single('file'), async (req, res) => {
+router.post('/thumbnail', upload.single('file'), bindActor('userId'), validate(schemas.thumbnail), async (req, res, next) => {
   try {
-    const { mediaId } = req.body;
+    const { mediaId, userId } = req.body;
     
-    if (!mediaId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Media ID is required'
-      });
+    if (!req.file) {
+      return next(ApiError.badRequest('No file uploaded'));
     }
     
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No file uploaded'
-      });
+    // Only the owner's media gets a thumbnail, checked before uploading anything
+    const { data: media, error: fetchError } = await supabase
+      .from('post_media')
+      .select('user_id')
+      .eq('id', mediaId)
+      .maybeSingle();
+    
+    if (fetchError) throw fetchError;
+    
+    if (!media) {
+      return next(ApiError.notFound('Media not found'));
+    }
+    
+    if (media.user_id !== userId) {
+      return next(ApiError.forbidden('You can only add thumbnails to your own media'));
     }
     
     // Upload thumbnail to Cloudinary
@@ -426,11 +399,7 @@ router.post('/thumbnail', upload.single('file'), async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Thumbnail upload error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to upload thumbnail'
-    });
+    next(error);
   }
 });
 
@@ -442,8 +411,10 @@ router.get('/health', (req, res) => {
   res.status(200).json({
     success: true,
     message: 'Media upload service is running',
-    cloudinary: {
-      configured: !!process.env.CLOUDINARY_CLOUD_NAME
+    data: {
+      cloudinary: {
+        configured: !!process.env.CLOUDINARY_CLOUD_NAME
+      }
     }
   });
 });
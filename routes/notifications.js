@@ -1,17 +1,38 @@
 const express = require('express');
 const router = express.Router();
-const { createClient } = require('@supabase/supabase-js');
-
-// Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
+const { requireAuth } = require('../middleware/auth');
+const { requireSelf, requireOwner } = require('../middleware/authorize');
+const { supabase } = require('../config/database');
+const notificationsRepo = require('../repositories/notifications');
+const timezones = require('../services/timezones');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/notifications');
+const { ApiError } = require('../middleware/errors');
+
+// Pushed even during quiet hours
+const URGENT_TYPES = ['crisis_alert', 'crisis_escalation', 'crisis_assignment'];
+
+// Whether `now` falls in the user's quiet hours, in their timezone
+const isQuietHours = async (userId, now = new Date()) => {
+  const { data: preferences } = await supabase
+    .from('notification_preferences')
+    .select('quiet_hours_start, quiet_hours_end')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (!preferences?.quiet_hours_start || !preferences?.quiet_hours_end) return false;
+
+  const timezone = await timezones.forUser(userId);
+  return timezones.inWindow(
+    { start: preferences.quiet_hours_start, end: preferences.quiet_hours_end },
+    timezones.localTime(now, timezone)
+  );
+};
 
 // ============================================================================
 // CREATE NOTIFICATION
 // ============================================================================
-router.post('/create', async (req, res) => {
+router.post('/create', requireAuth, validate(schemas.createNotification), async (req, res, next) => {
   try {
     const { 
       userId, 
@@ -24,13 +45,6 @@ router.post('/create', async (req, res) => {
       sendEmail = false 
     } = req.body;
 
-    if (!userId || !type || !title) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID, type, and title are required'
-      });
-    }
-
     // Create in-app notification
     const { data: notification, error } = await supabase
       .from('notifications')
@@ -39,7 +53,7 @@ router.post('/create', async (req, res) => {
         type: type,
         title: title,
         message: message,
-        data: data || {},
+        data: { ...(data || {}), sender_id: req.user.id },
         action_url: actionUrl,
         read: false
       })
@@ -48,12 +62,19 @@ router.post('/create', async (req, res) => {
 
     if (error) throw error;
 
-    // Send push notification if enabled
-    if (sendPush) {
+    // Send push notification if enabled - held during the user's quiet hours
+    // unless it is urgent
+    const pushHeld = sendPush && !URGENT_TYPES.includes(type) && await isQuietHours(userId);
+
+    if (sendPush && !pushHeld) {
       // TODO: Integrate with Firebase Cloud Messaging (FCM)
       // await sendPushNotification(userId, title, message);
     }
 
+    if (pushHeld) {
+      console.log(`🔕 Push held for user ${userId}: quiet hours`);
+    }
+
     // Send email notification if enabled
     if (sendEmail) {
       // TODO: Integrate with email service (SendGrid/AWS SES)
@@ -65,22 +86,19 @@ router.post('/create', async (req, res) => {
     res.json({
       success: true,
       message: 'Notification created successfully',
-      data: notification
+      data: notification,
+      meta: { pushHeld }
     });
 
   } catch (error) {
-    console.error('❌ Create notification error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // GET USER NOTIFICATIONS
 // ============================================================================
-router.get('/user/:userId', async (req, res) => {
+router.get('/user/:userId', requireSelf('userId'), validate(schemas.listNotifications), async (req, res, next) => {
   try {
     const { userId } = req.params;
     const { limit = 50, offset = 0, unreadOnly = false } = req.query;
@@ -92,7 +110,7 @@ router.get('/user/:userId', async (req, res) => {
       .order('created_at', { ascending: false })
       .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
 
-    if (unreadOnly === 'true') {
+    if (unreadOnly) {
       query = query.eq('read', false);
     }
 
@@ -117,18 +135,14 @@ router.get('/user/:userId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Get notifications error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // MARK NOTIFICATION AS READ
 // ============================================================================
-router.put('/:notificationId/read', async (req, res) => {
+router.put('/:notificationId/read', requireOwner({ table: 'notifications', param: 'notificationId', label: 'Notification' }), async (req, res, next) => {
   try {
     const { notificationId } = req.params;
 
@@ -148,18 +162,14 @@ router.put('/:notificationId/read', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Mark as read error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // MARK ALL AS READ
 // ============================================================================
-router.put('/user/:userId/read-all', async (req, res) => {
+router.put('/user/:userId/read-all', requireSelf('userId'), async (req, res, next) => {
   try {
     const { userId } = req.params;
 
@@ -179,18 +189,14 @@ router.put('/user/:userId/read-all', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Mark all as read error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // DELETE NOTIFICATION
 // ============================================================================
-router.delete('/:notificationId', async (req, res) => {
+router.delete('/:notificationId', requireOwner({ table: 'notifications', param: 'notificationId', label: 'Notification' }), async (req, res, next) => {
   try {
     const { notificationId } = req.params;
 
@@ -207,18 +213,14 @@ router.delete('/:notificationId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Delete notification error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // DELETE ALL NOTIFICATIONS
 // ============================================================================
-router.delete('/user/:userId/all', async (req, res) => {
+router.delete('/user/:userId/all', requireSelf('userId'), async (req, res, next) => {
   try {
     const { userId } = req.params;
 
@@ -235,18 +237,14 @@ router.delete('/user/:userId/all', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Delete all notifications error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // GET NOTIFICATION PREFERENCES
 // ============================================================================
-router.get('/preferences/:userId', async (req, res) => {
+router.get('/preferences/:userId', requireSelf('userId'), async (req, res, next) => {
   try {
     const { userId } = req.params;
 
@@ -275,39 +273,49 @@ router.get('/preferences/:userId', async (req, res) => {
           crisis_alerts: true,
           messages: true,
           fan_tier_updates: true,
-          premium_updates: true
+          premium_updates: true,
+          quiet_hours_start: null,
+          quiet_hours_end: null,
+          timezone: await timezones.forUser(userId),
+          in_quiet_hours: false
         }
       });
     }
 
     res.json({
       success: true,
-      data: data
+      data: {
+        ...data,
+        timezone: await timezones.forUser(userId),
+        in_quiet_hours: await isQuietHours(userId)
+      }
     });
 
   } catch (error) {
-    console.error('❌ Get preferences error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // UPDATE NOTIFICATION PREFERENCES
 // ============================================================================
-router.put('/preferences/:userId', async (req, res) => {
+router.put('/preferences/:userId', requireSelf('userId'), validate(schemas.updatePreferences), async (req, res, next) => {
   try {
     const { userId } = req.params;
     const preferences = req.body;
 
+    if (('quiet_hours_start' in preferences) !== ('quiet_hours_end' in preferences)) {
+      return next(ApiError.badRequest('quiet_hours_start and quiet_hours_end are set together'));
+    }
+
     const { data, error } = await supabase
       .from('notification_preferences')
       .upsert({
         user_id: userId,
         ...preferences,
         updated_at: new Date().toISOString()
+      }, {
+        onConflict: 'user_id'
       })
       .select()
       .single();
@@ -323,31 +331,21 @@ router.put('/preferences/:userId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Update preferences error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // BATCH CREATE NOTIFICATIONS (For system events)
 // ============================================================================
-router.post('/batch', async (req, res) => {
+router.post('/batch', requireAuth, validate(schemas.batchNotifications), async (req, res, next) => {
   try {
     const { notifications } = req.body;
 
-    if (!Array.isArray(notifications) || notifications.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Notifications array is required'
-      });
-    }
-
     // Add default values
     const notificationsWithDefaults = notifications.map(notif => ({
       ...notif,
+      data: { ...(notif.data || {}), sender_id: req.user.id },
       read: false,
       created_at: new Date().toISOString()
     }));
@@ -368,18 +366,14 @@ router.post('/batch', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Batch create error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // GET NOTIFICATION STATISTICS
 // ============================================================================
-router.get('/stats/:userId', async (req, res) => {
+router.get('/stats/:userId', requireSelf('userId'), async (req, res, next) => {
   try {
     const { userId } = req.params;
 
@@ -429,11 +423,7 @@ router.get('/stats/:userId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Get stats error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
@@ -443,77 +433,62 @@ router.get('/stats/:userId', async (req, res) => {
 
 // Notify on new like
 const notifyLike = async (postOwnerId, likerId, postId) => {
-  await supabase
-    .from('notifications')
-    .insert({
-      user_id: postOwnerId,
-      type: 'like',
-      title: 'New Like',
-      message: 'Someone liked your post',
-      data: { liker_id: likerId, post_id: postId },
-      action_url: `/posts/${postId}`,
-      read: false
-    });
+  await notificationsRepo.create({
+    userId: postOwnerId,
+    type: 'like',
+    title: 'New Like',
+    message: 'Someone liked your post',
+    data: { liker_id: likerId, post_id: postId },
+    actionUrl: `/posts/${postId}`
+  });
 };
 
 // Notify on new comment
 const notifyComment = async (postOwnerId, commenterId, postId, commentText) => {
-  await supabase
-    .from('notifications')
-    .insert({
-      user_id: postOwnerId,
-      type: 'comment',
-      title: 'New Comment',
-      message: commentText.substring(0, 100),
-      data: { commenter_id: commenterId, post_id: postId },
-      action_url: `/posts/${postId}`,
-      read: false
-    });
+  await notificationsRepo.create({
+    userId: postOwnerId,
+    type: 'comment',
+    title: 'New Comment',
+    message: commentText.substring(0, 100),
+    data: { commenter_id: commenterId, post_id: postId },
+    actionUrl: `/posts/${postId}`
+  });
 };
 
 // Notify on new follower
 const notifyFollow = async (userId, followerId) => {
-  await supabase
-    .from('notifications')
-    .insert({
-      user_id: userId,
-      type: 'follow',
-      title: 'New Follower',
-      message: 'Someone started following you',
-      data: { follower_id: followerId },
-      action_url: `/profile/${followerId}`,
-      read: false
-    });
+  await notificationsRepo.create({
+    userId: userId,
+    type: 'follow',
+    title: 'New Follower',
+    message: 'Someone started following you',
+    data: { follower_id: followerId },
+    actionUrl: `/profile/${followerId}`
+  });
 };
 
 // Notify on donation
 const notifyDonation = async (campaignOwnerId, donorId, amount, campaignId) => {
-  await supabase
-    .from('notifications')
-    .insert({
-      user_id: campaignOwnerId,
-      type: 'donation',
-      title: '💝 New Donation',
-      message: `Someone donated RM ${amount} to your campaign!`,
-      data: { donor_id: donorId, amount: amount, campaign_id: campaignId },
-      action_url: `/charity/campaigns/${campaignId}`,
-      read: false
-    });
+  await notificationsRepo.create({
+    userId: campaignOwnerId,
+    type: 'donation',
+    title: '💝 New Donation',
+    message: `Someone donated RM ${amount} to your campaign!`,
+    data: { donor_id: donorId, amount: amount, campaign_id: campaignId },
+    actionUrl: `/charity/campaigns/${campaignId}`
+  });
 };
 
 // Notify on fan tier upgrade
 const notifyFanTierUpgrade = async (userId, newTier, celebrityId) => {
-  await supabase
-    .from('notifications')
-    .insert({
-      user_id: userId,
-      type: 'fan_tier',
-      title: '🎉 Fan Tier Upgrade!',
-      message: `You've reached ${newTier} status!`,
-      data: { tier: newTier, celebrity_id: celebrityId },
-      action_url: `/profile/${userId}`,
-      read: false
-    });
+  await notificationsRepo.create({
+    userId: userId,
+    type: 'fan_tier',
+    title: '🎉 Fan Tier Upgrade!',
+    message: `You've reached ${newTier} status!`,
+    data: { tier: newTier, celebrity_id: celebrityId },
+    actionUrl: `/profile/${userId}`
+  });
 };
 
 // ============================================================================
@@ -523,20 +498,23 @@ router.get('/health', (req, res) => {
   res.json({
     success: true,
     message: 'Notifications service is running',
-    features: [
-      'In-app notifications',
-      'Push notifications (ready for FCM)',
-      'Email notifications (ready for SendGrid)',
-      'Notification preferences',
-      'Batch notifications',
-      'Statistics'
-    ]
+    data: {
+      features: [
+        'In-app notifications',
+        'Push notifications (ready for FCM)',
+        'Email notifications (ready for SendGrid)',
+        'Notification preferences',
+        'Batch notifications',
+        'Statistics'
+      ]
+    }
   });
 });
 
 // Export router and helper functions
 module.exports = { 
   router,
+  isQuietHours,
   notifyLike,
   notifyComment,
   notifyFollow,
@@ -3,74 +3,44 @@
 
 const express = require('express');
 const router = express.Router();
-const { createClient } = require('@supabase/supabase-js');
-
-// Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
+const { requireAuth } = require('../middleware/auth');
+const { bindActor, requireOwner } = require('../middleware/authorize');
+const { supabase } = require('../config/database');
+const wisdomClips = require('../repositories/wisdomClips');
+const postRevisions = require('../repositories/postRevisions');
+const users = require('../repositories/users');
+const reactionsRepo = require('../repositories/reactions');
+const userScores = require('../repositories/userScores');
+const crisisCases = require('../services/crisisCases');
+const postPublishing = require('../services/postPublishing');
+const postDrafts = require('../services/postDrafts');
+const postDraftsRepo = require('../repositories/postDrafts');
+const timezones = require('../services/timezones');
+const { extractHashtags, contentTypeOf } = postPublishing;
+const moderation = require('../services/moderation');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/posts');
+const { ApiError } = require('../middleware/errors');
 
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
 
-// Extract hashtags from content
-function extractHashtags(content) {
-  const hashtagRegex = /#[\w]+/g;
-  const hashtags = content.match(hashtagRegex) || [];
-  return hashtags.map(tag => tag.toLowerCase());
+// publish_at as wall clock time in the author's timezone
+function withLocalPublishTime(draft, timezone) {
+  return {
+    ...draft,
+    publish_at_local: draft.publish_at ? timezones.localDateTime(draft.publish_at, timezone) : null
+  };
 }
 
-// Detect crisis content
-function detectCrisis(content) {
-  const crisisKeywords = [
-    'suicide', 'kill myself', 'end it all', 'want to die', 'no reason to live',
-    'goodbye everyone', 'nobody cares', 'burden to everyone', 'better off dead',
-    'can\'t take it anymore', 'end my life', 'final goodbye'
-  ];
-  
-  const contentLower = content.toLowerCase();
-  const detectedKeywords = crisisKeywords.filter(keyword => 
-    contentLower.includes(keyword)
-  );
-  
-  if (detectedKeywords.length > 0) {
-    const riskScore = Math.min(100, detectedKeywords.length * 25 + 50);
-    
-    return {
-      isCrisis: true,
-      riskScore: riskScore,
-      detectedKeywords: detectedKeywords,
-      alertLevel: riskScore >= 75 ? 'critical' : riskScore >= 50 ? 'high' : 'medium'
-    };
-  }
-  
-  return { isCrisis: false };
-}
+// Revision columns only the author, admins and case workers see
+const MODERATION_FIELDS = ['is_crisis', 'moderation_score', 'moderation_labels'];
 
-// Detect misinformation
-function detectMisinformation(content) {
-  const misinfoPatterns = [
-    'share before they delete',
-    'doctors don\'t want you to know',
-    'they\'re hiding this',
-    'mainstream media won\'t tell you',
-    'wake up sheeple',
-    'do your own research',
-    'plandemic',
-    'hoax'
-  ];
-  
-  const contentLower = content.toLowerCase();
-  const hasMisinfoPattern = misinfoPatterns.some(pattern => 
-    contentLower.includes(pattern)
-  );
-  
-  return {
-    isPotentialMisinfo: hasMisinfoPattern,
-    needsFactCheck: hasMisinfoPattern
-  };
+function withoutModeration(revision) {
+  const visible = { ...revision };
+  for (const field of MODERATION_FIELDS) delete visible[field];
+  return visible;
 }
 
 // Calculate engagement rate
@@ -83,88 +53,38 @@ function calculateEngagement(views, reactions, comments, shares) {
 // ============================================================================
 // CREATE POST
 // ============================================================================
-router.post('/create', async (req, res) => {
+router.post('/create', bindActor('userId'), validate(schemas.createPost), async (req, res, next) => {
   try {
     const { userId, caption, mediaUrl, mediaType, visibility } = req.body;
 
-    if (!userId || !caption) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID and caption are required'
-      });
-    }
-
-    const hashtags = extractHashtags(caption);
-    const crisisDetection = detectCrisis(caption);
-    const misinfoDetection = detectMisinformation(caption);
-
-    let contentType = 'normal';
-    if (crisisDetection.isCrisis) {
-      contentType = 'crisis';
-    } else if (misinfoDetection.isPotentialMisinfo) {
-      contentType = 'misinformation';
-    }
-
-    const { data: post, error } = await supabase
-      .from('wisdom_clips')
-      .insert({
-        user_id: userId,
-        caption: caption,
-        media_url: mediaUrl,
-        media_type: mediaType || 'text',
-        hashtags: hashtags,
-        visibility: visibility || 'public',
-        post_type: 'normal',
-        content_type: contentType,
-        like_count: 0,
-        comment_count: 0,
-        share_count: 0,
-        view_count: 0
-      })
-      .select()
-      .single();
-
-    if (error) throw error;
-
-    // If crisis detected, create alert
-    if (crisisDetection.isCrisis) {
-      await supabase
-        .from('crisis_alerts')
-        .insert({
-          user_id: userId,
-          post_id: post.id,
-          content: caption,
-          detected_keyword: crisisDetection.detectedKeywords[0],
-          severity: crisisDetection.alertLevel,
-          crisis_type: 'self_harm',
-          status: 'pending'
-        });
-    }
+    // Hashtags, crisis / misinformation detection and feed fan-out
+    const { post, safety, crisis } = await postPublishing.publishPost({
+      userId, caption, mediaUrl, mediaType, visibility
+    });
 
     console.log(`✅ Post created: ${post.id}`);
 
     res.json({
       success: true,
-      data: post,
-      crisisDetected: crisisDetection.isCrisis,
-      message: crisisDetection.isCrisis ? 
+      message: safety.isCrisis ? 
         'Post created. Crisis support is available.' : 
-        'Post created successfully!'
+        'Post created successfully!',
+      data: post,
+      meta: {
+        crisisDetected: safety.isCrisis,
+        crisisResources: crisis ? crisis.resources : []
+      }
     });
 
   } catch (error) {
-    console.error('❌ Create post error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // SILENT REPOST (Express feelings without tagging)
 // ============================================================================
-router.post('/silent-repost/create', async (req, res) => {
+router.post('/silent-repost/create', bindActor('userId'), validate(schemas.createSilentRepost), async (req, res, next) => {
   try {
     const {
       userId,
@@ -175,66 +95,63 @@ router.post('/silent-repost/create', async (req, res) => {
       isAnonymous
     } = req.body;
 
-    if (!userId || !caption) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID and caption are required'
-      });
-    }
-
     const hashtags = ['#SilentRepost', `#${emotion || 'Feeling'}`];
+    const safety = await moderation.analyzeText(caption);
+
+    const post = await wisdomClips.create({
+      user_id: isAnonymous ? null : userId,
+      caption: caption,
+      media_url: mediaUrl,
+      media_type: mediaType || 'text',
+      post_type: 'silent_repost',
+      content_type: contentTypeOf(safety),
+      is_crisis: safety.isCrisis,
+      needs_fact_check: safety.isMisinformation,
+      emotion_tag: emotion,
+      is_anonymous: isAnonymous || false,
+      hashtags: hashtags,
+      ...moderation.toColumns(safety)
+    });
 
-    const { data: post, error } = await supabase
-      .from('wisdom_clips')
-      .insert({
-        user_id: isAnonymous ? null : userId,
-        caption: caption,
-        media_url: mediaUrl,
-        media_type: mediaType || 'text',
-        post_type: 'silent_repost',
-        emotion_tag: emotion,
-        is_anonymous: isAnonymous || false,
-        hashtags: hashtags,
-        like_count: 0,
-        comment_count: 0,
-        share_count: 0,
-        view_count: 0
-      })
-      .select()
-      .single();
-
-    if (error) throw error;
+    // Anonymous reposts hide the author publicly, but the alert still
+    // records who needs help so helpers can reach them. The repost is saved
+    // either way, so a failed alert must not turn into a failed request.
+    let crisis = null;
+    if (safety.isCrisis) {
+      try {
+        crisis = await crisisCases.openFromModeration(safety, { userId, postId: post.id, content: caption });
+      } catch (crisisError) {
+        console.error('❌ Crisis alert error:', crisisError);
+      }
+    }
 
     // Award aura points for healthy expression
     if (!isAnonymous) {
-      await supabase.rpc('increment_aura', {
-        p_user_id: userId,
-        p_amount: 5
-      });
+      await userScores.incrementAura(userId, 5);
     }
 
     console.log(`💭 Silent repost created: ${emotion}`);
 
     res.json({
       success: true,
-      data: post,
       message: 'Your feelings have been shared 💙',
-      supportMessage: 'You are not alone. Your feelings are valid.'
+      data: post,
+      meta: {
+        supportMessage: 'You are not alone. Your feelings are valid.',
+        crisisDetected: safety.isCrisis,
+        crisisResources: crisis ? crisis.resources : []
+      }
     });
 
   } catch (error) {
-    console.error('❌ Silent repost error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // GET SILENT REPOSTS
 // ============================================================================
-router.get('/silent-reposts', async (req, res) => {
+router.get('/silent-reposts', validate(schemas.listSilentReposts), async (req, res, next) => {
   try {
     const { emotion, limit = 20, offset = 0 } = req.query;
 
@@ -260,46 +177,149 @@ router.get('/silent-reposts', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Get silent reposts error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
+    next(error);
+  }
+});
+
+// ============================================================================
+// DRAFTS & SCHEDULED POSTS (services/postDrafts.js)
+// ============================================================================
+const ownDraft = requireOwner({ table: 'post_drafts', param: 'draftId', label: 'Draft' });
+
+// Save a draft, or schedule it with publishAt
+router.post('/drafts', bindActor('userId'), validate(schemas.createDraft), async (req, res, next) => {
+  try {
+    const { userId } = req.body;
+    const timezone = await timezones.forUser(userId, req);
+
+    const draft = await postDrafts.createDraft(userId, req.body, { timezone });
+
+    res.status(201).json({
+      success: true,
+      message: draft.status === 'scheduled' ? 'Post scheduled' : 'Draft saved',
+      data: withLocalPublishTime(draft, timezone)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List my drafts and scheduled posts
+router.get('/drafts', requireAuth, validate(schemas.listDrafts), async (req, res, next) => {
+  try {
+    const { status, limit = 50, offset = 0 } = req.query;
+    const timezone = await timezones.forUser(req.user.id, req);
+
+    const drafts = await postDraftsRepo.findForUser(req.user.id, { status, limit, offset });
+
+    res.json({
+      success: true,
+      data: drafts.map(draft => withLocalPublishTime(draft, timezone)),
+      meta: {
+        count: drafts.length,
+        timezone
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a draft or scheduled post
+router.get('/drafts/:draftId', validate(schemas.draftParams), ownDraft, async (req, res, next) => {
+  try {
+    const timezone = await timezones.forUser(req.user.id, req);
+
+    res.json({
+      success: true,
+      data: withLocalPublishTime(req.resource, timezone)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Edit or reschedule a draft or scheduled post
+router.put('/drafts/:draftId', validate(schemas.updateDraft), ownDraft, async (req, res, next) => {
+  try {
+    const timezone = await timezones.forUser(req.user.id, req);
+
+    const draft = await postDrafts.updateDraft(req.resource, req.body, { timezone });
+
+    res.json({
+      success: true,
+      message: draft.status === 'scheduled' ? 'Scheduled post updated' : 'Draft updated',
+      data: withLocalPublishTime(draft, timezone)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Publish a draft or scheduled post now
+router.post('/drafts/:draftId/publish', validate(schemas.draftParams), ownDraft, async (req, res, next) => {
+  try {
+    const { draft, post, safety, crisis } = await postDrafts.publishNow(req.resource);
+
+    console.log(`✅ Draft ${draft.id} published as post ${post.id}`);
+
+    res.json({
+      success: true,
+      message: safety.isCrisis ?
+        'Post published. Crisis support is available.' :
+        'Post published!',
+      data: post,
+      meta: {
+        draft: draft,
+        crisisDetected: safety.isCrisis,
+        crisisResources: crisis ? crisis.resources : []
+      }
     });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Cancel a draft or scheduled post
+router.delete('/drafts/:draftId', validate(schemas.draftParams), ownDraft, async (req, res, next) => {
+  try {
+    const draft = await postDrafts.cancelDraft(req.resource);
+
+    res.json({
+      success: true,
+      message: 'Draft cancelled',
+      data: draft
+    });
+
+  } catch (error) {
+    next(error);
   }
 });
 
 // ============================================================================
 // GET POST BY ID (with analytics)
 // ============================================================================
-router.get('/:postId', async (req, res) => {
+router.get('/:postId', validate(schemas.getPost), async (req, res, next) => {
   try {
     const { postId } = req.params;
     const { userId } = req.query; // To check if user is premium
 
-    const { data: post, error } = await supabase
-      .from('wisdom_clips')
-      .select('*')
-      .eq('id', postId)
-      .single();
+    const post = await wisdomClips.findById(postId);
 
-    if (error || !post) {
-      return res.status(404).json({
-        success: false,
-        error: 'Post not found'
-      });
+    if (!post) {
+      return next(ApiError.notFound('Post not found'));
     }
 
     // Increment view count
-    await supabase
-      .from('wisdom_clips')
-      .update({ view_count: (post.view_count || 0) + 1 })
-      .eq('id', postId);
+    await wisdomClips.incrementCounter(post, 'view_count');
 
     // Get reaction count
-    const { count: reactionCount } = await supabase
-      .from('reactions')
-      .select('*', { count: 'exact', head: true })
-      .eq('clip_id', postId);
+    const reactionCount = await reactionsRepo.countForPost(postId);
 
     // Calculate engagement
     const engagement = calculateEngagement(
@@ -310,24 +330,10 @@ router.get('/:postId', async (req, res) => {
     );
 
     // Get user's aura score
-    const { data: userScore } = await supabase
-      .from('user_scores')
-      .select('aura_score')
-      .eq('user_id', post.user_id)
-      .single();
+    const auraScore = await userScores.getAuraScore(post.user_id);
 
     // Check if viewer is premium
-    let showFullAnalytics = false;
-    if (userId) {
-      const { data: subscription } = await supabase
-        .from('fan_subscriptions')
-        .select('plan')
-        .eq('user_id', userId)
-        .eq('status', 'active')
-        .single();
-
-      showFullAnalytics = subscription && ['premium', 'creator_pro', 'business'].includes(subscription.plan);
-    }
+    const showFullAnalytics = await wisdomClips.hasPremiumAnalytics(userId);
 
     // Basic analytics (for everyone)
     const basicAnalytics = {
@@ -336,7 +342,7 @@ router.get('/:postId', async (req, res) => {
       comments: post.comment_count || 0,
       shares: post.share_count || 0,
       engagementRate: engagement,
-      auraScore: userScore?.aura_score || 0
+      auraScore: auraScore
     };
 
     // Premium analytics (for premium users only)
@@ -388,50 +394,55 @@ router.get('/:postId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Get post error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // UPDATE POST
 // ============================================================================
-router.put('/:postId', async (req, res) => {
+router.put('/:postId', validate(schemas.updatePost), requireOwner({ table: 'wisdom_clips', param: 'postId', label: 'Post' }), bindActor('userId'), async (req, res, next) => {
   try {
     const { postId } = req.params;
     const { userId, caption, mediaUrl } = req.body;
 
     const { data: existing } = await supabase
       .from('wisdom_clips')
-      .select('user_id')
+      .select('*')
       .eq('id', postId)
       .single();
 
     if (!existing) {
-      return res.status(404).json({
-        success: false,
-        error: 'Post not found'
-      });
+      return next(ApiError.notFound('Post not found'));
     }
 
     if (existing.user_id !== userId) {
-      return res.status(403).json({
-        success: false,
-        error: 'Unauthorized'
-      });
+      return next(ApiError.forbidden('Unauthorized'));
     }
 
+    const now = new Date().toISOString();
     const updateData = {
-      updated_at: new Date().toISOString()
+      updated_at: now
     };
-    if (caption) {
+    let safety = null;
+    if (caption && caption !== existing.caption) {
+      safety = await moderation.analyzeText(caption);
       updateData.caption = caption;
       updateData.hashtags = extractHashtags(caption);
+      updateData.is_crisis = safety.isCrisis;
+      // An edit can raise the fact-check flag but never clear it, so a post
+      // flagged as misinformation stays classified as such until fact-checked
+      updateData.needs_fact_check = existing.needs_fact_check || safety.isMisinformation;
+      updateData.content_type = contentTypeOf({ ...safety, isMisinformation: updateData.needs_fact_check });
+      Object.assign(updateData, moderation.toColumns(safety));
+    }
+    if (mediaUrl && mediaUrl !== existing.media_url) updateData.media_url = mediaUrl;
+
+    const edited = Boolean(updateData.caption || updateData.media_url);
+    if (edited) {
+      updateData.is_edited = true;
+      updateData.edited_at = now;
     }
-    if (mediaUrl) updateData.media_url = mediaUrl;
 
     const { data, error } = await supabase
       .from('wisdom_clips')
@@ -442,47 +453,113 @@ router.put('/:postId', async (req, res) => {
 
     if (error) throw error;
 
+    // Keep every version: the first edit also stores the post as published.
+    // The edit is saved either way, so a history write failing must not
+    // look like a failed edit.
+    let revision = null;
+    if (edited) {
+      try {
+        revision = await postRevisions.append(postId, {
+          original: { post: existing, edited_by: existing.user_id, created_at: existing.created_at },
+          edit: { post: data, edited_by: userId, created_at: now }
+        });
+      } catch (revisionError) {
+        console.error(`❌ Revision of post ${postId} not stored:`, revisionError);
+      }
+    }
+
+    // An edit that turns a post into a crisis post raises a new alert
+    if (safety?.isCrisis && !existing.is_crisis) {
+      try {
+        await crisisCases.openFromModeration(safety, { userId, postId, content: caption });
+      } catch (crisisError) {
+        console.error('❌ Crisis alert error:', crisisError);
+      }
+    }
+
     res.json({
       success: true,
       data: data,
-      message: 'Post updated successfully'
+      message: 'Post updated successfully',
+      meta: {
+        revision: revision
+      }
     });
 
   } catch (error) {
-    console.error('❌ Update post error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
+    next(error);
+  }
+});
+
+// ============================================================================
+// POST REVISIONS (edit history)
+// ============================================================================
+router.get('/:postId/revisions', validate(schemas.postParams), async (req, res, next) => {
+  try {
+    const { postId } = req.params;
+
+    const post = await wisdomClips.findById(postId, 'id, user_id, visibility, is_edited, edited_at');
+
+    if (!post) {
+      return next(ApiError.notFound('Post not found'));
+    }
+
+    const viewerId = req.user?.id;
+    const isAuthor = Boolean(viewerId) && viewerId === post.user_id;
+    const isAdmin = Boolean(viewerId) && !isAuthor && Boolean((await users.findById(viewerId, 'is_admin'))?.is_admin);
+
+    // The history of a public post is public; otherwise author and admins only
+    if (post.visibility !== 'public' && !isAuthor && !isAdmin) {
+      return next(ApiError.forbidden('Only the author can see the edit history of this post'));
+    }
+
+    // Versions flagged as crisis content and the moderation results are for
+    // the author, admins and case workers: editing out a self-harm disclosure
+    // takes it out of public view
+    const seesModeration = isAuthor || isAdmin || (Boolean(viewerId) && await crisisCases.canWorkCases(viewerId));
+
+    let revisions = await postRevisions.findForPost(postId);
+    if (!seesModeration) {
+      revisions = revisions
+        .filter(revision => !revision.is_crisis)
+        .map(withoutModeration);
+    }
+
+    res.json({
+      success: true,
+      data: revisions,
+      meta: {
+        is_edited: post.is_edited,
+        edited_at: post.edited_at,
+        count: revisions.length
+      }
     });
+
+  } catch (error) {
+    next(error);
   }
 });
 
 // ============================================================================
 // DELETE POST
 // ============================================================================
-router.delete('/:postId', async (req, res) => {
+router.delete('/:postId', validate(schemas.postParams), requireOwner({ table: 'wisdom_clips', param: 'postId', label: 'Post' }), bindActor('userId'), async (req, res, next) => {
   try {
     const { postId } = req.params;
     const { userId } = req.body;
 
     const { data: existing } = await supabase
       .from('wisdom_clips')
-      .select('user_id')
+      .select('user_id, is_crisis')
       .eq('id', postId)
       .single();
 
     if (!existing) {
-      return res.status(404).json({
-        success: false,
-        error: 'Post not found'
-      });
+      return next(ApiError.notFound('Post not found'));
     }
 
     if (existing.user_id !== userId) {
-      return res.status(403).json({
-        success: false,
-        error: 'Unauthorized'
-      });
+      return next(ApiError.forbidden('Unauthorized'));
     }
 
     const { error } = await supabase
@@ -498,18 +575,14 @@ router.delete('/:postId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Delete post error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // GET USER'S POSTS
 // ============================================================================
-router.get('/user/:userId', async (req, res) => {
+router.get('/user/:userId', validate(schemas.userPosts), async (req, res, next) => {
   try {
     const { userId } = req.params;
     const { limit = 20, offset = 0 } = req.query;
@@ -526,10 +599,7 @@ router.get('/user/:userId', async (req, res) => {
     // Get analytics for each post
     const postsWithAnalytics = await Promise.all(
       data.map(async (post) => {
-        const { count: reactions } = await supabase
-          .from('reactions')
-          .select('*', { count: 'exact', head: true })
-          .eq('clip_id', post.id);
+        const reactions = await reactionsRepo.countForPost(post.id);
 
         const engagement = calculateEngagement(
           post.view_count || 0,
@@ -557,46 +627,29 @@ router.get('/user/:userId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Get user posts error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // SHARE POST
 // ============================================================================
-router.post('/:postId/share', async (req, res) => {
+router.post('/:postId/share', bindActor('userId'), validate(schemas.sharePost), async (req, res, next) => {
   try {
     const { postId } = req.params;
     const { userId, shareType } = req.body; // shareType: 'repost', 'external', 'dm'
 
     // Increment share count
-    const { data: post } = await supabase
-      .from('wisdom_clips')
-      .select('share_count, user_id')
-      .eq('id', postId)
-      .single();
+    const post = await wisdomClips.findById(postId, 'id, share_count, user_id');
 
     if (!post) {
-      return res.status(404).json({
-        success: false,
-        error: 'Post not found'
-      });
+      return next(ApiError.notFound('Post not found'));
     }
 
-    await supabase
-      .from('wisdom_clips')
-      .update({ share_count: (post.share_count || 0) + 1 })
-      .eq('id', postId);
+    await wisdomClips.incrementCounter(post, 'share_count');
 
     // Award aura to original poster
-    await supabase.rpc('increment_aura', {
-      p_user_id: post.user_id,
-      p_amount: 2
-    });
+    await userScores.incrementAura(post.user_id, 2);
 
     console.log(`🔄 Post shared: ${postId}`);
 
@@ -606,21 +659,17 @@ router.post('/:postId/share', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Share post error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // GET POST ANALYTICS (Premium feature)
 // ============================================================================
-router.get('/:postId/analytics', async (req, res) => {
+router.get('/:postId/analytics', validate(schemas.postParams), requireOwner({ table: 'wisdom_clips', param: 'postId', label: 'Post' }), async (req, res, next) => {
   try {
     const { postId } = req.params;
-    const { userId } = req.query;
+    const userId = req.user.id;
 
     const { data: post } = await supabase
       .from('wisdom_clips')
@@ -629,36 +678,21 @@ router.get('/:postId/analytics', async (req, res) => {
       .single();
 
     if (!post) {
-      return res.status(404).json({
-        success: false,
-        error: 'Post not found'
-      });
+      return next(ApiError.notFound('Post not found'));
     }
 
     // Check if user is post owner
     if (post.user_id !== userId) {
-      return res.status(403).json({
-        success: false,
-        error: 'Only post owner can view detailed analytics'
-      });
+      return next(ApiError.forbidden('Only post owner can view detailed analytics'));
     }
 
     // Check if user is premium
-    const { data: subscription } = await supabase
-      .from('fan_subscriptions')
-      .select('plan')
-      .eq('user_id', userId)
-      .eq('status', 'active')
-      .single();
-
-    const isPremium = subscription && ['premium', 'creator_pro', 'business'].includes(subscription.plan);
+    const isPremium = await wisdomClips.hasPremiumAnalytics(userId);
 
     if (!isPremium) {
-      return res.status(403).json({
-        success: false,
-        error: 'Premium subscription required for detailed analytics',
-        upgradeUrl: '/subscriptions'
-      });
+      return next(ApiError.premiumRequired('Premium subscription required for detailed analytics', {
+        upgrade_url: '/api/subscriptions/plans'
+      }));
     }
 
     // Get detailed analytics
@@ -700,11 +734,7 @@ router.get('/:postId/analytics', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Get analytics error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
@@ -715,16 +745,18 @@ router.get('/health', (req, res) => {
   res.json({
     success: true,
     message: 'Posts service is running',
-    features: [
-      'Create, read, update, delete posts',
-      'Silent repost (anti-bullying)',
-      'Crisis detection',
-      'Misinformation detection',
-      'Analytics (basic & premium)',
-      'Share tracking',
-      'View tracking',
-      'Engagement calculation'
-    ]
+    data: {
+      features: [
+        'Create, read, update, delete posts',
+        'Silent repost (anti-bullying)',
+        'Crisis detection',
+        'Misinformation detection',
+        'Analytics (basic & premium)',
+        'Share tracking',
+        'View tracking',
+        'Engagement calculation'
+      ]
+    }
   });
 });
 
@@ -5,13 +5,10 @@
 
 const express = require('express');
 const router = express.Router();
-const { createClient } = require('@supabase/supabase-js');
-
-// Initialize Supabase client
-const supabase = createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_KEY
-);
+const { supabase } = require('../config/database');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/privacy');
+const { ApiError } = require('../middleware/errors');
 
 // ============================================
 // PRIVACY PRESETS
@@ -129,15 +126,12 @@ const PRIVACY_PRESETS = {
 // GET /api/privacy/settings
 // ============================================
 
-router.get('/settings', async (req, res) => {
+router.get('/settings', async (req, res, next) => {
     try {
         const userId = req.user?.id; // Assuming auth middleware sets req.user
 
         if (!userId) {
-            return res.status(401).json({
-                success: false,
-                error: 'Authentication required'
-            });
+            return next(ApiError.unauthorized('Authentication required'));
         }
 
         // Get user's privacy settings
@@ -147,13 +141,7 @@ router.get('/settings', async (req, res) => {
             .eq('user_id', userId)
             .single();
 
-        if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
-            console.error('Error fetching privacy settings:', error);
-            return res.status(500).json({
-                success: false,
-                error: 'Failed to fetch privacy settings'
-            });
-        }
+        if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows returned
 
         // If no settings exist, create default (social preset)
         if (!settings) {
@@ -166,13 +154,7 @@ router.get('/settings', async (req, res) => {
                 .select()
                 .single();
 
-            if (createError) {
-                console.error('Error creating default settings:', createError);
-                return res.status(500).json({
-                    success: false,
-                    error: 'Failed to create privacy settings'
-                });
-            }
+            if (createError) throw createError;
 
             return res.json({
                 success: true,
@@ -186,11 +168,7 @@ router.get('/settings', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Get privacy settings error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error'
-        });
+        next(error);
     }
 });
 
@@ -199,15 +177,12 @@ router.get('/settings', async (req, res) => {
 // POST /api/privacy/settings
 // ============================================
 
-router.post('/settings', async (req, res) => {
+router.post('/settings', validate(schemas.updateSettings), async (req, res, next) => {
     try {
         const userId = req.user?.id;
 
         if (!userId) {
-            return res.status(401).json({
-                success: false,
-                error: 'Authentication required'
-            });
+            return next(ApiError.unauthorized('Authentication required'));
         }
 
         const updates = req.body;
@@ -223,11 +198,7 @@ router.post('/settings', async (req, res) => {
                 .single();
 
             if (!subscription || subscription.tier === 'free') {
-                return res.status(403).json({
-                    success: false,
-                    error: 'Ghost mode requires premium subscription',
-                    upgrade_required: true
-                });
+                return next(ApiError.premiumRequired('Ghost mode requires premium subscription'));
             }
         }
 
@@ -252,13 +223,7 @@ router.post('/settings', async (req, res) => {
                 .select()
                 .single();
 
-            if (error) {
-                console.error('Error updating privacy settings:', error);
-                return res.status(500).json({
-                    success: false,
-                    error: 'Failed to update privacy settings'
-                });
-            }
+            if (error) throw error;
 
             result = data;
         } else {
@@ -273,13 +238,7 @@ router.post('/settings', async (req, res) => {
                 .select()
                 .single();
 
-            if (error) {
-                console.error('Error creating privacy settings:', error);
-                return res.status(500).json({
-                    success: false,
-                    error: 'Failed to create privacy settings'
-                });
-            }
+            if (error) throw error;
 
             result = data;
         }
@@ -291,11 +250,7 @@ router.post('/settings', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Update privacy settings error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error'
-        });
+        next(error);
     }
 });
 
@@ -304,25 +259,20 @@ router.post('/settings', async (req, res) => {
 // POST /api/privacy/preset/:name
 // ============================================
 
-router.post('/preset/:name', async (req, res) => {
+router.post('/preset/:name', async (req, res, next) => {
     try {
         const userId = req.user?.id;
         const presetName = req.params.name.toLowerCase();
 
         if (!userId) {
-            return res.status(401).json({
-                success: false,
-                error: 'Authentication required'
-            });
+            return next(ApiError.unauthorized('Authentication required'));
         }
 
         // Validate preset name
         if (!PRIVACY_PRESETS[presetName]) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid preset name',
-                available_presets: ['public', 'social', 'private', 'ghost']
-            });
+            return next(ApiError.badRequest('Invalid preset name', {
+                available_presets: Object.keys(PRIVACY_PRESETS)
+            }));
         }
 
         // Check if ghost preset (premium only)
@@ -335,11 +285,7 @@ router.post('/preset/:name', async (req, res) => {
                 .single();
 
             if (!subscription || subscription.tier === 'free') {
-                return res.status(403).json({
-                    success: false,
-                    error: 'Ghost mode requires premium subscription',
-                    upgrade_required: true
-                });
+                return next(ApiError.premiumRequired('Ghost mode requires premium subscription'));
             }
         }
 
@@ -366,13 +312,7 @@ router.post('/preset/:name', async (req, res) => {
                 .select()
                 .single();
 
-            if (error) {
-                console.error('Error applying preset:', error);
-                return res.status(500).json({
-                    success: false,
-                    error: 'Failed to apply preset'
-                });
-            }
+            if (error) throw error;
 
             result = data;
         } else {
@@ -386,13 +326,7 @@ router.post('/preset/:name', async (req, res) => {
                 .select()
                 .single();
 
-            if (error) {
-                console.error('Error creating settings with preset:', error);
-                return res.status(500).json({
-                    success: false,
-                    error: 'Failed to apply preset'
-                });
-            }
+            if (error) throw error;
 
             result = data;
         }
@@ -404,11 +338,7 @@ router.post('/preset/:name', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Apply preset error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error'
-        });
+        next(error);
     }
 });
 
@@ -417,18 +347,11 @@ router.post('/preset/:name', async (req, res) => {
 // GET /api/privacy/check/:userId
 // ============================================
 
-router.get('/check/:userId', async (req, res) => {
+router.get('/check/:userId', validate(schemas.visibilityCheck), async (req, res, next) => {
     try {
         const viewerId = req.user?.id; // Who is viewing
         const targetUserId = req.params.userId; // Whose profile to check
 
-        if (!targetUserId) {
-            return res.status(400).json({
-                success: false,
-                error: 'User ID required'
-            });
-        }
-
         // Get target user's privacy settings
         const { data: settings, error } = await supabase
             .from('user_privacy_settings')
@@ -436,13 +359,7 @@ router.get('/check/:userId', async (req, res) => {
             .eq('user_id', targetUserId)
             .single();
 
-        if (error && error.code !== 'PGRST116') {
-            console.error('Error fetching privacy settings:', error);
-            return res.status(500).json({
-                success: false,
-                error: 'Failed to check privacy settings'
-            });
-        }
+        if (error && error.code !== 'PGRST116') throw error;
 
         // If no settings, use default (social preset)
         const privacySettings = settings || PRIVACY_PRESETS.social;
@@ -551,11 +468,7 @@ router.get('/check/:userId', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Check visibility error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error'
-        });
+        next(error);
     }
 });
 
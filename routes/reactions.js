@@ -3,7 +3,11 @@
 
 const express = require('express');
 const router = express.Router();
-const supabase = require('../config/database');
+const { supabase } = require('../config/database');
+const { bindActor } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/reactions');
+const { ApiError } = require('../middleware/errors');
 
 // Reaction point values for Wisdom/Aura scores
 const REACTION_POINTS = {
@@ -23,27 +27,10 @@ const REACTION_POINTS = {
 // ==========================================
 // ADD REACTION
 // ==========================================
-router.post('/add', async (req, res) => {
+router.post('/add', bindActor('user_id'), validate(schemas.addReaction), async (req, res, next) => {
   try {
     const { user_id, clip_id, reaction_type } = req.body;
 
-    if (!user_id || !clip_id || !reaction_type) {
-      return res.status(400).json({
-        success: false,
-        message: 'user_id, clip_id, and reaction_type are required'
-      });
-    }
-
-    // Validate reaction type
-    const validReactions = ['laugh', 'support', 'care', 'thinking', 'applaud', 'fire'];
-    if (!validReactions.includes(reaction_type)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid reaction type',
-        valid_types: validReactions
-      });
-    }
-
     // Get post to check reaction rules
     const { data: post, error: postError } = await supabase
       .from('wisdom_clips')
@@ -54,10 +41,7 @@ router.post('/add', async (req, res) => {
     if (postError) throw postError;
 
     if (!post) {
-      return res.status(404).json({
-        success: false,
-        message: 'Post not found'
-      });
+      return next(ApiError.notFound('Post not found'));
     }
 
     // Check if reaction is allowed
@@ -70,16 +54,14 @@ router.post('/add', async (req, res) => {
     if (reactionRules) {
       if (reactionRules.blocked_reactions && 
           reactionRules.blocked_reactions.includes(reaction_type)) {
-        return res.status(403).json({
-          success: false,
-          message: 'This reaction is not allowed for this content type',
+        return next(ApiError.forbidden('This reaction is not allowed for this content type', {
           allowed_reactions: reactionRules.allowed_reactions,
           reason: post.is_crisis ? 
             'Crisis content only allows supportive reactions (❤️ 🙏)' :
             post.content_type === 'misinformation' ?
             'Questionable content - please use 🤔 to think critically' :
             'This reaction is not appropriate for this content'
-        });
+        }));
       }
     }
 
@@ -103,8 +85,10 @@ router.post('/add', async (req, res) => {
 
         return res.json({
           success: true,
-          action: 'removed',
-          message: 'Reaction removed'
+          message: 'Reaction removed',
+          data: {
+            action: 'removed'
+          }
         });
       } else {
         // Different reaction, update it
@@ -120,9 +104,11 @@ router.post('/add', async (req, res) => {
 
         return res.json({
           success: true,
-          action: 'updated',
           message: 'Reaction updated',
-          new_reaction: reaction_type
+          data: {
+            action: 'updated',
+            new_reaction: reaction_type
+          }
         });
       }
     }
@@ -148,19 +134,16 @@ router.post('/add', async (req, res) => {
 
     res.json({
       success: true,
-      action: 'added',
-      reaction: newReaction,
-      scores: scores,
-      message: 'Reaction added successfully'
+      message: 'Reaction added successfully',
+      data: {
+        action: 'added',
+        reaction: newReaction,
+        scores: scores
+      }
     });
 
   } catch (error) {
-    console.error('Add reaction error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to add reaction',
-      error: error.message
-    });
+    next(error);
   }
 });
 
@@ -201,13 +184,24 @@ async function updateUserScores(userId, reactionType) {
 
 // Helper: Track behavioral patterns for AI learning
 async function trackBehavioralPattern(userId, reactionType, contentType) {
+  // Read the current counters, then upsert the incremented values
+  const { data: pattern } = await supabase
+    .from('behavioral_patterns')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  const engagementKey = contentType || 'normal';
+  const contentEngagement = { ...(pattern?.content_engagement || {}) };
+  contentEngagement[engagementKey] = (contentEngagement[engagementKey] || 0) + 1;
+
   // Store in behavioral_patterns table for future feed personalization
   const { error } = await supabase
     .from('behavioral_patterns')
     .upsert({
       user_id: userId,
-      [`${reactionType}_count`]: supabase.sql`${reactionType}_count + 1`,
-      [`${contentType}_engagement`]: supabase.sql`${contentType}_engagement + 1`,
+      [`${reactionType}_count`]: (pattern?.[`${reactionType}_count`] || 0) + 1,
+      content_engagement: contentEngagement,
       last_updated: new Date().toISOString()
     }, {
       onConflict: 'user_id'
@@ -219,7 +213,7 @@ async function trackBehavioralPattern(userId, reactionType, contentType) {
 // ==========================================
 // GET REACTIONS FOR POST
 // ==========================================
-router.get('/post/:clipId', async (req, res) => {
+router.get('/post/:clipId', validate(schemas.postReactions), async (req, res, next) => {
   try {
     const { clipId } = req.params;
 
@@ -249,23 +243,18 @@ router.get('/post/:clipId', async (req, res) => {
 
     res.json({
       success: true,
-      reactions: counts
+      data: counts
     });
 
   } catch (error) {
-    console.error('Get reactions error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get reactions',
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ==========================================
 // GET USER'S REACTION TO POST
 // ==========================================
-router.get('/user/:userId/post/:clipId', async (req, res) => {
+router.get('/user/:userId/post/:clipId', validate(schemas.userPostReaction), async (req, res, next) => {
   try {
     const { userId, clipId } = req.params;
 
@@ -280,24 +269,21 @@ router.get('/user/:userId/post/:clipId', async (req, res) => {
 
     res.json({
       success: true,
-      has_reacted: !!reaction,
-      reaction_type: reaction?.reaction_type || null
+      data: {
+        has_reacted: !!reaction,
+        reaction_type: reaction?.reaction_type || null
+      }
     });
 
   } catch (error) {
-    console.error('Get user reaction error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get user reaction',
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ==========================================
 // GET USER'S REACTION STATISTICS
 // ==========================================
-router.get('/stats/:userId', async (req, res) => {
+router.get('/stats/:userId', validate(schemas.userStats), async (req, res, next) => {
   try {
     const { userId } = req.params;
 
@@ -344,19 +330,16 @@ router.get('/stats/:userId', async (req, res) => {
 
     res.json({
       success: true,
-      counts: counts,
-      percentages: percentages,
-      personality_type: personalityType,
-      total_reactions: counts.total
+      data: {
+        counts: counts,
+        percentages: percentages,
+        personality_type: personalityType,
+        total_reactions: counts.total
+      }
     });
 
   } catch (error) {
-    console.error('Get reaction stats error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get reaction statistics',
-      error: error.message
-    });
+    next(error);
   }
 });
 
@@ -1,27 +1,17 @@
 const express = require('express');
 const router = express.Router();
-const { createClient } = require('@supabase/supabase-js');
-
-// Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
+const { bindActor, requireSelf } = require('../middleware/authorize');
+const { supabase } = require('../config/database');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/search');
 
 // ============================================================================
 // UNIVERSAL SEARCH (Search everything)
 // ============================================================================
-router.get('/all', async (req, res) => {
+router.get('/all', validate(schemas.searchAll), async (req, res, next) => {
   try {
     const { query, limit = 10 } = req.query;
 
-    if (!query || query.trim().length < 2) {
-      return res.status(400).json({
-        success: false,
-        error: 'Search query must be at least 2 characters'
-      });
-    }
-
     const searchTerm = query.trim().toLowerCase();
 
     // Search users
@@ -66,28 +56,17 @@ router.get('/all', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Universal search error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // SEARCH USERS
 // ============================================================================
-router.get('/users', async (req, res) => {
+router.get('/users', validate(schemas.searchPaged), async (req, res, next) => {
   try {
     const { query, limit = 20, offset = 0 } = req.query;
 
-    if (!query || query.trim().length < 2) {
-      return res.status(400).json({
-        success: false,
-        error: 'Search query must be at least 2 characters'
-      });
-    }
-
     const searchTerm = query.trim().toLowerCase();
 
     const { data, error } = await supabase
@@ -123,32 +102,23 @@ router.get('/users', async (req, res) => {
     res.json({
       success: true,
       data: usersWithStats,
-      query: query
+      meta: {
+        query: query
+      }
     });
 
   } catch (error) {
-    console.error('❌ Search users error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // SEARCH POSTS
 // ============================================================================
-router.get('/posts', async (req, res) => {
+router.get('/posts', validate(schemas.searchPaged), async (req, res, next) => {
   try {
     const { query, limit = 20, offset = 0 } = req.query;
 
-    if (!query || query.trim().length < 2) {
-      return res.status(400).json({
-        success: false,
-        error: 'Search query must be at least 2 characters'
-      });
-    }
-
     const searchTerm = query.trim().toLowerCase();
 
     const { data, error } = await supabase
@@ -170,32 +140,23 @@ router.get('/posts', async (req, res) => {
     res.json({
       success: true,
       data: data,
-      query: query
+      meta: {
+        query: query
+      }
     });
 
   } catch (error) {
-    console.error('❌ Search posts error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // SEARCH HASHTAGS
 // ============================================================================
-router.get('/hashtags', async (req, res) => {
+router.get('/hashtags', validate(schemas.searchHashtags), async (req, res, next) => {
   try {
     const { query, limit = 20 } = req.query;
 
-    if (!query || query.trim().length < 1) {
-      return res.status(400).json({
-        success: false,
-        error: 'Search query is required'
-      });
-    }
-
     const searchTerm = query.trim().toLowerCase().replace('#', '');
 
     const { data, error } = await supabase
@@ -210,32 +171,23 @@ router.get('/hashtags', async (req, res) => {
     res.json({
       success: true,
       data: data,
-      query: query
+      meta: {
+        query: query
+      }
     });
 
   } catch (error) {
-    console.error('❌ Search hashtags error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // SEARCH CHARITY CAMPAIGNS
 // ============================================================================
-router.get('/campaigns', async (req, res) => {
+router.get('/campaigns', validate(schemas.searchCampaigns), async (req, res, next) => {
   try {
     const { query, limit = 20, category } = req.query;
 
-    if (!query || query.trim().length < 2) {
-      return res.status(400).json({
-        success: false,
-        error: 'Search query must be at least 2 characters'
-      });
-    }
-
     const searchTerm = query.trim().toLowerCase();
 
     let dbQuery = supabase
@@ -263,22 +215,20 @@ router.get('/campaigns', async (req, res) => {
     res.json({
       success: true,
       data: campaignsWithProgress,
-      query: query
+      meta: {
+        query: query
+      }
     });
 
   } catch (error) {
-    console.error('❌ Search campaigns error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // TRENDING HASHTAGS
 // ============================================================================
-router.get('/trending/hashtags', async (req, res) => {
+router.get('/trending/hashtags', validate(schemas.trending), async (req, res, next) => {
   try {
     const { limit = 20, timeframe = '7d' } = req.query;
 
@@ -312,22 +262,20 @@ router.get('/trending/hashtags', async (req, res) => {
     res.json({
       success: true,
       data: data,
-      timeframe: timeframe
+      meta: {
+        timeframe: timeframe
+      }
     });
 
   } catch (error) {
-    console.error('❌ Trending hashtags error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // TRENDING POSTS
 // ============================================================================
-router.get('/trending/posts', async (req, res) => {
+router.get('/trending/posts', validate(schemas.trending), async (req, res, next) => {
   try {
     const { limit = 20, timeframe = '7d' } = req.query;
 
@@ -378,22 +326,20 @@ router.get('/trending/posts', async (req, res) => {
     res.json({
       success: true,
       data: postsWithScore,
-      timeframe: timeframe
+      meta: {
+        timeframe: timeframe
+      }
     });
 
   } catch (error) {
-    console.error('❌ Trending posts error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // TRENDING USERS (Most followed recently)
 // ============================================================================
-router.get('/trending/users', async (req, res) => {
+router.get('/trending/users', validate(schemas.trending), async (req, res, next) => {
   try {
     const { limit = 20, timeframe = '7d' } = req.query;
 
@@ -448,32 +394,23 @@ router.get('/trending/users', async (req, res) => {
     res.json({
       success: true,
       data: usersWithCounts || [],
-      timeframe: timeframe
+      meta: {
+        timeframe: timeframe
+      }
     });
 
   } catch (error) {
-    console.error('❌ Trending users error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // SUGGESTED USERS (Recommendations based on interests)
 // ============================================================================
-router.get('/suggestions/users', async (req, res) => {
+router.get('/suggestions/users', validate(schemas.suggestions), async (req, res, next) => {
   try {
     const { userId, limit = 20 } = req.query;
 
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID is required'
-      });
-    }
-
     // Get users the current user is NOT following
     const { data: following } = await supabase
       .from('followers')
@@ -514,18 +451,14 @@ router.get('/suggestions/users', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Suggested users error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // EXPLORE PAGE (Curated content for discovery)
 // ============================================================================
-router.get('/explore', async (req, res) => {
+router.get('/explore', validate(schemas.explore), async (req, res, next) => {
   try {
     const { userId, limit = 10 } = req.query;
 
@@ -586,28 +519,17 @@ router.get('/explore', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Explore page error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // SEARCH HISTORY (Track user searches)
 // ============================================================================
-router.post('/history', async (req, res) => {
+router.post('/history', bindActor('userId'), validate(schemas.saveHistory), async (req, res, next) => {
   try {
     const { userId, query, type } = req.body;
 
-    if (!userId || !query) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID and query are required'
-      });
-    }
-
     const { data, error } = await supabase
       .from('search_history')
       .insert({
@@ -626,18 +548,14 @@ router.post('/history', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Save search history error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // GET SEARCH HISTORY
 // ============================================================================
-router.get('/history/:userId', async (req, res) => {
+router.get('/history/:userId', requireSelf('userId'), validate(schemas.history), async (req, res, next) => {
   try {
     const { userId } = req.params;
     const { limit = 20 } = req.query;
@@ -657,18 +575,14 @@ router.get('/history/:userId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Get search history error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // CLEAR SEARCH HISTORY
 // ============================================================================
-router.delete('/history/:userId', async (req, res) => {
+router.delete('/history/:userId', requireSelf('userId'), async (req, res, next) => {
   try {
     const { userId } = req.params;
 
@@ -685,11 +599,7 @@ router.delete('/history/:userId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Clear search history error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
@@ -700,14 +610,16 @@ router.get('/health', (req, res) => {
   res.json({
     success: true,
     message: 'Search & Discovery service is running',
-    features: [
-      'Universal search',
-      'Search users/posts/hashtags/campaigns',
-      'Trending content',
-      'User suggestions',
-      'Explore page',
-      'Search history'
-    ]
+    data: {
+      features: [
+        'Universal search',
+        'Search users/posts/hashtags/campaigns',
+        'Trending content',
+        'User suggestions',
+        'Explore page',
+        'Search history'
+      ]
+    }
   });
 });
 
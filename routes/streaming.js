@@ -1,27 +1,20 @@
 const express = require('express');
 const router = express.Router();
-const { createClient } = require('@supabase/supabase-js');
-
-// Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
+const { bindActor, requireOwner } = require('../middleware/authorize');
+const { supabase } = require('../config/database');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/streaming');
+const { ApiError } = require('../middleware/errors');
+const moderation = require('../services/moderation');
+const crisisCases = require('../services/crisisCases');
 
 // ============================================================================
 // START LIVE STREAM
 // ============================================================================
-router.post('/start', async (req, res) => {
+router.post('/start', bindActor('streamerId'), validate(schemas.startStream), async (req, res, next) => {
   try {
     const { streamerId, title, description, category, thumbnailUrl } = req.body;
 
-    if (!streamerId || !title) {
-      return res.status(400).json({
-        success: false,
-        error: 'Streamer ID and title are required'
-      });
-    }
-
     // Check if user already has an active stream
     const { data: existing } = await supabase
       .from('live_streams')
@@ -31,10 +24,7 @@ router.post('/start', async (req, res) => {
       .single();
 
     if (existing) {
-      return res.status(400).json({
-        success: false,
-        error: 'You already have an active stream'
-      });
+      return next(ApiError.badRequest('You already have an active stream'));
     }
 
     // Generate Agora stream key (in production, use actual Agora API)
@@ -99,18 +89,14 @@ router.post('/start', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Start stream error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // END LIVE STREAM
 // ============================================================================
-router.put('/end/:streamId', async (req, res) => {
+router.put('/end/:streamId', validate(schemas.streamParams), requireOwner({ table: 'live_streams', param: 'streamId', ownerColumn: 'streamer_id', label: 'Stream' }), bindActor('streamerId'), async (req, res, next) => {
   try {
     const { streamId } = req.params;
     const { streamerId } = req.body;
@@ -123,17 +109,11 @@ router.put('/end/:streamId', async (req, res) => {
       .single();
 
     if (!stream) {
-      return res.status(404).json({
-        success: false,
-        error: 'Stream not found'
-      });
+      return next(ApiError.notFound('Stream not found'));
     }
 
     if (stream.streamer_id !== streamerId) {
-      return res.status(403).json({
-        success: false,
-        error: 'Unauthorized to end this stream'
-      });
+      return next(ApiError.forbidden('Unauthorized to end this stream'));
     }
 
     // Calculate duration
@@ -169,18 +149,14 @@ router.put('/end/:streamId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ End stream error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // GET ACTIVE STREAMS
 // ============================================================================
-router.get('/active', async (req, res) => {
+router.get('/active', validate(schemas.activeStreams), async (req, res, next) => {
   try {
     const { category, limit = 20, offset = 0 } = req.query;
 
@@ -205,18 +181,14 @@ router.get('/active', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Get active streams error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // GET STREAM DETAILS
 // ============================================================================
-router.get('/:streamId', async (req, res) => {
+router.get('/:streamId', validate(schemas.streamParams), async (req, res, next) => {
   try {
     const { streamId } = req.params;
 
@@ -227,10 +199,7 @@ router.get('/:streamId', async (req, res) => {
       .single();
 
     if (error || !stream) {
-      return res.status(404).json({
-        success: false,
-        error: 'Stream not found'
-      });
+      return next(ApiError.notFound('Stream not found'));
     }
 
     // Get current viewers
@@ -249,29 +218,18 @@ router.get('/:streamId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Get stream error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // JOIN STREAM (Viewer)
 // ============================================================================
-router.post('/:streamId/join', async (req, res) => {
+router.post('/:streamId/join', bindActor('userId'), validate(schemas.streamParams), async (req, res, next) => {
   try {
     const { streamId } = req.params;
     const { userId } = req.body;
 
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID is required'
-      });
-    }
-
     // Check if stream exists and is live
     const { data: stream } = await supabase
       .from('live_streams')
@@ -281,10 +239,7 @@ router.post('/:streamId/join', async (req, res) => {
       .single();
 
     if (!stream) {
-      return res.status(404).json({
-        success: false,
-        error: 'Stream not found or not live'
-      });
+      return next(ApiError.notFound('Stream not found or not live'));
     }
 
     // Add viewer
@@ -323,29 +278,18 @@ router.post('/:streamId/join', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Join stream error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // LEAVE STREAM
 // ============================================================================
-router.post('/:streamId/leave', async (req, res) => {
+router.post('/:streamId/leave', bindActor('userId'), validate(schemas.streamParams), async (req, res, next) => {
   try {
     const { streamId } = req.params;
     const { userId } = req.body;
 
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID is required'
-      });
-    }
-
     // Calculate watch time
     const { data: viewer } = await supabase
       .from('stream_viewers')
@@ -380,29 +324,18 @@ router.post('/:streamId/leave', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Leave stream error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // SEND GIFT TO STREAMER
 // ============================================================================
-router.post('/:streamId/gift', async (req, res) => {
+router.post('/:streamId/gift', bindActor('senderId'), validate(schemas.sendGift), async (req, res, next) => {
   try {
     const { streamId } = req.params;
     const { senderId, giftType, amount, message } = req.body;
 
-    if (!senderId || !giftType || !amount) {
-      return res.status(400).json({
-        success: false,
-        error: 'Sender ID, gift type, and amount are required'
-      });
-    }
-
     // Get stream
     const { data: stream } = await supabase
       .from('live_streams')
@@ -411,10 +344,7 @@ router.post('/:streamId/gift', async (req, res) => {
       .single();
 
     if (!stream) {
-      return res.status(404).json({
-        success: false,
-        error: 'Stream not found'
-      });
+      return next(ApiError.notFound('Stream not found'));
     }
 
     // Record gift
@@ -450,35 +380,26 @@ router.post('/:streamId/gift', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Send gift error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // POST COMMENT ON STREAM
 // ============================================================================
-router.post('/:streamId/comment', async (req, res) => {
+router.post('/:streamId/comment', bindActor('userId'), validate(schemas.postComment), async (req, res, next) => {
   try {
     const { streamId } = req.params;
     const { userId, comment } = req.body;
-
-    if (!userId || !comment) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID and comment are required'
-      });
-    }
+    const safety = await moderation.analyzeText(comment);
 
     const { data, error } = await supabase
       .from('stream_comments')
       .insert({
         stream_id: streamId,
         user_id: userId,
-        comment: comment
+        comment: comment,
+        ...moderation.toColumns(safety)
       })
       .select()
       .single();
@@ -487,24 +408,35 @@ router.post('/:streamId/comment', async (req, res) => {
 
     console.log(`💬 Comment on stream ${streamId}: ${comment.substring(0, 30)}...`);
 
+    // The comment is posted; a crisis case failing to open must not look like
+    // a failed comment
+    let crisis = null;
+    if (safety.isCrisis) {
+      try {
+        crisis = await crisisCases.openFromModeration(safety, { userId, sourceType: 'stream_comment', sourceId: data.id, content: comment });
+      } catch (error) {
+        console.error('❌ Crisis alert error:', error);
+      }
+    }
+
     res.json({
       success: true,
-      data: data
+      data: data,
+      meta: {
+        crisisDetected: safety.isCrisis,
+        crisisResources: crisis ? crisis.resources : []
+      }
     });
 
   } catch (error) {
-    console.error('❌ Post comment error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // GET STREAM COMMENTS
 // ============================================================================
-router.get('/:streamId/comments', async (req, res) => {
+router.get('/:streamId/comments', validate(schemas.streamComments), async (req, res, next) => {
   try {
     const { streamId } = req.params;
     const { limit = 50, offset = 0 } = req.query;
@@ -524,18 +456,14 @@ router.get('/:streamId/comments', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Get comments error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // GET STREAMER'S STREAM HISTORY
 // ============================================================================
-router.get('/streamer/:streamerId/history', async (req, res) => {
+router.get('/streamer/:streamerId/history', validate(schemas.streamerHistory), async (req, res, next) => {
   try {
     const { streamerId } = req.params;
     const { limit = 20 } = req.query;
@@ -555,18 +483,14 @@ router.get('/streamer/:streamerId/history', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Get stream history error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // ============================================================================
 // GET STREAM ANALYTICS
 // ============================================================================
-router.get('/:streamId/analytics', async (req, res) => {
+router.get('/:streamId/analytics', validate(schemas.streamParams), async (req, res, next) => {
   try {
     const { streamId } = req.params;
 
@@ -578,10 +502,7 @@ router.get('/:streamId/analytics', async (req, res) => {
       .single();
 
     if (!stream) {
-      return res.status(404).json({
-        success: false,
-        error: 'Stream not found'
-      });
+      return next(ApiError.notFound('Stream not found'));
     }
 
     // Get total viewers
@@ -633,11 +554,7 @@ router.get('/:streamId/analytics', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Get analytics error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
@@ -666,15 +583,17 @@ router.get('/health', (req, res) => {
   res.json({
     success: true,
     message: 'Live streaming service is running',
-    features: [
-      'Start/stop live streams',
-      'Real-time viewer tracking',
-      'Send virtual gifts',
-      'Stream comments',
-      'Stream analytics',
-      'Stream history',
-      'Agora.io integration ready'
-    ]
+    data: {
+      features: [
+        'Start/stop live streams',
+        'Real-time viewer tracking',
+        'Send virtual gifts',
+        'Stream comments',
+        'Stream analytics',
+        'Stream history',
+        'Agora.io integration ready'
+      ]
+    }
   });
 });
 
@@ -1,9 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/database');
+const { bindActor } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/subscriptions');
+const { ApiError } = require('../middleware/errors');
 
 // GET ALL SUBSCRIPTION PLANS
-router.get('/plans', async (req, res) => {
+router.get('/plans', async (req, res, next) => {
   try {
     const result = await pool.query(`
       SELECT * FROM subscription_plans
@@ -12,17 +16,16 @@ router.get('/plans', async (req, res) => {
     `);
     
     res.json({
-      status: 'success',
+      success: true,
       data: result.rows
     });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ status: 'error', message: error.message });
+    next(error);
   }
 });
 
 // GET USER'S SUBSCRIPTION
-router.get('/user/:userId', async (req, res) => {
+router.get('/user/:userId', validate(schemas.userParams), async (req, res, next) => {
   try {
     const { userId } = req.params;
     
@@ -48,7 +51,7 @@ router.get('/user/:userId', async (req, res) => {
       `);
       
       return res.json({
-        status: 'success',
+        success: true,
         data: {
           plan_name: 'Free',
           plan_type: 'free',
@@ -59,17 +62,16 @@ router.get('/user/:userId', async (req, res) => {
     }
     
     res.json({
-      status: 'success',
+      success: true,
       data: result.rows[0]
     });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ status: 'error', message: error.message });
+    next(error);
   }
 });
 
 // CHECK FEATURE ACCESS
-router.get('/user/:userId/feature/:featureName', async (req, res) => {
+router.get('/user/:userId/feature/:featureName', validate(schemas.featureAccess), async (req, res, next) => {
   try {
     const { userId, featureName } = req.params;
     
@@ -90,18 +92,19 @@ router.get('/user/:userId/feature/:featureName', async (req, res) => {
     }
     
     res.json({
-      status: 'success',
-      feature: featureName,
-      has_access: hasAccess
+      success: true,
+      data: {
+        feature: featureName,
+        has_access: hasAccess
+      }
     });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ status: 'error', message: error.message });
+    next(error);
   }
 });
 
 // CREATE SUBSCRIPTION
-router.post('/subscribe', async (req, res) => {
+router.post('/subscribe', bindActor('user_id'), validate(schemas.subscribe), async (req, res, next) => {
   try {
     const { user_id, plan_type, payment_method } = req.body;
     
@@ -110,10 +113,7 @@ router.post('/subscribe', async (req, res) => {
     `, [plan_type]);
     
     if (plan.rows.length === 0) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Plan not found'
-      });
+      return next(ApiError.notFound('Plan not found'));
     }
     
     const result = await pool.query(`
@@ -134,18 +134,17 @@ router.post('/subscribe', async (req, res) => {
     `, [user_id, plan.rows[0].id, plan_type]);
     
     res.status(201).json({
-      status: 'success',
+      success: true,
       message: 'Subscription created successfully',
       data: result.rows[0]
     });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ status: 'error', message: error.message });
+    next(error);
   }
 });
 
 // REQUEST VERIFICATION
-router.post('/verification/request', async (req, res) => {
+router.post('/verification/request', bindActor('user_id'), validate(schemas.requestVerification), async (req, res, next) => {
   try {
     const {
       user_id,
@@ -176,18 +175,17 @@ router.post('/verification/request', async (req, res) => {
     ]);
     
     res.status(201).json({
-      status: 'success',
+      success: true,
       message: 'Verification request submitted',
       data: result.rows[0]
     });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ status: 'error', message: error.message });
+    next(error);
   }
 });
 
 // GET USER'S VERIFICATION STATUS
-router.get('/verification/:userId/status', async (req, res) => {
+router.get('/verification/:userId/status', validate(schemas.userParams), async (req, res, next) => {
   try {
     const { userId } = req.params;
     
@@ -200,19 +198,18 @@ router.get('/verification/:userId/status', async (req, res) => {
     
     if (result.rows.length === 0) {
       return res.json({
-        status: 'success',
-        verified: false,
-        message: 'No verification request found'
+        success: true,
+        message: 'No verification request found',
+        data: null
       });
     }
     
     res.json({
-      status: 'success',
+      success: true,
       data: result.rows[0]
     });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ status: 'error', message: error.message });
+    next(error);
   }
 });
 
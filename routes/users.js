@@ -1,11 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/database');
+const { hashPassword } = require('../config/auth');
+const { requireSelf } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/users');
+const { ApiError } = require('../middleware/errors');
+const timezones = require('../services/timezones');
 
 // ========================================
 // GET ALL USERS (with pagination & search)
 // ========================================
-router.get('/', async (req, res) => {
+router.get('/', validate(schemas.listUsers), async (req, res, next) => {
   try {
     const { limit = 20, offset = 0, search } = req.query;
     
@@ -30,29 +36,27 @@ router.get('/', async (req, res) => {
     const result = await pool.query(query, params);
     
     res.json({
-      status: 'success',
-      count: result.rows.length,
-      data: result.rows
+      success: true,
+      data: result.rows,
+      meta: {
+        count: result.rows.length
+      }
     });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ 
-      status: 'error', 
-      message: error.message 
-    });
+    next(error);
   }
 });
 
 // ========================================
 // GET SINGLE USER BY ID
 // ========================================
-router.get('/:userId', async (req, res) => {
+router.get('/:userId', validate(schemas.userParams), async (req, res, next) => {
   try {
     const { userId } = req.params;
     
     const result = await pool.query(`
       SELECT u.id, u.username, u.email, u.avatar_url, u.bio, 
-             u.wisdom_score, u.created_at,
+             u.wisdom_score, u.timezone, u.default_feed_mode, u.created_at,
              (SELECT COUNT(*) FROM follows WHERE following_id = u.id) as followers_count,
              (SELECT COUNT(*) FROM follows WHERE follower_id = u.id) as following_count,
              (SELECT COUNT(*) FROM wisdom_clips WHERE user_id = u.id) as clips_count
@@ -61,44 +65,33 @@ router.get('/:userId', async (req, res) => {
     `, [userId]);
     
     if (result.rows.length === 0) {
-      return res.status(404).json({ 
-        status: 'error', 
-        message: 'User not found' 
-      });
+      return next(ApiError.notFound('User not found'));
     }
     
     res.json({ 
-      status: 'success', 
+      success: true, 
       data: result.rows[0] 
     });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ 
-      status: 'error', 
-      message: error.message 
-    });
+    next(error);
   }
 });
 
 // ========================================
 // CREATE NEW USER
 // ========================================
-router.post('/', async (req, res) => {
+router.post('/', validate(schemas.createUser), async (req, res, next) => {
   try {
-    const { username, email, password_hash, avatar_url, bio } = req.body;
-    
-    if (!username || !email || !password_hash) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Username, email, and password are required'
-      });
-    }
-    
+    const { username, email, password, avatar_url, bio } = req.body;
+
+    // Passwords are always hashed server-side; never accept a client hash
+    const passwordHash = await hashPassword(password);
+
     const result = await pool.query(`
       INSERT INTO users (username, email, password_hash, avatar_url, bio)
       VALUES ($1, $2, $3, $4, $5)
       RETURNING id, username, email, avatar_url, bio, wisdom_score, created_at
-    `, [username, email, password_hash, avatar_url || null, bio || null]);
+    `, [username, email.trim().toLowerCase(), passwordHash, avatar_url || null, bio || null]);
     
     const newUser = result.rows[0];
     
@@ -113,32 +106,28 @@ router.post('/', async (req, res) => {
     `, [newUser.id]);
     
     res.status(201).json({ 
-      status: 'success', 
+      success: true, 
       data: newUser 
     });
   } catch (error) {
-    console.error('Error:', error);
     if (error.code === '23505') {
-      res.status(400).json({ 
-        status: 'error', 
-        message: 'Username or email already exists' 
-      });
-    } else {
-      res.status(500).json({ 
-        status: 'error', 
-        message: error.message 
-      });
+      return next(ApiError.conflict('Username or email already exists'));
     }
+    next(error);
   }
 });
 
 // ========================================
 // UPDATE USER
 // ========================================
-router.put('/:userId', async (req, res) => {
+router.put('/:userId', requireSelf('userId'), validate(schemas.updateUser), async (req, res, next) => {
   try {
     const { userId } = req.params;
-    const { username, email, avatar_url, bio } = req.body;
+    const { username, email, avatar_url, bio, timezone, default_feed_mode } = req.body;
+
+    if (timezone && !timezones.isValidTimezone(timezone)) {
+      return next(ApiError.badRequest(`Unknown timezone: ${timezone}`));
+    }
     
     const result = await pool.query(`
       UPDATE users 
@@ -146,35 +135,30 @@ router.put('/:userId', async (req, res) => {
           email = COALESCE($2, email),
           avatar_url = COALESCE($3, avatar_url),
           bio = COALESCE($4, bio),
+          timezone = COALESCE($5, timezone),
+          default_feed_mode = COALESCE($6, default_feed_mode),
           updated_at = CURRENT_TIMESTAMP
-      WHERE id = $5
-      RETURNING id, username, email, avatar_url, bio, wisdom_score, created_at
-    `, [username, email, avatar_url, bio, userId]);
+      WHERE id = $7
+      RETURNING id, username, email, avatar_url, bio, wisdom_score, timezone, default_feed_mode, created_at
+    `, [username, email, avatar_url, bio, timezone, default_feed_mode, userId]);
     
     if (result.rows.length === 0) {
-      return res.status(404).json({ 
-        status: 'error', 
-        message: 'User not found' 
-      });
+      return next(ApiError.notFound('User not found'));
     }
     
     res.json({ 
-      status: 'success', 
+      success: true, 
       data: result.rows[0] 
     });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ 
-      status: 'error', 
-      message: error.message 
-    });
+    next(error);
   }
 });
 
 // ========================================
 // DELETE USER
 // ========================================
-router.delete('/:userId', async (req, res) => {
+router.delete('/:userId', requireSelf('userId'), validate(schemas.userParams), async (req, res, next) => {
   try {
     const { userId } = req.params;
     
@@ -184,29 +168,22 @@ router.delete('/:userId', async (req, res) => {
     );
     
     if (result.rows.length === 0) {
-      return res.status(404).json({ 
-        status: 'error', 
-        message: 'User not found' 
-      });
+      return next(ApiError.notFound('User not found'));
     }
     
     res.json({ 
-      status: 'success', 
+      success: true, 
       message: 'User deleted successfully' 
     });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ 
-      status: 'error', 
-      message: error.message 
-    });
+    next(error);
   }
 });
 
 // ========================================
 // GET USER'S FOLLOWERS
 // ========================================
-router.get('/:userId/followers', async (req, res) => {
+router.get('/:userId/followers', validate(schemas.userList), async (req, res, next) => {
   try {
     const { userId } = req.params;
     
@@ -218,24 +195,22 @@ router.get('/:userId/followers', async (req, res) => {
       ORDER BY f.created_at DESC
     `, [userId]);
     
-    res.json({ 
-      status: 'success', 
-      count: result.rows.length, 
-      data: result.rows 
+    res.json({
+      success: true,
+      data: result.rows,
+      meta: {
+        count: result.rows.length
+      }
     });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ 
-      status: 'error', 
-      message: error.message 
-    });
+    next(error);
   }
 });
 
 // ========================================
 // GET USER'S FOLLOWING
 // ========================================
-router.get('/:userId/following', async (req, res) => {
+router.get('/:userId/following', validate(schemas.userList), async (req, res, next) => {
   try {
     const { userId } = req.params;
     
@@ -247,24 +222,22 @@ router.get('/:userId/following', async (req, res) => {
       ORDER BY f.created_at DESC
     `, [userId]);
     
-    res.json({ 
-      status: 'success', 
-      count: result.rows.length, 
-      data: result.rows 
+    res.json({
+      success: true,
+      data: result.rows,
+      meta: {
+        count: result.rows.length
+      }
     });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ 
-      status: 'error', 
-      message: error.message 
-    });
+    next(error);
   }
 });
 
 // ========================================
 // GET USER'S CLIPS
 // ========================================
-router.get('/:userId/clips', async (req, res) => {
+router.get('/:userId/clips', validate(schemas.userList), async (req, res, next) => {
   try {
     const { userId } = req.params;
     const { limit = 20, offset = 0 } = req.query;
@@ -276,17 +249,15 @@ router.get('/:userId/clips', async (req, res) => {
       LIMIT $2 OFFSET $3
     `, [userId, limit, offset]);
     
-    res.json({ 
-      status: 'success', 
-      count: result.rows.length, 
-      data: result.rows 
+    res.json({
+      success: true,
+      data: result.rows,
+      meta: {
+        count: result.rows.length
+      }
     });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ 
-      status: 'error', 
-      message: error.message 
-    });
+    next(error);
   }
 });
 module.exports = router;
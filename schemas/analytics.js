@@ -0,0 +1,25 @@
+// schemas/analytics.js
+// Validation schemas for /api/analytics
+
+const { id } = require('./common');
+
+const timeframe = { type: 'string', enum: ['7d', '30d', '90d', 'all'] };
+
+const userAnalytics = {
+  params: { userId: id },
+  query: { timeframe: timeframe }
+};
+
+const postAnalytics = {
+  params: { postId: id }
+};
+
+const scoreHistory = {
+  params: { userId: id }
+};
+
+module.exports = {
+  userAnalytics,
+  postAnalytics,
+  scoreHistory
+};
@@ -0,0 +1,37 @@
+// schemas/auth.js
+// Validation schemas for /api/auth
+
+const { profileFields } = require('./users');
+
+const signup = {
+  body: profileFields
+};
+
+// Either email or username identifies the account; the handler checks one is present
+const login = {
+  body: {
+    email: { type: 'string', maxLength: 254 },
+    username: { type: 'string', maxLength: 30 },
+    password: { type: 'string', maxLength: 128, required: true }
+  }
+};
+
+const refresh = {
+  body: {
+    refreshToken: { type: 'string', required: true }
+  }
+};
+
+const logout = {
+  body: {
+    refreshToken: { type: 'string' },
+    allDevices: { type: 'boolean' }
+  }
+};
+
+module.exports = {
+  signup,
+  login,
+  refresh,
+  logout
+};
@@ -0,0 +1,81 @@
+// schemas/avatar.js
+// Validation schemas for /api/avatar
+
+const { id, optionalId, pagination, longText } = require('./common');
+
+const trait = { type: 'number', min: 0, max: 100 };
+const topics = { type: 'array', maxItems: 50, items: { type: 'string', maxLength: 100 } };
+
+const saveAvatar = {
+  body: {
+    personality: {
+      type: 'object',
+      properties: {
+        openness: trait,
+        conscientiousness: trait,
+        extraversion: trait,
+        agreeableness: trait,
+        emotional_stability: trait
+      }
+    },
+    interests: topics,
+    communicationStyle: { type: 'string', maxLength: 50 },
+    values: topics,
+    bio: { type: 'string', maxLength: 1000 },
+    conversationTopics: topics,
+    enabled: { type: 'boolean' }
+  }
+};
+
+const userParams = {
+  params: { userId: id }
+};
+
+const startChat = {
+  body: {
+    targetUserId: id
+  }
+};
+
+const sendMessage = {
+  body: {
+    sessionId: id,
+    message: { type: 'string', maxLength: 2000, required: true },
+    sender: optionalId
+  }
+};
+
+const chatHistory = {
+  params: { sessionId: id },
+  query: pagination(200)
+};
+
+const userSessions = {
+  params: { userId: id },
+  query: {
+    status: { type: 'string', enum: ['active', 'ended'] }
+  }
+};
+
+const sessionParams = {
+  params: { sessionId: id }
+};
+
+const endChat = {
+  params: { sessionId: id },
+  body: {
+    finalVibeScore: trait,
+    feedback: longText
+  }
+};
+
+module.exports = {
+  saveAvatar,
+  userParams,
+  startChat,
+  sendMessage,
+  chatHistory,
+  userSessions,
+  sessionParams,
+  endChat
+};
@@ -0,0 +1,64 @@
+// schemas/celebrity.js
+// Validation schemas for /api/celebrity
+
+const { id, pagination, limit, shortText, longText } = require('./common');
+
+const SUBSCRIPTION_TIERS = ['free', 'superfan', 'superfan_plus'];
+const FILTER_LEVELS = ['off', 'low', 'medium', 'high'];
+const PRIORITIES = ['low', 'medium', 'high'];
+const COMMENT_FILTERS = ['all', 'superfan_plus', 'superfan', 'die_hard', 'premium'];
+
+const celebrityParams = { userId: id };
+
+const dieHardFans = {
+  params: celebrityParams,
+  query: pagination(100)
+};
+
+const updateSettings = {
+  params: celebrityParams,
+  body: {
+    enable_ai_replies: { type: 'boolean' },
+    enable_auto_filter: { type: 'boolean' },
+    dm_access_tier: { type: 'string', enum: SUBSCRIPTION_TIERS },
+    comment_filter_level: { type: 'string', enum: FILTER_LEVELS },
+    show_fan_tiers_publicly: { type: 'boolean' },
+    auto_thank_new_fans: { type: 'boolean' },
+    monthly_shoutout_enabled: { type: 'boolean' }
+  },
+  strict: true
+};
+
+const listInsights = {
+  params: celebrityParams,
+  query: {
+    limit: limit(100),
+    unread_only: { type: 'boolean' }
+  }
+};
+
+const createInsight = {
+  params: celebrityParams,
+  body: {
+    insight_type: { type: 'string', maxLength: 50, required: true },
+    insight_title: { ...shortText, required: true },
+    insight_description: longText,
+    priority: { type: 'string', enum: PRIORITIES }
+  }
+};
+
+const filteredComments = {
+  params: celebrityParams,
+  query: {
+    post_id: id,
+    filter: { type: 'string', enum: COMMENT_FILTERS }
+  }
+};
+
+module.exports = {
+  dieHardFans,
+  updateSettings,
+  listInsights,
+  createInsight,
+  filteredComments
+};
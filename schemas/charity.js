@@ -0,0 +1,59 @@
+// schemas/charity.js
+// Validation schemas for /api/charity
+
+const { id, limit, money, shortText, longText, url } = require('./common');
+
+const CAMPAIGN_STATUSES = ['active', 'completed', 'cancelled'];
+
+const createCampaign = {
+  body: {
+    title: { ...shortText, required: true },
+    description: longText,
+    goalAmount: { ...money, required: true },
+    category: { type: 'string', maxLength: 50 },
+    beneficiaries: { type: 'integer', min: 0 },
+    location: shortText,
+    imageUrl: url,
+    endDate: { type: 'date' }
+  }
+};
+
+const listCampaigns = {
+  query: {
+    category: { type: 'string', maxLength: 50 },
+    status: { type: 'string', enum: CAMPAIGN_STATUSES },
+    limit: limit(100)
+  }
+};
+
+const campaignParams = {
+  params: { campaignId: id }
+};
+
+const donate = {
+  body: {
+    campaignId: id,
+    amount: { ...money, required: true },
+    anonymous: { type: 'boolean' },
+    message: { type: 'string', maxLength: 500 }
+  }
+};
+
+const donationHistory = {
+  params: { userId: id },
+  query: { limit: limit(100) }
+};
+
+const campaignDonors = {
+  params: { campaignId: id },
+  query: { limit: limit(100) }
+};
+
+module.exports = {
+  createCampaign,
+  listCampaigns,
+  campaignParams,
+  donate,
+  donationHistory,
+  campaignDonors
+};
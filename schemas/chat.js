@@ -0,0 +1,110 @@
+// schemas/chat.js
+// Validation schemas for /api/chat
+
+const { id, limit, pagination, shortText, url } = require('./common');
+
+const CONVERSATION_TYPES = ['direct', 'group', 'celebrity', 'workplace'];
+const MESSAGE_TYPES = ['text', 'image', 'video', 'audio', 'file'];
+const FAN_TIERS = ['new', 'active', 'loyal', 'super_fan', 'die_hard'];
+
+const name = { type: 'string', maxLength: 100 };
+const description = { type: 'string', maxLength: 1000 };
+const maxMembers = { type: 'integer', min: 2, max: 100000 };
+
+const createConversation = {
+  body: {
+    participantIds: { type: 'array', required: true, minItems: 1, maxItems: 256, items: id },
+    type: { type: 'string', enum: CONVERSATION_TYPES },
+    name: name,
+    description: description
+  }
+};
+
+const userConversations = {
+  params: { userId: id },
+  query: { limit: limit(100) }
+};
+
+const conversationMessages = {
+  params: { conversationId: id },
+  query: pagination(200)
+};
+
+const sendMessage = {
+  body: {
+    conversationId: id,
+    content: { type: 'string', maxLength: 4000, required: true },
+    messageType: { type: 'string', enum: MESSAGE_TYPES },
+    attachmentUrl: url
+  }
+};
+
+const markRead = {
+  body: {
+    conversationId: id
+  }
+};
+
+const messageParams = {
+  params: { messageId: id }
+};
+
+const conversationParams = {
+  params: { conversationId: id }
+};
+
+const createFanGroup = {
+  body: {
+    fanTier: { type: 'string', enum: FAN_TIERS, required: true },
+    name: name,
+    description: description,
+    maxMembers: maxMembers
+  }
+};
+
+const joinFanGroup = {
+  body: {
+    conversationId: id
+  }
+};
+
+const createOrganization = {
+  body: {
+    name: { ...name, required: true },
+    description: description,
+    logoUrl: url,
+    maxMembers: maxMembers
+  }
+};
+
+const createWorkplaceChat = {
+  body: {
+    organizationId: id,
+    name: { ...name, required: true },
+    description: description
+  }
+};
+
+const setMood = {
+  body: {
+    conversationId: id,
+    mood: { ...shortText, maxLength: 50, required: true },
+    emoji: { type: 'string', maxLength: 16 },
+    durationMinutes: { type: 'integer', min: 1, max: 10080 }
+  }
+};
+
+module.exports = {
+  createConversation,
+  userConversations,
+  conversationMessages,
+  sendMessage,
+  markRead,
+  messageParams,
+  conversationParams,
+  createFanGroup,
+  joinFanGroup,
+  createOrganization,
+  createWorkplaceChat,
+  setMood
+};
@@ -0,0 +1,46 @@
+// schemas/comments.js
+// Validation schemas for /api/comments
+
+const { id, optionalId, pagination } = require('./common');
+
+const content = { type: 'string', maxLength: 2000, required: true };
+
+const createComment = {
+  body: {
+    clip_id: id,
+    content: content,
+    parent_comment_id: optionalId
+  }
+};
+
+const postComments = {
+  params: { clipId: id },
+  query: {
+    ...pagination(100),
+    sort: { type: 'string', enum: ['priority', 'recent', 'oldest'] }
+  }
+};
+
+const filteredComments = {
+  params: { clipId: id },
+  query: {
+    filter: { type: 'string', enum: ['all', 'die_hard', 'superfan', 'premium', 'high_aura'] }
+  }
+};
+
+const updateComment = {
+  params: { commentId: id },
+  body: { content: content }
+};
+
+const commentParams = {
+  params: { commentId: id }
+};
+
+module.exports = {
+  createComment,
+  postComments,
+  filteredComments,
+  updateComment,
+  commentParams
+};
@@ -0,0 +1,49 @@
+// schemas/common.js
+// Field rules shared by the per-router validation schemas (see middleware/validate.js)
+
+const id = { type: 'uuid', required: true };
+const optionalId = { type: 'uuid' };
+
+const limit = (max = 100) => ({ type: 'integer', min: 1, max });
+const offset = { type: 'integer', min: 0 };
+const page = { type: 'integer', min: 1 };
+
+const pagination = (max = 100) => ({ limit: limit(max), offset });
+
+const latitude = { type: 'number', min: -90, max: 90 };
+const longitude = { type: 'number', min: -180, max: 180 };
+const radiusKm = { type: 'number', min: 0.1, max: 500 };
+
+// ?lat=&lng=&radius= on the "near me" endpoints
+const nearby = {
+  lat: { ...latitude, required: true },
+  lng: { ...longitude, required: true },
+  radius: radiusKm
+};
+
+const url = { type: 'string', maxLength: 2048 };
+const shortText = { type: 'string', maxLength: 200 };
+const longText = { type: 'string', maxLength: 5000 };
+const money = { type: 'number', min: 0.01, max: 1000000 };
+
+const urlList = { type: 'array', maxItems: 20, items: url };
+const tagList = { type: 'array', maxItems: 30, items: { type: 'string', maxLength: 100 } };
+
+module.exports = {
+  id,
+  optionalId,
+  limit,
+  offset,
+  page,
+  pagination,
+  latitude,
+  longitude,
+  radiusKm,
+  nearby,
+  url,
+  shortText,
+  longText,
+  money,
+  urlList,
+  tagList
+};
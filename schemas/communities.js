@@ -0,0 +1,128 @@
+// schemas/communities.js
+// Validation schemas for /api/communities
+
+const { id, optionalId, limit, page, nearby, latitude, longitude, shortText, longText, url } = require('./common');
+
+const COMMUNITY_TYPES = ['public', 'private', 'invite_only'];
+const SKILL_LEVELS = ['beginner', 'intermediate', 'advanced', 'all'];
+
+const communityFields = {
+  sub_category_id: optionalId,
+  name: { type: 'string', minLength: 3, maxLength: 100 },
+  description: longText,
+  rules: longText,
+  community_type: { type: 'string', enum: COMMUNITY_TYPES },
+  location: shortText,
+  location_lat: latitude,
+  location_long: longitude,
+  skill_level: { type: 'string', enum: SKILL_LEVELS },
+  avatar_url: url,
+  cover_photo_url: url
+};
+
+const createCommunity = {
+  body: {
+    ...communityFields,
+    name: { ...communityFields.name, required: true }
+  }
+};
+
+const listCommunities = {
+  query: {
+    search: { type: 'string', maxLength: 100 },
+    category_id: optionalId,
+    sub_category_id: optionalId,
+    community_type: { type: 'string', enum: COMMUNITY_TYPES },
+    skill_level: { type: 'string', enum: SKILL_LEVELS },
+    page: page,
+    limit: limit(100)
+  }
+};
+
+const communityParams = {
+  params: { id: id }
+};
+
+// Only listed columns may be changed - never id, creator_id or member_count
+const updateCommunity = {
+  params: { id: id },
+  body: communityFields,
+  strict: true
+};
+
+const listMembers = {
+  params: { id: id },
+  query: {
+    page: page,
+    limit: limit(200),
+    role: { type: 'string', enum: ['creator', 'moderator', 'member'] }
+  }
+};
+
+const updateMemberRole = {
+  params: { id: id, memberId: id },
+  body: {
+    role: { type: 'string', enum: ['moderator', 'member'], required: true }
+  }
+};
+
+const memberParams = {
+  params: { id: id, memberId: id }
+};
+
+const communityFeed = {
+  params: { id: id },
+  query: {
+    page: page,
+    limit: limit(100),
+    post_type: { type: 'string', maxLength: 50 }
+  }
+};
+
+const createMeetup = {
+  params: { id: id },
+  body: {
+    title: { ...shortText, required: true },
+    description: longText,
+    location: { ...shortText, required: true },
+    location_lat: latitude,
+    location_long: longitude,
+    meetup_date: { type: 'date', required: true },
+    max_attendees: { type: 'integer', min: 1, max: 100000 }
+  }
+};
+
+const listMeetups = {
+  params: { id: id },
+  query: {
+    upcoming: { type: 'boolean' }
+  }
+};
+
+const meetupParams = {
+  params: { meetupId: id }
+};
+
+const discoverList = {
+  query: { limit: limit(50) }
+};
+
+const nearbyCommunities = {
+  query: nearby
+};
+
+module.exports = {
+  createCommunity,
+  listCommunities,
+  communityParams,
+  updateCommunity,
+  listMembers,
+  updateMemberRole,
+  memberParams,
+  communityFeed,
+  createMeetup,
+  listMeetups,
+  meetupParams,
+  discoverList,
+  nearbyCommunities
+};
@@ -0,0 +1,190 @@
+// schemas/crisis.js
+// Validation schemas for /api/crisis
+
+const { id, optionalId, limit, latitude, longitude, url } = require('./common');
+const { STATUSES } = require('../services/crisisCases');
+const { DECISIONS } = require('../services/crisisSupport');
+const { RESOURCE_TYPES } = require('../services/crisisResources');
+const { TIMEFRAMES, INTERVALS, REPORT_NAMES } = require('../services/crisisAnalytics');
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const CRISIS_TYPES = ['self_harm', 'violence', 'depression', 'general'];
+
+// ISO 639 code, e.g. 'en', 'ms'
+const language = { type: 'string', pattern: /^[a-z]{2,3}$/ };
+const time = { type: 'string', pattern: /^([01]\d|2[0-3]):[0-5]\d$/, required: true };
+
+const createAlert = {
+  body: {
+    userId: id,
+    postId: optionalId,
+    content: { type: 'string', maxLength: 5000, required: true },
+    detectedKeyword: { type: 'string', maxLength: 200 },
+    severity: { type: 'string', enum: SEVERITIES },
+    crisisType: { type: 'string', enum: CRISIS_TYPES },
+    language
+  }
+};
+
+const respondToAlert = {
+  params: { alertId: id },
+  body: {
+    message: { type: 'string', maxLength: 2000 },
+    action: { type: 'string', maxLength: 50, required: true },
+    // Open a private support chat with the user, starting with `message`
+    openChat: { type: 'boolean' }
+  }
+};
+
+const caseParams = {
+  params: { alertId: id }
+};
+
+const note = { type: 'string', maxLength: 1000 };
+
+const updateCaseStatus = {
+  params: { alertId: id },
+  body: {
+    status: { type: 'string', enum: STATUSES, required: true },
+    note
+  }
+};
+
+const escalateCase = {
+  params: { alertId: id },
+  body: { reason: note }
+};
+
+// Without helperId the case is released back to pending
+const reassignCase = {
+  params: { alertId: id },
+  body: {
+    helperId: optionalId,
+    reason: note
+  }
+};
+
+// The user in crisis answering a helper response
+const responseDecision = {
+  params: { alertId: id, responseId: id },
+  body: {
+    decision: { type: 'string', enum: DECISIONS, required: true },
+    note
+  }
+};
+
+// Opt-in availability: local "HH:MM" ranges on the given days (0 = Sunday)
+const helperProfile = {
+  body: {
+    languages: { type: 'array', minItems: 1, maxItems: 10, items: language },
+    availability_windows: {
+      type: 'array',
+      maxItems: 14,
+      items: {
+        type: 'object',
+        strict: true,
+        properties: {
+          days: { type: 'array', minItems: 1, maxItems: 7, items: { type: 'integer', min: 0, max: 6 } },
+          start: time,
+          end: time
+        }
+      }
+    },
+    timezone: { type: 'string', maxLength: 64 },
+    max_open_cases: { type: 'integer', min: 1, max: 20 },
+    is_available: { type: 'boolean' }
+  },
+  strict: true
+};
+
+// ISO 3166-1 alpha-2, e.g. 'MY'
+const countryCode = { type: 'string', pattern: /^[A-Z]{2}$/ };
+const region = { type: 'string', maxLength: 100 };
+
+// Without country or coordinates the signed-in user's location is used
+const findResources = {
+  query: {
+    country: countryCode,
+    region,
+    crisisType: { type: 'string', enum: CRISIS_TYPES },
+    lat: latitude,
+    lng: longitude,
+    limit: limit(20)
+  }
+};
+
+const listAllResources = {
+  query: { country: countryCode }
+};
+
+const resourceFields = {
+  name: { type: 'string', minLength: 1, maxLength: 200 },
+  resource_type: { type: 'string', enum: RESOURCE_TYPES },
+  description: { type: 'string', maxLength: 1000 },
+  phone: { type: 'string', maxLength: 50 },
+  sms: { type: 'string', maxLength: 50 },
+  website: url,
+  hours: { type: 'string', maxLength: 100 },
+  // Omit for an international resource
+  country_code: countryCode,
+  region,
+  crisis_types: { type: 'array', maxItems: CRISIS_TYPES.length, items: { type: 'string', enum: CRISIS_TYPES } },
+  languages: { type: 'array', maxItems: 10, items: language },
+  location_lat: latitude,
+  location_long: longitude,
+  service_radius_km: { type: 'number', min: 0.1, max: 500 },
+  priority: { type: 'integer', min: 0, max: 1000 },
+  is_active: { type: 'boolean' }
+};
+
+const createResource = {
+  body: {
+    ...resourceFields,
+    name: { ...resourceFields.name, required: true }
+  },
+  strict: true
+};
+
+const updateResource = {
+  params: { resourceId: id },
+  body: resourceFields,
+  strict: true
+};
+
+const resourceParams = {
+  params: { resourceId: id }
+};
+
+const analyticsRange = {
+  timeframe: { type: 'string', enum: TIMEFRAMES },
+  interval: { type: 'string', enum: INTERVALS }
+};
+
+const crisisAnalytics = {
+  query: analyticsRange
+};
+
+const exportAnalytics = {
+  query: {
+    ...analyticsRange,
+    report: { type: 'string', enum: REPORT_NAMES, required: true }
+  }
+};
+
+module.exports = {
+  createAlert,
+  respondToAlert,
+  caseParams,
+  updateCaseStatus,
+  escalateCase,
+  reassignCase,
+  responseDecision,
+  helperProfile,
+  findResources,
+  listAllResources,
+  createResource,
+  updateResource,
+  resourceParams,
+  crisisAnalytics,
+  exportAnalytics
+};
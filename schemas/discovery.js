@@ -0,0 +1,170 @@
+// schemas/discovery.js
+// Validation schemas for /api/discovery
+
+const { id, limit, nearby, latitude, longitude, radiusKm, shortText, longText, url, urlList, tagList, money } = require('./common');
+
+const BUSINESS_CATEGORIES = [
+  'restaurant', 'cafe', 'shop', 'gym', 'salon', 'clinic',
+  'garage', 'market', 'entertainment', 'education', 'other'
+];
+const EVENT_TYPES = [
+  'concert', 'workshop', 'market', 'sports', 'meetup', 'festival',
+  'exhibition', 'conference', 'charity', 'food', 'other'
+];
+const NEWS_TYPES = [
+  'traffic', 'weather', 'announcement', 'alert', 'incident',
+  'construction', 'community', 'business', 'other'
+];
+const POST_TYPES = ['local_news', 'local_event', 'recommendation'];
+
+const businessFields = {
+  name: { ...shortText, maxLength: 100 },
+  category: { type: 'string', enum: BUSINESS_CATEGORIES },
+  description: longText,
+  address: { type: 'string', maxLength: 300 },
+  location_lat: latitude,
+  location_long: longitude,
+  phone: { type: 'string', maxLength: 30 },
+  website: url,
+  opening_hours: { type: 'object' },
+  photos: urlList
+};
+
+const eventFields = {
+  title: shortText,
+  description: longText,
+  event_type: { type: 'string', enum: EVENT_TYPES },
+  organizer: shortText,
+  location: shortText,
+  location_lat: latitude,
+  location_long: longitude,
+  start_time: { type: 'date' },
+  end_time: { type: 'date' },
+  is_free: { type: 'boolean' },
+  ticket_price: { ...money, min: 0 },
+  ticket_url: url,
+  photos: urlList
+};
+
+const createBusiness = {
+  body: {
+    ...businessFields,
+    name: { ...businessFields.name, required: true },
+    category: { ...businessFields.category, required: true },
+    address: { ...businessFields.address, required: true }
+  }
+};
+
+const nearbyBusinesses = {
+  query: {
+    ...nearby,
+    category: { type: 'string', enum: BUSINESS_CATEGORIES },
+    limit: limit(100)
+  }
+};
+
+const itemParams = {
+  params: { id: id }
+};
+
+const updateBusiness = {
+  params: { id: id },
+  body: businessFields,
+  strict: true
+};
+
+const searchBusinesses = {
+  query: {
+    q: { type: 'string', maxLength: 100, required: true },
+    lat: latitude,
+    lng: longitude,
+    radius: radiusKm,
+    category: { type: 'string', enum: BUSINESS_CATEGORIES }
+  }
+};
+
+const createEvent = {
+  body: {
+    ...eventFields,
+    title: { ...eventFields.title, required: true },
+    location: { ...eventFields.location, required: true },
+    start_time: { ...eventFields.start_time, required: true }
+  }
+};
+
+const nearbyEvents = {
+  query: {
+    ...nearby,
+    upcoming: { type: 'boolean' },
+    limit: limit(100)
+  }
+};
+
+const updateEvent = {
+  params: { id: id },
+  body: eventFields,
+  strict: true
+};
+
+const createNews = {
+  body: {
+    title: { ...shortText, required: true },
+    content: { ...longText, required: true },
+    summary: { type: 'string', maxLength: 500 },
+    news_type: { type: 'string', enum: NEWS_TYPES },
+    location: { ...shortText, required: true },
+    location_lat: latitude,
+    location_long: longitude,
+    radius_km: radiusKm,
+    expires_at: { type: 'date' }
+  }
+};
+
+const newsFeed = {
+  query: {
+    ...nearby,
+    news_type: { type: 'string', enum: NEWS_TYPES },
+    limit: limit(100)
+  }
+};
+
+const localFeed = {
+  query: nearby
+};
+
+const createPost = {
+  body: {
+    post_type: { type: 'string', enum: POST_TYPES },
+    title: { ...shortText, required: true },
+    content: { ...longText, required: true },
+    location: shortText,
+    location_lat: latitude,
+    location_long: longitude,
+    media_urls: urlList,
+    tags: tagList
+  }
+};
+
+const search = {
+  query: {
+    ...nearby,
+    q: { type: 'string', maxLength: 100, required: true },
+    type: { type: 'string', enum: ['all', 'businesses', 'events', 'news', 'posts'] }
+  }
+};
+
+module.exports = {
+  createBusiness,
+  nearbyBusinesses,
+  itemParams,
+  updateBusiness,
+  searchBusinesses,
+  createEvent,
+  nearbyEvents,
+  updateEvent,
+  createNews,
+  newsFeed,
+  localFeed,
+  createPost,
+  search
+};
@@ -0,0 +1,33 @@
+// schemas/fans.js
+// Validation schemas for /api/fans
+
+const { id, optionalId, limit } = require('./common');
+
+const fanStatus = {
+  params: { fanId: id, celebrityId: id }
+};
+
+const logInteraction = {
+  params: { fanId: id },
+  body: {
+    celebrity_user_id: id,
+    interaction_type: { type: 'string', enum: ['comment', 'reaction', 'share', 'view'], required: true },
+    post_id: optionalId
+  }
+};
+
+const leaderboard = {
+  params: { celebrityId: id },
+  query: { limit: limit(500) }
+};
+
+const userBadges = {
+  params: { userId: id }
+};
+
+module.exports = {
+  fanStatus,
+  logInteraction,
+  leaderboard,
+  userBadges
+};
@@ -0,0 +1,114 @@
+// schemas/feed.js
+// Validation schemas for /api/feed
+
+const { id, limit, pagination, shortText, longText } = require('./common');
+const { SURFACES, STATUSES } = require('../services/feedExperiments');
+
+const INTERACTION_TYPES = ['view', 'long_view', 'skip', 'react', 'comment', 'share'];
+
+// What GET /api/feed/home/:userId serves (users.default_feed_mode)
+const FEED_MODES = ['personalized', 'following'];
+
+// meta.next_cursor of the previous page
+const cursor = { type: 'string', pattern: /^[A-Za-z0-9_-]+$/, maxLength: 200 };
+
+const personalizedFeed = {
+  params: { userId: id },
+  query: {
+    ...pagination(100),
+    // offset is ignored with a cursor
+    cursor: cursor,
+    // Adds feed_score_breakdown (per-scorer points and weights) to each post
+    debug: { type: 'boolean' }
+  }
+};
+
+const followingFeed = {
+  params: { userId: id },
+  query: { limit: limit(100), cursor: cursor }
+};
+
+// Either feed's query; mode overrides the user's default_feed_mode
+const homeFeed = {
+  params: { userId: id },
+  query: {
+    ...personalizedFeed.query,
+    mode: { type: 'string', enum: FEED_MODES }
+  }
+};
+
+const discoverFeed = {
+  params: { userId: id },
+  query: { limit: limit(100) }
+};
+
+const trendingFeed = {
+  query: { limit: limit(100) }
+};
+
+const trackInteraction = {
+  body: {
+    post_id: id,
+    interaction_type: { type: 'string', enum: INTERACTION_TYPES, required: true },
+    duration_seconds: { type: 'number', min: 0, max: 86400 }
+  }
+};
+
+// weights: { <scorer>: weight }, merged over config/feedRanking.js
+const variant = {
+  type: 'object',
+  strict: true,
+  properties: {
+    name: { type: 'string', pattern: /^[a-z0-9][a-z0-9_-]*$/, maxLength: 50, required: true },
+    allocation: { type: 'integer', min: 0, max: 100, required: true },
+    weights: { type: 'object' }
+  }
+};
+
+const experimentFields = {
+  name: { ...shortText, minLength: 1 },
+  description: longText,
+  surfaces: { type: 'array', minItems: 1, items: { type: 'string', enum: SURFACES } },
+  variants: { type: 'array', minItems: 2, maxItems: 10, items: variant }
+};
+
+const listExperiments = {
+  query: { status: { type: 'string', enum: STATUSES } }
+};
+
+const createExperiment = {
+  body: {
+    ...experimentFields,
+    key: { type: 'string', pattern: /^[a-z0-9][a-z0-9_-]*$/, maxLength: 100, required: true },
+    name: { ...experimentFields.name, required: true },
+    variants: { ...experimentFields.variants, required: true }
+  },
+  strict: true
+};
+
+const updateExperiment = {
+  params: { experimentId: id },
+  body: {
+    ...experimentFields,
+    status: { type: 'string', enum: STATUSES }
+  },
+  strict: true
+};
+
+const experimentParams = {
+  params: { experimentId: id }
+};
+
+module.exports = {
+  FEED_MODES,
+  personalizedFeed,
+  followingFeed,
+  homeFeed,
+  discoverFeed,
+  trendingFeed,
+  trackInteraction,
+  listExperiments,
+  createExperiment,
+  updateExperiment,
+  experimentParams
+};
@@ -0,0 +1,40 @@
+// schemas/hashtags.js
+// Validation schemas for /api/hashtags
+
+const { id, limit, pagination } = require('./common');
+
+const tag = { type: 'string', maxLength: 100, pattern: /^#?[\p{L}\p{N}_]+$/u };
+
+const trending = {
+  query: {
+    limit: limit(100),
+    timeframe: { type: 'string', enum: ['24h', '7d', '30d'] }
+  }
+};
+
+const tagSearch = {
+  params: { tag: tag },
+  query: pagination(100)
+};
+
+const tagParams = {
+  params: { tag: tag }
+};
+
+const followHashtag = {
+  body: {
+    hashtag: { ...tag, required: true }
+  }
+};
+
+const userHashtags = {
+  params: { userId: id }
+};
+
+module.exports = {
+  trending,
+  tagSearch,
+  tagParams,
+  followHashtag,
+  userHashtags
+};
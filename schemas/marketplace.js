@@ -0,0 +1,187 @@
+// schemas/marketplace.js
+// Validation schemas for /api/marketplace
+
+const { id, optionalId, limit, pagination, shortText, longText, url, urlList, money } = require('./common');
+
+const BOOKING_STATUSES = ['pending', 'confirmed', 'completed', 'cancelled'];
+const ORDER_STATUSES = ['pending', 'confirmed', 'preparing', 'ready', 'out_for_delivery', 'delivered', 'cancelled'];
+const CONDITIONS = ['new', 'like_new', 'used', 'refurbished'];
+
+const name = { ...shortText, maxLength: 100 };
+const category = { type: 'string', maxLength: 50 };
+const price = { ...money, required: true };
+
+const registerVendor = {
+  body: {
+    businessName: { ...name, required: true },
+    businessType: { type: 'string', maxLength: 50, required: true },
+    description: longText,
+    category: { ...category, required: true },
+    address: { type: 'string', maxLength: 300 },
+    phone: { type: 'string', maxLength: 30 },
+    email: { type: 'string', maxLength: 254 },
+    logoUrl: url,
+    coverImageUrl: url,
+    operatingHours: { type: 'object' }
+  }
+};
+
+const vendorParams = {
+  params: { vendorId: id }
+};
+
+const vendorReviews = {
+  params: { vendorId: id },
+  query: pagination(100)
+};
+
+const createService = {
+  body: {
+    vendorId: optionalId,
+    name: { ...name, required: true },
+    description: longText,
+    category: category,
+    duration: { type: 'integer', min: 1, max: 10080 },
+    price: price,
+    imageUrl: url
+  }
+};
+
+const createBooking = {
+  body: {
+    vendorId: id,
+    serviceId: id,
+    bookingDate: { type: 'date', required: true },
+    bookingTime: { type: 'string', pattern: /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/, required: true },
+    notes: { type: 'string', maxLength: 1000 }
+  }
+};
+
+const userBookings = {
+  params: { userId: id },
+  query: {
+    status: { type: 'string', enum: BOOKING_STATUSES },
+    limit: limit(100)
+  }
+};
+
+const updateBookingStatus = {
+  params: { bookingId: id },
+  body: {
+    status: { type: 'string', enum: BOOKING_STATUSES, required: true }
+  }
+};
+
+const createMenuItem = {
+  body: {
+    vendorId: optionalId,
+    name: { ...name, required: true },
+    description: longText,
+    category: category,
+    price: price,
+    imageUrl: url,
+    preparationTime: { type: 'integer', min: 1, max: 1440 },
+    isVegetarian: { type: 'boolean' },
+    isSpicy: { type: 'boolean' }
+  }
+};
+
+const vendorMenu = {
+  params: { vendorId: id },
+  query: { category: category }
+};
+
+const createFoodOrder = {
+  body: {
+    vendorId: id,
+    items: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      maxItems: 100,
+      items: {
+        type: 'object',
+        properties: {
+          menuItemId: id,
+          quantity: { type: 'integer', min: 1, max: 100, required: true },
+          price: price
+        }
+      }
+    },
+    deliveryAddress: { type: 'string', maxLength: 300 },
+    deliveryInstructions: { type: 'string', maxLength: 500 },
+    paymentMethod: { type: 'string', maxLength: 50 }
+  }
+};
+
+const userOrders = {
+  params: { userId: id },
+  query: {
+    status: { type: 'string', enum: ORDER_STATUSES },
+    limit: limit(100)
+  }
+};
+
+const updateOrderStatus = {
+  params: { orderId: id },
+  body: {
+    status: { type: 'string', enum: ORDER_STATUSES, required: true }
+  }
+};
+
+const createProduct = {
+  body: {
+    title: { ...shortText, required: true },
+    description: longText,
+    category: category,
+    price: price,
+    condition: { type: 'string', enum: CONDITIONS },
+    images: urlList,
+    quantity: { type: 'integer', min: 1, max: 100000 },
+    location: shortText
+  }
+};
+
+const searchProducts = {
+  query: {
+    category: category,
+    condition: { type: 'string', enum: CONDITIONS },
+    minPrice: { type: 'number', min: 0 },
+    maxPrice: { type: 'number', min: 0 },
+    query: { type: 'string', maxLength: 100 },
+    ...pagination(100)
+  }
+};
+
+const productParams = {
+  params: { productId: id }
+};
+
+const createReview = {
+  body: {
+    vendorId: id,
+    orderId: optionalId,
+    rating: { type: 'integer', min: 1, max: 5, required: true },
+    comment: { type: 'string', maxLength: 2000 },
+    images: urlList
+  }
+};
+
+module.exports = {
+  registerVendor,
+  vendorParams,
+  vendorReviews,
+  createService,
+  createBooking,
+  userBookings,
+  updateBookingStatus,
+  createMenuItem,
+  vendorMenu,
+  createFoodOrder,
+  userOrders,
+  updateOrderStatus,
+  createProduct,
+  searchProducts,
+  productParams,
+  createReview
+};
@@ -0,0 +1,40 @@
+// schemas/media.js
+// Validation schemas for /api/media (file presence is still checked by the handlers)
+
+const { id, optionalId, pagination } = require('./common');
+
+const postMedia = {
+  body: {
+    postId: optionalId
+  }
+};
+
+const gallery = {
+  params: { userId: id },
+  query: {
+    ...pagination(100),
+    type: { type: 'string', enum: ['image', 'video'] }
+  }
+};
+
+const mediaParams = {
+  params: { mediaId: id }
+};
+
+const postMediaList = {
+  params: { postId: id }
+};
+
+const thumbnail = {
+  body: {
+    mediaId: id
+  }
+};
+
+module.exports = {
+  postMedia,
+  gallery,
+  mediaParams,
+  postMediaList,
+  thumbnail
+};
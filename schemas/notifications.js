@@ -0,0 +1,86 @@
+// schemas/notifications.js
+// Validation schemas for /api/notifications
+
+const { id, url, shortText, longText, pagination } = require('./common');
+
+const type = { type: 'string', maxLength: 50, required: true };
+const title = { ...shortText, required: true };
+
+const createNotification = {
+  body: {
+    userId: id,
+    type: type,
+    title: title,
+    message: longText,
+    data: { type: 'object' },
+    actionUrl: url,
+    sendPush: { type: 'boolean' },
+    sendEmail: { type: 'boolean' }
+  }
+};
+
+// Each entry is inserted as a row, so only notification columns are accepted
+const batchNotifications = {
+  body: {
+    notifications: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      maxItems: 500,
+      items: {
+        type: 'object',
+        strict: true,
+        properties: {
+          user_id: id,
+          type: type,
+          title: title,
+          message: longText,
+          data: { type: 'object' },
+          action_url: url
+        }
+      }
+    }
+  }
+};
+
+const listNotifications = {
+  params: { userId: id },
+  query: {
+    ...pagination(100),
+    unreadOnly: { type: 'boolean' }
+  }
+};
+
+const toggle = { type: 'boolean' };
+
+// 'HH:MM' in the user's timezone
+const localTime = { type: 'string', pattern: /^([01]\d|2[0-3]):[0-5]\d$/ };
+
+// The body is upserted as-is, so it may only carry known preference flags
+const updatePreferences = {
+  params: { userId: id },
+  body: {
+    push_enabled: toggle,
+    email_enabled: toggle,
+    likes: toggle,
+    comments: toggle,
+    follows: toggle,
+    mentions: toggle,
+    donations: toggle,
+    charity_updates: toggle,
+    crisis_alerts: toggle,
+    messages: toggle,
+    fan_tier_updates: toggle,
+    premium_updates: toggle,
+    quiet_hours_start: localTime,
+    quiet_hours_end: localTime
+  },
+  strict: true
+};
+
+module.exports = {
+  createNotification,
+  batchNotifications,
+  listNotifications,
+  updatePreferences
+};
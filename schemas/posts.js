@@ -0,0 +1,116 @@
+// schemas/posts.js
+// Validation schemas for /api/posts
+
+const { id, optionalId, pagination, url } = require('./common');
+const { STATUSES: DRAFT_STATUSES } = require('../services/postDrafts');
+
+const MEDIA_TYPES = ['text', 'image', 'video', 'audio'];
+const VISIBILITIES = ['public', 'friends', 'community', 'private'];
+const SHARE_TYPES = ['repost', 'external', 'dm'];
+
+const caption = { type: 'string', maxLength: 5000 };
+const emotion = { type: 'string', maxLength: 30, pattern: /^[\p{L}\p{N}_]+$/u };
+
+const createPost = {
+  body: {
+    caption: { ...caption, required: true },
+    mediaUrl: url,
+    mediaType: { type: 'string', enum: MEDIA_TYPES },
+    visibility: { type: 'string', enum: VISIBILITIES }
+  }
+};
+
+const createSilentRepost = {
+  body: {
+    caption: { ...caption, required: true },
+    mediaUrl: url,
+    mediaType: { type: 'string', enum: MEDIA_TYPES },
+    emotion: emotion,
+    isAnonymous: { type: 'boolean' }
+  }
+};
+
+const listSilentReposts = {
+  query: {
+    emotion: emotion,
+    ...pagination(100)
+  }
+};
+
+const getPost = {
+  params: { postId: id },
+  query: { userId: optionalId }
+};
+
+const updatePost = {
+  params: { postId: id },
+  body: {
+    caption: caption,
+    mediaUrl: url
+  }
+};
+
+const postParams = {
+  params: { postId: id }
+};
+
+const userPosts = {
+  params: { userId: id },
+  query: pagination(100)
+};
+
+const sharePost = {
+  params: { postId: id },
+  body: {
+    shareType: { type: 'string', enum: SHARE_TYPES }
+  }
+};
+
+// publishAt without an offset ('2026-11-01T19:00') is the author's local time
+const draftFields = {
+  caption: caption,
+  mediaUrl: url,
+  mediaType: { type: 'string', enum: MEDIA_TYPES },
+  visibility: { type: 'string', enum: VISIBILITIES },
+  publishAt: { type: 'date' }
+};
+
+const createDraft = {
+  body: {
+    ...draftFields,
+    caption: { ...caption, required: true }
+  }
+};
+
+const listDrafts = {
+  query: {
+    status: { type: 'string', enum: DRAFT_STATUSES },
+    ...pagination(100)
+  }
+};
+
+const draftParams = {
+  params: { draftId: id }
+};
+
+// publishAt: null turns a scheduled post back into a draft
+const updateDraft = {
+  params: { draftId: id },
+  body: draftFields,
+  strict: true
+};
+
+module.exports = {
+  createPost,
+  createSilentRepost,
+  listSilentReposts,
+  getPost,
+  updatePost,
+  postParams,
+  userPosts,
+  sharePost,
+  createDraft,
+  listDrafts,
+  draftParams,
+  updateDraft
+};
@@ -0,0 +1,50 @@
+// schemas/privacy.js
+// Validation schemas for /api/privacy
+
+const { id } = require('./common');
+
+const PRESETS = ['public', 'social', 'private', 'ghost'];
+const AUDIENCES = ['everyone', 'followers', 'friends', 'nobody'];
+
+const toggle = { type: 'boolean' };
+const audience = { type: 'string', enum: AUDIENCES };
+
+// The body is written straight into user_privacy_settings, so only its columns are accepted
+const updateSettings = {
+  body: {
+    privacy_preset: { type: 'string', enum: PRESETS },
+    show_wisdom_score: toggle,
+    show_aura_score: toggle,
+    show_follower_count: toggle,
+    show_post_count: toggle,
+    show_badges: toggle,
+    show_communities: toggle,
+    show_location: toggle,
+    show_last_active: toggle,
+    show_photos_tab: toggle,
+    show_videos_tab: toggle,
+    post_visibility: { type: 'string', enum: ['public', 'community', 'friends', 'private'] },
+    show_scores_on_posts: toggle,
+    who_can_comment: audience,
+    who_can_share: { type: 'string', enum: [...AUDIENCES, 'credit'] },
+    show_reactions_count: toggle,
+    show_view_count: toggle,
+    who_can_message: audience,
+    show_online_status: audience,
+    show_read_receipts: toggle,
+    show_typing_indicator: toggle,
+    who_can_tag: audience,
+    who_can_mention: audience,
+    ghost_mode_enabled: toggle
+  },
+  strict: true
+};
+
+const visibilityCheck = {
+  params: { userId: id }
+};
+
+module.exports = {
+  updateSettings,
+  visibilityCheck
+};
@@ -0,0 +1,31 @@
+// schemas/reactions.js
+// Validation schemas for /api/reactions
+
+const { REACTION_TYPES } = require('../repositories/reactions');
+const { id } = require('./common');
+
+const addReaction = {
+  body: {
+    clip_id: id,
+    reaction_type: { type: 'string', enum: REACTION_TYPES, required: true }
+  }
+};
+
+const postReactions = {
+  params: { clipId: id }
+};
+
+const userPostReaction = {
+  params: { userId: id, clipId: id }
+};
+
+const userStats = {
+  params: { userId: id }
+};
+
+module.exports = {
+  addReaction,
+  postReactions,
+  userPostReaction,
+  userStats
+};
@@ -0,0 +1,68 @@
+// schemas/search.js
+// Validation schemas for /api/search
+
+const { id, optionalId, limit, offset } = require('./common');
+
+const TIMEFRAMES = ['24h', '7d', '30d'];
+
+const query = { type: 'string', minLength: 2, maxLength: 100, required: true };
+
+const searchAll = {
+  query: { query: query, limit: limit(50) }
+};
+
+const searchPaged = {
+  query: { query: query, limit: limit(100), offset: offset }
+};
+
+// Hashtag lookups accept a single character ('#a' is a valid prefix)
+const searchHashtags = {
+  query: { query: { ...query, minLength: 1 }, limit: limit(100) }
+};
+
+const searchCampaigns = {
+  query: {
+    query: query,
+    limit: limit(100),
+    category: { type: 'string', maxLength: 50 }
+  }
+};
+
+const trending = {
+  query: {
+    limit: limit(100),
+    timeframe: { type: 'string', enum: TIMEFRAMES }
+  }
+};
+
+const suggestions = {
+  query: { userId: id, limit: limit(100) }
+};
+
+const explore = {
+  query: { userId: optionalId, limit: limit(50) }
+};
+
+const saveHistory = {
+  body: {
+    query: { type: 'string', maxLength: 200, required: true },
+    type: { type: 'string', enum: ['general', 'users', 'posts', 'hashtags', 'campaigns'] }
+  }
+};
+
+const history = {
+  params: { userId: id },
+  query: { limit: limit(100) }
+};
+
+module.exports = {
+  searchAll,
+  searchPaged,
+  searchHashtags,
+  searchCampaigns,
+  trending,
+  suggestions,
+  explore,
+  saveHistory,
+  history
+};
@@ -0,0 +1,62 @@
+// schemas/streaming.js
+// Validation schemas for /api/streaming
+
+const { id, limit, pagination, shortText, url } = require('./common');
+
+const category = { type: 'string', maxLength: 50 };
+
+const startStream = {
+  body: {
+    title: { ...shortText, required: true },
+    description: { type: 'string', maxLength: 2000 },
+    category: category,
+    thumbnailUrl: url
+  }
+};
+
+const activeStreams = {
+  query: {
+    category: category,
+    ...pagination(100)
+  }
+};
+
+const streamParams = {
+  params: { streamId: id }
+};
+
+const sendGift = {
+  params: { streamId: id },
+  body: {
+    giftType: { type: 'string', maxLength: 50, required: true },
+    amount: { type: 'number', min: 0.01, max: 100000, required: true },
+    message: { type: 'string', maxLength: 500 }
+  }
+};
+
+const postComment = {
+  params: { streamId: id },
+  body: {
+    comment: { type: 'string', maxLength: 500, required: true }
+  }
+};
+
+const streamComments = {
+  params: { streamId: id },
+  query: pagination(200)
+};
+
+const streamerHistory = {
+  params: { streamerId: id },
+  query: { limit: limit(100) }
+};
+
+module.exports = {
+  startStream,
+  activeStreams,
+  streamParams,
+  sendGift,
+  postComment,
+  streamComments,
+  streamerHistory
+};
@@ -0,0 +1,65 @@
+// schemas/subscriptions.js
+// Validation schemas for /api/subscriptions and /api/fan-subscriptions
+
+const { id, url, urlList } = require('./common');
+
+const planType = { type: 'string', maxLength: 50, required: true };
+
+const subscribe = {
+  body: {
+    plan_type: planType,
+    payment_method: { type: 'string', maxLength: 50 }
+  }
+};
+
+const userParams = {
+  params: { userId: id }
+};
+
+const featureAccess = {
+  params: {
+    userId: id,
+    featureName: { type: 'string', maxLength: 50, pattern: /^[a-z_]+$/ }
+  }
+};
+
+const requestVerification = {
+  body: {
+    verification_type: { type: 'string', maxLength: 50, required: true },
+    requested_plan: { type: 'string', maxLength: 50 },
+    id_document_url: url,
+    proof_documents: urlList,
+    social_media_links: { type: 'object' },
+    follower_count: { type: 'integer', min: 0 },
+    reason: { type: 'string', maxLength: 2000 }
+  }
+};
+
+const fanSubscribe = {
+  body: {
+    plan_type: { ...planType, enum: ['superfan', 'superfan_plus'] }
+  }
+};
+
+const exclusiveContent = {
+  params: { userId: id },
+  query: { celebrity_id: id }
+};
+
+const commentPriority = {
+  body: {
+    comment_id: id,
+    user_id: id,
+    celebrity_id: id
+  }
+};
+
+module.exports = {
+  subscribe,
+  userParams,
+  featureAccess,
+  requestVerification,
+  fanSubscribe,
+  exclusiveContent,
+  commentPriority
+};
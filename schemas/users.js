@@ -0,0 +1,62 @@
+// schemas/users.js
+// Validation schemas for /api/users (profile fields are shared with /api/auth)
+
+const { id, url, pagination } = require('./common');
+const { FEED_MODES } = require('./feed');
+
+const username = { type: 'string', minLength: 3, maxLength: 30, pattern: /^[A-Za-z0-9_.]+$/ };
+const email = { type: 'string', maxLength: 254, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ };
+const password = { type: 'string', minLength: 8, maxLength: 128 };
+const bio = { type: 'string', maxLength: 500 };
+// IANA name, checked against the runtime's timezone database by the route
+const timezone = { type: 'string', maxLength: 64 };
+
+const profileFields = {
+  username: { ...username, required: true },
+  email: { ...email, required: true },
+  password: { ...password, required: true },
+  avatar_url: url,
+  bio: bio
+};
+
+const listUsers = {
+  query: {
+    ...pagination(100),
+    search: { type: 'string', maxLength: 100 }
+  }
+};
+
+const createUser = {
+  body: profileFields
+};
+
+const updateUser = {
+  params: { userId: id },
+  body: {
+    username: username,
+    email: email,
+    avatar_url: url,
+    bio: bio,
+    timezone: timezone,
+    default_feed_mode: { type: 'string', enum: FEED_MODES }
+  },
+  strict: true
+};
+
+const userParams = {
+  params: { userId: id }
+};
+
+const userList = {
+  params: { userId: id },
+  query: pagination(100)
+};
+
+module.exports = {
+  profileFields,
+  listUsers,
+  createUser,
+  updateUser,
+  userParams,
+  userList
+};
@@ -0,0 +1,345 @@
+// services/crisisAnalytics.js
+// Crisis Program Analytics - how quickly and how well crisis cases are
+// answered, computed from crisis_alerts and crisis_responses for the trust &
+// safety team (GET /api/crisis/analytics, CSV via /api/crisis/analytics/export)
+//
+//   const report = await buildReport({ timeframe: '30d', interval: 'week' });
+//   // { range, summary, responseTimes, unanswered, helpers, repeatUsers, trends }
+//
+// Durations are minutes from the case opening:
+//   acknowledge   - acknowledged_at (a helper took the case)
+//   firstResponse - the first crisis_responses row
+//   resolve       - resolved_at
+// A case is unanswered when nobody acknowledged or responded to it.
+// Trend days run midnight to midnight in the requested timezone.
+
+const crisisAlerts = require('../repositories/crisisAlerts');
+const usersRepo = require('../repositories/users');
+const timezones = require('./timezones');
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+const TIMEFRAME_DAYS = { '7d': 7, '30d': 30, '90d': 90, all: null };
+
+const INTERVALS = ['day', 'week'];
+
+const LEADERBOARD_SIZE = 20;
+
+// Users with at least this many cases in the range are listed as repeat users
+const REPEAT_THRESHOLD = 2;
+
+const MINUTE_MS = 60 * 1000;
+
+// Columns the reports read - never the disclosed content
+const REPORT_ALERT_FIELDS = 'id, user_id, severity, status, created_at, acknowledged_at, resolved_at, resolved_by, escalated_at';
+const REPORT_RESPONSE_FIELDS = 'id, alert_id, helper_id, created_at';
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const minutesBetween = (from, to) => {
+  if (!from || !to) return null;
+  return (new Date(to) - new Date(from)) / MINUTE_MS;
+};
+
+const round = (value, places = 1) => {
+  if (value == null) return null;
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+// Nearest-rank percentile of sorted values
+const percentile = (sorted, p) => {
+  if (!sorted.length) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(rank, 1)) - 1];
+};
+
+// { count, mean, p50, p90, max } in minutes
+const distribution = (values) => {
+  const sorted = values.filter(value => value != null).sort((a, b) => a - b);
+  if (!sorted.length) return { count: 0, mean: null, p50: null, p90: null, max: null };
+
+  return {
+    count: sorted.length,
+    mean: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    p50: round(percentile(sorted, 50)),
+    p90: round(percentile(sorted, 90)),
+    max: round(sorted[sorted.length - 1])
+  };
+};
+
+const rate = (part, total) => (total > 0 ? round((part / total) * 100) : 0);
+
+const sinceFor = (timeframe, now) => {
+  const days = TIMEFRAME_DAYS[timeframe];
+  return days ? new Date(now.getTime() - days * 24 * 60 * MINUTE_MS) : null;
+};
+
+// Local day in the timezone, or the Monday starting its week
+const bucketOf = (timestamp, interval, timezone) => {
+  const date = new Date(`${timezones.localDate(timestamp, timezone)}T00:00:00Z`);
+
+  if (interval === 'week') {
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  }
+
+  return date.toISOString().slice(0, 10);
+};
+
+// ============================================================================
+// CASES
+// ============================================================================
+
+// One row per case with the timings the reports are built from
+const describeCases = (alerts, responses) => {
+  const responsesByAlert = new Map();
+  for (const response of responses) {
+    if (!responsesByAlert.has(response.alert_id)) responsesByAlert.set(response.alert_id, []);
+    responsesByAlert.get(response.alert_id).push(response);
+  }
+
+  return alerts.map(alert => {
+    const caseResponses = responsesByAlert.get(alert.id) || [];
+
+    return {
+      alert,
+      responses: caseResponses,
+      acknowledge: minutesBetween(alert.created_at, alert.acknowledged_at),
+      firstResponse: caseResponses.length ? minutesBetween(alert.created_at, caseResponses[0].created_at) : null,
+      resolve: minutesBetween(alert.created_at, alert.resolved_at),
+      unanswered: !alert.acknowledged_at && caseResponses.length === 0
+    };
+  });
+};
+
+// ============================================================================
+// REPORTS
+// ============================================================================
+
+const responseTimesOf = (cases) => {
+  return Object.fromEntries(SEVERITIES.map(severity => {
+    const ofSeverity = cases.filter(c => c.alert.severity === severity);
+
+    return [severity, {
+      cases: ofSeverity.length,
+      acknowledge: distribution(ofSeverity.map(c => c.acknowledge)),
+      firstResponse: distribution(ofSeverity.map(c => c.firstResponse)),
+      resolve: distribution(ofSeverity.map(c => c.resolve))
+    }];
+  }));
+};
+
+const unansweredOf = (cases) => {
+  const count = (list) => list.filter(c => c.unanswered).length;
+
+  return {
+    count: count(cases),
+    rate: rate(count(cases), cases.length),
+    bySeverity: Object.fromEntries(SEVERITIES.map(severity => {
+      const ofSeverity = cases.filter(c => c.alert.severity === severity);
+      return [severity, { cases: ofSeverity.length, count: count(ofSeverity), rate: rate(count(ofSeverity), ofSeverity.length) }];
+    }))
+  };
+};
+
+// Helpers ranked by cases resolved, then responses sent
+const helpersOf = async (cases) => {
+  const stats = new Map();
+  const statsFor = (helperId) => {
+    if (!stats.has(helperId)) {
+      stats.set(helperId, { helper_id: helperId, resolved: 0, cases: new Set(), responses: 0, responseMinutes: [] });
+    }
+    return stats.get(helperId);
+  };
+
+  for (const c of cases) {
+    if (c.alert.resolved_by) statsFor(c.alert.resolved_by).resolved += 1;
+
+    const seen = new Set();
+    for (const response of c.responses) {
+      const helper = statsFor(response.helper_id);
+      helper.responses += 1;
+      helper.cases.add(c.alert.id);
+
+      // Time to this helper's first response on the case
+      if (!seen.has(response.helper_id)) {
+        seen.add(response.helper_id);
+        helper.responseMinutes.push(minutesBetween(c.alert.created_at, response.created_at));
+      }
+    }
+  }
+
+  const ranked = [...stats.values()]
+    .sort((a, b) => b.resolved - a.resolved || b.responses - a.responses)
+    .slice(0, LEADERBOARD_SIZE);
+
+  const users = await usersRepo.findByIds(ranked.map(helper => helper.helper_id), 'id, username');
+  const usernames = new Map(users.map(user => [user.id, user.username]));
+
+  return ranked.map((helper, index) => ({
+    rank: index + 1,
+    helper_id: helper.helper_id,
+    username: usernames.get(helper.helper_id) || null,
+    resolved: helper.resolved,
+    cases: helper.cases.size,
+    responses: helper.responses,
+    median_response_minutes: round(percentile(helper.responseMinutes.sort((a, b) => a - b), 50))
+  }));
+};
+
+// Users with several cases in the range, most cases first
+const repeatUsersOf = async (cases) => {
+  const byUser = new Map();
+  for (const c of cases) {
+    if (!c.alert.user_id) continue;
+    if (!byUser.has(c.alert.user_id)) byUser.set(c.alert.user_id, []);
+    byUser.get(c.alert.user_id).push(c.alert);
+  }
+
+  const repeats = [...byUser.entries()]
+    .filter(([, alerts]) => alerts.length >= REPEAT_THRESHOLD)
+    .sort((a, b) => b[1].length - a[1].length);
+
+  const users = await usersRepo.findByIds(repeats.map(([userId]) => userId), 'id, username');
+  const usernames = new Map(users.map(user => [user.id, user.username]));
+
+  return repeats.map(([userId, alerts]) => ({
+    user_id: userId,
+    username: usernames.get(userId) || null,
+    alerts: alerts.length,
+    open: alerts.filter(alert => !['resolved', 'closed'].includes(alert.status)).length,
+    highest_severity: SEVERITIES.find(severity => alerts.some(alert => alert.severity === severity)),
+    first_alert_at: alerts[0].created_at,
+    last_alert_at: alerts[alerts.length - 1].created_at
+  }));
+};
+
+// Cases opened per day / week and how they went
+const trendsOf = (cases, interval, timezone) => {
+  const buckets = new Map();
+
+  for (const c of cases) {
+    const period = bucketOf(c.alert.created_at, interval, timezone);
+    if (!buckets.has(period)) buckets.set(period, []);
+    buckets.get(period).push(c);
+  }
+
+  return [...buckets.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([period, inPeriod]) => ({
+      period,
+      opened: inPeriod.length,
+      critical: inPeriod.filter(c => c.alert.severity === 'critical').length,
+      resolved: inPeriod.filter(c => c.alert.resolved_at).length,
+      unanswered: inPeriod.filter(c => c.unanswered).length,
+      median_acknowledge_minutes: distribution(inPeriod.map(c => c.acknowledge)).p50
+    }));
+};
+
+const buildReport = async ({ timeframe = '30d', interval = 'day', timezone = 'UTC', now = new Date() } = {}) => {
+  const since = sinceFor(timeframe, now);
+  const alerts = await crisisAlerts.findCreatedSince(since, REPORT_ALERT_FIELDS);
+  const responses = await crisisAlerts.listResponsesForAlerts(alerts.map(alert => alert.id), REPORT_RESPONSE_FIELDS);
+  const cases = describeCases(alerts, responses);
+
+  const resolved = cases.filter(c => c.alert.resolved_at).length;
+
+  return {
+    range: { timeframe, interval, timezone, since: since ? since.toISOString() : null, until: now.toISOString() },
+    summary: {
+      cases: cases.length,
+      resolved,
+      resolvedRate: rate(resolved, cases.length),
+      escalated: cases.filter(c => c.alert.escalated_at).length,
+      unanswered: cases.filter(c => c.unanswered).length,
+      responses: responses.length
+    },
+    responseTimes: responseTimesOf(cases),
+    unanswered: unansweredOf(cases),
+    helpers: await helpersOf(cases),
+    repeatUsers: await repeatUsersOf(cases),
+    trends: trendsOf(cases, interval, timezone)
+  };
+};
+
+// ============================================================================
+// CSV EXPORT
+// ============================================================================
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value == null) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) => {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvCell(row[column])).join(','));
+  }
+  return lines.join('\n') + '\n';
+};
+
+// Each report as flat rows: { columns, rows(report) }
+const CSV_REPORTS = {
+  response_times: {
+    columns: ['severity', 'metric', 'count', 'mean_minutes', 'p50_minutes', 'p90_minutes', 'max_minutes'],
+    rows: (report) => SEVERITIES.flatMap(severity => ['acknowledge', 'firstResponse', 'resolve'].map(metric => {
+      const stats = report.responseTimes[severity][metric];
+      return {
+        severity,
+        metric,
+        count: stats.count,
+        mean_minutes: stats.mean,
+        p50_minutes: stats.p50,
+        p90_minutes: stats.p90,
+        max_minutes: stats.max
+      };
+    }))
+  },
+  unanswered: {
+    columns: ['severity', 'cases', 'unanswered', 'rate_percent'],
+    rows: (report) => [
+      ...SEVERITIES.map(severity => {
+        const stats = report.unanswered.bySeverity[severity];
+        return { severity, cases: stats.cases, unanswered: stats.count, rate_percent: stats.rate };
+      }),
+      { severity: 'all', cases: report.summary.cases, unanswered: report.unanswered.count, rate_percent: report.unanswered.rate }
+    ]
+  },
+  helpers: {
+    columns: ['rank', 'helper_id', 'username', 'resolved', 'cases', 'responses', 'median_response_minutes'],
+    rows: (report) => report.helpers
+  },
+  repeat_users: {
+    columns: ['user_id', 'username', 'alerts', 'open', 'highest_severity', 'first_alert_at', 'last_alert_at'],
+    rows: (report) => report.repeatUsers
+  },
+  trends: {
+    columns: ['period', 'opened', 'critical', 'resolved', 'unanswered', 'median_acknowledge_minutes'],
+    rows: (report) => report.trends
+  }
+};
+
+const REPORT_NAMES = Object.keys(CSV_REPORTS);
+
+const exportCsv = (report, name) => {
+  const { columns, rows } = CSV_REPORTS[name];
+  return toCsv(columns, rows(report));
+};
+
+module.exports = {
+  TIMEFRAMES: Object.keys(TIMEFRAME_DAYS),
+  INTERVALS,
+  REPORT_NAMES,
+  buildReport,
+  exportCsv
+};
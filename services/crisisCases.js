@@ -0,0 +1,485 @@
+// services/crisisCases.js
+// Crisis Case Workflow - every crisis alert is a case that moves through
+//
+//   pending -> acknowledged -> in_progress -> escalated -> resolved / closed
+//
+// A new case notifies a first round of matched Good Aura helpers and gets a response
+// deadline from its severity. If nobody acknowledges it in time the deadline
+// sweeper (processOverdueCases) notifies the next helpers in line; after
+// MAX_RENOTIFY_ROUNDS missed deadlines, or when no helpers are left, the case
+// is escalated to the designated professional responders (crisis_responders).
+// Critical cases reach the responders as soon as they are opened.
+//
+// Cases are opened by hand (POST /api/crisis/alert/create) or from content
+// the moderation engine flags: posts, comments, chat messages and live-stream
+// comments. The alert records that source (source_type / source_id). Posts
+// always open their own case; a flagged comment or message from a user who
+// already has an open case is added to that case instead of opening another.
+//
+// Every action is written to the case timeline (crisis_alert_events).
+
+const crisisAlerts = require('../repositories/crisisAlerts');
+const crisisResponders = require('../repositories/crisisResponders');
+const userScores = require('../repositories/userScores');
+const helperMatching = require('./helperMatching');
+const crisisResources = require('./crisisResources');
+const notificationsRepo = require('../repositories/notifications');
+const { ApiError } = require('../middleware/errors');
+
+// Minutes a helper has to acknowledge a pending case
+const RESPONSE_DEADLINE_MINUTES = {
+  critical: 5,
+  high: 15,
+  medium: 30,
+  low: 120
+};
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// Sources that add to the user's open case rather than opening a new one
+const CONVERSATIONAL_SOURCES = ['comment', 'message', 'stream_comment'];
+
+const HELPERS_PER_ROUND = 10;
+
+// Missed deadlines before a pending case escalates on its own
+const MAX_RENOTIFY_ROUNDS = 2;
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.CRISIS_SWEEP_INTERVAL_MS, 10) || 60 * 1000;
+
+const TRANSITIONS = {
+  pending: ['acknowledged', 'escalated', 'closed'],
+  acknowledged: ['pending', 'in_progress', 'escalated', 'resolved', 'closed'],
+  in_progress: ['pending', 'escalated', 'resolved', 'closed'],
+  escalated: ['in_progress', 'resolved', 'closed'],
+  resolved: ['closed'],
+  closed: []
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const responseDueAt = (severity, from = new Date()) => {
+  const minutes = RESPONSE_DEADLINE_MINUTES[severity] || RESPONSE_DEADLINE_MINUTES.medium;
+  return new Date(from.getTime() + minutes * 60 * 1000).toISOString();
+};
+
+// ============================================================================
+// WHO MAY WORK A CASE
+// ============================================================================
+
+// Good Aura helpers and professional responders can see and pick up cases
+const canWorkCases = async (userId) => {
+  return (await userScores.isGoodAuraHelper(userId)) || crisisResponders.isResponder(userId);
+};
+
+// The assigned helper and professional responders can move a case along
+const canManageCase = async (alert, userId) => {
+  if (alert.assigned_helper_id && alert.assigned_helper_id === userId) return true;
+  return crisisResponders.isResponder(userId);
+};
+
+// ============================================================================
+// NOTIFY
+// ============================================================================
+
+// Next round of helpers: best matches (services/helperMatching.js) who have
+// not been contacted for this case yet
+const notifyHelpers = async (alert, { actorId = null, round = 0 } = {}) => {
+  const excludeIds = [...(alert.notified_helper_ids || [])];
+  if (alert.user_id) excludeIds.push(alert.user_id);
+
+  const helpers = await helperMatching.rankHelpers(alert, { limit: HELPERS_PER_ROUND, excludeIds });
+  const helperIds = helpers.map(helper => helper.user_id);
+
+  if (!helperIds.length) return { alert, helperIds };
+
+  const resources = (await crisisResources.forAlert(alert)).map(crisisResources.toSummary);
+
+  await notificationsRepo.createMany(helperIds.map(userId => ({
+    userId,
+    type: 'crisis_alert',
+    title: '🚨 Crisis Alert - Help Needed',
+    message: round > 0
+      ? 'A user in crisis is still waiting for a helper. Can you step in?'
+      : 'A user may be in crisis. Your positive energy is needed!',
+    data: {
+      alert_id: alert.id,
+      severity: alert.severity,
+      round,
+      source_type: alert.source_type,
+      source_id: alert.source_id,
+      resources
+    }
+  })));
+
+  const updated = await crisisAlerts.updateIfStatus(alert.id, alert.status, {
+    notified_helper_ids: [...(alert.notified_helper_ids || []), ...helperIds]
+  });
+
+  await crisisAlerts.addEvent(alert.id, {
+    actorId,
+    eventType: 'helpers_notified',
+    details: { helper_ids: helperIds, round, scores: helpers.map(helper => helper.score) }
+  });
+
+  return { alert: updated || alert, helperIds };
+};
+
+const notifyResponders = async (alert, { actorId = null, reason }) => {
+  const responders = (await crisisResponders.findActive())
+    .filter(responder => responder.user_id !== alert.user_id);
+
+  if (!responders.length) {
+    console.warn(`⚠️ No professional responders configured for crisis case ${alert.id}`);
+  }
+
+  const resources = (await crisisResources.forAlert(alert)).map(crisisResources.toSummary);
+
+  await notificationsRepo.createMany(responders.map(responder => ({
+    userId: responder.user_id,
+    type: 'crisis_escalation',
+    title: '🚑 Crisis Case Escalated',
+    message: `A ${alert.severity} crisis case needs a professional responder.`,
+    data: {
+      alert_id: alert.id,
+      severity: alert.severity,
+      reason,
+      source_type: alert.source_type,
+      source_id: alert.source_id,
+      resources
+    }
+  })));
+
+  await crisisAlerts.addEvent(alert.id, {
+    actorId,
+    eventType: 'responders_notified',
+    details: { responder_ids: responders.map(responder => responder.user_id), reason }
+  });
+
+  return responders.length;
+};
+
+// ============================================================================
+// OPEN
+// ============================================================================
+
+// Create the alert, start its deadline and notify the first round of helpers.
+// Returns the crisis resources for the user's location alongside the alert.
+const openCase = async ({ userId, postId = null, sourceType = 'manual', sourceId = null, content, detectedKeyword, severity = 'medium', crisisType, language = null, actorId = null }) => {
+  // Where the user is, for the resources shown to them and their helpers
+  const location = await crisisResources.locate({ userId });
+
+  let alert = await crisisAlerts.create({
+    userId,
+    postId,
+    sourceType,
+    sourceId,
+    content,
+    detectedKeyword,
+    severity,
+    crisisType,
+    language,
+    countryCode: location.country_code,
+    region: location.region,
+    responseDueAt: responseDueAt(severity)
+  });
+
+  await crisisAlerts.addEvent(alert.id, {
+    actorId,
+    eventType: 'opened',
+    toStatus: 'pending',
+    details: {
+      severity,
+      crisis_type: crisisType || null,
+      source_type: sourceType,
+      source_id: sourceId,
+      response_due_at: alert.response_due_at
+    }
+  });
+
+  const notified = await notifyHelpers(alert, { actorId });
+  alert = notified.alert;
+
+  let respondersNotified = 0;
+  if (severity === 'critical') {
+    respondersNotified = await notifyResponders(alert, { reason: 'critical_severity' });
+  }
+
+  console.log(`🚨 Crisis case ${alert.id} opened - Severity: ${severity}, helpers notified: ${notified.helperIds.length}`);
+
+  const resources = (await crisisResources.resourcesFor(location, crisisType)).map(crisisResources.toSummary);
+
+  return { alert, helpersNotified: notified.helperIds.length, respondersNotified, resources };
+};
+
+// Further flagged content on a case that is still open: recorded on the
+// timeline, raising the case severity when the new content is more severe
+const addFlaggedContent = async (alert, moderation, { sourceType, sourceId }) => {
+  await crisisAlerts.addEvent(alert.id, {
+    eventType: 'content_flagged',
+    details: {
+      source_type: sourceType,
+      source_id: sourceId,
+      severity: moderation.severity,
+      crisis_type: moderation.crisisType,
+      keyword: moderation.keyword
+    }
+  });
+
+  let updated = alert;
+  if (SEVERITIES.indexOf(moderation.severity) > SEVERITIES.indexOf(alert.severity)) {
+    const fields = { severity: moderation.severity };
+
+    // A pending case now owes the shorter deadline of its new severity
+    if (alert.status === 'pending') {
+      const due = responseDueAt(moderation.severity);
+      fields.response_due_at = alert.response_due_at && new Date(alert.response_due_at) < new Date(due)
+        ? alert.response_due_at
+        : due;
+    }
+
+    updated = await crisisAlerts.update(alert.id, fields);
+
+    if (moderation.severity === 'critical' && alert.status !== 'escalated') {
+      await notifyResponders(updated, { reason: 'critical_severity' });
+    }
+  }
+
+  console.log(`🚨 Crisis case ${alert.id} - further ${sourceType} flagged`);
+
+  const resources = (await crisisResources.forAlert(updated, crisisResources.MAX_RESOURCES)).map(crisisResources.toSummary);
+
+  return { alert: updated, helpersNotified: 0, respondersNotified: 0, resources };
+};
+
+// Case for content the moderation engine flagged as a crisis.
+// `sourceType` / `sourceId` name the flagged row; posts also set postId.
+const openFromModeration = async (moderation, { userId, postId = null, sourceType = 'post', sourceId = postId, content }) => {
+  if (CONVERSATIONAL_SOURCES.includes(sourceType)) {
+    const open = await crisisAlerts.findOpenForUser(userId);
+    if (open) return addFlaggedContent(open, moderation, { sourceType, sourceId });
+  }
+
+  return openCase({
+    userId,
+    postId,
+    sourceType,
+    sourceId,
+    content,
+    detectedKeyword: moderation.keyword,
+    severity: moderation.severity,
+    crisisType: moderation.crisisType,
+    language: moderation.languages[0] || null
+  });
+};
+
+// ============================================================================
+// TRANSITIONS
+// ============================================================================
+
+// Columns that go with entering a status
+const fieldsFor = (toStatus, actorId, now) => {
+  switch (toStatus) {
+    case 'pending': return {};
+    case 'acknowledged': return { acknowledged_at: now, response_due_at: null };
+    case 'escalated': return { escalated_at: now, response_due_at: null };
+    case 'resolved': return { resolved_by: actorId, resolved_at: now, response_due_at: null };
+    case 'closed': return { closed_at: now, response_due_at: null };
+    default: return { response_due_at: null };
+  }
+};
+
+// Move a case to `toStatus` and record it on the timeline.
+// `fields` are extra columns to set, `details` go on the timeline entry.
+const transition = async (alert, toStatus, { actorId = null, eventType = 'status_changed', fields = {}, details = {} } = {}) => {
+  if (!canTransition(alert.status, toStatus)) {
+    throw ApiError.conflict(`A ${alert.status} case cannot move to ${toStatus}`);
+  }
+
+  const now = new Date().toISOString();
+  const updated = await crisisAlerts.updateIfStatus(alert.id, alert.status, {
+    status: toStatus,
+    ...fieldsFor(toStatus, actorId, now),
+    ...fields
+  });
+
+  if (!updated) {
+    throw ApiError.conflict('This case was updated by someone else, reload it and try again');
+  }
+
+  await crisisAlerts.addEvent(alert.id, {
+    actorId,
+    eventType,
+    fromStatus: alert.status,
+    toStatus,
+    details
+  });
+
+  return updated;
+};
+
+const acknowledge = (alert, helperId) => {
+  return transition(alert, 'acknowledged', {
+    actorId: helperId,
+    eventType: 'acknowledged',
+    fields: { assigned_helper_id: helperId }
+  });
+};
+
+const escalate = async (alert, { actorId = null, reason }) => {
+  const escalated = await transition(alert, 'escalated', {
+    actorId,
+    eventType: 'escalated',
+    details: { reason }
+  });
+
+  await notifyResponders(escalated, { actorId, reason });
+  return escalated;
+};
+
+// Hand a case to another helper, or (without helperId) release it back to
+// pending with a fresh deadline so the next helpers are notified
+const reassign = async (alert, { actorId, helperId = null, reason = null }) => {
+  if (!helperId) {
+    const released = await transition(alert, 'pending', {
+      actorId,
+      eventType: 'released',
+      fields: {
+        assigned_helper_id: null,
+        response_due_at: responseDueAt(alert.severity),
+        // The helper handing the case back is not offered it again
+        notified_helper_ids: [...new Set([...(alert.notified_helper_ids || []), alert.assigned_helper_id].filter(Boolean))]
+      },
+      details: { previous_helper_id: alert.assigned_helper_id, reason }
+    });
+
+    return (await notifyHelpers(released, { actorId, round: released.renotify_count })).alert;
+  }
+
+  const updated = await crisisAlerts.updateIfStatus(alert.id, alert.status, { assigned_helper_id: helperId });
+  if (!updated) {
+    throw ApiError.conflict('This case was updated by someone else, reload it and try again');
+  }
+
+  await crisisAlerts.addEvent(alert.id, {
+    actorId,
+    eventType: 'reassigned',
+    details: { previous_helper_id: alert.assigned_helper_id, helper_id: helperId, reason }
+  });
+
+  await notificationsRepo.create({
+    userId: helperId,
+    type: 'crisis_assignment',
+    title: '🤝 Crisis Case Assigned to You',
+    message: 'A crisis case has been handed over to you.',
+    data: { alert_id: alert.id, severity: alert.severity }
+  });
+
+  return updated;
+};
+
+// Helper response (crisis_responses row already written): the first response
+// picks the case up, action 'resolved' resolves it
+const recordResponse = async (alert, { helperId, responseId, action }) => {
+  let current = alert;
+
+  if (current.status === 'pending') {
+    current = await acknowledge(current, helperId);
+  }
+
+  await crisisAlerts.addEvent(alert.id, {
+    actorId: helperId,
+    eventType: 'responded',
+    details: { response_id: responseId, action }
+  });
+
+  if (current.status === 'acknowledged') {
+    current = await transition(current, 'in_progress', { actorId: helperId });
+  }
+
+  if (action === 'resolved' && canTransition(current.status, 'resolved')) {
+    current = await transition(current, 'resolved', { actorId: helperId, eventType: 'resolved' });
+  }
+
+  return current;
+};
+
+// ============================================================================
+// DEADLINE SWEEPER
+// ============================================================================
+
+const processOverdueCase = async (alert, now) => {
+  await crisisAlerts.addEvent(alert.id, {
+    eventType: 'deadline_missed',
+    details: { response_due_at: alert.response_due_at, round: alert.renotify_count }
+  });
+
+  if (alert.renotify_count >= MAX_RENOTIFY_ROUNDS) {
+    await escalate(alert, { reason: 'deadline_missed' });
+    return 'escalated';
+  }
+
+  const round = alert.renotify_count + 1;
+  const { alert: notified, helperIds } = await notifyHelpers(alert, { round });
+
+  if (!helperIds.length) {
+    await escalate(notified, { reason: 'no_helpers_available' });
+    return 'escalated';
+  }
+
+  await crisisAlerts.updateIfStatus(alert.id, 'pending', {
+    renotify_count: round,
+    response_due_at: responseDueAt(alert.severity, now)
+  });
+  return 'renotified';
+};
+
+// Re-notify or escalate every pending case whose deadline has passed
+const processOverdueCases = async (now = new Date()) => {
+  const summary = { renotified: 0, escalated: 0 };
+
+  for (const alert of await crisisAlerts.findOverdue(now)) {
+    try {
+      summary[await processOverdueCase(alert, now)]++;
+    } catch (error) {
+      console.error(`❌ Crisis case ${alert.id} deadline handling failed:`, error);
+    }
+  }
+
+  if (summary.renotified || summary.escalated) {
+    console.log(`⏰ Crisis deadlines: ${summary.renotified} re-notified, ${summary.escalated} escalated`);
+  }
+
+  return summary;
+};
+
+// Run the sweeper in the background (started by index.js when the server listens)
+const startDeadlineTimer = (intervalMs = SWEEP_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    processOverdueCases().catch((error) => {
+      console.error('❌ Crisis deadline sweep failed:', error);
+    });
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  STATUSES,
+  RESPONSE_DEADLINE_MINUTES,
+  MAX_RENOTIFY_ROUNDS,
+  canTransition,
+  canWorkCases,
+  canManageCase,
+  openCase,
+  openFromModeration,
+  transition,
+  acknowledge,
+  escalate,
+  reassign,
+  recordResponse,
+  processOverdueCases,
+  startDeadlineTimer
+};
@@ -0,0 +1,156 @@
+// services/crisisResources.js
+// Crisis Resource Directory - the helplines, text lines and local services a
+// person in crisis is pointed to, picked for where they are and what kind of
+// crisis was detected.
+//
+//   const { location, resources } = await findResources({ userId, crisisType: 'self_harm' });
+//   // location: { country_code: 'MY', region: 'Penang', source: 'discovery' }
+//
+// Where the user is comes from, in order: an explicit country / coordinates,
+// the latest located discovery post they shared, the most recent community
+// they joined that has a location, and finally DEFAULT_COUNTRY. Coordinates
+// are placed in a country and region with the crisis_regions boxes.
+//
+// Resources for the user's region rank above country-wide ones; international
+// entries (no country) are always listed last as a fallback. Resources with
+// a service radius are only listed for users inside it.
+
+const crisisResources = require('../repositories/crisisResources');
+
+const DEFAULT_COUNTRY = process.env.CRISIS_DEFAULT_COUNTRY || 'MY';
+
+const RESOURCE_TYPES = ['emergency', 'helpline', 'text_line', 'chat', 'local_service', 'directory'];
+
+// Resources returned by default
+const MAX_RESOURCES = 6;
+
+// How much a region-specific resource outranks a country-wide one
+const REGION_BONUS = 20;
+
+// Calculate distance between two coordinates (in km)
+const distanceKm = (lat1, lon1, lat2, lon2) => {
+  const R = 6371;
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// ============================================================================
+// LOCATION
+// ============================================================================
+
+// Smallest crisis_regions box containing the point
+const placeOf = async (lat, lng) => {
+  const boxes = await crisisResources.findRegionsAt(lat, lng);
+  if (!boxes.length) return null;
+
+  const area = (box) => (box.max_lat - box.min_lat) * (box.max_long - box.min_long);
+  const [smallest] = boxes.sort((a, b) => area(a) - area(b));
+
+  return { country_code: smallest.country_code, region: smallest.region };
+};
+
+// Coordinates the user already shared (discovery posts, then communities)
+const coordinatesOf = async (userId) => {
+  const discovery = await crisisResources.findDiscoveryLocation(userId);
+  if (discovery) {
+    return { lat: discovery.location_lat, lng: discovery.location_long, source: 'discovery' };
+  }
+
+  const community = await crisisResources.findCommunityLocation(userId);
+  if (community) {
+    return { lat: community.location_lat, lng: community.location_long, source: 'community' };
+  }
+
+  return null;
+};
+
+// { country_code, region, lat, lng, source }
+const locate = async ({ userId = null, lat = null, lng = null, countryCode = null, region = null } = {}) => {
+  if (countryCode) {
+    return { country_code: countryCode.toUpperCase(), region, lat, lng, source: 'request' };
+  }
+
+  let point = lat != null && lng != null ? { lat, lng, source: 'request' } : null;
+  if (!point && userId) point = await coordinatesOf(userId);
+
+  const place = point ? await placeOf(point.lat, point.lng) : null;
+  if (place) return { ...place, lat: point.lat, lng: point.lng, source: point.source };
+
+  return { country_code: DEFAULT_COUNTRY, region: null, lat: null, lng: null, source: 'default' };
+};
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+const appliesTo = (resource, { crisisType, region, lat, lng }) => {
+  if (resource.region && resource.region !== region) return false;
+
+  if (crisisType && resource.crisis_types?.length && !resource.crisis_types.includes(crisisType)) {
+    return false;
+  }
+
+  if (resource.service_radius_km && resource.location_lat != null && resource.location_long != null) {
+    if (lat == null || lng == null) return false;
+    return distanceKm(lat, lng, resource.location_lat, resource.location_long) <= resource.service_radius_km;
+  }
+
+  return true;
+};
+
+const rankOf = (resource) => {
+  if (!resource.country_code) return -1000 + resource.priority;
+  return resource.priority + (resource.region ? REGION_BONUS : 0);
+};
+
+// Best resources for a located user (see locate) and crisis type
+const resourcesFor = async (location, crisisType = null, limit = MAX_RESOURCES) => {
+  const resources = await crisisResources.findForCountry(location.country_code || DEFAULT_COUNTRY);
+  const place = { region: location.region || null, lat: location.lat ?? null, lng: location.lng ?? null };
+
+  return resources
+    .filter(resource => appliesTo(resource, { crisisType, ...place }))
+    .sort((a, b) => rankOf(b) - rankOf(a))
+    .slice(0, limit);
+};
+
+const findResources = async ({ userId, crisisType = null, lat, lng, countryCode, region, limit = MAX_RESOURCES } = {}) => {
+  const location = await locate({ userId, lat, lng, countryCode, region });
+
+  return {
+    location: { country_code: location.country_code, region: location.region, source: location.source },
+    resources: await resourcesFor(location, crisisType, limit)
+  };
+};
+
+// Resources for an open case, from the place recorded on the alert
+const forAlert = (alert, limit = 3) => {
+  return resourcesFor({ country_code: alert.country_code, region: alert.region }, alert.crisis_type, limit);
+};
+
+// The fields clients need to show a resource (notifications, chat)
+const toSummary = (resource) => ({
+  id: resource.id,
+  name: resource.name,
+  resource_type: resource.resource_type,
+  phone: resource.phone,
+  sms: resource.sms,
+  website: resource.website,
+  hours: resource.hours
+});
+
+module.exports = {
+  DEFAULT_COUNTRY,
+  RESOURCE_TYPES,
+  MAX_RESOURCES,
+  locate,
+  resourcesFor,
+  findResources,
+  forAlert,
+  toSummary
+};
@@ -0,0 +1,180 @@
+// services/crisisSupport.js
+// Crisis Support - the at-risk user's side of a crisis case.
+//
+// When a helper responds (POST /api/crisis/alert/:alertId/respond) the
+// message is delivered to the user as a 'crisis_support' notification, with
+// the crisis resources for where they are. When the helper asks for it, a
+// private two-person support chat is opened with the message as its first
+// entry. The user then replies to the response:
+//
+//   accepted         - the helper is told, a support chat is opened if there is none
+//   declined         - the helper is told; the case stays open for others
+//   different_helper - the case is released from that helper and the next
+//                      matched helpers are notified
+//
+// Replies are stored on the response and the alert and written to the case
+// timeline.
+
+const crisisAlerts = require('../repositories/crisisAlerts');
+const conversations = require('../repositories/conversations');
+const notificationsRepo = require('../repositories/notifications');
+const crisisCases = require('./crisisCases');
+const moderation = require('./moderation');
+const crisisResources = require('./crisisResources');
+
+const SUPPORT_CONVERSATION_TYPE = 'crisis_support';
+
+const DECISIONS = ['accepted', 'declined', 'different_helper'];
+
+// What the helper is told about each reply
+const DECISION_NOTICES = {
+  accepted: {
+    title: '💙 Your support was accepted',
+    message: 'They would like your support - the private chat is open.'
+  },
+  declined: {
+    title: 'Support declined',
+    message: 'They are not ready to talk right now. Thank you for reaching out.'
+  },
+  different_helper: {
+    title: 'Case handed to another helper',
+    message: 'They asked to talk with someone else. Thank you for reaching out.'
+  }
+};
+
+// ============================================================================
+// SUPPORT CHAT
+// ============================================================================
+
+// Private chat between the user and the responding helper, reused when the
+// case already has one with that helper
+const openSupportChat = async (alert, response, { message = null } = {}) => {
+  let conversationId = null;
+
+  if (alert.support_conversation_id &&
+      await conversations.isParticipant(alert.support_conversation_id, response.helper_id)) {
+    conversationId = alert.support_conversation_id;
+  } else {
+    const conversation = await conversations.create({
+      type: SUPPORT_CONVERSATION_TYPE,
+      name: 'Crisis support',
+      createdBy: response.helper_id,
+      participants: [
+        { userId: alert.user_id, role: 'member' },
+        { userId: response.helper_id, role: 'helper' }
+      ]
+    });
+    conversationId = conversation.id;
+
+    await crisisAlerts.addEvent(alert.id, {
+      actorId: response.helper_id,
+      eventType: 'support_chat_opened',
+      details: { conversation_id: conversationId, response_id: response.id }
+    });
+  }
+
+  if (message) {
+    const safety = await moderation.analyzeText(message);
+    await conversations.addMessage({
+      conversationId,
+      senderId: response.helper_id,
+      content: message,
+      columns: moderation.toColumns(safety)
+    });
+  }
+
+  await crisisAlerts.updateResponse(response.id, { conversation_id: conversationId });
+  await crisisAlerts.update(alert.id, { support_conversation_id: conversationId });
+
+  return conversationId;
+};
+
+// ============================================================================
+// DELIVER A HELPER RESPONSE
+// ============================================================================
+
+const deliverResponse = async (alert, response, { openChat = false } = {}) => {
+  if (!alert.user_id) return { conversationId: null, notified: false };
+
+  const conversationId = openChat
+    ? await openSupportChat(alert, response, { message: response.message })
+    : null;
+
+  await notificationsRepo.create({
+    userId: alert.user_id,
+    type: 'crisis_support',
+    title: '💙 Someone is here for you',
+    message: response.message || 'A Good Aura helper has reached out to support you.',
+    data: {
+      alert_id: alert.id,
+      response_id: response.id,
+      helper_id: response.helper_id,
+      conversation_id: conversationId,
+      resources: (await crisisResources.forAlert(alert)).map(crisisResources.toSummary)
+    },
+    actionUrl: conversationId ? `/chat/${conversationId}` : `/crisis/alerts/${alert.id}`
+  });
+
+  await crisisAlerts.addEvent(alert.id, {
+    actorId: response.helper_id,
+    eventType: 'user_notified',
+    details: { response_id: response.id, conversation_id: conversationId }
+  });
+
+  return { conversationId, notified: true };
+};
+
+// ============================================================================
+// USER REPLY
+// ============================================================================
+
+const recordDecision = async (alert, response, { decision, note = null }) => {
+  const now = new Date().toISOString();
+
+  let updated = await crisisAlerts.updateResponse(response.id, {
+    user_decision: decision,
+    user_decided_at: now
+  });
+  await crisisAlerts.update(alert.id, { user_decision: decision, user_decision_at: now });
+
+  await crisisAlerts.addEvent(alert.id, {
+    actorId: alert.user_id,
+    eventType: 'user_decision',
+    details: { decision, response_id: response.id, helper_id: response.helper_id, note }
+  });
+
+  if (decision === 'accepted' && !response.conversation_id) {
+    const conversationId = await openSupportChat(alert, response);
+    updated = { ...updated, conversation_id: conversationId };
+  }
+
+  // Only release the case if this helper still holds it
+  if (decision === 'different_helper' &&
+      alert.assigned_helper_id === response.helper_id &&
+      crisisCases.canTransition(alert.status, 'pending')) {
+    await crisisCases.reassign(await crisisAlerts.findById(alert.id), {
+      actorId: alert.user_id,
+      reason: 'user_requested_different_helper'
+    });
+  }
+
+  await notificationsRepo.create({
+    userId: response.helper_id,
+    type: `crisis_${decision}`,
+    ...DECISION_NOTICES[decision],
+    data: { alert_id: alert.id, response_id: response.id, conversation_id: updated.conversation_id || null },
+    actionUrl: updated.conversation_id ? `/chat/${updated.conversation_id}` : null
+  });
+
+  console.log(`💙 User replied "${decision}" to crisis response ${response.id}`);
+
+  return updated;
+};
+
+module.exports = {
+  SUPPORT_CONVERSATION_TYPE,
+  DECISIONS,
+  openSupportChat,
+  deliverResponse,
+  recordDecision
+};
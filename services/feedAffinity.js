@@ -0,0 +1,226 @@
+// services/feedAffinity.js
+// Feed Affinity Learning - turns the events clients send to
+// POST /api/feed/track-interaction into per-user affinities the feed ranks on
+// (user_feed_affinities, read by the affinity / skip_penalty scorers and the
+// mood detection in routes/feed.js).
+//
+// Every interaction is a signal on the post's content type, hashtags and
+// creator:
+//
+//   share 2.5, comment 2, react 1.5, long_view 1, view 0.2, skip -1
+//
+// plus up to DWELL_BONUS for time spent on the post. Signals fade with a
+// HALF_LIFE_DAYS half-life, so recent taste counts most. Each key ends up with
+//
+//   { score: -1..1, skip_rate: 0..1, events: n }
+//
+// where score is the decayed signal sum damped by PRIOR_EVENTS (a single
+// event never reaches a full +-1).
+//
+// The job (processPendingUsers, every FEED_AFFINITY_INTERVAL_MS once the
+// server listens) rebuilds the users who interacted since the last run from
+// their interactions in the last WINDOW_DAYS. How far it got is kept in
+// job_watermarks, so a restart picks up where it stopped.
+
+const feedAffinities = require('../repositories/feedAffinities');
+
+const SIGNALS = {
+  share: 2.5,
+  comment: 2,
+  react: 1.5,
+  long_view: 1,
+  view: 0.2,
+  skip: -1
+};
+
+// Extra signal for time spent on a post, reached at DWELL_FULL_SECONDS
+const DWELL_BONUS = 0.5;
+const DWELL_FULL_SECONDS = 30;
+
+const HALF_LIFE_DAYS = 14;
+const WINDOW_DAYS = 60;
+const MAX_INTERACTIONS = 500;
+
+// Damping: score = signal / (decayed events + PRIOR_EVENTS)
+const PRIOR_EVENTS = 2;
+
+// Content type a user leans towards -> the feed mood it stands for
+const MOOD_BY_CONTENT_TYPE = {
+  entertainment: 'fun-seeking',
+  educational: 'learning',
+  inspirational: 'supportive',
+  motivational: 'energized'
+};
+
+// Minimum content type score for it to set the mood
+const MOOD_MIN_SCORE = 0.3;
+
+const JOB_INTERVAL_MS = parseInt(process.env.FEED_AFFINITY_INTERVAL_MS, 10) || 5 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, places = 3) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// ============================================================================
+// LEARNING
+// ============================================================================
+
+const signalOf = (interaction) => {
+  const base = SIGNALS[interaction.interaction_type] ?? 0;
+  if (interaction.interaction_type === 'skip') return base;
+
+  const seconds = Number(interaction.duration_seconds) || 0;
+  return base + DWELL_BONUS * Math.min(seconds / DWELL_FULL_SECONDS, 1);
+};
+
+const keysOf = (post) => ({
+  content_types: post.content_type ? [post.content_type] : [],
+  hashtags: [...new Set((post.hashtags || []).map(tag => String(tag).toLowerCase()))],
+  creators: post.user_id ? [post.user_id] : []
+});
+
+// Affinity row (without user_id) from interactions that carry their post,
+// newest first
+const buildAffinities = (interactions, now = new Date()) => {
+  const dimensions = { content_types: {}, hashtags: {}, creators: {} };
+  const dwellByType = {};
+  let dwellTotal = 0;
+  let dwellCount = 0;
+  let skips = 0;
+
+  for (const interaction of interactions) {
+    const ageDays = (now - new Date(interaction.created_at)) / DAY_MS;
+    const decay = Math.pow(0.5, Math.max(ageDays, 0) / HALF_LIFE_DAYS);
+    const signal = signalOf(interaction) * decay;
+    const skipped = interaction.interaction_type === 'skip';
+    if (skipped) skips += 1;
+
+    for (const [dimension, keys] of Object.entries(keysOf(interaction.post))) {
+      for (const key of keys) {
+        const entry = dimensions[dimension][key] || (dimensions[dimension][key] = { signal: 0, weight: 0, events: 0, skips: 0 });
+        entry.signal += signal;
+        entry.weight += decay;
+        entry.events += 1;
+        if (skipped) entry.skips += 1;
+      }
+    }
+
+    const seconds = Number(interaction.duration_seconds);
+    if (seconds > 0) {
+      dwellTotal += seconds;
+      dwellCount += 1;
+
+      const type = interaction.post.content_type;
+      if (type) {
+        const dwell = dwellByType[type] || (dwellByType[type] = { total: 0, count: 0 });
+        dwell.total += seconds;
+        dwell.count += 1;
+      }
+    }
+  }
+
+  const summarize = (entries) => Object.fromEntries(Object.entries(entries).map(([key, entry]) => [key, {
+    score: round(clamp(entry.signal / (entry.weight + PRIOR_EVENTS), -1, 1)),
+    skip_rate: round(entry.skips / entry.events),
+    events: entry.events
+  }]));
+
+  return {
+    content_types: summarize(dimensions.content_types),
+    hashtags: summarize(dimensions.hashtags),
+    creators: summarize(dimensions.creators),
+    dwell: {
+      avg_seconds: dwellCount ? round(dwellTotal / dwellCount, 1) : null,
+      by_content_type: Object.fromEntries(Object.entries(dwellByType).map(([type, dwell]) => {
+        return [type, round(dwell.total / dwell.count, 1)];
+      }))
+    },
+    interactions_count: interactions.length,
+    skip_rate: interactions.length ? round(skips / interactions.length) : 0,
+    // Interactions arrive newest first
+    last_interaction_at: interactions[0]?.created_at || null
+  };
+};
+
+const rebuildForUser = async (userId, now = new Date()) => {
+  const interactions = await feedAffinities.findInteractionsForUser(userId, {
+    since: new Date(now.getTime() - WINDOW_DAYS * DAY_MS),
+    limit: MAX_INTERACTIONS
+  });
+
+  return feedAffinities.upsert({ user_id: userId, ...buildAffinities(interactions, now) });
+};
+
+// ============================================================================
+// JOB
+// ============================================================================
+
+// Newest interaction the job has processed, saved in job_watermarks once all
+// users up to it are rebuilt, so a restart resumes there. Before the first
+// run, interactions older than WINDOW_DAYS have nothing left to teach.
+let watermark;
+
+const processPendingUsers = async (now = new Date()) => {
+  if (watermark === undefined) {
+    watermark = await feedAffinities.findWatermark()
+      || new Date(now.getTime() - WINDOW_DAYS * DAY_MS).toISOString();
+  }
+
+  const { userIds, latest } = await feedAffinities.findUsersWithInteractionsSince(watermark);
+
+  for (const userId of userIds) {
+    await rebuildForUser(userId, now);
+  }
+
+  if (latest) {
+    await feedAffinities.saveWatermark(latest);
+    watermark = latest;
+  }
+  if (userIds.length) console.log(`🧠 Feed affinities updated for ${userIds.length} users`);
+
+  return { users: userIds.length };
+};
+
+// Run the job in the background (started by index.js when the server listens)
+const startAffinityJob = (intervalMs = JOB_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    processPendingUsers().catch((error) => {
+      console.error('❌ Feed affinity job failed:', error);
+    });
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+// ============================================================================
+// READING
+// ============================================================================
+
+const getForUser = (userId) => feedAffinities.getForUser(userId);
+
+// Mood implied by the content type the user engages with most, or null
+const moodFromAffinities = (affinities) => {
+  if (!affinities) return null;
+
+  const [top] = Object.entries(affinities.content_types || {})
+    .filter(([type]) => MOOD_BY_CONTENT_TYPE[type])
+    .sort((a, b) => b[1].score - a[1].score);
+
+  return top && top[1].score >= MOOD_MIN_SCORE ? MOOD_BY_CONTENT_TYPE[top[0]] : null;
+};
+
+module.exports = {
+  SIGNALS,
+  buildAffinities,
+  rebuildForUser,
+  processPendingUsers,
+  startAffinityJob,
+  getForUser,
+  moodFromAffinities
+};
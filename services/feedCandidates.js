@@ -0,0 +1,221 @@
+// services/feedCandidates.js
+// Feed Candidates - what GET /api/feed/personalized/:userId ranks, without
+// rescanning wisdom_clips on every request, and the cursors that page
+// through the result.
+//
+// Candidates are the user's precomputed store merged with trending posts:
+//   - fan-out on write: a new public post is added to the store of its author
+//     and every follower (fanOut, called by POST /api/posts/create)
+//   - the store is rebuilt from follows when it is missing or older than
+//     REBUILD_AFTER_MS, which also picks up new follows; posts of authors the
+//     user stopped following are dropped when the store is read
+//   - trending: the most engaged public posts of the last TRENDING_WINDOW_HOURS,
+//     computed once per TRENDING_TTL_MS for everyone
+//
+// The first page ranks the candidates and keeps the ranked ids as a feed
+// session; its cursor (opaque, base64url) points into that snapshot, so the
+// next pages keep the same order and never repeat a post. Sessions last
+// SESSION_TTL_MS.
+
+const feedCandidates = require('../repositories/feedCandidates');
+const users = require('../repositories/users');
+const { ApiError } = require('../middleware/errors');
+
+const STORE_READ_LIMIT = 150;
+const BUILD_LIMIT = 300;
+const REBUILD_AFTER_MS = parseInt(process.env.FEED_CANDIDATES_REBUILD_MS, 10) || 60 * 60 * 1000;
+
+const TRENDING_WINDOW_HOURS = 48;
+const TRENDING_POOL = 200;
+const TRENDING_SIZE = 30;
+const TRENDING_TTL_MS = 60 * 1000;
+
+const SESSION_TTL_MS = 30 * 60 * 1000;
+const MAX_SESSION_POSTS = 300;
+
+// Candidates and sessions older than this are swept
+const RETENTION_DAYS = 30;
+const MAINTENANCE_INTERVAL_MS = 60 * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+// Add a new post to its author's and followers' stores
+const fanOut = async (post) => {
+  if (!post.user_id || post.visibility !== 'public') return 0;
+
+  const followerIds = await users.getFollowerIds(post.user_id);
+  const recipients = [post.user_id, ...followerIds];
+
+  await feedCandidates.addForUsers(recipients, [post]);
+  console.log(`📬 Post ${post.id} fanned out to ${recipients.length} feeds`);
+
+  return recipients.length;
+};
+
+// Fill the store from the posts of everyone the user follows (and their own)
+const rebuild = async (userId) => {
+  const followingIds = await users.getFollowingIds(userId);
+  const posts = await feedCandidates.findRecentPostsByAuthors([userId, ...followingIds], BUILD_LIMIT);
+
+  await feedCandidates.addForUsers([userId], posts);
+  await feedCandidates.markBuilt(userId);
+
+  return posts.length;
+};
+
+const ensureBuilt = async (userId, now = new Date()) => {
+  const build = await feedCandidates.findBuild(userId);
+  if (!build || now - new Date(build.built_at) > REBUILD_AFTER_MS) {
+    await rebuild(userId);
+  }
+};
+
+// ============================================================================
+// TRENDING
+// ============================================================================
+
+let trendingCache = null;
+
+const trendingPostIds = async (now = new Date()) => {
+  if (trendingCache && now - trendingCache.at < TRENDING_TTL_MS) {
+    return trendingCache.postIds;
+  }
+
+  const since = new Date(now.getTime() - TRENDING_WINDOW_HOURS * HOUR_MS);
+  const posts = await feedCandidates.findRecentPublicPosts(since, TRENDING_POOL);
+  const engagement = await feedCandidates.countEngagement(posts.map(post => post.id));
+
+  // Most engaged first, newest first among equals (posts arrive newest first)
+  const postIds = posts
+    .map((post, index) => ({ id: post.id, engagement: engagement.get(post.id) || 0, index }))
+    .sort((a, b) => b.engagement - a.engagement || a.index - b.index)
+    .slice(0, TRENDING_SIZE)
+    .map(post => post.id);
+
+  trendingCache = { at: now, postIds };
+  return postIds;
+};
+
+// Post ids to rank for a user: their store plus trending, without repeats
+const candidateIds = async (userId, now = new Date()) => {
+  await ensureBuilt(userId, now);
+
+  const [stored, trending, followingIds] = await Promise.all([
+    feedCandidates.findForUser(userId, STORE_READ_LIMIT),
+    trendingPostIds(now),
+    users.getFollowingIds(userId)
+  ]);
+
+  // Fan-out and rebuilds only add to the store: posts of authors the user
+  // no longer follows are dropped here, and from the store
+  const authorIds = new Set([userId, ...followingIds]);
+  const stale = stored.filter(candidate => !authorIds.has(candidate.author_id));
+  if (stale.length) {
+    await feedCandidates.removeForUser(userId, stale.map(candidate => candidate.post_id));
+  }
+
+  const followed = stored
+    .filter(candidate => authorIds.has(candidate.author_id))
+    .map(candidate => candidate.post_id);
+
+  return [...new Set([...followed, ...trending])];
+};
+
+// ============================================================================
+// CURSORS
+// ============================================================================
+
+const encodeCursor = (sessionId, offset) => {
+  return Buffer.from(JSON.stringify({ s: sessionId, o: offset })).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { s: sessionId, o: offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof sessionId === 'string' && Number.isInteger(offset) && offset >= 0) {
+      return { sessionId, offset };
+    }
+  } catch (error) {
+    // Fall through to the invalid cursor error
+  }
+
+  throw ApiError.badRequest('Invalid feed cursor');
+};
+
+const nextCursorFor = (sessionId, postIds, end) => {
+  return end < postIds.length ? encodeCursor(sessionId, end) : null;
+};
+
+// Keep the ranked ids of a fresh feed and return the page at `offset`
+const startSession = async (userId, rankedIds, { offset = 0, limit }) => {
+  const postIds = rankedIds.slice(0, MAX_SESSION_POSTS);
+  const sessionId = await feedCandidates.createSession({
+    userId,
+    postIds,
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+  });
+
+  const end = offset + limit;
+  return {
+    postIds: postIds.slice(offset, end),
+    nextCursor: nextCursorFor(sessionId, postIds, end),
+    total: postIds.length
+  };
+};
+
+// The page a cursor points to: { postIds, nextCursor, total }
+const readPage = async (userId, cursor, { limit, now = new Date() }) => {
+  const { sessionId, offset } = decodeCursor(cursor);
+
+  const session = await feedCandidates.findSession(sessionId).catch(() => null);
+  if (!session || session.user_id !== userId) {
+    throw ApiError.badRequest('Invalid feed cursor');
+  }
+  if (new Date(session.expires_at) < now) {
+    throw ApiError.badRequest('Feed cursor expired - load the feed again without a cursor');
+  }
+
+  const end = offset + limit;
+  return {
+    postIds: session.post_ids.slice(offset, end),
+    nextCursor: nextCursorFor(sessionId, session.post_ids, end),
+    total: session.post_ids.length
+  };
+};
+
+// ============================================================================
+// MAINTENANCE
+// ============================================================================
+
+const sweep = async (now = new Date()) => {
+  await feedCandidates.deleteExpiredSessions(now);
+  await feedCandidates.deleteOlderThan(new Date(now.getTime() - RETENTION_DAYS * DAY_MS));
+};
+
+// Sweep expired sessions and old candidates in the background (started by
+// index.js when the server listens)
+const startMaintenance = (intervalMs = MAINTENANCE_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    sweep().catch((error) => {
+      console.error('❌ Feed candidate sweep failed:', error);
+    });
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  fanOut,
+  rebuild,
+  candidateIds,
+  startSession,
+  readPage,
+  sweep,
+  startMaintenance
+};
@@ -0,0 +1,167 @@
+// services/feedDiversity.js
+// Feed Diversity - re-ranking pass run after scoring (services/feedRanking.js)
+// so a feed is not one creator, one content type or one hashtag in a row,
+// and keeps a share of posts from outside the user's bubble.
+//
+// Walking the ranked posts best first, each slot takes the best remaining post
+// that does not:
+//   - make a run of more than maxCreatorRun posts from one creator
+//   - repeat a hashtag more than maxPerHashtag times in hashtagWindow posts
+//   - make a run of more than maxContentTypeRun posts of one content_type
+// and, while out-of-bubble posts are below outOfBubbleShare of the feed, the
+// best fitting out-of-bubble one. When nothing fits, the rules are relaxed
+// from the bottom of that list: posts are only ever moved, never dropped.
+//
+// The bubble is what the user already sees and likes: followed creators (and
+// themselves), passions and positively scored affinity hashtags / content
+// types. Parameters come from config/feedRanking.js (`diversity`).
+//
+//   const bubble = bubbleOf({ userId, followingIds, passions, affinities });
+//   const diversified = rerank(rankedPosts, bubble);
+//   measure(diversified, bubble); // { score: 0.86, creators: 6, max_creator_run: 2, ... }
+
+const rankingConfig = require('../config/feedRanking');
+
+// '#Photography' and 'photography' are the same hashtag
+const tagOf = (tag) => String(tag).toLowerCase().replace(/^#/, '');
+
+const tagsOf = (post) => [...new Set((post.hashtags || []).map(tagOf))];
+
+// 'normal' is what unclassified posts get (routes/posts.js)
+const isClassified = (contentType) => Boolean(contentType) && contentType !== 'normal';
+
+const liked = (dimension) => {
+  return Object.entries(dimension || {})
+    .filter(([, entry]) => entry.score > 0)
+    .map(([key]) => key);
+};
+
+// ============================================================================
+// BUBBLE
+// ============================================================================
+
+const bubbleOf = ({ userId = null, followingIds = [], passions = [], affinities = null }) => ({
+  creators: new Set([userId, ...followingIds].filter(Boolean)),
+  hashtags: new Set([...passions, ...liked(affinities?.hashtags)].map(tagOf)),
+  contentTypes: new Set(liked(affinities?.content_types).filter(isClassified))
+});
+
+const isOutOfBubble = (post, bubble) => {
+  return !bubble.creators.has(post.user_id) &&
+    !bubble.contentTypes.has(post.content_type) &&
+    !tagsOf(post).some(tag => bubble.hashtags.has(tag));
+};
+
+// ============================================================================
+// RE-RANKING
+// ============================================================================
+
+// Length of the run `value` would extend at the end of `placed`
+const runLength = (placed, valueOf, value) => {
+  let run = 0;
+  for (let i = placed.length - 1; i >= 0 && valueOf(placed[i]) === value; i--) run++;
+  return run;
+};
+
+// Spreading rules, most important first
+const RULES = [
+  (post, placed, params) => runLength(placed, p => p.user_id, post.user_id) < params.maxCreatorRun,
+
+  (post, placed, params) => {
+    // The hashtagWindow - 1 posts before this one (none for a window of 1)
+    const start = Math.max(0, placed.length - (params.hashtagWindow - 1));
+    const window = placed.slice(start).flatMap(tagsOf);
+    return !tagsOf(post).some(tag => window.filter(seen => seen === tag).length >= params.maxPerHashtag);
+  },
+
+  (post, placed, params) => !isClassified(post.content_type) ||
+    runLength(placed, p => p.content_type, post.content_type) < params.maxContentTypeRun
+];
+
+// Reorder ranked posts (best first). With `debug` every post carries
+// feed_diversity: { score_rank, out_of_bubble }.
+const rerank = (posts, bubble, { params = rankingConfig.diversity, debug = false } = {}) => {
+  if (!params.enabled) return posts;
+
+  const remaining = posts.map((post, index) => ({ post, index, outside: isOutOfBubble(post, bubble) }));
+  const placed = [];
+  const result = [];
+  let outside = 0;
+
+  while (remaining.length) {
+    const placedPosts = placed.map(entry => entry.post);
+    const needsOutside = outside < Math.floor((placed.length + 1) * params.outOfBubbleShare);
+
+    // Posts that pass every rule; when none do, the least important rules
+    // are dropped one by one
+    let fitting = [];
+    for (let count = RULES.length; count >= 0 && !fitting.length; count--) {
+      const rules = RULES.slice(0, count);
+      fitting = remaining.filter(entry => rules.every(rule => rule(entry.post, placedPosts, params)));
+    }
+
+    const pick = (needsOutside && fitting.find(entry => entry.outside)) || fitting[0];
+
+    remaining.splice(remaining.indexOf(pick), 1);
+    placed.push(pick);
+    if (pick.outside) outside++;
+
+    result.push(debug
+      ? { ...pick.post, feed_diversity: { score_rank: pick.index + 1, out_of_bubble: pick.outside } }
+      : pick.post);
+  }
+
+  return result;
+};
+
+// ============================================================================
+// METRIC
+// ============================================================================
+
+// Shannon entropy of the values over log(count): 1 when every post has its
+// own value, 0 when all share one
+const evenness = (values) => {
+  if (values.length < 2) return 1;
+
+  const counts = {};
+  values.forEach(value => { counts[value] = (counts[value] || 0) + 1; });
+
+  const entropy = Object.values(counts).reduce((sum, count) => {
+    const p = count / values.length;
+    return sum - p * Math.log(p);
+  }, 0);
+
+  return entropy / Math.log(values.length);
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Diversity of a served page, reported as meta.diversity. `score` is the
+// evenness of creators and content types averaged (0 - 1, higher is more varied).
+const measure = (posts, bubble) => {
+  const creators = posts.map(post => post.user_id);
+  const contentTypes = posts.map(post => post.content_type || 'normal');
+  const outside = posts.filter(post => isOutOfBubble(post, bubble)).length;
+
+  let maxCreatorRun = 0;
+  posts.forEach((post, i) => {
+    maxCreatorRun = Math.max(maxCreatorRun, runLength(posts.slice(0, i + 1), p => p.user_id, post.user_id));
+  });
+
+  return {
+    score: round((evenness(creators) + evenness(contentTypes)) / 2),
+    creators: new Set(creators).size,
+    content_types: new Set(contentTypes).size,
+    hashtags: new Set(posts.flatMap(tagsOf)).size,
+    max_creator_run: maxCreatorRun,
+    out_of_bubble: outside,
+    out_of_bubble_share: posts.length ? round(outside / posts.length) : 0
+  };
+};
+
+module.exports = {
+  bubbleOf,
+  isOutOfBubble,
+  rerank,
+  measure
+};
@@ -0,0 +1,291 @@
+// services/feedExperiments.js
+// Feed Ranking Experiments - A/B tests of ranking variants on the
+// personalized and discover feeds.
+//
+// An experiment lists its variants, each with the percent of users it gets
+// and the scorer weights it ranks with (merged over config/feedRanking.js):
+//
+//   { key: 'recency-boost', surfaces: ['personalized'], variants: [
+//       { name: 'control', allocation: 50 },
+//       { name: 'fresh', allocation: 50, weights: { recency: 2 } }
+//   ] }
+//
+// Users are bucketed by a hash of the experiment key and their id, so a user
+// always sees the same variant of an experiment and different experiments
+// split users independently. Allocations may add up to less than 100; the
+// users left over keep the default ranking and are not measured. On the
+// discover feed, which otherwise orders by raw engagement, a variant with
+// weights ranks with the scorer pipeline instead.
+//
+// Every feed page served to a bucketed user is recorded as an exposure. The
+// report (GET /api/feed/experiments/:experimentId/analytics) measures the
+// posts served against feed_interactions - per variant, over distinct
+// user/post impressions:
+//   ctr            - impressions the user reacted to, commented on or shared
+//   long_view_rate - impressions with a long_view
+//   skip_rate      - impressions the user skipped
+// and the lift of each rate over the first (control) variant.
+
+const crypto = require('crypto');
+const feedExperiments = require('../repositories/feedExperiments');
+const feedRanking = require('./feedRanking');
+const rankingConfig = require('../config/feedRanking');
+const { ApiError } = require('../middleware/errors');
+
+const SURFACES = ['personalized', 'discover'];
+
+const STATUSES = ['draft', 'running', 'stopped'];
+
+// status -> statuses it can move to
+const TRANSITIONS = {
+  draft: ['running'],
+  running: ['stopped'],
+  stopped: []
+};
+
+const CLICK_TYPES = ['react', 'comment', 'share'];
+
+// ============================================================================
+// BUCKETING
+// ============================================================================
+
+// Stable bucket 0-99 for a user within an experiment
+const bucketOf = (experimentKey, userId) => {
+  const hash = crypto.createHash('sha256').update(`${experimentKey}:${userId}`).digest();
+  return hash.readUInt32BE(0) % 100;
+};
+
+// The user's variant, or null when their bucket is outside every allocation
+const variantFor = (experiment, userId) => {
+  const bucket = bucketOf(experiment.key, userId);
+
+  let upper = 0;
+  for (const variant of experiment.variants) {
+    upper += variant.allocation;
+    if (bucket < upper) return variant;
+  }
+
+  return null;
+};
+
+// { experiment, variant } for the running experiment on the surface the
+// user is bucketed into, or null
+const assign = async (surface, userId) => {
+  const running = await feedExperiments.findRunning(surface);
+
+  for (const experiment of running) {
+    const variant = variantFor(experiment, userId);
+    if (variant) return { experiment, variant };
+  }
+
+  return null;
+};
+
+// Scorer weights a variant ranks with
+const weightsFor = (variant) => ({ ...rankingConfig.weights, ...(variant?.weights || {}) });
+
+// Best effort: a lost exposure costs one data point, never the feed page
+const recordExposure = async ({ experiment, variant }, { userId, surface, posts }) => {
+  try {
+    await feedExperiments.recordExposure({
+      experimentId: experiment.id,
+      userId,
+      variant: variant.name,
+      surface,
+      postIds: posts.map(post => post.id)
+    });
+  } catch (error) {
+    console.error(`❌ Exposure for ${experiment.key} not recorded:`, error);
+  }
+};
+
+// ============================================================================
+// MANAGING EXPERIMENTS
+// ============================================================================
+
+const checkVariants = (variants) => {
+  const names = new Set();
+  const scorers = feedRanking.scorerNames();
+  let allocated = 0;
+
+  for (const variant of variants) {
+    if (names.has(variant.name)) {
+      throw ApiError.badRequest(`Variant "${variant.name}" is listed twice`);
+    }
+    names.add(variant.name);
+    allocated += variant.allocation;
+
+    for (const [scorer, weight] of Object.entries(variant.weights || {})) {
+      if (!scorers.includes(scorer)) {
+        throw ApiError.badRequest(`Unknown scorer "${scorer}" in variant "${variant.name}"`, { scorers });
+      }
+      if (typeof weight !== 'number' || weight < 0) {
+        throw ApiError.badRequest(`Weight of "${scorer}" in variant "${variant.name}" must be a number of at least 0`);
+      }
+    }
+  }
+
+  if (allocated > 100) {
+    throw ApiError.badRequest(`Variant allocations add up to ${allocated}%, at most 100% can be allocated`);
+  }
+};
+
+const createExperiment = async ({ key, name, description, surfaces = SURFACES, variants, createdBy }) => {
+  checkVariants(variants);
+
+  const experiment = await feedExperiments.create({
+    key,
+    name,
+    description,
+    surfaces,
+    variants,
+    created_by: createdBy
+  });
+
+  console.log(`🧪 Feed experiment created: ${experiment.key} (${variants.map(v => v.name).join(' / ')})`);
+  return experiment;
+};
+
+// Only one running experiment per surface, so every feed page is attributed
+// to a single variant
+const checkSurfacesFree = async (experiment) => {
+  for (const surface of experiment.surfaces) {
+    const running = (await feedExperiments.findRunning(surface)).find(other => other.id !== experiment.id);
+    if (running) {
+      throw ApiError.conflict(`Experiment "${running.key}" is already running on the ${surface} feed`);
+    }
+  }
+};
+
+// Name / description change at any time; surfaces and variants only while
+// the experiment is a draft, so running results are never mixed
+const updateExperiment = async (experimentId, { status, ...fields }) => {
+  const experiment = await feedExperiments.findById(experimentId);
+  if (!experiment) throw ApiError.notFound('Experiment not found');
+
+  if ((fields.surfaces || fields.variants) && experiment.status !== 'draft') {
+    throw ApiError.conflict('Surfaces and variants cannot change once the experiment has started');
+  }
+  if (fields.variants) checkVariants(fields.variants);
+
+  const changes = { ...fields };
+
+  if (status && status !== experiment.status) {
+    if (!TRANSITIONS[experiment.status].includes(status)) {
+      throw ApiError.conflict(`A ${experiment.status} experiment cannot move to ${status}`);
+    }
+
+    if (status === 'running') {
+      await checkSurfacesFree({ ...experiment, ...fields });
+      changes.started_at = new Date().toISOString();
+    } else {
+      changes.stopped_at = new Date().toISOString();
+    }
+    changes.status = status;
+
+    console.log(`🧪 Feed experiment ${experiment.key}: ${experiment.status} -> ${status}`);
+  }
+
+  return feedExperiments.update(experimentId, changes);
+};
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+const rate = (count, total) => (total ? Math.round((count / total) * 1000) / 10 : 0);
+
+const lift = (value, control) => (control ? Math.round(((value - control) / control) * 1000) / 10 : null);
+
+const buildReport = async (experiment) => {
+  const exposures = await feedExperiments.findExposures(experiment.id);
+
+  // user:post -> { variant, servedAt } for the first time the post was served
+  const impressions = new Map();
+  const usersByVariant = {};
+  const exposuresByVariant = {};
+
+  for (const exposure of exposures) {
+    const users = usersByVariant[exposure.variant] || (usersByVariant[exposure.variant] = new Set());
+    users.add(exposure.user_id);
+    exposuresByVariant[exposure.variant] = (exposuresByVariant[exposure.variant] || 0) + 1;
+
+    for (const postId of exposure.post_ids || []) {
+      const key = `${exposure.user_id}:${postId}`;
+      if (!impressions.has(key)) {
+        impressions.set(key, { variant: exposure.variant, servedAt: new Date(exposure.created_at), types: new Set() });
+      }
+    }
+  }
+
+  const userIds = [...new Set(exposures.map(exposure => exposure.user_id))];
+  const interactions = await feedExperiments.findInteractions(userIds, {
+    since: experiment.started_at || experiment.created_at,
+    until: experiment.stopped_at
+  });
+
+  for (const interaction of interactions) {
+    const impression = impressions.get(`${interaction.user_id}:${interaction.post_id}`);
+    if (impression && new Date(interaction.created_at) >= impression.servedAt) {
+      impression.types.add(interaction.interaction_type);
+    }
+  }
+
+  const variants = experiment.variants.map(variant => {
+    const served = [...impressions.values()].filter(impression => impression.variant === variant.name);
+    const clicks = served.filter(impression => CLICK_TYPES.some(type => impression.types.has(type))).length;
+    const longViews = served.filter(impression => impression.types.has('long_view')).length;
+    const skips = served.filter(impression => impression.types.has('skip')).length;
+
+    return {
+      name: variant.name,
+      allocation: variant.allocation,
+      weights: variant.weights || {},
+      users: usersByVariant[variant.name]?.size || 0,
+      exposures: exposuresByVariant[variant.name] || 0,
+      impressions: served.length,
+      clicks,
+      long_views: longViews,
+      skips,
+      ctr: rate(clicks, served.length),
+      long_view_rate: rate(longViews, served.length),
+      skip_rate: rate(skips, served.length)
+    };
+  });
+
+  const [control] = variants;
+  for (const variant of variants) {
+    variant.lift = variant === control ? null : {
+      ctr: lift(variant.ctr, control.ctr),
+      long_view_rate: lift(variant.long_view_rate, control.long_view_rate),
+      skip_rate: lift(variant.skip_rate, control.skip_rate)
+    };
+  }
+
+  return {
+    experiment: {
+      id: experiment.id,
+      key: experiment.key,
+      name: experiment.name,
+      status: experiment.status,
+      surfaces: experiment.surfaces,
+      started_at: experiment.started_at,
+      stopped_at: experiment.stopped_at
+    },
+    control: control?.name || null,
+    variants
+  };
+};
+
+module.exports = {
+  SURFACES,
+  STATUSES,
+  bucketOf,
+  variantFor,
+  assign,
+  weightsFor,
+  recordExposure,
+  createExperiment,
+  updateExperiment,
+  buildReport
+};
@@ -0,0 +1,184 @@
+// services/feedRanking.js
+// Feed Ranking Pipeline - a post's feed_score is the weighted sum of named
+// scorers, each looking at one signal:
+//
+//   recency          newer posts first
+//   engagement       reactions + comments
+//   mood_match       content that fits the mood read from recent reactions
+//   time_of_day      content that suits the part of the day
+//   passion_match    hashtags matching the user's passions
+//   creator_quality  high aura / wisdom creators
+//   safety           crisis and fact-check penalties
+//   affinity         content types, hashtags and creators the user engaged with
+//   skip_penalty     content the user keeps skipping
+//
+// Points and weights come from config/feedRanking.js. Scorers run in the
+// order of SCORERS; new ones are added with registerScorer and get a weight
+// of 1 unless the config says otherwise.
+//
+//   const ranked = rankPosts(posts, { mood, timePreference, passions }, { debug: true });
+//   // ranked[0].feed_score_breakdown.recency -> { points: 20, weight: 1, score: 20 }
+
+const rankingConfig = require('../config/feedRanking');
+
+// ============================================================================
+// SCORERS
+// ============================================================================
+// Each takes (post, context, params) and returns points; negative points are
+// penalties. context: { mood, timePreference, passions, affinities, now }
+// (affinities: the user's user_feed_affinities row, or null)
+
+const recency = (post, { now }, { brackets }) => {
+  const hoursAgo = (now - new Date(post.created_at).getTime()) / (1000 * 60 * 60);
+  const bracket = brackets.find(b => hoursAgo < b.maxHours);
+  return bracket ? bracket.points : 0;
+};
+
+const engagement = (post, context, { perPoints, max }) => {
+  const total = (post.reactions?.total || 0) + (post.comment_count || 0);
+  return Math.min(total / perPoints, max);
+};
+
+const moodMatch = (post, { mood }, { moods, contentTypePoints, reactionPoints }) => {
+  const wants = moods[mood];
+  if (!wants) return 0;
+
+  let points = 0;
+  if (wants.contentTypes.includes(post.content_type)) points += contentTypePoints;
+  if ((post.reactions?.[wants.reaction] || 0) > wants.minReactions) points += reactionPoints;
+  return points;
+};
+
+const timeOfDay = (post, { timePreference }, { contentTypes, points }) => {
+  return (contentTypes[timePreference] || []).includes(post.content_type) ? points : 0;
+};
+
+const passionMatch = (post, { passions }, { pointsPerPassion }) => {
+  const hashtags = post.hashtags || [];
+  const matches = passions.filter(passion => {
+    return hashtags.some(tag => tag.includes(passion.toLowerCase()));
+  });
+  return matches.length * pointsPerPassion;
+};
+
+const creatorQuality = (post, context, params) => {
+  let points = 0;
+  if (post.users?.aura_score > params.auraThreshold) points += params.auraPoints;
+  if (post.users?.wisdom_score > params.wisdomThreshold) points += params.wisdomPoints;
+  return points;
+};
+
+const safety = (post, context, { crisisPenalty, factCheckPenalty }) => {
+  let points = 0;
+  if (post.is_crisis) points -= crisisPenalty;
+  if (post.needs_fact_check) points -= factCheckPenalty;
+  return points;
+};
+
+const affinity = (post, { affinities }, params) => {
+  if (!affinities) return 0;
+
+  const scoreOf = (dimension, key) => affinities[dimension]?.[key]?.score || 0;
+
+  const hashtags = (post.hashtags || []).map(tag => String(tag).toLowerCase())
+    .filter(tag => affinities.hashtags?.[tag]);
+  const hashtagScore = hashtags.length
+    ? hashtags.reduce((sum, tag) => sum + scoreOf('hashtags', tag), 0) / hashtags.length
+    : 0;
+
+  return scoreOf('content_types', post.content_type) * params.contentTypePoints +
+    hashtagScore * params.hashtagPoints +
+    scoreOf('creators', post.user_id) * params.creatorPoints;
+};
+
+const skipPenalty = (post, { affinities }, { points, minEvents, minSkipRate }) => {
+  if (!affinities) return 0;
+
+  const seen = [
+    affinities.creators?.[post.user_id],
+    affinities.content_types?.[post.content_type],
+    ...(post.hashtags || []).map(tag => affinities.hashtags?.[String(tag).toLowerCase()])
+  ].filter(entry => entry && entry.events >= minEvents);
+
+  const worst = Math.max(0, ...seen.map(entry => entry.skip_rate));
+  return worst >= minSkipRate ? -points * worst : 0;
+};
+
+const SCORERS = [
+  { name: 'recency', score: recency },
+  { name: 'engagement', score: engagement },
+  { name: 'mood_match', score: moodMatch },
+  { name: 'time_of_day', score: timeOfDay },
+  { name: 'passion_match', score: passionMatch },
+  { name: 'creator_quality', score: creatorQuality },
+  { name: 'safety', score: safety },
+  { name: 'affinity', score: affinity },
+  { name: 'skip_penalty', score: skipPenalty }
+];
+
+// Add a scorer to the pipeline (replaces one with the same name)
+const registerScorer = (name, score, params = {}) => {
+  const existing = SCORERS.findIndex(scorer => scorer.name === name);
+  const scorer = { name, score, params };
+
+  if (existing >= 0) SCORERS[existing] = scorer;
+  else SCORERS.push(scorer);
+};
+
+const scorerNames = () => SCORERS.map(scorer => scorer.name);
+
+// ============================================================================
+// PIPELINE
+// ============================================================================
+
+const weightOf = (name, weights) => weights[name] ?? 1;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// { score, breakdown: { [scorer]: { points, weight, score } } }
+const scorePost = (post, context, { weights = rankingConfig.weights } = {}) => {
+  const breakdown = {};
+  let total = 0;
+
+  for (const scorer of SCORERS) {
+    const weight = weightOf(scorer.name, weights);
+    if (weight === 0) continue;
+
+    const params = rankingConfig.scorers[scorer.name] || scorer.params;
+    const points = scorer.score(post, context, params);
+    const weighted = points * weight;
+
+    breakdown[scorer.name] = { points: round(points), weight, score: round(weighted) };
+    total += weighted;
+  }
+
+  return { score: Math.max(0, round(total)), breakdown };
+};
+
+// Score and sort posts, best first. With `debug` every post carries its
+// per-scorer breakdown as feed_score_breakdown.
+const rankPosts = (posts, context, { weights = rankingConfig.weights, debug = false } = {}) => {
+  const fullContext = { now: Date.now(), passions: [], affinities: null, ...context };
+
+  const scored = posts.map(post => {
+    const { score, breakdown } = scorePost(post, fullContext, { weights });
+    return debug
+      ? { ...post, feed_score: score, feed_score_breakdown: breakdown }
+      : { ...post, feed_score: score };
+  });
+
+  return scored.sort((a, b) => b.feed_score - a.feed_score);
+};
+
+// Effective weight of every scorer, for debug output
+const effectiveWeights = (weights = rankingConfig.weights) => {
+  return Object.fromEntries(SCORERS.map(scorer => [scorer.name, weightOf(scorer.name, weights)]));
+};
+
+module.exports = {
+  registerScorer,
+  scorerNames,
+  scorePost,
+  rankPosts,
+  effectiveWeights
+};
@@ -0,0 +1,110 @@
+// services/helperMatching.js
+// Crisis Helper Matching - picks which Good Aura helpers (800+ aura) a crisis
+// case is sent to, instead of the first rows of user_scores.
+//
+//   const helpers = await rankHelpers(alert, { limit: 10, excludeIds });
+//   // [{ user_id, score, online: true, language_match: true, open_cases: 0, ... }]
+//
+// Ranking signals, strongest first:
+//   - online now (socket `activeUsers` map, socket/presence.js)
+//   - speaks the language the case was written in (crisis_alerts.language)
+//   - inside one of their opt-in availability windows
+//   - earlier responses that resolved a case (crisis_responses)
+//   - fewest cases currently assigned to them
+// Aura breaks ties. Helpers who paused alerts, are outside every window they
+// set, or are at their case limit are not matched at all. Helpers without a
+// crisis_helper_profiles row count as English-speaking, unscheduled and
+// limited to DEFAULT_MAX_OPEN_CASES.
+
+const userScores = require('../repositories/userScores');
+const crisisHelpers = require('../repositories/crisisHelpers');
+const presence = require('../socket/presence');
+const { localTime, inWindow } = require('./timezones');
+
+// Good Aura helpers considered per case before ranking
+const CANDIDATE_POOL = 200;
+
+const DEFAULT_MAX_OPEN_CASES = 3;
+const DEFAULT_LANGUAGES = ['en'];
+
+const WEIGHTS = {
+  online: 40,
+  language: 25,
+  inWindow: 10,
+  perResolved: 5,
+  maxResolved: 25,
+  perOpenCase: 15
+};
+
+// ============================================================================
+// AVAILABILITY WINDOWS
+// ============================================================================
+
+// 'paused' | 'in_window' | 'out_of_window' | 'unscheduled'
+const availabilityOf = (profile, now = new Date()) => {
+  if (!profile) return 'unscheduled';
+  if (!profile.is_available) return 'paused';
+
+  const windows = profile.availability_windows || [];
+  if (!windows.length) return 'unscheduled';
+
+  const local = localTime(now, profile.timezone);
+  return windows.some(window => inWindow(window, local)) ? 'in_window' : 'out_of_window';
+};
+
+// ============================================================================
+// RANKING
+// ============================================================================
+
+const scoreOf = (candidate) => {
+  return (candidate.online ? WEIGHTS.online : 0) +
+    (candidate.language_match ? WEIGHTS.language : 0) +
+    (candidate.availability === 'in_window' ? WEIGHTS.inWindow : 0) +
+    Math.min(WEIGHTS.maxResolved, candidate.resolved_responses * WEIGHTS.perResolved) -
+    candidate.open_cases * WEIGHTS.perOpenCase;
+};
+
+// Best-matched helpers for a case, best first
+const rankHelpers = async (alert, { limit = 10, excludeIds = [], now = new Date() } = {}) => {
+  const pool = await userScores.findGoodAuraHelpers(CANDIDATE_POOL, { excludeIds });
+  const userIds = pool.map(helper => helper.user_id);
+
+  const [profiles, openCases, resolved] = await Promise.all([
+    crisisHelpers.findProfiles(userIds),
+    crisisHelpers.countOpenCases(userIds),
+    crisisHelpers.countResolvedResponses(userIds)
+  ]);
+
+  const profileOf = new Map(profiles.map(profile => [profile.user_id, profile]));
+
+  return pool
+    .map((helper) => {
+      const profile = profileOf.get(helper.user_id);
+      const languages = profile?.languages || DEFAULT_LANGUAGES;
+
+      const candidate = {
+        user_id: helper.user_id,
+        aura_score: helper.aura_score,
+        online: presence.isOnline(helper.user_id),
+        language_match: !!alert.language && languages.includes(alert.language),
+        availability: availabilityOf(profile, now),
+        open_cases: openCases[helper.user_id] || 0,
+        max_open_cases: profile?.max_open_cases || DEFAULT_MAX_OPEN_CASES,
+        resolved_responses: resolved[helper.user_id] || 0
+      };
+
+      candidate.score = scoreOf(candidate);
+      return candidate;
+    })
+    .filter(candidate => candidate.availability !== 'paused' &&
+      candidate.availability !== 'out_of_window' &&
+      candidate.open_cases < candidate.max_open_cases)
+    .sort((a, b) => b.score - a.score || b.aura_score - a.aura_score)
+    .slice(0, limit);
+};
+
+module.exports = {
+  WEIGHTS,
+  availabilityOf,
+  rankHelpers
+};
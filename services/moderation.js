@@ -0,0 +1,200 @@
+// services/moderation.js
+// Content Safety Engine - the one place user-generated text is scored for
+// crisis signals (self-harm, violence, depression) and misinformation.
+// Used by posts, silent reposts, comments, chat messages (REST + socket) and
+// live-stream comments.
+//
+//   const moderation = await analyzeText('Saya dah penat hidup');
+//   // { score: 50, severity: 'medium', isCrisis: true, crisisType: 'depression', ... }
+//
+// Term lists live in the moderation_terms table (English and Malay seeded by
+// db/migrations/0012_moderation.sql) and are cached for TERMS_TTL_MS.
+// Matching is done on normalized words, so punctuation, apostrophes and common
+// Malay short forms ("x nak", "nk mati") do not hide a match. A term preceded
+// by a negation in the same clause ("I don't want to die", "saya tak nak mati")
+// is reported under `negated` and does not count towards the score.
+
+const moderationTerms = require('../repositories/moderationTerms');
+
+const TERMS_TTL_MS = 60 * 1000;
+
+const CRISIS_CATEGORIES = ['self_harm', 'violence', 'depression'];
+
+// A category score at or above this flags the content
+const FLAG_THRESHOLD = 40;
+
+// How far before a term a negation still applies (in words)
+const NEGATION_WINDOW = 3;
+
+const NEGATIONS = new Set([
+  // English (apostrophes are stripped before matching)
+  'not', 'no', 'never', 'dont', 'doesnt', 'didnt', 'wont', 'cant', 'cannot', 'isnt', 'arent', 'aint',
+  // Malay
+  'tak', 'tidak', 'bukan', 'jangan', 'takkan', 'tiada', 'tanpa'
+]);
+
+// Malay short forms used in chat, mapped to the words the term lists use
+const SHORT_FORMS = {
+  x: 'tak',
+  tk: 'tak',
+  tak: 'tak',
+  nk: 'nak',
+  nak: 'nak',
+  mau: 'mahu',
+  dh: 'dah',
+  org: 'orang',
+  sy: 'saya',
+  sape: 'siapa',
+  sapa: 'siapa'
+};
+
+// Clause boundaries - a negation never reaches across these
+const CLAUSE_BREAK = /[.!?;,\n]+|\b(?:but|tapi|tetapi|namun)\b/i;
+
+// ============================================================================
+// NORMALIZATION
+// ============================================================================
+
+const toWords = (text) => {
+  return text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['’`]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map(word => SHORT_FORMS[word] || word);
+};
+
+// ============================================================================
+// TERM CACHE
+// ============================================================================
+
+let cache = { terms: null, loadedAt: 0 };
+
+const loadTerms = async () => {
+  if (cache.terms && Date.now() - cache.loadedAt < TERMS_TTL_MS) {
+    return cache.terms;
+  }
+
+  const rows = await moderationTerms.findActive();
+  const terms = rows
+    .map(row => ({ ...row, words: toWords(row.term) }))
+    .filter(term => term.words.length > 0);
+
+  cache = { terms, loadedAt: Date.now() };
+  return terms;
+};
+
+// Drop the cached lists (after editing moderation_terms)
+const reloadTerms = () => {
+  cache = { terms: null, loadedAt: 0 };
+};
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+const findAt = (words, termWords) => {
+  const positions = [];
+
+  for (let i = 0; i + termWords.length <= words.length; i++) {
+    if (termWords.every((word, j) => words[i + j] === word)) positions.push(i);
+  }
+
+  return positions;
+};
+
+const isNegated = (words, position) => {
+  return words
+    .slice(Math.max(0, position - NEGATION_WINDOW), position)
+    .some(word => NEGATIONS.has(word));
+};
+
+// Strongest match decides, every further match adds a little
+const scoreOf = (matches) => {
+  if (matches.length === 0) return 0;
+
+  const weights = matches.map(match => match.weight).sort((a, b) => b - a);
+  return Math.min(100, weights[0] + 10 * (weights.length - 1));
+};
+
+const severityOf = (score) => {
+  if (score >= 80) return 'critical';
+  if (score >= 60) return 'high';
+  if (score >= FLAG_THRESHOLD) return 'medium';
+  if (score > 0) return 'low';
+  return 'none';
+};
+
+// Flagged categories; several weaker crisis signals together flag their strongest category
+const labelsOf = (categoryScores, crisisType) => {
+  const labels = Object.keys(categoryScores).filter(category => categoryScores[category] >= FLAG_THRESHOLD);
+  if (crisisType && !labels.includes(crisisType)) labels.push(crisisType);
+  return labels;
+};
+
+// ============================================================================
+// ANALYZE
+// ============================================================================
+
+const analyzeText = async (text) => {
+  const terms = await loadTerms();
+  const matches = [];
+  const negated = [];
+
+  for (const clause of String(text || '').split(CLAUSE_BREAK)) {
+    if (!clause) continue;
+    const words = toWords(clause);
+
+    for (const term of terms) {
+      for (const position of findAt(words, term.words)) {
+        const match = { term: term.term, category: term.category, language: term.language, weight: term.weight };
+        (isNegated(words, position) ? negated : matches).push(match);
+      }
+    }
+  }
+
+  matches.sort((a, b) => b.weight - a.weight);
+
+  const categoryScores = {};
+  for (const category of new Set(matches.map(match => match.category))) {
+    categoryScores[category] = scoreOf(matches.filter(match => match.category === category));
+  }
+
+  const crisisMatches = matches.filter(match => CRISIS_CATEGORIES.includes(match.category));
+  const crisisScore = scoreOf(crisisMatches);
+  const misinformationScore = categoryScores.misinformation || 0;
+
+  const crisisType = CRISIS_CATEGORIES
+    .filter(category => categoryScores[category])
+    .sort((a, b) => categoryScores[b] - categoryScores[a])[0] || null;
+
+  return {
+    score: Math.max(crisisScore, misinformationScore),
+    severity: severityOf(crisisScore),
+    isCrisis: crisisScore >= FLAG_THRESHOLD,
+    crisisType,
+    crisisScore,
+    keyword: crisisMatches[0]?.term || null,
+    isMisinformation: misinformationScore >= FLAG_THRESHOLD,
+    misinformationScore,
+    labels: labelsOf(categoryScores, crisisScore >= FLAG_THRESHOLD ? crisisType : null),
+    languages: [...new Set(matches.map(match => match.language))],
+    matches,
+    negated
+  };
+};
+
+// Columns stored with the content (wisdom_clips, comments, messages, stream_comments)
+const toColumns = (moderation) => ({
+  moderation_score: moderation.score,
+  moderation_labels: moderation.labels
+});
+
+module.exports = {
+  analyzeText,
+  toColumns,
+  reloadTerms,
+  FLAG_THRESHOLD
+};
@@ -0,0 +1,244 @@
+// services/postDrafts.js
+// Drafts & Scheduled Posts - content prepared ahead of time. A draft is
+// stored but not visible anywhere; giving it a publish time schedules it, and
+// the scheduler publishes it through the same path as POST /api/posts/create
+// (services/postPublishing.js: hashtags, crisis / misinformation detection,
+// feed fan-out).
+//
+//   draft <-> scheduled -> publishing -> published
+//     \          \             \-> failed (publishing raised an error)
+//      \----------\-> cancelled
+//
+// Only drafts and scheduled posts can be edited, rescheduled, published now or
+// cancelled. The scheduler claims a post (scheduled -> publishing) before
+// publishing it, so the author editing or cancelling at the same moment, or a
+// second server, cannot publish it twice. Posts carry the draft they came from
+// (wisdom_clips.draft_id): a draft whose post exists is published whatever
+// failed afterwards, and drafts stuck in publishing are reclaimed.
+
+const postDrafts = require('../repositories/postDrafts');
+const wisdomClips = require('../repositories/wisdomClips');
+const postPublishing = require('./postPublishing');
+const timezones = require('./timezones');
+const { ApiError } = require('../middleware/errors');
+
+const STATUSES = ['draft', 'scheduled', 'publishing', 'published', 'cancelled', 'failed'];
+const EDITABLE = ['draft', 'scheduled'];
+
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.POST_SCHEDULER_INTERVAL_MS, 10) || 60 * 1000;
+const SCHEDULER_BATCH = 50;
+
+// A draft claimed for publishing longer ago than this was abandoned mid-publish
+const PUBLISHING_TIMEOUT_MS = parseInt(process.env.POST_PUBLISHING_TIMEOUT_MS, 10) || 10 * 60 * 1000;
+
+// publish_at as an ISO instant; a time without an offset is read in the
+// author's timezone. Must be in the future.
+const resolvePublishAt = (value, timezone, now = new Date()) => {
+  const publishAt = timezones.toUtc(value, timezone);
+  if (new Date(publishAt) <= now) {
+    throw ApiError.badRequest('publishAt must be in the future');
+  }
+  return publishAt;
+};
+
+const assertEditable = (draft) => {
+  if (!EDITABLE.includes(draft.status)) {
+    throw ApiError.conflict(`A ${draft.status} post can no longer be changed`);
+  }
+};
+
+// A draft's caption can be cleared while it is worked on, but posts need one
+// (as with POST /api/posts/create)
+const assertPublishable = (caption) => {
+  if (!caption.trim()) {
+    throw ApiError.badRequest('Add a caption before publishing or scheduling this post');
+  }
+};
+
+// ============================================================================
+// DRAFTS
+// ============================================================================
+
+const createDraft = async (userId, { caption, mediaUrl, mediaType, visibility, publishAt }, { timezone }) => {
+  const publish_at = publishAt ? resolvePublishAt(publishAt, timezone) : null;
+  if (publish_at) assertPublishable(caption);
+
+  const draft = await postDrafts.create({
+    user_id: userId,
+    caption,
+    media_url: mediaUrl || null,
+    media_type: mediaType || 'text',
+    visibility: visibility || 'public',
+    status: publish_at ? 'scheduled' : 'draft',
+    publish_at
+  });
+
+  console.log(publish_at ? `🗓️ Post scheduled for ${publish_at}: ${draft.id}` : `📝 Draft saved: ${draft.id}`);
+  return draft;
+};
+
+// Edit content and / or reschedule. A field sent as null (or '') is cleared:
+// mediaUrl: null removes the media, publishAt: null turns a scheduled post
+// back into a draft, mediaType / visibility go back to their defaults.
+const updateDraft = async (draft, fields, { timezone }) => {
+  assertEditable(draft);
+
+  const changes = {};
+  if (fields.caption !== undefined) changes.caption = fields.caption || '';
+  if (fields.mediaUrl !== undefined) changes.media_url = fields.mediaUrl || null;
+  if (fields.mediaType !== undefined) changes.media_type = fields.mediaType || 'text';
+  if (fields.visibility !== undefined) changes.visibility = fields.visibility || 'public';
+
+  if (fields.publishAt !== undefined) {
+    changes.publish_at = fields.publishAt ? resolvePublishAt(fields.publishAt, timezone) : null;
+    changes.status = changes.publish_at ? 'scheduled' : 'draft';
+  }
+
+  if ((changes.status || draft.status) === 'scheduled') {
+    assertPublishable(changes.caption ?? draft.caption);
+  }
+
+  const updated = await postDrafts.updateIfStatus(draft.id, EDITABLE, changes);
+  if (!updated) {
+    throw ApiError.conflict('This post is already being published');
+  }
+  return updated;
+};
+
+const cancelDraft = async (draft) => {
+  assertEditable(draft);
+
+  const cancelled = await postDrafts.updateIfStatus(draft.id, EDITABLE, { status: 'cancelled' });
+  if (!cancelled) {
+    throw ApiError.conflict('This post is already being published');
+  }
+  return cancelled;
+};
+
+// ============================================================================
+// PUBLISHING
+// ============================================================================
+
+// Record the post a claimed draft was published as
+const markPublished = (draftId, post) => {
+  return postDrafts.updateIfStatus(draftId, ['publishing'], {
+    status: 'published',
+    post_id: post.id,
+    published_at: post.created_at,
+    error: null
+  });
+};
+
+// Claim a draft in one of `fromStatuses` and publish it:
+// { draft, post, safety, crisis }, or null when it was claimed elsewhere
+const publishDraft = async (draft, fromStatuses) => {
+  const claimed = await postDrafts.updateIfStatus(draft.id, fromStatuses, { status: 'publishing' });
+  if (!claimed) return null;
+
+  try {
+    const { post, safety, crisis } = await postPublishing.publishPost({
+      userId: claimed.user_id,
+      caption: claimed.caption,
+      mediaUrl: claimed.media_url,
+      mediaType: claimed.media_type,
+      visibility: claimed.visibility,
+      draftId: claimed.id
+    });
+
+    const published = await markPublished(claimed.id, post);
+    return { draft: published, post, safety, crisis };
+  } catch (error) {
+    // publishPost only throws before the post exists, but the insert may have
+    // gone through (e.g. a lost connection, or a reclaimed draft published
+    // twice hitting the draft_id unique index)
+    const post = await wisdomClips.findByDraft(claimed.id);
+    if (!post) {
+      await postDrafts.updateIfStatus(claimed.id, ['publishing'], { status: 'failed', error: error.message });
+      throw error;
+    }
+
+    const published = await markPublished(claimed.id, post);
+    const safety = { isCrisis: post.is_crisis, isMisinformation: post.needs_fact_check };
+    return { draft: published, post, safety, crisis: null };
+  }
+};
+
+// Drafts left in 'publishing' for longer than PUBLISHING_TIMEOUT_MS (the
+// server stopped mid-publish): published if the post exists, else scheduled
+// again so this run publishes them
+const reclaimStuck = async (now) => {
+  const stuck = await postDrafts.findStuckPublishing(new Date(now.getTime() - PUBLISHING_TIMEOUT_MS), SCHEDULER_BATCH);
+
+  for (const draft of stuck) {
+    const post = await wisdomClips.findByDraft(draft.id);
+    if (post) {
+      await markPublished(draft.id, post);
+    } else {
+      // No publish_at when the author hit publish now: due straight away
+      await postDrafts.updateIfStatus(draft.id, ['publishing'], {
+        status: 'scheduled',
+        publish_at: draft.publish_at || now.toISOString()
+      });
+    }
+    console.warn(`⚠️ Reclaimed post draft ${draft.id} stuck in publishing (${post ? 'published' : 'rescheduled'})`);
+  }
+
+  return stuck.length;
+};
+
+// Publish a draft or scheduled post right away
+const publishNow = async (draft) => {
+  assertEditable(draft);
+  assertPublishable(draft.caption);
+
+  const result = await publishDraft(draft, EDITABLE);
+  if (!result) {
+    throw ApiError.conflict('This post is already being published');
+  }
+  return result;
+};
+
+// Publish every scheduled post whose time has come
+const publishDue = async (now = new Date()) => {
+  await reclaimStuck(now);
+
+  const due = await postDrafts.findDue(now, SCHEDULER_BATCH);
+  const summary = { published: 0, failed: 0 };
+
+  for (const draft of due) {
+    try {
+      if (await publishDraft(draft, ['scheduled'])) summary.published++;
+    } catch (error) {
+      summary.failed++;
+      console.error(`❌ Scheduled post ${draft.id} failed to publish:`, error);
+    }
+  }
+
+  if (summary.published || summary.failed) {
+    console.log(`🗓️ Scheduled posts: ${summary.published} published, ${summary.failed} failed`);
+  }
+
+  return summary;
+};
+
+// Run the scheduler in the background (started by index.js when the server listens)
+const startScheduler = (intervalMs = SCHEDULER_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    publishDue().catch((error) => {
+      console.error('❌ Post scheduler failed:', error);
+    });
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  STATUSES,
+  createDraft,
+  updateDraft,
+  cancelDraft,
+  publishNow,
+  publishDue,
+  startScheduler
+};
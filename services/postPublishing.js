@@ -0,0 +1,81 @@
+// services/postPublishing.js
+// Post Publishing - what every new normal post goes through, whether it is
+// posted now (POST /api/posts/create) or published later from a draft by the
+// scheduler (services/postDrafts.js):
+//   1. hashtags extracted from the caption
+//   2. crisis / misinformation detection (services/moderation.js)
+//   3. a crisis case opened for crisis content
+//   4. fan-out to followers' feed candidates (services/feedCandidates.js, best
+//      effort)
+
+const wisdomClips = require('../repositories/wisdomClips');
+const crisisCases = require('./crisisCases');
+const feedCandidates = require('./feedCandidates');
+const moderation = require('./moderation');
+
+// Extract hashtags from content
+const extractHashtags = (content) => {
+  const hashtagRegex = /#[\w]+/g;
+  const hashtags = content.match(hashtagRegex) || [];
+  return hashtags.map(tag => tag.toLowerCase());
+};
+
+// wisdom_clips.content_type from the moderation result
+const contentTypeOf = (safety) => {
+  if (safety.isCrisis) return 'crisis';
+  if (safety.isMisinformation) return 'misinformation';
+  return 'normal';
+};
+
+// Create and process a post: { post, safety, crisis } (crisis: the case
+// opened for crisis content, else null). `draftId` links a post published from
+// a draft. Only throws when the post was not created: what runs after the
+// insert logs its failures instead.
+const publishPost = async ({ userId, caption, mediaUrl, mediaType, visibility, draftId = null }) => {
+  const hashtags = extractHashtags(caption);
+  const safety = await moderation.analyzeText(caption);
+
+  const post = await wisdomClips.create({
+    user_id: userId,
+    caption: caption,
+    media_url: mediaUrl,
+    media_type: mediaType || 'text',
+    hashtags: hashtags,
+    visibility: visibility || 'public',
+    post_type: 'normal',
+    draft_id: draftId,
+    content_type: contentTypeOf(safety),
+    is_crisis: safety.isCrisis,
+    needs_fact_check: safety.isMisinformation,
+    ...moderation.toColumns(safety)
+  });
+
+  // If crisis detected, open a case and point the author to local support.
+  // The post is live either way: a case failing to open must not look like a
+  // failed post (the client would retry and post it twice)
+  let crisis = null;
+  if (safety.isCrisis) {
+    try {
+      crisis = await crisisCases.openFromModeration(safety, { userId, postId: post.id, content: caption });
+    } catch (error) {
+      console.error('❌ Crisis alert error:', error);
+    }
+  }
+
+  // Push it into followers' personalized feed candidates. Best effort: the
+  // post exists either way (failing here would make the client retry and post
+  // it twice), and feeds rebuild missing candidates from follows
+  try {
+    await feedCandidates.fanOut(post);
+  } catch (error) {
+    console.error(`❌ Feed fan-out failed for post ${post.id}:`, error);
+  }
+
+  return { post, safety, crisis };
+};
+
+module.exports = {
+  extractHashtags,
+  contentTypeOf,
+  publishPost
+};
@@ -0,0 +1,154 @@
+// services/timezones.js
+// User Timezones - the IANA timezone a user's "morning", "today" and
+// "7pm" mean, instead of the server clock.
+//
+// A request's timezone is, first valid wins:
+//   1. the X-Timezone header the client sends (e.g. 'Asia/Kuala_Lumpur')
+//   2. users.timezone on the profile (PUT /api/users/:userId)
+//   3. DEFAULT_TIMEZONE
+//
+//   const timezone = await timezones.forUser(userId, req);
+//   timezones.localTime(new Date(), timezone);   // { day: 1, hour: 20, minutes: 1230, date: '2026-10-19' }
+//   timezones.toUtc('2026-11-01T19:00', timezone); // '2026-11-01T11:00:00.000Z'
+
+const users = require('../repositories/users');
+
+const DEFAULT_TIMEZONE = 'Asia/Kuala_Lumpur';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Date-times that already carry their offset ('Z', '+08:00', '-0500')
+const HAS_OFFSET = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// First valid timezone among the candidates, else the default
+const resolve = (...candidates) => candidates.find(isValidTimezone) || DEFAULT_TIMEZONE;
+
+const forUser = async (userId, req = null) => {
+  const requested = req?.get('X-Timezone');
+  if (isValidTimezone(requested)) return requested;
+
+  const user = userId ? await users.findById(userId, 'timezone') : null;
+  return resolve(user?.timezone);
+};
+
+// ============================================================================
+// LOCAL TIME
+// ============================================================================
+
+// Wall clock parts of `when` in the timezone
+const partsOf = (when, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: resolve(timezone),
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(when));
+
+  const part = (type) => parts.find(p => p.type === type).value;
+  return {
+    weekday: part('weekday'),
+    year: part('year'),
+    month: part('month'),
+    day: part('day'),
+    hour: Number(part('hour')),
+    minute: Number(part('minute')),
+    second: Number(part('second'))
+  };
+};
+
+// Day of week (0 = Sunday), hour, minute of day and local date
+const localTime = (when, timezone) => {
+  const parts = partsOf(when, timezone);
+  return {
+    day: WEEKDAYS.indexOf(parts.weekday),
+    hour: parts.hour,
+    minutes: parts.hour * 60 + parts.minute,
+    date: `${parts.year}-${parts.month}-${parts.day}`
+  };
+};
+
+// 'YYYY-MM-DD' of the day `when` falls on in the timezone
+const localDate = (when, timezone) => localTime(when, timezone).date;
+
+// 'YYYY-MM-DDTHH:MM' wall clock time, for showing event times
+const localDateTime = (when, timezone) => {
+  const parts = partsOf(when, timezone);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${parts.year}-${parts.month}-${parts.day}T${pad(parts.hour)}:${pad(parts.minute)}`;
+};
+
+// Minutes the timezone is ahead of UTC at `when`
+const offsetMinutes = (when, timezone) => {
+  const parts = partsOf(when, timezone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(new Date(when).getTime() / 1000) * 1000) / 60000);
+};
+
+// ISO instant for a date-time; one without an offset ('2026-11-01T19:00') is
+// read as wall clock time in the timezone
+const toUtc = (value, timezone) => {
+  if (HAS_OFFSET.test(value) || !/T\d{2}:\d{2}/.test(value)) {
+    return new Date(value).toISOString();
+  }
+
+  const wallClock = new Date(`${value}Z`).getTime();
+  const guess = wallClock - offsetMinutes(wallClock, timezone) * 60000;
+  // Across a DST change the offset at the guess can differ from the one at
+  // the wall clock time; the second pass settles on the right side
+  const instant = wallClock - offsetMinutes(guess, timezone) * 60000;
+
+  return new Date(instant).toISOString();
+};
+
+// ============================================================================
+// WINDOWS
+// ============================================================================
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Whether local time { day, minutes } falls in a { start: 'HH:MM', end: 'HH:MM',
+// days? } window. A window may run past midnight ("22:00" - "07:00"); the
+// early hours then belong to the day after one of its days.
+const inWindow = (window, { day, minutes }) => {
+  const start = toMinutes(window.start);
+  const end = toMinutes(window.end);
+  const days = window.days || [0, 1, 2, 3, 4, 5, 6];
+
+  if (start <= end) {
+    return days.includes(day) && minutes >= start && minutes < end;
+  }
+
+  return (days.includes(day) && minutes >= start) ||
+    (days.includes((day + 6) % 7) && minutes < end);
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  resolve,
+  forUser,
+  localTime,
+  localDate,
+  localDateTime,
+  toUtc,
+  inWindow
+};
@@ -1,22 +1,39 @@
-const { createClient } = require('@supabase/supabase-js');
+const { supabase } = require('../config/database');
+const { verifyAccessToken } = require('../config/auth');
+const moderation = require('../services/moderation');
+const crisisCases = require('../services/crisisCases');
+const conversations = require('../repositories/conversations');
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
-
-// Store active users
-const activeUsers = new Map(); // userId -> socketId
-const userSockets = new Map(); // socketId -> userId
+// Active users (shared with the rest of the app, see socket/presence.js)
+const { activeUsers, userSockets } = require('./presence');
 
 function initChatSocket(io) {
+  // Authenticate the handshake: clients connect with { auth: { token } }
+  io.use((socket, next) => {
+    const token = socket.handshake.auth?.token;
+
+    if (!token) {
+      return next(new Error('Authentication required'));
+    }
+
+    try {
+      const payload = verifyAccessToken(token);
+      socket.userId = payload.sub;
+      next();
+    } catch (error) {
+      next(new Error('Invalid access token'));
+    }
+  });
+
   io.on('connection', (socket) => {
     console.log('💬 User connected:', socket.id);
 
     // ========================================================================
     // USER CONNECT
     // ========================================================================
-    socket.on('user:connect', (userId) => {
+    socket.on('user:connect', () => {
+      const userId = socket.userId;
+
       activeUsers.set(userId, socket.id);
       userSockets.set(socket.id, userId);
       
@@ -29,9 +46,21 @@ function initChatSocket(io) {
     // ========================================================================
     // JOIN CONVERSATION
     // ========================================================================
-    socket.on('conversation:join', (conversationId) => {
-      socket.join(conversationId);
-      console.log(`📥 Socket ${socket.id} joined conversation ${conversationId}`);
+    // Only participants get a conversation's messages live (support chats
+    // are private to the at-risk user and their helper)
+    socket.on('conversation:join', async (conversationId) => {
+      try {
+        if (!await conversations.isParticipant(conversationId, socket.userId)) {
+          socket.emit('error', { message: 'You are not a participant of this conversation' });
+          return;
+        }
+
+        socket.join(conversationId);
+        console.log(`📥 Socket ${socket.id} joined conversation ${conversationId}`);
+      } catch (error) {
+        console.error('❌ Join conversation error:', error);
+        socket.emit('error', { message: 'Failed to join conversation' });
+      }
     });
 
     // ========================================================================
@@ -46,11 +75,21 @@ function initChatSocket(io) {
     // SEND MESSAGE
     // ========================================================================
     socket.on('message:send', async (data) => {
+      const { conversationId, content, messageType, attachmentUrl } = data || {};
+      const senderId = socket.userId;
+      let safety;
+      let message;
+
       try {
-        const { conversationId, senderId, content, messageType, attachmentUrl } = data;
+        if (!await conversations.isParticipant(conversationId, senderId)) {
+          socket.emit('error', { message: 'You are not a participant of this conversation' });
+          return;
+        }
+
+        safety = await moderation.analyzeText(content);
 
         // Save message to database
-        const { data: message, error } = await supabase
+        const { data: saved, error } = await supabase
           .from('messages')
           .insert({
             conversation_id: conversationId,
@@ -58,12 +97,14 @@ function initChatSocket(io) {
             content: content,
             message_type: messageType || 'text',
             attachment_url: attachmentUrl,
-            read: false
+            read: false,
+            ...moderation.toColumns(safety)
           })
           .select()
           .single();
 
         if (error) throw error;
+        message = saved;
 
         // Update conversation
         await supabase
@@ -78,6 +119,25 @@ function initChatSocket(io) {
       } catch (error) {
         console.error('❌ Send message error:', error);
         socket.emit('error', { message: 'Failed to send message' });
+        return;
+      }
+
+      // The message is delivered; a crisis case failing to open must not look
+      // like a failed send to the client
+      if (!safety.isCrisis) return;
+
+      try {
+        const crisis = await crisisCases.openFromModeration(safety, {
+          userId: senderId,
+          sourceType: 'message',
+          sourceId: message.id,
+          content
+        });
+
+        // Only the sender sees where to get help
+        socket.emit('crisis:support', { alertId: crisis.alert.id, resources: crisis.resources });
+      } catch (error) {
+        console.error('❌ Crisis alert error:', error);
       }
     });
 
@@ -85,12 +145,14 @@ function initChatSocket(io) {
     // TYPING INDICATOR
     // ========================================================================
     socket.on('typing:start', (data) => {
-      const { conversationId, userId } = data;
+      const { conversationId } = data;
+      const userId = socket.userId;
       socket.to(conversationId).emit('typing:user', { userId, isTyping: true });
     });
 
     socket.on('typing:stop', (data) => {
-      const { conversationId, userId } = data;
+      const { conversationId } = data;
+      const userId = socket.userId;
       socket.to(conversationId).emit('typing:user', { userId, isTyping: false });
     });
 
@@ -99,7 +161,8 @@ function initChatSocket(io) {
     // ========================================================================
     socket.on('message:read', async (data) => {
       try {
-        const { conversationId, userId, messageIds } = data;
+        const { conversationId, messageIds } = data;
+        const userId = socket.userId;
 
         // Update messages as read
         await supabase
@@ -0,0 +1,11 @@
+// socket/presence.js
+// Who is connected right now - filled in by socket/chatSocket.js on
+// user:connect / disconnect, read by anything that needs online status
+// (e.g. services/helperMatching.js) without pulling in the socket handlers
+
+const activeUsers = new Map(); // userId -> socketId
+const userSockets = new Map(); // socketId -> userId
+
+const isOnline = (userId) => activeUsers.has(userId);
+
+module.exports = { activeUsers, userSockets, isOnline };
@@ -0,0 +1,158 @@
+// test/auth-users.test.js
+// /api/auth token lifecycle and /api/users profiles / social graph
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const path = require('node:path');
+const { startApp, stopApp } = require('./helpers');
+const { createUser, createPost, follow } = require('./fixtures');
+
+let api;
+
+before(async () => {
+  api = await startApp();
+});
+
+after(stopApp);
+
+describe('auth', () => {
+  let user;
+
+  it('signs up with a token pair and never returns the password hash', async () => {
+    const weak = await api.post('/api/auth/signup', { username: 'weak', email: 'weak@linkwavez.test', password: 'short' });
+    assert.equal(weak.status, 400);
+
+    const { status, body } = await api.post('/api/auth/signup', {
+      username: 'aisyah',
+      email: 'aisyah@linkwavez.test',
+      password: 'correct-horse-battery'
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.data.tokenType, 'Bearer');
+    assert.ok(body.data.accessToken);
+    assert.ok(body.data.refreshToken);
+    assert.equal(body.data.user.password_hash, undefined);
+    user = { id: body.data.user.id, ...body.data };
+
+    const duplicate = await api.post('/api/auth/signup', {
+      username: 'aisyah',
+      email: 'other@linkwavez.test',
+      password: 'correct-horse-battery'
+    });
+    assert.equal(duplicate.status, 409);
+    assert.equal(duplicate.body.error.code, 'CONFLICT');
+  });
+
+  it('logs in by email or username', async () => {
+    const wrong = await api.post('/api/auth/login', { email: 'aisyah@linkwavez.test', password: 'nope-nope-nope' });
+    assert.equal(wrong.status, 401);
+
+    const byEmail = await api.post('/api/auth/login', { email: 'aisyah@linkwavez.test', password: 'correct-horse-battery' });
+    assert.equal(byEmail.status, 200);
+    assert.equal(byEmail.body.data.user.id, user.id);
+
+    const byUsername = await api.post('/api/auth/login', { username: 'aisyah', password: 'correct-horse-battery' });
+    assert.equal(byUsername.status, 200);
+  });
+
+  it('resolves the current user from the bearer token', async () => {
+    const anonymous = await api.get('/api/auth/me');
+    assert.equal(anonymous.status, 401);
+
+    const malformed = await api.get('/api/auth/me', { token: 'not-a-jwt' });
+    assert.equal(malformed.status, 401);
+    assert.equal(malformed.body.error.message, 'Invalid access token');
+
+    const { status, body } = await api.get('/api/auth/me', { token: user.accessToken });
+    assert.equal(status, 200);
+    assert.equal(body.data.username, 'aisyah');
+  });
+
+  it('rotates refresh tokens and rejects reuse', async () => {
+    const rotated = await api.post('/api/auth/refresh', { refreshToken: user.refreshToken });
+    assert.equal(rotated.status, 200);
+    assert.notEqual(rotated.body.data.refreshToken, user.refreshToken);
+
+    const reused = await api.post('/api/auth/refresh', { refreshToken: user.refreshToken });
+    assert.equal(reused.status, 401);
+
+    const logout = await api.post('/api/auth/logout', { refreshToken: rotated.body.data.refreshToken });
+    assert.equal(logout.status, 200);
+
+    const afterLogout = await api.post('/api/auth/refresh', { refreshToken: rotated.body.data.refreshToken });
+    assert.equal(afterLogout.status, 401);
+  });
+
+  it('refuses to start without JWT secrets', () => {
+    const env = { ...process.env };
+    delete env.JWT_SECRET;
+
+    const loaded = spawnSync(process.execPath, ['-e', "require('./config/auth')"], {
+      cwd: path.join(__dirname, '..'),
+      env,
+      encoding: 'utf8'
+    });
+
+    assert.notEqual(loaded.status, 0);
+    assert.match(loaded.stderr, /Missing JWT_SECRET/);
+  });
+});
+
+describe('users', () => {
+  let alice;
+  let bob;
+
+  before(async () => {
+    alice = await createUser(api, { bio: 'Nasi lemak enthusiast' });
+    bob = await createUser(api);
+
+    await follow(bob.id, alice.id);
+    await createPost(alice.id, { caption: 'Hello KL' });
+  });
+
+  it('returns profiles with social counts', async () => {
+    const { status, body } = await api.get(`/api/users/${alice.id}`);
+
+    assert.equal(status, 200);
+    assert.equal(body.data.username, alice.username);
+    assert.equal(Number(body.data.followers_count), 1);
+    assert.equal(Number(body.data.following_count), 0);
+    assert.equal(Number(body.data.clips_count), 1);
+
+    const missing = await api.get('/api/users/00000000-0000-0000-0000-000000000000');
+    assert.equal(missing.status, 404);
+  });
+
+  it('searches users by username or bio', async () => {
+    const { body } = await api.get('/api/users?search=nasi');
+    assert.deepEqual(body.data.map(u => u.id), [alice.id]);
+  });
+
+  it('lists followers, following and clips', async () => {
+    const followers = await api.get(`/api/users/${alice.id}/followers`);
+    assert.deepEqual(followers.body.data.map(u => u.id), [bob.id]);
+
+    const following = await api.get(`/api/users/${bob.id}/following`);
+    assert.deepEqual(following.body.data.map(u => u.id), [alice.id]);
+
+    const clips = await api.get(`/api/users/${alice.id}/clips`);
+    assert.equal(clips.body.meta.count, 1);
+  });
+
+  it('only lets users edit or delete themselves', async () => {
+    const other = await api.put(`/api/users/${alice.id}`, { bio: 'hacked' }, { token: bob.token });
+    assert.equal(other.status, 403);
+
+    const own = await api.put(`/api/users/${alice.id}`, { bio: 'Teh tarik too' }, { token: alice.token });
+    assert.equal(own.status, 200);
+    assert.equal(own.body.data.bio, 'Teh tarik too');
+
+    const removed = await api.delete(`/api/users/${bob.id}`, { token: bob.token });
+    assert.equal(removed.status, 200);
+
+    const gone = await api.get(`/api/users/${bob.id}`);
+    assert.equal(gone.status, 404);
+  });
+});
@@ -0,0 +1,203 @@
+// test/celebrity-fans-subscriptions.test.js
+// /api/subscriptions plans, /api/fans tiers, /api/celebrity dashboard and /api/fan-subscriptions
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp } = require('./helpers');
+const { createUser, createPost, insert } = require('./fixtures');
+
+let api;
+let star;
+let fan;
+
+before(async () => {
+  api = await startApp();
+  star = await createUser(api);
+  fan = await createUser(api);
+});
+
+after(stopApp);
+
+describe('subscriptions', () => {
+  it('lists plans from cheapest and defaults users to free', async () => {
+    const { body } = await api.get('/api/subscriptions/plans');
+    assert.equal(body.data[0].plan_type, 'free');
+    assert.ok(body.data.some(plan => plan.plan_type === 'creator_pro'));
+
+    const current = await api.get(`/api/subscriptions/user/${star.id}`);
+    assert.equal(current.body.data.plan_type, 'free');
+    assert.deepEqual(current.body.data.features, { basic_feed: true });
+  });
+
+  it('subscribes the signed-in user and unlocks plan features', async () => {
+    const spoofed = await api.post('/api/subscriptions/subscribe', {
+      user_id: fan.id,
+      plan_type: 'creator_pro'
+    }, { token: star.token });
+    assert.equal(spoofed.status, 403);
+
+    const unknown = await api.post('/api/subscriptions/subscribe', { plan_type: 'platinum' }, { token: star.token });
+    assert.equal(unknown.status, 404);
+
+    const { status, body } = await api.post('/api/subscriptions/subscribe', { plan_type: 'creator_pro' }, { token: star.token });
+    assert.equal(status, 201);
+    assert.equal(body.data.user_id, star.id);
+
+    const dashboard = await api.get(`/api/subscriptions/user/${star.id}/feature/celebrity_dashboard`);
+    assert.equal(dashboard.body.data.has_access, true);
+
+    const dms = await api.get(`/api/subscriptions/user/${star.id}/feature/direct_messages`);
+    assert.equal(dms.body.data.has_access, false);
+  });
+
+  it('tracks verification requests', async () => {
+    const none = await api.get(`/api/subscriptions/verification/${star.id}/status`);
+    assert.equal(none.body.data, null);
+
+    const requested = await api.post('/api/subscriptions/verification/request', {
+      verification_type: 'celebrity',
+      follower_count: 120000,
+      reason: 'Public figure'
+    }, { token: star.token });
+    assert.equal(requested.status, 201);
+
+    const { body } = await api.get(`/api/subscriptions/verification/${star.id}/status`);
+    assert.equal(body.data.status, 'pending');
+    assert.equal(body.data.follower_count, 120000);
+  });
+});
+
+describe('fans', () => {
+  it('starts new fans at the New Fan badge', async () => {
+    const { body } = await api.get(`/api/fans/${fan.id}/status/${star.id}`);
+    assert.equal(body.data.fan_user_id, fan.id);
+    assert.equal(body.data.total_interactions, 0);
+  });
+
+  it('only lets fans log their own interactions and promotes their badge', async () => {
+    const spoofed = await api.post(`/api/fans/${fan.id}/interaction`, {
+      celebrity_user_id: star.id,
+      interaction_type: 'comment'
+    }, { token: star.token });
+    assert.equal(spoofed.status, 403);
+
+    for (let i = 0; i < 10; i++) {
+      const { status } = await api.post(`/api/fans/${fan.id}/interaction`, {
+        celebrity_user_id: star.id,
+        interaction_type: i % 2 ? 'reaction' : 'comment'
+      }, { token: fan.token });
+      assert.equal(status, 200);
+    }
+
+    const { body } = await api.get(`/api/fans/${fan.id}/status/${star.id}`);
+    assert.equal(body.data.badge_name, 'Active Fan');
+    assert.equal(body.data.total_interactions, 10);
+    assert.equal(body.data.comment_count, 5);
+    assert.equal(body.data.next_tier_min, 50);
+  });
+
+  it('ranks fans and lists their badges', async () => {
+    const leaderboard = await api.get(`/api/fans/${star.id}/leaderboard`);
+    assert.equal(leaderboard.body.meta.count, 1);
+    assert.equal(leaderboard.body.data[0].username, fan.username);
+    assert.equal(Number(leaderboard.body.data[0].rank), 1);
+
+    const badges = await api.get(`/api/fans/${fan.id}/badges`);
+    assert.deepEqual(badges.body.data.map(b => [b.celebrity_username, b.badge_name]), [[star.username, 'Active Fan']]);
+  });
+});
+
+describe('celebrity', () => {
+  it('gates the dashboard behind the celebrity_dashboard feature', async () => {
+    const free = await api.get(`/api/celebrity/dashboard/${fan.id}`);
+    assert.equal(free.status, 403);
+    assert.equal(free.body.error.code, 'PREMIUM_REQUIRED');
+    assert.equal(free.body.error.details.required_feature, 'celebrity_dashboard');
+
+    const { status, body } = await api.get(`/api/celebrity/dashboard/${star.id}`);
+    assert.equal(status, 200);
+    assert.equal(body.data.celebrity.username, star.username);
+    assert.equal(Number(body.data.fan_tiers.active_fan_count), 1);
+    assert.equal(Number(body.data.today_stats.comments_today), 5);
+  });
+
+  it('breaks fans down by tier', async () => {
+    const { body } = await api.get(`/api/celebrity/${star.id}/fans/tiers`);
+    const counts = Object.fromEntries(body.data.map(tier => [tier.badge_name, Number(tier.count)]));
+    assert.deepEqual(counts, {
+      'Die-Hard Fan': 0,
+      'Super Fan': 0,
+      'Loyal Fan': 0,
+      'Active Fan': 1,
+      'New Fan': 0
+    });
+  });
+
+  it('creates default settings and only lets the owner change them', async () => {
+    const defaults = await api.get(`/api/celebrity/${star.id}/settings`);
+    assert.equal(defaults.body.data.enable_ai_replies, false);
+
+    const other = await api.put(`/api/celebrity/${star.id}/settings`, { enable_ai_replies: true }, { token: fan.token });
+    assert.equal(other.status, 403);
+
+    const { body } = await api.put(`/api/celebrity/${star.id}/settings`, { enable_ai_replies: true }, { token: star.token });
+    assert.equal(body.data.enable_ai_replies, true);
+  });
+
+  it('stores insights for the celebrity only', async () => {
+    const other = await api.post(`/api/celebrity/${star.id}/insights`, { insight_title: 'x' }, { token: fan.token });
+    assert.equal(other.status, 403);
+
+    const created = await api.post(`/api/celebrity/${star.id}/insights`, {
+      insight_type: 'engagement',
+      insight_title: 'Fans love recipe posts'
+    }, { token: star.token });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.data.priority, 'medium');
+
+    const { body } = await api.get(`/api/celebrity/${star.id}/insights?unread_only=true`);
+    assert.equal(body.meta.count, 1);
+  });
+});
+
+describe('fan subscriptions', () => {
+  before(async () => {
+    await insert('exclusive_content', { celebrity_user_id: star.id, title: 'Behind the scenes' });
+    await insert('exclusive_content', { celebrity_user_id: star.id, title: 'Superfan Q&A', required_subscription: 'superfan' });
+    await insert('exclusive_content', { celebrity_user_id: star.id, title: 'Private call', required_subscription: 'superfan_plus' });
+  });
+
+  it('lists only the superfan plans', async () => {
+    const { body } = await api.get('/api/fan-subscriptions/plans');
+    assert.deepEqual(body.data.map(plan => plan.plan_type), ['superfan', 'superfan_plus']);
+  });
+
+  it('unlocks exclusive content by subscription level', async () => {
+    const free = await api.get(`/api/fan-subscriptions/exclusive-content/${fan.id}?celebrity_id=${star.id}`);
+    assert.equal(free.body.meta.user_subscription, 'free');
+    assert.equal(free.body.meta.fan_tier, 'active');
+    assert.deepEqual(free.body.data.map(c => c.title), ['Behind the scenes']);
+
+    const subscribed = await api.post('/api/fan-subscriptions/subscribe', { plan_type: 'superfan' }, { token: fan.token });
+    assert.equal(subscribed.status, 201);
+
+    const { body } = await api.get(`/api/fan-subscriptions/exclusive-content/${fan.id}?celebrity_id=${star.id}`);
+    assert.equal(body.meta.user_subscription, 'superfan');
+    assert.deepEqual(body.data.map(c => c.title).sort(), ['Behind the scenes', 'Superfan Q&A']);
+  });
+
+  it('scores comment priority from the subscription level', async () => {
+    const post = await createPost(star.id, { caption: 'Ask me anything' });
+    const { body: created } = await api.post('/api/comments/create', {
+      clip_id: post.id,
+      content: 'Big fan!'
+    }, { token: fan.token });
+
+    const { body } = await api.post('/api/fan-subscriptions/comment/calculate-priority', {
+      comment_id: created.data.id,
+      user_id: fan.id,
+      celebrity_id: star.id
+    });
+    assert.equal(Number(body.data.priority_score), 40);
+  });
+});
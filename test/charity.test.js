@@ -0,0 +1,122 @@
+// test/charity.test.js
+// /api/charity - campaigns, donations and milestone marking in /donate
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp } = require('./helpers');
+const { createUser, insert } = require('./fixtures');
+
+describe('charity', () => {
+  let api;
+  let organizer;
+  let donor;
+  let campaign;
+
+  before(async () => {
+    api = await startApp();
+    organizer = await createUser(api);
+    donor = await createUser(api);
+  });
+
+  after(stopApp);
+
+  it('creates a campaign for the signed-in user', async () => {
+    const invalid = await api.post('/api/charity/campaigns/create', { title: 'No goal' }, { token: organizer.token });
+    assert.equal(invalid.status, 400);
+
+    const { status, body } = await api.post('/api/charity/campaigns/create', {
+      title: 'Flood relief Kelantan',
+      description: 'Clean water and food packs',
+      goalAmount: 1000,
+      category: 'disaster',
+      beneficiaries: 120
+    }, { token: organizer.token });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.user_id, organizer.id);
+    assert.equal(body.data.status, 'active');
+    assert.equal(body.data.beneficiaries, 120);
+    campaign = body.data;
+
+    for (const amount of [100, 250, 1000]) {
+      await insert('charity_milestones', {
+        campaign_id: campaign.id,
+        milestone_amount: amount,
+        title: `RM ${amount} reached`
+      });
+    }
+  });
+
+  it('lists active campaigns with progress', async () => {
+    const { body } = await api.get('/api/charity/campaigns?category=disaster');
+
+    assert.equal(body.data.length, 1);
+    assert.equal(body.data[0].progress_percentage, '0.00');
+  });
+
+  it('validates donations', async () => {
+    const zero = await api.post('/api/charity/donate', { campaignId: campaign.id, amount: -5 }, { token: donor.token });
+    assert.equal(zero.status, 400);
+
+    const anonymous = await api.post('/api/charity/donate', { campaignId: campaign.id, amount: 10 });
+    assert.equal(anonymous.status, 401);
+  });
+
+  it('marks every milestone the new total reaches, once', async () => {
+    const first = await api.post('/api/charity/donate', {
+      campaignId: campaign.id,
+      amount: 120,
+      message: 'Stay strong'
+    }, { token: donor.token });
+
+    assert.equal(first.status, 200);
+    assert.equal(first.body.data.newTotalRaised, 120);
+    assert.equal(first.body.data.milestonesReached, 1);
+    assert.equal(first.body.data.progressPercentage, '12.00');
+
+    const second = await api.post('/api/charity/donate', {
+      campaignId: campaign.id,
+      amount: 200,
+      anonymous: true
+    }, { token: organizer.token });
+
+    assert.equal(second.body.data.newTotalRaised, 320);
+    assert.equal(second.body.data.milestonesReached, 1, 'the RM 100 milestone is not counted again');
+
+    const { body } = await api.get(`/api/charity/campaigns/${campaign.id}`);
+    assert.equal(body.data.raised_amount, 320);
+    assert.equal(body.data.donor_count, 2);
+    assert.deepEqual(
+      body.data.milestones.map(m => [m.milestone_amount, m.reached]),
+      [[100, true], [250, true], [1000, false]]
+    );
+    assert.ok(body.data.milestones[0].reached_at);
+  });
+
+  it('rejects donations to unknown campaigns', async () => {
+    const { status } = await api.post('/api/charity/donate', {
+      campaignId: '00000000-0000-0000-0000-000000000000',
+      amount: 10
+    }, { token: donor.token });
+
+    assert.equal(status, 404);
+  });
+
+  it('separates public and anonymous donors', async () => {
+    const { body } = await api.get(`/api/charity/campaigns/${campaign.id}/donors`);
+
+    assert.equal(body.data.publicDonors.length, 1);
+    assert.equal(body.data.publicDonors[0].user_id, donor.id);
+    assert.deepEqual(body.data.anonymousDonors, { count: 1, total: 200 });
+  });
+
+  it('only shows donation history to its owner', async () => {
+    const own = await api.get(`/api/charity/donations/user/${donor.id}`, { token: donor.token });
+    assert.equal(own.status, 200);
+    assert.equal(own.body.data.count, 1);
+    assert.equal(own.body.data.totalDonated, 120);
+
+    const other = await api.get(`/api/charity/donations/user/${donor.id}`, { token: organizer.token });
+    assert.equal(other.status, 403);
+  });
+});
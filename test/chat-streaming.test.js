@@ -0,0 +1,215 @@
+// test/chat-streaming.test.js
+// /api/chat conversations / messages / fan groups and /api/streaming live streams
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp, supabase } = require('./helpers');
+const { createUser, insert } = require('./fixtures');
+
+let api;
+let alice;
+let bob;
+let carol;
+
+before(async () => {
+  api = await startApp();
+  alice = await createUser(api);
+  bob = await createUser(api);
+  carol = await createUser(api);
+});
+
+after(stopApp);
+
+describe('chat', () => {
+  let conversation;
+  let message;
+
+  it('creates a direct conversation once per pair', async () => {
+    const missing = await api.post('/api/chat/conversations/create', { participantIds: [] }, { token: alice.token });
+    assert.equal(missing.status, 400);
+
+    const { status, body } = await api.post('/api/chat/conversations/create', {
+      participantIds: [bob.id]
+    }, { token: alice.token });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.type, 'direct');
+    assert.equal(body.data.created_by, alice.id);
+    conversation = body.data;
+
+    const again = await api.post('/api/chat/conversations/create', {
+      participantIds: [bob.id]
+    }, { token: alice.token });
+    assert.equal(again.body.message, 'Conversation already exists');
+    assert.equal(again.body.data.id, conversation.id);
+  });
+
+  it('sends messages and tracks unread counts', async () => {
+    const spoofed = await api.post('/api/chat/messages/send', {
+      conversationId: conversation.id,
+      senderId: bob.id,
+      content: 'Fake'
+    }, { token: alice.token });
+    assert.equal(spoofed.status, 403);
+
+    const sent = await api.post('/api/chat/messages/send', {
+      conversationId: conversation.id,
+      content: 'Jom makan?'
+    }, { token: alice.token });
+    assert.equal(sent.status, 200);
+    message = sent.body.data;
+
+    await api.post('/api/chat/messages/send', {
+      conversationId: conversation.id,
+      content: 'Mamak at 8'
+    }, { token: alice.token });
+
+    const inbox = await api.get(`/api/chat/conversations/user/${bob.id}`, { token: bob.token });
+    assert.equal(inbox.body.data.length, 1);
+    assert.equal(inbox.body.data[0].unreadCount, 2);
+    assert.equal(inbox.body.data[0].lastMessage.content, 'Mamak at 8');
+    assert.deepEqual(inbox.body.data[0].participants, [alice.id]);
+
+    const history = await api.get(`/api/chat/conversations/${conversation.id}/messages`, { token: bob.token });
+    assert.deepEqual(history.body.data.map(m => m.content), ['Jom makan?', 'Mamak at 8']);
+  });
+
+  it('marks the other side\'s messages as read', async () => {
+    const { body } = await api.put('/api/chat/messages/read', { conversationId: conversation.id }, { token: bob.token });
+    assert.equal(body.data.count, 2);
+
+    const inbox = await api.get(`/api/chat/conversations/user/${bob.id}`, { token: bob.token });
+    assert.equal(inbox.body.data[0].unreadCount, 0);
+  });
+
+  it('only lets the sender delete a message', async () => {
+    const other = await api.delete(`/api/chat/messages/${message.id}`, { token: bob.token });
+    assert.equal(other.status, 403);
+
+    const own = await api.delete(`/api/chat/messages/${message.id}`, { token: alice.token });
+    assert.equal(own.status, 200);
+  });
+
+  it('gates celebrity fan groups by fan tier', async () => {
+    const created = await api.post('/api/chat/celebrity/create', { fanTier: 'loyal' }, { token: alice.token });
+    assert.equal(created.status, 200);
+    assert.equal(created.body.data.conversation.name, 'LOYAL Fan Group');
+
+    const groupId = created.body.data.conversation.id;
+
+    const notFan = await api.post('/api/chat/celebrity/join', { conversationId: groupId }, { token: bob.token });
+    assert.equal(notFan.status, 403);
+
+    await insert('celebrity_fans', { fan_id: bob.id, celebrity_id: alice.id, tier: 'active' });
+    await insert('celebrity_fans', { fan_id: carol.id, celebrity_id: alice.id, tier: 'die_hard' });
+
+    const tooLow = await api.post('/api/chat/celebrity/join', { conversationId: groupId }, { token: bob.token });
+    assert.equal(tooLow.status, 403);
+    assert.match(tooLow.body.error.message, /loyal/);
+
+    const joined = await api.post('/api/chat/celebrity/join', { conversationId: groupId }, { token: carol.token });
+    assert.equal(joined.status, 200);
+    assert.equal(joined.body.data.role, 'fan');
+  });
+
+  it('restricts workplace chats to organization members', async () => {
+    const org = await api.post('/api/chat/workplace/organization/create', { name: 'LinkWavez Sdn Bhd' }, { token: alice.token });
+    assert.equal(org.status, 200);
+
+    const outsider = await api.post('/api/chat/workplace/chat/create', {
+      organizationId: org.body.data.id,
+      name: 'engineering'
+    }, { token: bob.token });
+    assert.equal(outsider.status, 403);
+
+    const member = await api.post('/api/chat/workplace/chat/create', {
+      organizationId: org.body.data.id,
+      name: 'engineering'
+    }, { token: alice.token });
+    assert.equal(member.status, 200);
+    assert.equal(member.body.data.type, 'workplace');
+  });
+
+  it('replaces a user\'s mood in a conversation', async () => {
+    await api.post('/api/chat/mood/set', { conversationId: conversation.id, mood: 'busy' }, { token: alice.token });
+    await api.post('/api/chat/mood/set', { conversationId: conversation.id, mood: 'happy', emoji: '😊' }, { token: alice.token });
+
+    const { body } = await api.get(`/api/chat/conversations/${conversation.id}/moods`);
+    assert.deepEqual(body.data.map(m => m.mood), ['happy']);
+  });
+});
+
+describe('streaming', () => {
+  let stream;
+
+  before(async () => {
+    await insert('followers', { follower_id: bob.id, following_id: carol.id });
+  });
+
+  it('starts one live stream per streamer and notifies followers', async () => {
+    const { status, body } = await api.post('/api/streaming/start', {
+      title: 'Cooking rendang live',
+      category: 'food'
+    }, { token: carol.token });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.stream.status, 'live');
+    assert.ok(body.data.streamKey);
+    stream = body.data.stream;
+
+    const duplicate = await api.post('/api/streaming/start', { title: 'Second' }, { token: carol.token });
+    assert.equal(duplicate.status, 400);
+
+    const { data: inbox } = await supabase.from('notifications').select('type, data').eq('user_id', bob.id);
+    assert.equal(inbox.length, 1);
+    assert.equal(inbox[0].type, 'live_stream');
+    assert.equal(inbox[0].data.stream_id, stream.id);
+  });
+
+  it('tracks viewers joining and leaving', async () => {
+    const joined = await api.post(`/api/streaming/${stream.id}/join`, {}, { token: bob.token });
+    assert.equal(joined.status, 200);
+    assert.equal(joined.body.data.agoraChannelName, stream.agora_channel_name);
+
+    const live = await api.get('/api/streaming/active?category=food');
+    assert.deepEqual(live.body.data.map(s => s.id), [stream.id]);
+
+    const detail = await api.get(`/api/streaming/${stream.id}`);
+    assert.equal(detail.body.data.currentViewers, 1);
+    assert.equal(detail.body.data.total_views, 1);
+
+    await api.post(`/api/streaming/${stream.id}/leave`, {}, { token: bob.token });
+    const afterLeave = await api.get(`/api/streaming/${stream.id}`);
+    assert.equal(afterLeave.body.data.currentViewers, 0);
+  });
+
+  it('records gifts and comments', async () => {
+    const gift = await api.post(`/api/streaming/${stream.id}/gift`, { giftType: 'rose', amount: 5 }, { token: bob.token });
+    assert.equal(gift.status, 200);
+    assert.equal(gift.body.data.receiver_id, carol.id);
+
+    const comment = await api.post(`/api/streaming/${stream.id}/comment`, { comment: 'Sedapnya!' }, { token: bob.token });
+    assert.equal(comment.status, 200);
+
+    const comments = await api.get(`/api/streaming/${stream.id}/comments`);
+    assert.deepEqual(comments.body.data.map(c => c.comment), ['Sedapnya!']);
+  });
+
+  it('lets only the streamer end the stream', async () => {
+    const other = await api.put(`/api/streaming/end/${stream.id}`, {}, { token: bob.token });
+    assert.equal(other.status, 403);
+
+    const { status, body } = await api.put(`/api/streaming/end/${stream.id}`, {}, { token: carol.token });
+    assert.equal(status, 200);
+    assert.equal(body.data.stream.status, 'ended');
+    assert.equal(body.data.totalViews, 1);
+    assert.equal(body.data.totalGifts, 5);
+
+    const analytics = await api.get(`/api/streaming/${stream.id}/analytics`);
+    assert.equal(analytics.body.data.totalGifts, 5);
+    assert.equal(analytics.body.data.totalComments, 1);
+
+    const history = await api.get(`/api/streaming/streamer/${carol.id}/history`);
+    assert.equal(history.body.data.length, 1);
+  });
+});
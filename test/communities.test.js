@@ -0,0 +1,149 @@
+// test/communities.test.js
+// /api/communities - create, join (public / private), roles, leave and meetups
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp } = require('./helpers');
+const { createUser } = require('./fixtures');
+
+describe('communities', () => {
+  let api;
+  let creator;
+  let member;
+  let applicant;
+  let clan;
+  let privateClan;
+
+  before(async () => {
+    api = await startApp();
+    creator = await createUser(api);
+    member = await createUser(api);
+    applicant = await createUser(api);
+  });
+
+  after(stopApp);
+
+  it('creates a community with its creator as first member', async () => {
+    const short = await api.post('/api/communities', { name: 'ab' }, { token: creator.token });
+    assert.equal(short.status, 400);
+
+    const { status, body } = await api.post('/api/communities', {
+      name: '  Ducati Riders KL ',
+      description: 'Weekend rides',
+      location: 'Kuala Lumpur'
+    }, { token: creator.token });
+
+    assert.equal(status, 201);
+    assert.equal(body.data.name, 'Ducati Riders KL');
+    assert.equal(body.data.community_type, 'public');
+    assert.equal(body.data.creator_id, creator.id);
+    clan = body.data;
+
+    const detail = await api.get(`/api/communities/${clan.id}`, { token: creator.token });
+    assert.equal(detail.body.data.is_member, true);
+    assert.equal(detail.body.data.member_role, 'creator');
+    assert.equal(detail.body.data.creator.username, creator.username);
+
+    const other = await api.post('/api/communities', {
+      name: 'Secret Supper Club',
+      community_type: 'private'
+    }, { token: creator.token });
+    privateClan = other.body.data;
+  });
+
+  it('joins a public community immediately, once', async () => {
+    const anonymous = await api.post(`/api/communities/${clan.id}/join`);
+    assert.equal(anonymous.status, 401);
+
+    const joined = await api.post(`/api/communities/${clan.id}/join`, {}, { token: member.token });
+    assert.equal(joined.status, 200);
+    assert.equal(joined.body.data.role, 'member');
+    assert.equal(joined.body.data.is_active, true);
+
+    const again = await api.post(`/api/communities/${clan.id}/join`, {}, { token: member.token });
+    assert.equal(again.status, 400);
+
+    const missing = await api.post('/api/communities/00000000-0000-0000-0000-000000000000/join', {}, { token: member.token });
+    assert.equal(missing.status, 404);
+  });
+
+  it('holds private community joins as pending', async () => {
+    const { status, body } = await api.post(`/api/communities/${privateClan.id}/join`, {}, { token: applicant.token });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.status, 'pending');
+    assert.equal(body.data.member.is_active, false);
+
+    const members = await api.get(`/api/communities/${privateClan.id}/members`);
+    assert.deepEqual(members.body.data.map(m => m.user_id), [creator.id]);
+
+    const mine = await api.get('/api/communities/user/my', { token: applicant.token });
+    assert.deepEqual(mine.body.data, []);
+  });
+
+  it('lists active members with their profiles', async () => {
+    const { body } = await api.get(`/api/communities/${clan.id}/members`);
+
+    assert.deepEqual(body.data.map(m => m.user_id).sort(), [creator.id, member.id].sort());
+    assert.equal(body.data.find(m => m.user_id === member.id).user.username, member.username);
+
+    const mine = await api.get('/api/communities/user/my', { token: member.token });
+    assert.equal(mine.body.data.length, 1);
+    assert.equal(mine.body.data[0].community.name, 'Ducati Riders KL');
+  });
+
+  it('lets only the creator change roles', async () => {
+    const denied = await api.put(`/api/communities/${clan.id}/members/${member.id}/role`, { role: 'moderator' }, { token: member.token });
+    assert.equal(denied.status, 403);
+
+    const invalid = await api.put(`/api/communities/${clan.id}/members/${member.id}/role`, { role: 'owner' }, { token: creator.token });
+    assert.equal(invalid.status, 400);
+
+    const { status, body } = await api.put(`/api/communities/${clan.id}/members/${member.id}/role`, { role: 'moderator' }, { token: creator.token });
+    assert.equal(status, 200);
+    assert.equal(body.data.role, 'moderator');
+  });
+
+  it('lets members organise and attend meetups', async () => {
+    const outsider = await api.post(`/api/communities/${clan.id}/meetups`, {
+      title: 'Sunday ride',
+      location: 'Genting',
+      meetup_date: new Date(Date.now() + 86400000).toISOString()
+    }, { token: applicant.token });
+    assert.equal(outsider.status, 403);
+
+    const created = await api.post(`/api/communities/${clan.id}/meetups`, {
+      title: 'Sunday ride',
+      location: 'Genting',
+      meetup_date: new Date(Date.now() + 86400000).toISOString(),
+      max_attendees: 2
+    }, { token: member.token });
+    assert.equal(created.status, 201);
+
+    const meetupId = created.body.data.id;
+
+    const rsvp = await api.post(`/api/communities/meetups/${meetupId}/attend`, {}, { token: creator.token });
+    assert.equal(rsvp.status, 200);
+    assert.equal(rsvp.body.data.status, 'interested');
+
+    const full = await api.post(`/api/communities/meetups/${meetupId}/attend`, {}, { token: applicant.token });
+    assert.equal(full.status, 400);
+    assert.equal(full.body.error.message, 'Meetup is full');
+
+    const list = await api.get(`/api/communities/${clan.id}/meetups`);
+    assert.equal(list.body.data.length, 1);
+    assert.equal(list.body.data[0].organizer.username, member.username);
+    assert.deepEqual(list.body.data[0].attendees, [{ count: 2 }]);
+  });
+
+  it('lets members leave but not the creator', async () => {
+    const creatorLeave = await api.post(`/api/communities/${clan.id}/leave`, {}, { token: creator.token });
+    assert.equal(creatorLeave.status, 400);
+
+    const left = await api.post(`/api/communities/${clan.id}/leave`, {}, { token: member.token });
+    assert.equal(left.status, 200);
+
+    const detail = await api.get(`/api/communities/${clan.id}`, { token: member.token });
+    assert.equal(detail.body.data.is_member, false);
+  });
+});
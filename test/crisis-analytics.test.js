@@ -0,0 +1,178 @@
+// test/crisis-analytics.test.js
+// Crisis program analytics (services/crisisAnalytics.js): response time
+// distributions, unanswered rates, helper leaderboard, repeat users, trends
+// and the CSV export
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp, supabase } = require('./helpers');
+const { createUser, insert } = require('./fixtures');
+const { exportCsv } = require('../services/crisisAnalytics');
+const { PAGE_SIZE } = require('../db/paging');
+
+let api;
+let admin;
+let helperA;
+let helperB;
+let repeatUser;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const at = (base, minutes = 0) => new Date(base + minutes * MINUTE_MS).toISOString();
+
+before(async () => {
+  api = await startApp();
+  admin = await createUser(api);
+  helperA = await createUser(api);
+  helperB = await createUser(api);
+  repeatUser = await createUser(api);
+  const oneOff = await createUser(api);
+  const otherOneOff = await createUser(api);
+  const longAgo = await createUser(api);
+  await supabase.from('users').update({ is_admin: true }).eq('id', admin.id);
+
+  const now = Date.now();
+
+  // Critical, acknowledged after 4 minutes, resolved after an hour
+  const first = now - 2 * HOUR_MS;
+  const resolvedByA = await insert('crisis_alerts', {
+    user_id: oneOff.id, severity: 'critical', status: 'resolved', created_at: at(first),
+    acknowledged_at: at(first, 4), resolved_at: at(first, 60), resolved_by: helperA.id
+  });
+  await insert('crisis_responses', { alert_id: resolvedByA.id, helper_id: helperA.id, message: 'Here', created_at: at(first, 5) });
+
+  // Critical, acknowledged after 10 minutes, resolved after 30
+  const second = now - HOUR_MS;
+  const resolvedByB = await insert('crisis_alerts', {
+    user_id: otherOneOff.id, severity: 'critical', status: 'resolved', created_at: at(second),
+    acknowledged_at: at(second, 10), resolved_at: at(second, 30), resolved_by: helperB.id
+  });
+  await insert('crisis_responses', { alert_id: resolvedByB.id, helper_id: helperB.id, message: 'Hi', created_at: at(second, 12) });
+
+  // The repeat user: one unanswered high case, one medium case in progress
+  await insert('crisis_alerts', { user_id: repeatUser.id, severity: 'high', status: 'pending', created_at: at(now - 3 * DAY_MS) });
+  const third = now - DAY_MS;
+  const inProgress = await insert('crisis_alerts', {
+    user_id: repeatUser.id, severity: 'medium', status: 'in_progress', created_at: at(third),
+    acknowledged_at: at(third, 20), assigned_helper_id: helperA.id
+  });
+  await insert('crisis_responses', { alert_id: inProgress.id, helper_id: helperA.id, message: 'Checking in', created_at: at(third, 25) });
+
+  // Outside the default 30 day range
+  await insert('crisis_alerts', { user_id: longAgo.id, severity: 'low', status: 'closed', created_at: at(now - 40 * DAY_MS) });
+});
+
+after(stopApp);
+
+describe('crisis analytics', () => {
+  it('is limited to admins', async () => {
+    const denied = await api.get('/api/crisis/analytics', { token: helperA.token });
+    assert.equal(denied.status, 403);
+
+    const exportDenied = await api.get('/api/crisis/analytics/export?report=helpers', { token: helperA.token });
+    assert.equal(exportDenied.status, 403);
+  });
+
+  it('reports response time distributions and unanswered rates per severity', async () => {
+    const { status, body } = await api.get('/api/crisis/analytics', { token: admin.token });
+    assert.equal(status, 200);
+
+    const report = body.data;
+    assert.equal(report.range.timeframe, '30d');
+    assert.deepEqual(report.summary, {
+      cases: 4, resolved: 2, resolvedRate: 50, escalated: 0, unanswered: 1, responses: 3
+    });
+
+    const critical = report.responseTimes.critical;
+    assert.equal(critical.cases, 2);
+    assert.deepEqual(critical.acknowledge, { count: 2, mean: 7, p50: 4, p90: 10, max: 10 });
+    assert.deepEqual(critical.firstResponse, { count: 2, mean: 8.5, p50: 5, p90: 12, max: 12 });
+    assert.equal(critical.resolve.mean, 45);
+    assert.equal(report.responseTimes.high.acknowledge.count, 0);
+
+    assert.equal(report.unanswered.rate, 25);
+    assert.deepEqual(report.unanswered.bySeverity.high, { cases: 1, count: 1, rate: 100 });
+    assert.deepEqual(report.unanswered.bySeverity.critical, { cases: 2, count: 0, rate: 0 });
+
+    const all = await api.get('/api/crisis/analytics?timeframe=all', { token: admin.token });
+    assert.equal(all.body.data.summary.cases, 5);
+  });
+
+  it('ranks helpers and lists repeat users', async () => {
+    const { body } = await api.get('/api/crisis/analytics', { token: admin.token });
+
+    assert.deepEqual(body.data.helpers.map(helper => [helper.username, helper.resolved, helper.responses]), [
+      [helperA.username, 1, 2],
+      [helperB.username, 1, 1]
+    ]);
+    assert.equal(body.data.helpers[0].cases, 2);
+    assert.equal(body.data.helpers[0].median_response_minutes, 5);
+
+    assert.equal(body.data.repeatUsers.length, 1);
+    const [repeat] = body.data.repeatUsers;
+    assert.equal(repeat.user_id, repeatUser.id);
+    assert.equal(repeat.alerts, 2);
+    assert.equal(repeat.open, 2);
+    assert.equal(repeat.highest_severity, 'high');
+  });
+
+  it('groups trends by day or week', async () => {
+    const daily = await api.get('/api/crisis/analytics?interval=day', { token: admin.token });
+    assert.ok(daily.body.data.trends.length >= 2);
+    assert.equal(daily.body.data.trends.reduce((sum, day) => sum + day.opened, 0), 4);
+
+    const weekly = await api.get('/api/crisis/analytics?interval=week', { token: admin.token });
+    for (const week of weekly.body.data.trends) {
+      assert.equal(new Date(`${week.period}T00:00:00Z`).getUTCDay(), 1, 'weeks start on Monday');
+    }
+
+    const invalid = await api.get('/api/crisis/analytics?interval=month', { token: admin.token });
+    assert.equal(invalid.status, 400);
+  });
+
+  it('exports each report as CSV', async () => {
+    const response = await fetch(`${api.baseUrl}/api/crisis/analytics/export?report=helpers`, {
+      headers: { Authorization: `Bearer ${admin.token}` }
+    });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/csv/);
+    assert.match(response.headers.get('content-disposition'), /attachment; filename="crisis-helpers-30d-\d{4}-\d{2}-\d{2}\.csv"/);
+
+    const lines = (await response.text()).trim().split('\n');
+    assert.equal(lines[0], 'rank,helper_id,username,resolved,cases,responses,median_response_minutes');
+    assert.equal(lines[1], `1,${helperA.id},${helperA.username},1,2,2,5`);
+
+    const times = await api.get('/api/crisis/analytics/export?report=response_times', { token: admin.token });
+    assert.ok(times.body.includes('critical,acknowledge,2,7,4,10,10'));
+
+    const missing = await api.get('/api/crisis/analytics/export', { token: admin.token });
+    assert.equal(missing.status, 400);
+  });
+
+  it('quotes CSV cells and defuses spreadsheet formulas', () => {
+    const csv = exportCsv({
+      helpers: [{ rank: 1, helper_id: 'x', username: '=HYPERLINK("evil")', resolved: 0, cases: 1, responses: 1, median_response_minutes: null }]
+    }, 'helpers');
+
+    assert.equal(csv.split('\n')[1], `1,x,"'=HYPERLINK(""evil"")",0,1,1,`);
+  });
+
+  it('counts every case, past the first page of results', async () => {
+    const before = await api.get('/api/crisis/analytics?timeframe=all', { token: admin.token });
+
+    const longAgo = at(Date.now() - 60 * DAY_MS);
+    const { data: alerts } = await supabase
+      .from('crisis_alerts')
+      .insert(Array.from({ length: PAGE_SIZE + 1 }, () => ({
+        user_id: helperB.id, severity: 'low', status: 'closed', content: 'Not for reports', created_at: longAgo
+      })))
+      .select('id');
+    await insert('crisis_responses', { alert_id: alerts[PAGE_SIZE].id, helper_id: helperA.id, message: 'Late', created_at: longAgo });
+
+    const { body } = await api.get('/api/crisis/analytics?timeframe=all', { token: admin.token });
+    assert.equal(body.data.summary.cases, before.body.data.summary.cases + PAGE_SIZE + 1);
+    assert.equal(body.data.summary.responses, before.body.data.summary.responses + 1);
+  });
+});
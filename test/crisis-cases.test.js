@@ -0,0 +1,278 @@
+// test/crisis-cases.test.js
+// Crisis case workflow (services/crisisCases.js): acknowledgement, status
+// transitions, deadline re-notification, escalation, reassignment, timeline
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp, supabase } = require('./helpers');
+const { createUser, insert } = require('./fixtures');
+const crisisCases = require('../services/crisisCases');
+
+let api;
+let user;
+let helper;
+let otherHelper;
+let bystander;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const openAlert = async (severity = 'high') => {
+  const { body } = await api.post('/api/crisis/alert/create', {
+    userId: user.id,
+    content: 'I cannot do this anymore',
+    severity,
+    crisisType: 'depression'
+  }, { token: user.token });
+
+  return body.data.alert;
+};
+
+const inboxOf = async (userId, type) => {
+  const { data } = await supabase
+    .from('notifications')
+    .select('type, data')
+    .eq('user_id', userId)
+    .eq('type', type);
+
+  return data;
+};
+
+const eventTypes = async (alertId) => {
+  const { data } = await supabase
+    .from('crisis_alert_events')
+    .select('event_type')
+    .eq('alert_id', alertId)
+    .order('created_at', { ascending: true });
+
+  return data.map(event => event.event_type);
+};
+
+const loadAlert = async (alertId) => {
+  const { data } = await supabase.from('crisis_alerts').select('*').eq('id', alertId).single();
+  return data;
+};
+
+before(async () => {
+  api = await startApp();
+  user = await createUser(api);
+  helper = await createUser(api);
+  otherHelper = await createUser(api);
+  bystander = await createUser(api);
+  await insert('user_scores', { user_id: helper.id, aura_score: 950 });
+  await insert('user_scores', { user_id: otherHelper.id, aura_score: 850 });
+});
+
+after(stopApp);
+
+describe('case lifecycle', () => {
+  let alert;
+
+  it('opens a pending case with a per-severity response deadline', async () => {
+    const before = Date.now();
+    alert = await openAlert('high');
+
+    assert.equal(alert.status, 'pending');
+    assert.deepEqual([...alert.notified_helper_ids].sort(), [helper.id, otherHelper.id].sort());
+
+    const dueInMinutes = (new Date(alert.response_due_at) - before) / 60000;
+    assert.ok(dueInMinutes > 14 && dueInMinutes <= 15.1, `high severity is due in 15 minutes, got ${dueInMinutes}`);
+
+    assert.deepEqual(await eventTypes(alert.id), ['opened', 'helpers_notified']);
+  });
+
+  it('lets one helper acknowledge the case', async () => {
+    const denied = await api.post(`/api/crisis/alert/${alert.id}/acknowledge`, {}, { token: bystander.token });
+    assert.equal(denied.status, 403);
+
+    const { status, body } = await api.post(`/api/crisis/alert/${alert.id}/acknowledge`, {}, { token: helper.token });
+    assert.equal(status, 200);
+    assert.equal(body.data.status, 'acknowledged');
+    assert.equal(body.data.assigned_helper_id, helper.id);
+    assert.equal(body.data.response_due_at, null);
+
+    const taken = await api.post(`/api/crisis/alert/${alert.id}/acknowledge`, {}, { token: otherHelper.token });
+    assert.equal(taken.status, 409);
+  });
+
+  it('only lets the assigned helper move the case, along allowed transitions', async () => {
+    const notAssigned = await api.put(`/api/crisis/alert/${alert.id}/status`, { status: 'in_progress' }, { token: otherHelper.token });
+    assert.equal(notAssigned.status, 403);
+
+    const { body } = await api.put(`/api/crisis/alert/${alert.id}/status`, {
+      status: 'in_progress',
+      note: 'Talking with them in chat'
+    }, { token: helper.token });
+    assert.equal(body.data.status, 'in_progress');
+
+    const backwards = await api.put(`/api/crisis/alert/${alert.id}/status`, { status: 'acknowledged' }, { token: helper.token });
+    assert.equal(backwards.status, 409);
+    assert.equal(backwards.body.error.code, 'CONFLICT');
+
+    const unknown = await api.put(`/api/crisis/alert/${alert.id}/status`, { status: 'archived' }, { token: helper.token });
+    assert.equal(unknown.status, 400);
+  });
+
+  it('hands the case over to another helper', async () => {
+    const notHelper = await api.post(`/api/crisis/alert/${alert.id}/reassign`, { helperId: bystander.id }, { token: helper.token });
+    assert.equal(notHelper.status, 400);
+
+    const { body } = await api.post(`/api/crisis/alert/${alert.id}/reassign`, {
+      helperId: otherHelper.id,
+      reason: 'End of my shift'
+    }, { token: helper.token });
+    assert.equal(body.data.assigned_helper_id, otherHelper.id);
+    assert.equal(body.data.status, 'in_progress');
+
+    const inbox = await inboxOf(otherHelper.id, 'crisis_assignment');
+    assert.equal(inbox[0].data.alert_id, alert.id);
+  });
+
+  it('resolves, closes and records every step on the timeline', async () => {
+    await api.put(`/api/crisis/alert/${alert.id}/status`, { status: 'resolved' }, { token: otherHelper.token });
+    await api.put(`/api/crisis/alert/${alert.id}/status`, { status: 'closed' }, { token: otherHelper.token });
+
+    const closed = await loadAlert(alert.id);
+    assert.equal(closed.resolved_by, otherHelper.id);
+    assert.ok(closed.closed_at);
+
+    const denied = await api.get(`/api/crisis/alert/${alert.id}/timeline`, { token: bystander.token });
+    assert.equal(denied.status, 403);
+
+    const { body } = await api.get(`/api/crisis/alert/${alert.id}/timeline`, { token: helper.token });
+    assert.deepEqual(body.data.timeline.map(event => event.event_type), [
+      'opened', 'helpers_notified', 'acknowledged', 'status_changed', 'reassigned', 'resolved', 'closed'
+    ]);
+    assert.equal(body.meta.count, 7);
+
+    const progress = body.data.timeline[3];
+    assert.equal(progress.actor_id, helper.id);
+    assert.equal(progress.from_status, 'acknowledged');
+    assert.equal(progress.to_status, 'in_progress');
+    assert.equal(progress.details.note, 'Talking with them in chat');
+  });
+
+  it('walks a pending case to resolved when a helper responds', async () => {
+    const pending = await openAlert('medium');
+
+    await api.post(`/api/crisis/alert/${pending.id}/respond`, {
+      message: 'We talked it through',
+      action: 'resolved'
+    }, { token: helper.token });
+
+    assert.deepEqual(await eventTypes(pending.id), [
+      'opened', 'helpers_notified', 'acknowledged', 'responded', 'status_changed', 'resolved', 'user_notified'
+    ]);
+    assert.equal((await loadAlert(pending.id)).assigned_helper_id, helper.id);
+  });
+});
+
+describe('deadlines and escalation', () => {
+  let responder;
+
+  before(async () => {
+    responder = await createUser(api);
+    await insert('crisis_responders', { user_id: responder.id, organization: 'Befrienders KL' });
+  });
+
+  it('notifies critical cases to professional responders straight away', async () => {
+    const { body } = await api.post('/api/crisis/alert/create', {
+      userId: user.id,
+      content: 'Tonight is the night',
+      severity: 'critical',
+      crisisType: 'self_harm'
+    }, { token: user.token });
+
+    assert.equal(body.data.respondersNotified, 1);
+
+    const inbox = await inboxOf(responder.id, 'crisis_escalation');
+    assert.equal(inbox[0].data.alert_id, body.data.alert.id);
+    assert.equal(inbox[0].data.reason, 'critical_severity');
+
+    // Responders work cases without Good Aura
+    const ack = await api.post(`/api/crisis/alert/${body.data.alert.id}/acknowledge`, {}, { token: responder.token });
+    assert.equal(ack.status, 200);
+  });
+
+  it('re-notifies helpers who were not contacted yet when the deadline passes', async () => {
+    const alert = await openAlert('low');
+
+    const untouched = await crisisCases.processOverdueCases(new Date());
+    assert.equal(untouched.renotified, 0);
+
+    const newcomer = await createUser(api);
+    await insert('user_scores', { user_id: newcomer.id, aura_score: 820 });
+
+    await crisisCases.processOverdueCases(new Date(Date.now() + 3 * HOUR_MS));
+
+    const renotified = await loadAlert(alert.id);
+    assert.equal(renotified.status, 'pending');
+    assert.equal(renotified.renotify_count, 1);
+    assert.ok(renotified.notified_helper_ids.includes(newcomer.id));
+    assert.ok(new Date(renotified.response_due_at) > new Date(Date.now() + 3 * HOUR_MS));
+
+    const inbox = await inboxOf(newcomer.id, 'crisis_alert');
+    assert.deepEqual(inbox.map(n => n.data.alert_id), [alert.id]);
+    assert.equal(inbox[0].data.round, 1);
+
+    // Original helpers are not notified twice
+    const first = await inboxOf(helper.id, 'crisis_alert');
+    assert.equal(first.filter(n => n.data.alert_id === alert.id).length, 1);
+  });
+
+  it('escalates to responders when no further helpers are left', async () => {
+    const alert = await openAlert('medium');
+
+    await crisisCases.processOverdueCases(new Date(Date.now() + HOUR_MS));
+
+    const escalated = await loadAlert(alert.id);
+    assert.equal(escalated.status, 'escalated');
+    assert.ok(escalated.escalated_at);
+    assert.equal(escalated.response_due_at, null);
+
+    const inbox = await inboxOf(responder.id, 'crisis_escalation');
+    const escalation = inbox.find(n => n.data.alert_id === alert.id);
+    assert.equal(escalation.data.reason, 'no_helpers_available');
+
+    assert.deepEqual(await eventTypes(alert.id), [
+      'opened', 'helpers_notified', 'deadline_missed', 'escalated', 'responders_notified'
+    ]);
+  });
+
+  it('escalates after the last re-notification round is missed', async () => {
+    const alert = await openAlert('high');
+    await supabase
+      .from('crisis_alerts')
+      .update({ renotify_count: crisisCases.MAX_RENOTIFY_ROUNDS })
+      .eq('id', alert.id);
+
+    const summary = await crisisCases.processOverdueCases(new Date(Date.now() + HOUR_MS));
+    assert.ok(summary.escalated >= 1);
+
+    const { data: events } = await supabase
+      .from('crisis_alert_events')
+      .select('event_type, actor_id, details')
+      .eq('alert_id', alert.id)
+      .eq('event_type', 'escalated');
+    assert.equal(events[0].actor_id, null);
+    assert.equal(events[0].details.reason, 'deadline_missed');
+  });
+
+  it('lets helpers escalate and release cases by hand', async () => {
+    const alert = await openAlert('medium');
+
+    const escalated = await api.post(`/api/crisis/alert/${alert.id}/escalate`, {
+      reason: 'Mentions a plan'
+    }, { token: helper.token });
+    assert.equal(escalated.body.data.status, 'escalated');
+
+    const again = await api.post(`/api/crisis/alert/${alert.id}/escalate`, {}, { token: helper.token });
+    assert.equal(again.status, 409);
+
+    const picked = await api.put(`/api/crisis/alert/${alert.id}/status`, { status: 'in_progress' }, { token: responder.token });
+    assert.equal(picked.body.data.status, 'in_progress');
+
+    const released = await api.post(`/api/crisis/alert/${alert.id}/reassign`, {}, { token: responder.token });
+    assert.equal(released.body.data.status, 'pending');
+    assert.ok(released.body.data.response_due_at);
+  });
+});
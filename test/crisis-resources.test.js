@@ -0,0 +1,179 @@
+// test/crisis-resources.test.js
+// Crisis resource directory (services/crisisResources.js): locating the
+// user, filtering by crisis type, admin maintenance, and the resources sent
+// with crisis posts, helper notifications and the support chat
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp, supabase } = require('./helpers');
+const { createUser, insert } = require('./fixtures');
+
+let api;
+let admin;
+let member;
+
+const names = (resources) => resources.map(resource => resource.name);
+
+before(async () => {
+  api = await startApp();
+  admin = await createUser(api);
+  member = await createUser(api);
+  await supabase.from('users').update({ is_admin: true }).eq('id', admin.id);
+});
+
+after(stopApp);
+
+describe('finding resources', () => {
+  it('places the user from their latest located discovery post', async () => {
+    const local = await createUser(api);
+    await insert('discovery_posts', {
+      user_id: local.id,
+      title: 'Char kway teow spot',
+      location: 'George Town',
+      location_lat: 5.41,
+      location_long: 100.33
+    });
+
+    const { status, body } = await api.get('/api/crisis/resources', { token: local.token });
+    assert.equal(status, 200);
+    assert.deepEqual(body.meta.location, { country_code: 'MY', region: 'Penang', source: 'discovery' });
+
+    // Regional helpline ranks above the country-wide one
+    const listed = names(body.data);
+    assert.ok(listed.indexOf('Befrienders Penang') < listed.indexOf('Befrienders Kuala Lumpur'));
+    assert.equal(listed[listed.length - 1], 'Find A Helpline');
+    assert.ok(!listed.includes('Samaritans of Singapore'));
+  });
+
+  it('falls back to the latest located community, then the default country', async () => {
+    const joiner = await createUser(api);
+    const community = await insert('communities', {
+      creator_id: admin.id,
+      name: 'JB Runners',
+      location: 'Johor Bahru',
+      location_lat: 1.49,
+      location_long: 103.74
+    });
+    await insert('community_members', { community_id: community.id, user_id: joiner.id });
+
+    const joined = await api.get('/api/crisis/resources', { token: joiner.token });
+    assert.deepEqual(joined.body.meta.location, { country_code: 'MY', region: 'Johor', source: 'community' });
+
+    const anonymous = await api.get('/api/crisis/resources');
+    assert.deepEqual(anonymous.body.meta.location, { country_code: 'MY', region: null, source: 'default' });
+    assert.ok(!names(anonymous.body.data).includes('Befrienders Penang'));
+  });
+
+  it('uses explicit coordinates or country and filters by crisis type', async () => {
+    const singapore = await api.get('/api/crisis/resources?lat=1.30&lng=103.85');
+    assert.equal(singapore.body.meta.location.country_code, 'SG');
+    assert.ok(names(singapore.body.data).includes('SOS CareText'));
+
+    const violence = await api.get('/api/crisis/resources?country=MY&crisisType=violence');
+    assert.ok(names(violence.body.data).includes("Women's Aid Organisation Hotline"));
+
+    const depression = await api.get('/api/crisis/resources?country=MY&crisisType=depression');
+    assert.ok(!names(depression.body.data).includes("Women's Aid Organisation Hotline"));
+
+    const invalid = await api.get('/api/crisis/resources?country=malaysia');
+    assert.equal(invalid.status, 400);
+  });
+});
+
+describe('maintaining the directory', () => {
+  it('is limited to admins', async () => {
+    const denied = await api.post('/api/crisis/resources', { name: 'Unvetted line' }, { token: member.token });
+    assert.equal(denied.status, 403);
+
+    const anonymous = await api.get('/api/crisis/resources/all');
+    assert.equal(anonymous.status, 401);
+  });
+
+  it('adds, updates and removes resources', async () => {
+    const { status, body } = await api.post('/api/crisis/resources', {
+      name: 'Sabah Crisis Line',
+      resource_type: 'helpline',
+      phone: '+6088-000 000',
+      country_code: 'MY',
+      region: 'Sabah',
+      crisis_types: ['self_harm'],
+      priority: 80
+    }, { token: admin.token });
+    assert.equal(status, 201);
+    assert.equal(body.data.created_by, admin.id);
+
+    const unknownField = await api.post('/api/crisis/resources', { name: 'Line', rating: 5 }, { token: admin.token });
+    assert.equal(unknownField.status, 400);
+
+    const sabah = await api.get('/api/crisis/resources?lat=5.98&lng=116.07&crisisType=self_harm');
+    assert.ok(names(sabah.body.data).includes('Sabah Crisis Line'));
+
+    const paused = await api.put(`/api/crisis/resources/${body.data.id}`, { is_active: false }, { token: admin.token });
+    assert.equal(paused.body.data.is_active, false);
+
+    const hidden = await api.get('/api/crisis/resources?lat=5.98&lng=116.07&crisisType=self_harm');
+    assert.ok(!names(hidden.body.data).includes('Sabah Crisis Line'));
+
+    const all = await api.get('/api/crisis/resources/all?country=MY', { token: admin.token });
+    assert.ok(names(all.body.data).includes('Sabah Crisis Line'));
+
+    const removed = await api.delete(`/api/crisis/resources/${body.data.id}`, { token: admin.token });
+    assert.equal(removed.status, 200);
+
+    const gone = await api.delete(`/api/crisis/resources/${body.data.id}`, { token: admin.token });
+    assert.equal(gone.status, 404);
+  });
+});
+
+describe('resources on crisis responses', () => {
+  let helper;
+
+  before(async () => {
+    helper = await createUser(api);
+    await insert('user_scores', { user_id: helper.id, aura_score: 990 });
+  });
+
+  it('returns resources with a crisis post and sends them to helpers', async () => {
+    const author = await createUser(api);
+    await insert('discovery_posts', { user_id: author.id, location_lat: 5.41, location_long: 100.33 });
+
+    const { body } = await api.post('/api/posts/create', {
+      caption: 'I just want to end my life'
+    }, { token: author.token });
+    assert.equal(body.meta.crisisDetected, true);
+    assert.ok(names(body.meta.crisisResources).includes('Befrienders Penang'));
+
+    const { data: alert } = await supabase.from('crisis_alerts').select('*').eq('post_id', body.data.id).single();
+    assert.equal(alert.country_code, 'MY');
+    assert.equal(alert.region, 'Penang');
+
+    const { data: inbox } = await supabase
+      .from('notifications')
+      .select('data')
+      .eq('user_id', helper.id)
+      .eq('type', 'crisis_alert');
+    const offer = inbox.find(notification => notification.data.alert_id === alert.id);
+    assert.ok(names(offer.data.resources).includes('Befrienders Penang'));
+  });
+
+  it('lists resources alongside the support chat messages', async () => {
+    const user = await createUser(api);
+    const { body: created } = await api.post('/api/crisis/alert/create', {
+      userId: user.id,
+      content: 'Everything feels pointless',
+      severity: 'high',
+      crisisType: 'depression'
+    }, { token: user.token });
+    assert.ok(created.data.resources.length > 0);
+
+    const { body: responded } = await api.post(`/api/crisis/alert/${created.data.alert.id}/respond`, {
+      message: 'I am here if you want to talk',
+      action: 'message',
+      openChat: true
+    }, { token: helper.token });
+
+    const { body } = await api.get(`/api/chat/conversations/${responded.data.conversation_id}/messages`, { token: user.token });
+    assert.equal(body.data.length, 1);
+    assert.ok(names(body.meta.crisisResources).includes('Befrienders Kuala Lumpur'));
+  });
+});
@@ -0,0 +1,220 @@
+// test/crisis-support.test.js
+// Helper responses reaching the user in crisis (services/crisisSupport.js):
+// notifications, private support chat, accept / decline / different helper
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp, supabase } = require('./helpers');
+const { createUser, insert } = require('./fixtures');
+
+let api;
+let user;
+let helper;
+let secondHelper;
+let lateHelper;
+
+const openAlert = async () => {
+  const { body } = await api.post('/api/crisis/alert/create', {
+    userId: user.id,
+    content: 'Everything feels pointless',
+    severity: 'high',
+    crisisType: 'depression'
+  }, { token: user.token });
+
+  return body.data.alert;
+};
+
+const respond = async (alert, by, body) => {
+  return api.post(`/api/crisis/alert/${alert.id}/respond`, body, { token: by.token });
+};
+
+const inboxOf = async (userId, type) => {
+  const { data } = await supabase
+    .from('notifications')
+    .select('type, message, data, action_url')
+    .eq('user_id', userId)
+    .eq('type', type);
+
+  return data;
+};
+
+const loadAlert = async (alertId) => {
+  const { data } = await supabase.from('crisis_alerts').select('*').eq('id', alertId).single();
+  return data;
+};
+
+before(async () => {
+  api = await startApp();
+  user = await createUser(api);
+  helper = await createUser(api);
+  secondHelper = await createUser(api);
+  await insert('user_scores', { user_id: helper.id, aura_score: 950 });
+  await insert('user_scores', { user_id: secondHelper.id, aura_score: 900 });
+});
+
+after(stopApp);
+
+describe('delivering responses', () => {
+  it('notifies the user and opens a private support chat on request', async () => {
+    const alert = await openAlert();
+
+    const { status, body } = await respond(alert, helper, {
+      message: 'Hi, I am here. Want to talk?',
+      action: 'message',
+      openChat: true
+    });
+    assert.equal(status, 200);
+    assert.ok(body.data.conversation_id);
+
+    const [notice] = await inboxOf(user.id, 'crisis_support');
+    assert.equal(notice.message, 'Hi, I am here. Want to talk?');
+    assert.equal(notice.data.alert_id, alert.id);
+    assert.equal(notice.data.helper_id, helper.id);
+    assert.equal(notice.data.conversation_id, body.data.conversation_id);
+    assert.equal(notice.action_url, `/chat/${body.data.conversation_id}`);
+
+    const { data: conversation } = await supabase.from('conversations').select('type').eq('id', body.data.conversation_id).single();
+    assert.equal(conversation.type, 'crisis_support');
+
+    const { data: participants } = await supabase
+      .from('conversation_participants')
+      .select('user_id, role')
+      .eq('conversation_id', body.data.conversation_id);
+    assert.deepEqual(
+      participants.map(p => `${p.role}:${p.user_id}`).sort(),
+      [`helper:${helper.id}`, `member:${user.id}`].sort()
+    );
+
+    const { data: messages } = await supabase.from('messages').select('sender_id, content').eq('conversation_id', body.data.conversation_id);
+    assert.deepEqual(messages, [{ sender_id: helper.id, content: 'Hi, I am here. Want to talk?' }]);
+
+    assert.equal((await loadAlert(alert.id)).support_conversation_id, body.data.conversation_id);
+  });
+
+  it('keeps the support chat to its participants', async () => {
+    const alert = await openAlert();
+    const { body } = await respond(alert, helper, { message: 'Talk to me', action: 'message', openChat: true });
+    const conversationId = body.data.conversation_id;
+    const stranger = await createUser(api);
+
+    const anonymous = await api.get(`/api/chat/conversations/${conversationId}/messages`);
+    assert.equal(anonymous.status, 401);
+
+    const read = await api.get(`/api/chat/conversations/${conversationId}/messages`, { token: stranger.token });
+    assert.equal(read.status, 403);
+
+    const sent = await api.post('/api/chat/messages/send', { conversationId, content: 'Hello?' }, { token: stranger.token });
+    assert.equal(sent.status, 403);
+
+    const own = await api.get(`/api/chat/conversations/${conversationId}/messages`, { token: user.token });
+    assert.equal(own.status, 200);
+    assert.deepEqual(own.body.data.map(message => message.content), ['Talk to me']);
+  });
+
+  it('reuses the support chat for further messages from the same helper', async () => {
+    const alert = await openAlert();
+    const first = await respond(alert, helper, { message: 'Checking in', action: 'message', openChat: true });
+    const second = await respond(alert, helper, { message: 'Still here', action: 'message', openChat: true });
+
+    assert.equal(second.body.data.conversation_id, first.body.data.conversation_id);
+
+    const { count } = await supabase
+      .from('messages')
+      .select('*', { count: 'exact', head: true })
+      .eq('conversation_id', first.body.data.conversation_id);
+    assert.equal(count, 2);
+  });
+
+  it('lists responses to the user and case workers only', async () => {
+    const alert = await openAlert();
+    await respond(alert, helper, { message: 'Thinking of you', action: 'message' });
+
+    const mine = await api.get(`/api/crisis/alert/${alert.id}/responses`, { token: user.token });
+    assert.equal(mine.body.meta.count, 1);
+    assert.equal(mine.body.data[0].conversation_id, null);
+
+    const stranger = await createUser(api);
+    const denied = await api.get(`/api/crisis/alert/${alert.id}/responses`, { token: stranger.token });
+    assert.equal(denied.status, 403);
+  });
+});
+
+describe('user replies', () => {
+  it('accepts a response, opening the chat if the helper did not', async () => {
+    const alert = await openAlert();
+    const { body: responded } = await respond(alert, helper, { message: 'I am around tonight', action: 'message' });
+    const responseId = responded.data.id;
+
+    const intruder = await api.post(`/api/crisis/alert/${alert.id}/responses/${responseId}/decision`, {
+      decision: 'accepted'
+    }, { token: helper.token });
+    assert.equal(intruder.status, 403);
+
+    const { status, body } = await api.post(`/api/crisis/alert/${alert.id}/responses/${responseId}/decision`, {
+      decision: 'accepted'
+    }, { token: user.token });
+    assert.equal(status, 200);
+    assert.equal(body.data.user_decision, 'accepted');
+    assert.ok(body.data.conversation_id);
+
+    const recorded = await loadAlert(alert.id);
+    assert.equal(recorded.user_decision, 'accepted');
+    assert.ok(recorded.user_decision_at);
+
+    const notices = await inboxOf(helper.id, 'crisis_accepted');
+    assert.equal(notices[0].data.conversation_id, body.data.conversation_id);
+
+    const again = await api.post(`/api/crisis/alert/${alert.id}/responses/${responseId}/decision`, {
+      decision: 'declined'
+    }, { token: user.token });
+    assert.equal(again.status, 409);
+  });
+
+  it('declines a response without closing the case', async () => {
+    const alert = await openAlert();
+    const { body: responded } = await respond(alert, helper, { message: 'Here if you need me', action: 'message' });
+
+    await api.post(`/api/crisis/alert/${alert.id}/responses/${responded.data.id}/decision`, {
+      decision: 'declined',
+      note: 'Not now'
+    }, { token: user.token });
+
+    const declined = await loadAlert(alert.id);
+    assert.equal(declined.user_decision, 'declined');
+    assert.equal(declined.status, 'in_progress');
+    assert.equal((await inboxOf(helper.id, 'crisis_declined')).length, 1);
+  });
+
+  it('releases the case to other helpers when the user asks for someone else', async () => {
+    lateHelper = await createUser(api);
+    const alert = await openAlert();
+    await insert('user_scores', { user_id: lateHelper.id, aura_score: 880 });
+
+    const { body: responded } = await respond(alert, helper, { message: 'Hello', action: 'message' });
+    const offersTo = async (person) => (await inboxOf(person.id, 'crisis_alert')).filter(n => n.data.alert_id === alert.id).length;
+    const offeredBefore = await offersTo(helper);
+
+    const { body } = await api.post(`/api/crisis/alert/${alert.id}/responses/${responded.data.id}/decision`, {
+      decision: 'different_helper'
+    }, { token: user.token });
+    assert.equal(body.message, 'We are finding another helper for you');
+
+    const released = await loadAlert(alert.id);
+    assert.equal(released.status, 'pending');
+    assert.equal(released.assigned_helper_id, null);
+    assert.equal(released.user_decision, 'different_helper');
+
+    assert.equal(await offersTo(lateHelper), 1);
+    assert.equal(await offersTo(helper), offeredBefore, 'the original helper is not offered the case again');
+
+    const { data: events } = await supabase
+      .from('crisis_alert_events')
+      .select('event_type, actor_id, details')
+      .eq('alert_id', alert.id)
+      .in('event_type', ['user_decision', 'released'])
+      .order('created_at', { ascending: true });
+    assert.deepEqual(events.map(event => event.event_type), ['user_decision', 'released']);
+    assert.equal(events[0].actor_id, user.id);
+    assert.equal(events[1].details.reason, 'user_requested_different_helper');
+  });
+});
@@ -0,0 +1,107 @@
+// test/docs.test.js
+// Generated OpenAPI document (docs/openapi.js) served at /api/openapi.json and /api/docs
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp } = require('./helpers');
+const apiRoutes = require('../routes');
+const schemas = require('../schemas/charity');
+
+let api;
+let spec;
+
+before(async () => {
+  api = await startApp();
+  ({ body: spec } = await api.get('/api/openapi.json'));
+});
+
+after(stopApp);
+
+describe('openapi document', () => {
+  it('documents every route mounted in index.js', () => {
+    assert.equal(spec.openapi, '3.0.3');
+
+    const documented = new Set(Object.entries(spec.paths).flatMap(([path, methods]) => {
+      return Object.keys(methods).map(method => `${method} ${path}`);
+    }));
+
+    for (const { path, router } of apiRoutes) {
+      for (const layer of router.stack.filter(l => l.route)) {
+        for (const method of Object.keys(layer.route.methods)) {
+          const openApiPath = (path + (layer.route.path === '/' ? '' : layer.route.path)).replace(/:(\w+)/g, '{$1}');
+          assert.ok(documented.has(`${method} ${openApiPath}`), `${method.toUpperCase()} ${openApiPath} is documented`);
+        }
+      }
+    }
+  });
+
+  it('takes parameters and bodies from the validation schemas', () => {
+    const getPost = spec.paths['/api/posts/{postId}'].get;
+    assert.equal(getPost.summary, 'Get post by id (with analytics)');
+    assert.deepEqual(getPost.parameters[0], {
+      name: 'postId',
+      in: 'path',
+      required: true,
+      schema: { type: 'string', format: 'uuid' }
+    });
+
+    const nearby = spec.paths['/api/discovery/businesses/nearby'].get.parameters;
+    assert.deepEqual(nearby.find(p => p.name === 'lat'), {
+      name: 'lat',
+      in: 'query',
+      required: true,
+      schema: { type: 'number', minimum: -90, maximum: 90 }
+    });
+
+    const campaign = spec.paths['/api/charity/campaigns/create'].post.requestBody;
+    const body = campaign.content['application/json'].schema;
+    assert.equal(campaign.required, true);
+    assert.deepEqual(body.required, ['title', 'goalAmount']);
+    assert.deepEqual(Object.keys(body.properties), Object.keys(schemas.createCampaign.body));
+    assert.equal(body.properties.goalAmount.minimum, 0.01);
+    assert.equal(body.properties.endDate.format, 'date-time');
+
+    const settings = spec.paths['/api/celebrity/{userId}/settings'].put.requestBody;
+    assert.equal(settings.content['application/json'].schema.additionalProperties, false);
+  });
+
+  it('describes uploads as multipart bodies', () => {
+    const upload = spec.paths['/api/media/post-media'].post.requestBody.content['multipart/form-data'].schema;
+    assert.deepEqual(upload.properties.files, { type: 'array', items: { type: 'string', format: 'binary' } });
+    assert.ok(upload.required.includes('files'));
+  });
+
+  it('marks guarded routes and the errors they can return', () => {
+    const create = spec.paths['/api/posts/create'].post;
+    assert.deepEqual(create.security, [{ bearerAuth: [] }]);
+    assert.equal(create.responses['401'].content['application/json'].schema.$ref, '#/components/schemas/Error');
+
+    const read = spec.paths['/api/posts/{postId}'].get;
+    assert.equal(read.security, undefined);
+    assert.equal(read.responses['404'].description, 'NOT_FOUND');
+
+    const dashboard = spec.paths['/api/celebrity/dashboard/{userId}'].get;
+    assert.match(dashboard.responses['403'].description, /PREMIUM_REQUIRED/);
+
+    const subscribe = spec.paths['/api/subscriptions/subscribe'].post;
+    assert.ok(subscribe.responses['201']);
+  });
+
+  it('describes the shared response envelope', () => {
+    const { Error: error } = spec.components.schemas;
+    assert.ok(error.properties.error.properties.code.enum.includes('VALIDATION_FAILED'));
+    assert.deepEqual(spec.components.securitySchemes.bearerAuth, { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' });
+  });
+});
+
+describe('docs page', () => {
+  it('serves Swagger UI pointed at the document', async () => {
+    const response = await fetch(`${api.baseUrl}/api/docs`);
+    const html = await response.text();
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/html/);
+    assert.match(html, /SwaggerUIBundle/);
+    assert.match(html, /\/api\/openapi\.json/);
+  });
+});
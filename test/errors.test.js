@@ -0,0 +1,66 @@
+// test/errors.test.js
+// Response envelope and error codes (middleware/errors.js)
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp } = require('./helpers');
+const { createUser } = require('./fixtures');
+
+let api;
+let user;
+
+before(async () => {
+  api = await startApp();
+  user = await createUser(api);
+});
+
+after(stopApp);
+
+describe('error envelope', () => {
+  it('answers unknown routes with NOT_FOUND', async () => {
+    const { status, body } = await api.get('/api/nowhere');
+    assert.equal(status, 404);
+    assert.deepEqual(body, {
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Route GET /api/nowhere not found' }
+    });
+  });
+
+  it('reports malformed JSON as BAD_REQUEST', async () => {
+    const res = await fetch(`${api.baseUrl}/api/posts/create`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${user.token}` },
+      body: '{"caption": '
+    });
+    const body = await res.json();
+
+    assert.equal(res.status, 400);
+    assert.equal(body.error.code, 'BAD_REQUEST');
+    assert.equal(body.error.message, 'Request body is not valid JSON');
+  });
+
+  it('distinguishes missing, forbidden and missing-resource errors', async () => {
+    const anonymous = await api.post('/api/posts/create', { caption: 'Hello' });
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.body.error.code, 'UNAUTHORIZED');
+
+    const other = await createUser(api);
+    const forbidden = await api.put(`/api/users/${other.id}`, { bio: 'Not mine' }, { token: user.token });
+    assert.equal(forbidden.status, 403);
+    assert.equal(forbidden.body.error.code, 'FORBIDDEN');
+
+    const missing = await api.get('/api/posts/00000000-0000-0000-0000-000000000000');
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.error.code, 'NOT_FOUND');
+  });
+});
+
+describe('success envelope', () => {
+  it('wraps payloads in data and keeps list metadata in meta', async () => {
+    const { status, body } = await api.get(`/api/users/${user.id}/clips`);
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.deepEqual(body.data, []);
+    assert.equal(body.meta.count, 0);
+  });
+});
@@ -0,0 +1,139 @@
+// test/feed-affinity.test.js
+// Feed affinities (services/feedAffinity.js): learning from tracked
+// interactions, the affinity / skip_penalty scorers and mood detection
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp, supabase } = require('./helpers');
+const { createUser, createPost } = require('./fixtures');
+const feedAffinity = require('../services/feedAffinity');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('feed affinities', () => {
+  let api;
+  let viewer;
+  let favourite;
+  let skipped;
+  const posts = {};
+
+  const track = (post_id, interaction_type, duration_seconds) => {
+    return api.post('/api/feed/track-interaction', { post_id, interaction_type, duration_seconds }, { token: viewer.token });
+  };
+
+  before(async () => {
+    api = await startApp();
+
+    viewer = await createUser(api);
+    favourite = await createUser(api);
+    skipped = await createUser(api);
+
+    // Same age for every post so only the learned signals differ
+    const createdAt = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+    const educational = { content_type: 'educational', hashtags: ['science'], created_at: createdAt };
+    const gossip = { content_type: 'entertainment', hashtags: ['gossip'], created_at: createdAt };
+
+    posts.liked = await createPost(favourite.id, { caption: 'Why the sky is blue #science', ...educational });
+    posts.likedToo = await createPost(favourite.id, { caption: 'Tides explained #science', ...educational });
+    posts.fresh = await createPost(favourite.id, { caption: 'How magnets work #science', ...educational });
+    posts.skipped = await createPost(skipped.id, { caption: 'Celebrity rumours #gossip', ...gossip });
+    posts.skippedToo = await createPost(skipped.id, { caption: 'More rumours #gossip', ...gossip });
+    posts.unseen = await createPost(skipped.id, { caption: 'Even more rumours #gossip', ...gossip });
+
+    for (const post of [posts.liked, posts.likedToo]) {
+      await track(post.id, 'long_view', 45);
+      await track(post.id, 'share');
+    }
+    await track(posts.skipped.id, 'skip', 1);
+    await track(posts.skippedToo.id, 'skip', 1);
+    await track(posts.skipped.id, 'skip', 2);
+
+    await feedAffinity.processPendingUsers();
+  });
+
+  after(stopApp);
+
+  it('learns content type, hashtag, creator and dwell affinities from interactions', async () => {
+    const { data: row } = await supabase
+      .from('user_feed_affinities')
+      .select('*')
+      .eq('user_id', viewer.id)
+      .single();
+
+    assert.equal(row.interactions_count, 7);
+    assert.equal(row.skip_rate, 0.429);
+    assert.equal(row.content_types.educational.score, 1);
+    assert.equal(row.hashtags.science.events, 4);
+    assert.equal(row.creators[favourite.id].skip_rate, 0);
+    assert.deepEqual(row.creators[skipped.id], { score: -0.6, skip_rate: 1, events: 3 });
+    assert.equal(row.dwell.by_content_type.educational, 45);
+    assert.equal(row.dwell.by_content_type.entertainment, 1.3);
+  });
+
+  it('ranks liked creators up and demotes skipped content', async () => {
+    const { status, body } = await api.get(`/api/feed/personalized/${viewer.id}?debug=true`);
+    assert.equal(status, 200);
+    assert.equal(body.meta.personalization.learned_interactions, 7);
+
+    const ids = body.data.map(post => post.id);
+    assert.ok(ids.indexOf(posts.fresh.id) < ids.indexOf(posts.unseen.id), 'unseen post from a liked creator ranks above a skipped one');
+
+    const fresh = body.data.find(post => post.id === posts.fresh.id);
+    assert.ok(fresh.feed_score_breakdown.affinity.points > 0);
+    assert.equal(fresh.feed_score_breakdown.skip_penalty.points, 0);
+
+    const unseen = body.data.find(post => post.id === posts.unseen.id);
+    assert.ok(unseen.feed_score_breakdown.affinity.points < 0);
+    assert.equal(unseen.feed_score_breakdown.skip_penalty.points, -40);
+  });
+
+  it('reads the mood from affinities when there are no reactions', async () => {
+    const { body } = await api.get(`/api/feed/personalized/${viewer.id}`);
+    assert.equal(body.meta.personalization.detected_mood, 'learning');
+  });
+
+  it('only rebuilds users with new interactions', async () => {
+    const idle = await feedAffinity.processPendingUsers();
+    assert.equal(idle.users, 0);
+
+    await track(posts.fresh.id, 'view', 5);
+    const next = await feedAffinity.processPendingUsers();
+    assert.equal(next.users, 1);
+  });
+
+  it('resumes after a restart from the interactions it has not processed', async () => {
+    const { data: [newest] } = await supabase
+      .from('feed_interactions')
+      .select('created_at')
+      .order('created_at', { ascending: false })
+      .limit(1);
+    const { data: stored } = await supabase.from('job_watermarks').select('watermark').eq('job', 'feed_affinity').single();
+    assert.equal(stored.watermark, newest.created_at, 'the watermark keeps the exact timestamp');
+
+    // Interacted before the job stopped; someone else's affinities are newer
+    const pending = await createUser(api);
+    await supabase.from('feed_interactions').insert({ user_id: pending.id, post_id: posts.fresh.id, interaction_type: 'share' });
+    await supabase.from('user_feed_affinities').upsert({
+      user_id: favourite.id, last_interaction_at: new Date(Date.now() + DAY_MS).toISOString()
+    }, { onConflict: 'user_id' });
+
+    delete require.cache[require.resolve('../services/feedAffinity')];
+    const restarted = require('../services/feedAffinity');
+
+    const { users } = await restarted.processPendingUsers();
+    assert.equal(users, 1);
+
+    const { data: learned } = await supabase.from('user_feed_affinities').select('interactions_count').eq('user_id', pending.id).single();
+    assert.equal(learned.interactions_count, 1);
+  });
+
+  it('lets old interactions fade', () => {
+    const now = new Date();
+    const post = { user_id: 'creator', content_type: 'news', hashtags: [] };
+    const recent = feedAffinity.buildAffinities([{ interaction_type: 'share', created_at: now.toISOString(), post }], now);
+    const old = feedAffinity.buildAffinities([{ interaction_type: 'share', created_at: new Date(now - 28 * DAY_MS).toISOString(), post }], now);
+
+    assert.ok(old.creators.creator.score < recent.creators.creator.score);
+    assert.equal(old.creators.creator.events, 1);
+  });
+});
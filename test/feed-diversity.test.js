@@ -0,0 +1,163 @@
+// test/feed-diversity.test.js
+// Diversity re-ranking (services/feedDiversity.js): creator / content type /
+// hashtag spreading, out-of-bubble injection and the reported metric
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp } = require('./helpers');
+const { createUser, createPost, follow } = require('./fixtures');
+const feedDiversity = require('../services/feedDiversity');
+const rankingConfig = require('../config/feedRanking');
+
+const PARAMS = rankingConfig.diversity;
+
+const post = (id, user_id, extra = {}) => ({ id, user_id, content_type: 'normal', hashtags: [], ...extra });
+
+const maxRun = (posts, valueOf) => {
+  let max = 0;
+  let run = 0;
+  posts.forEach((p, i) => {
+    run = i > 0 && valueOf(p) === valueOf(posts[i - 1]) ? run + 1 : 1;
+    max = Math.max(max, run);
+  });
+  return max;
+};
+
+describe('feed diversity', () => {
+  const noBubble = feedDiversity.bubbleOf({});
+
+  it('caps runs from one creator without dropping posts', () => {
+    const ranked = [
+      post('a1', 'alice'), post('a2', 'alice'), post('a3', 'alice'), post('a4', 'alice'),
+      post('b1', 'bob'), post('c1', 'carol')
+    ];
+    const reranked = feedDiversity.rerank(ranked, noBubble, { params: { ...PARAMS, outOfBubbleShare: 0 } });
+
+    assert.deepEqual(reranked.map(p => p.id), ['a1', 'a2', 'b1', 'a3', 'a4', 'c1']);
+    assert.equal(maxRun(reranked, p => p.user_id), 2);
+  });
+
+  it('spreads content types and hashtags', () => {
+    const ranked = [
+      post('n1', 'u1', { content_type: 'news' }), post('n2', 'u2', { content_type: 'news' }),
+      post('n3', 'u3', { content_type: 'news' }), post('n4', 'u4', { content_type: 'news' }),
+      post('e1', 'u5', { content_type: 'educational' })
+    ];
+    const types = feedDiversity.rerank(ranked, noBubble, { params: { ...PARAMS, outOfBubbleShare: 0 } });
+    assert.deepEqual(types.map(p => p.id), ['n1', 'n2', 'n3', 'e1', 'n4']);
+
+    const tagged = [
+      post('t1', 'u1', { hashtags: ['#cats'] }), post('t2', 'u2', { hashtags: ['cats'] }),
+      post('t3', 'u3', { hashtags: ['#Cats'] }), post('d1', 'u4', { hashtags: ['dogs'] })
+    ];
+    const tags = feedDiversity.rerank(tagged, noBubble, { params: { ...PARAMS, outOfBubbleShare: 0 } });
+    assert.deepEqual(tags.map(p => p.id), ['t1', 't2', 'd1', 't3']);
+
+    // The window slides: a one-post window never holds a hashtag back
+    const spaced = [
+      post('x1', 'u1', { hashtags: ['cats'] }), post('x2', 'u2', { hashtags: ['cats'] }),
+      post('y1', 'u3', { hashtags: ['dogs'] })
+    ];
+    const windowOf = (hashtagWindow) => feedDiversity.rerank(spaced, noBubble, {
+      params: { ...PARAMS, outOfBubbleShare: 0, maxPerHashtag: 1, hashtagWindow }
+    }).map(p => p.id);
+    assert.deepEqual(windowOf(2), ['x1', 'y1', 'x2']);
+    assert.deepEqual(windowOf(1), ['x1', 'x2', 'y1']);
+  });
+
+  it('falls back to the defaults for invalid diversity overrides', () => {
+    const configPath = require.resolve('../config/feedRanking');
+    process.env.FEED_DIVERSITY = '{"hashtagWindow": 0, "maxPerHashtag": 3, "outOfBubbleShare": 2}';
+    delete require.cache[configPath];
+
+    try {
+      const { diversity } = require('../config/feedRanking');
+      assert.equal(diversity.hashtagWindow, PARAMS.hashtagWindow);
+      assert.equal(diversity.outOfBubbleShare, PARAMS.outOfBubbleShare);
+      assert.equal(diversity.maxPerHashtag, 3);
+    } finally {
+      delete process.env.FEED_DIVERSITY;
+      delete require.cache[configPath];
+    }
+  });
+
+  it('keeps a share of slots for out-of-bubble posts', () => {
+    const bubble = feedDiversity.bubbleOf({ userId: 'me', followingIds: ['f1', 'f2', 'f3'], passions: ['photography'] });
+    const ranked = [
+      post('p1', 'f1'), post('p2', 'f2'), post('p3', 'f3'), post('p4', 'f1'),
+      post('p5', 'f2'), post('p6', 'f3'), post('match', 'stranger', { hashtags: ['#photography'] }),
+      post('outside', 'stranger', { hashtags: ['#knitting'] })
+    ];
+
+    assert.equal(feedDiversity.isOutOfBubble(ranked[6], bubble), false, 'passion hashtags are inside the bubble');
+    assert.equal(feedDiversity.isOutOfBubble(ranked[7], bubble), true);
+
+    const reranked = feedDiversity.rerank(ranked, bubble, { params: { ...PARAMS, outOfBubbleShare: 0.25 }, debug: true });
+    const outside = reranked.findIndex(p => p.id === 'outside');
+    assert.equal(outside, 3, 'the fourth slot goes out of the bubble');
+    assert.deepEqual(reranked[outside].feed_diversity, { score_rank: 8, out_of_bubble: true });
+
+    const metric = feedDiversity.measure(reranked.slice(0, 4), bubble);
+    assert.equal(metric.out_of_bubble, 1);
+    assert.equal(metric.out_of_bubble_share, 0.25);
+    assert.equal(metric.creators, 4);
+
+    const untouched = feedDiversity.rerank(ranked, bubble, { params: { ...PARAMS, enabled: false } });
+    assert.deepEqual(untouched, ranked);
+  });
+
+  it('scores how varied a page is', () => {
+    const same = feedDiversity.measure([post('1', 'a'), post('2', 'a'), post('3', 'a')], noBubble);
+    assert.equal(same.score, 0);
+    assert.equal(same.max_creator_run, 3);
+
+    const varied = feedDiversity.measure([
+      post('1', 'a', { content_type: 'news' }),
+      post('2', 'b', { content_type: 'educational' }),
+      post('3', 'c', { content_type: 'entertainment' })
+    ], noBubble);
+    assert.equal(varied.score, 1);
+    assert.equal(varied.max_creator_run, 1);
+  });
+
+  describe('on the feeds', () => {
+    let api;
+    let reader;
+    let prolific;
+
+    before(async () => {
+      api = await startApp();
+      reader = await createUser(api);
+      prolific = await createUser(api);
+      const other = await createUser(api);
+      const stranger = await createUser(api);
+
+      await follow(reader.id, prolific.id);
+      await follow(reader.id, other.id);
+
+      // The prolific creator's posts are all newer, so they score highest
+      const at = (minutesAgo) => new Date(Date.now() - minutesAgo * 60 * 1000).toISOString();
+      for (let i = 0; i < 5; i++) {
+        await createPost(prolific.id, { caption: `Prolific ${i}`, created_at: at(10 + i) });
+      }
+      await createPost(other.id, { caption: 'Older', created_at: at(8 * 60) });
+      await createPost(stranger.id, { caption: 'Far away #knitting', hashtags: ['#knitting'], created_at: at(30 * 60) });
+    });
+
+    after(stopApp);
+
+    it('re-ranks the personalized feed and reports its diversity', async () => {
+      const { body } = await api.get(`/api/feed/personalized/${reader.id}?debug=true`);
+
+      assert.equal(body.data.length, 7);
+      assert.equal(body.meta.diversity.max_creator_run, 2);
+      assert.equal(body.meta.diversity.creators, 3);
+      assert.equal(body.meta.diversity.out_of_bubble, 1);
+      assert.ok(body.meta.diversity.score > 0 && body.meta.diversity.score < 1);
+      assert.equal(maxRun(body.data, p => p.user_id), 2);
+
+      const moved = body.data.filter(p => p.feed_diversity.score_rank !== body.data.indexOf(p) + 1);
+      assert.ok(moved.length > 0, 'posts were moved from their score order');
+    });
+  });
+});
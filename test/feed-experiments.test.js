@@ -0,0 +1,186 @@
+// test/feed-experiments.test.js
+// Feed ranking experiments (services/feedExperiments.js): bucketing, variant
+// ranking on the personalized / discover feeds and per-variant metrics
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp, supabase } = require('./helpers');
+const { createUser, createPost } = require('./fixtures');
+const { bucketOf, variantFor } = require('../services/feedExperiments');
+const feedExperimentsRepo = require('../repositories/feedExperiments');
+
+const VARIANTS = [
+  { name: 'control', allocation: 50 },
+  { name: 'no-recency', allocation: 50, weights: { recency: 0 } }
+];
+
+describe('feed experiments', () => {
+  let api;
+  let admin;
+  let creator;
+  const bucketed = {};
+  const posts = [];
+  let experiment;
+
+  before(async () => {
+    api = await startApp();
+    admin = await createUser(api);
+    creator = await createUser(api);
+    await supabase.from('users').update({ is_admin: true }).eq('id', admin.id);
+
+    // One user in each variant of the 'ranking-v2' experiment
+    for (let i = 0; i < 40 && Object.keys(bucketed).length < 2; i++) {
+      const user = await createUser(api);
+      const variant = variantFor({ key: 'ranking-v2', variants: VARIANTS }, user.id);
+      if (!bucketed[variant.name]) bucketed[variant.name] = user;
+    }
+
+    for (const caption of ['First', 'Second', 'Third']) {
+      posts.push(await createPost(creator.id, { caption, content_type: 'educational', hashtags: ['science'] }));
+    }
+  });
+
+  after(stopApp);
+
+  it('buckets users deterministically', () => {
+    const user = bucketed.control.id;
+    assert.equal(bucketOf('ranking-v2', user), bucketOf('ranking-v2', user));
+    assert.ok(bucketOf('ranking-v2', user) >= 0 && bucketOf('ranking-v2', user) < 100);
+
+    const nobody = variantFor({ key: 'ranking-v2', variants: [{ name: 'only', allocation: 0 }] }, user);
+    assert.equal(nobody, null);
+  });
+
+  it('is managed by admins', async () => {
+    const denied = await api.post('/api/feed/experiments', {
+      key: 'ranking-v2', name: 'Ranking v2', variants: VARIANTS
+    }, { token: creator.token });
+    assert.equal(denied.status, 403);
+
+    const unknownScorer = await api.post('/api/feed/experiments', {
+      key: 'bad', name: 'Bad', variants: [{ name: 'a', allocation: 50 }, { name: 'b', allocation: 50, weights: { vibes: 2 } }]
+    }, { token: admin.token });
+    assert.equal(unknownScorer.status, 400);
+
+    const overAllocated = await api.post('/api/feed/experiments', {
+      key: 'bad', name: 'Bad', variants: [{ name: 'a', allocation: 60 }, { name: 'b', allocation: 60 }]
+    }, { token: admin.token });
+    assert.equal(overAllocated.status, 400);
+
+    const created = await api.post('/api/feed/experiments', {
+      key: 'ranking-v2', name: 'Ranking v2', surfaces: ['personalized'], variants: VARIANTS
+    }, { token: admin.token });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.data.status, 'draft');
+    experiment = created.body.data;
+
+    const started = await api.put(`/api/feed/experiments/${experiment.id}`, { status: 'running' }, { token: admin.token });
+    assert.equal(started.status, 200);
+    assert.ok(started.body.data.started_at);
+
+    const locked = await api.put(`/api/feed/experiments/${experiment.id}`, { variants: VARIANTS }, { token: admin.token });
+    assert.equal(locked.status, 409);
+
+    const rival = await api.post('/api/feed/experiments', {
+      key: 'rival', name: 'Rival', surfaces: ['personalized'], variants: VARIANTS
+    }, { token: admin.token });
+    const rivalStart = await api.put(`/api/feed/experiments/${rival.body.data.id}`, { status: 'running' }, { token: admin.token });
+    assert.equal(rivalStart.status, 409);
+
+    const { body } = await api.get('/api/feed/experiments?status=running', { token: admin.token });
+    assert.deepEqual(body.data.map(e => e.key), ['ranking-v2']);
+  });
+
+  it('ranks each bucket with its variant weights', async () => {
+    const control = await api.get(`/api/feed/personalized/${bucketed.control.id}?debug=true`);
+    assert.deepEqual(control.body.meta.experiment, { key: 'ranking-v2', variant: 'control' });
+    assert.equal(control.body.meta.ranking.weights.recency, 1);
+    assert.equal(control.body.data.length, 3);
+
+    const treated = await api.get(`/api/feed/personalized/${bucketed['no-recency'].id}?debug=true`);
+    assert.deepEqual(treated.body.meta.experiment, { key: 'ranking-v2', variant: 'no-recency' });
+    assert.equal(treated.body.meta.ranking.weights.recency, 0);
+    assert.equal(treated.body.data[0].feed_score_breakdown.recency, undefined);
+
+    // Not on the discover feed
+    const discover = await api.get(`/api/feed/discover/${bucketed.control.id}`);
+    assert.equal(discover.body.meta.experiment, undefined);
+  });
+
+  it('serves the feed when the exposure cannot be stored', async () => {
+    mock.method(feedExperimentsRepo, 'recordExposure', async () => {
+      throw new Error('connection reset');
+    });
+
+    try {
+      const { status, body } = await api.get(`/api/feed/personalized/${bucketed.control.id}`);
+      assert.equal(status, 200);
+      assert.equal(body.data.length, 3);
+      assert.deepEqual(body.meta.experiment, { key: 'ranking-v2', variant: 'control' });
+    } finally {
+      mock.restoreAll();
+    }
+  });
+
+  it('reports CTR, long_view and skip rates per variant', async () => {
+    const track = (user, post, interaction_type) => api.post('/api/feed/track-interaction', {
+      post_id: post.id, interaction_type
+    }, { token: user.token });
+
+    await track(bucketed.control, posts[0], 'share');
+    await track(bucketed.control, posts[1], 'long_view');
+    await track(bucketed['no-recency'], posts[0], 'skip');
+    await track(bucketed['no-recency'], posts[1], 'react');
+    await track(bucketed['no-recency'], posts[2], 'skip');
+
+    const denied = await api.get(`/api/feed/experiments/${experiment.id}/analytics`, { token: creator.token });
+    assert.equal(denied.status, 403);
+
+    const { status, body } = await api.get(`/api/feed/experiments/${experiment.id}/analytics`, { token: admin.token });
+    assert.equal(status, 200);
+    assert.equal(body.data.control, 'control');
+
+    const [control, treated] = body.data.variants;
+    assert.deepEqual(
+      [control.users, control.exposures, control.impressions, control.clicks, control.long_views, control.skips],
+      [1, 1, 3, 1, 1, 0]
+    );
+    assert.equal(control.ctr, 33.3);
+    assert.equal(control.long_view_rate, 33.3);
+    assert.equal(control.lift, null);
+
+    assert.equal(treated.ctr, 33.3);
+    assert.equal(treated.skip_rate, 66.7);
+    assert.equal(treated.long_view_rate, 0);
+    assert.deepEqual(treated.lift, { ctr: 0, long_view_rate: -100, skip_rate: null });
+  });
+
+  it('runs on the discover feed and stops', async () => {
+    const created = await api.post('/api/feed/experiments', {
+      key: 'ranking-v2-discover', name: 'Discover pipeline', surfaces: ['discover'],
+      variants: [{ name: 'engagement', allocation: 100 }]
+    }, { token: admin.token });
+    assert.equal(created.status, 400, 'an experiment needs two variants');
+
+    const discoverExperiment = await api.post('/api/feed/experiments', {
+      key: 'discover-pipeline', name: 'Discover pipeline', surfaces: ['discover'],
+      variants: [{ name: 'engagement', allocation: 0 }, { name: 'pipeline', allocation: 100, weights: { engagement: 2 } }]
+    }, { token: admin.token });
+    const id = discoverExperiment.body.data.id;
+    await api.put(`/api/feed/experiments/${id}`, { status: 'running' }, { token: admin.token });
+
+    const discover = await api.get(`/api/feed/discover/${bucketed.control.id}`);
+    assert.deepEqual(discover.body.meta.experiment, { key: 'discover-pipeline', variant: 'pipeline' });
+    assert.ok(discover.body.data.every(post => post.feed_score !== undefined));
+
+    const stopped = await api.put(`/api/feed/experiments/${id}`, { status: 'stopped' }, { token: admin.token });
+    assert.equal(stopped.body.data.status, 'stopped');
+    assert.ok(stopped.body.data.stopped_at);
+
+    const restart = await api.put(`/api/feed/experiments/${id}`, { status: 'running' }, { token: admin.token });
+    assert.equal(restart.status, 409);
+
+    const afterStop = await api.get(`/api/feed/discover/${bucketed.control.id}`);
+    assert.equal(afterStop.body.meta.experiment, undefined);
+  });
+});
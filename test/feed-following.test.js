@@ -0,0 +1,135 @@
+// test/feed-following.test.js
+// Following feed (followed users' posts, newest first) and the default feed
+// mode served by /api/feed/home/:userId
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp } = require('./helpers');
+const { createUser, createPost, follow } = require('./fixtures');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('following feed', () => {
+  let api;
+  let reader;
+  let alice;
+  let bob;
+  let outsider;
+  const expected = [];
+
+  before(async () => {
+    api = await startApp();
+
+    reader = await createUser(api);
+    alice = await createUser(api);
+    bob = await createUser(api);
+    outsider = await createUser(api);
+
+    await follow(reader.id, alice.id);
+    await follow(reader.id, bob.id);
+
+    // Oldest first; two posts share a timestamp so paging has to break the tie
+    const now = Date.now();
+    const at = (minutesAgo) => new Date(now - minutesAgo * MINUTE_MS).toISOString();
+    const posts = [
+      await createPost(alice.id, { caption: 'Oldest', created_at: at(50) }),
+      await createPost(bob.id, { caption: 'Same minute', created_at: at(40) }),
+      await createPost(alice.id, { caption: 'Same minute too', created_at: at(40) }),
+      await createPost(bob.id, { caption: 'Recent', created_at: at(20) }),
+      await createPost(alice.id, { caption: 'Newest', created_at: at(10) })
+    ];
+    // Newest first; ties go to the larger id
+    const tied = [posts[1].id, posts[2].id].sort().reverse();
+    expected.push(posts[4].id, posts[3].id, ...tied, posts[0].id);
+
+    await createPost(outsider.id, { caption: 'Not followed', created_at: at(5) });
+    await createPost(alice.id, { caption: 'Hidden', visibility: 'private', created_at: at(5) });
+  });
+
+  after(stopApp);
+
+  it('lists followed users\' public posts newest first', async () => {
+    const { status, body } = await api.get(`/api/feed/following/${reader.id}`);
+
+    assert.equal(status, 200);
+    assert.equal(body.meta.mode, 'following');
+    assert.equal(body.meta.following_count, 2);
+    assert.equal(body.meta.has_more, false);
+
+    assert.deepEqual(body.data.map(post => post.id), expected);
+    assert.equal(body.data[0].users.username, alice.username);
+    assert.equal(body.data[0].reactions.total, 0);
+    assert.deepEqual(body.data[0].blocked_reactions, []);
+  });
+
+  it('pages with a cursor without repeats', async () => {
+    const seen = [];
+    let page = await api.get(`/api/feed/following/${reader.id}?limit=2`);
+    seen.push(...page.body.data.map(post => post.id));
+
+    while (page.body.meta.next_cursor) {
+      page = await api.get(`/api/feed/following/${reader.id}?limit=2&cursor=${page.body.meta.next_cursor}`);
+      assert.equal(page.status, 200);
+      seen.push(...page.body.data.map(post => post.id));
+    }
+
+    assert.deepEqual(seen, expected);
+
+    const invalid = await api.get(`/api/feed/following/${reader.id}?cursor=nope`);
+    assert.equal(invalid.status, 400);
+  });
+
+  it('pages through posts created in the same millisecond', async () => {
+    const fan = await createUser(api);
+    const prolific = await createUser(api);
+    await follow(fan.id, prolific.id);
+
+    const posts = [];
+    for (const micros of ['100', '400', '700']) {
+      posts.push(await createPost(prolific.id, { caption: `Burst ${micros}`, created_at: `2026-01-01T08:00:00.123${micros}Z` }));
+    }
+
+    const seen = [];
+    let page = await api.get(`/api/feed/following/${fan.id}?limit=1`);
+    seen.push(...page.body.data.map(post => post.id));
+
+    while (page.body.meta.next_cursor) {
+      page = await api.get(`/api/feed/following/${fan.id}?limit=1&cursor=${page.body.meta.next_cursor}`);
+      seen.push(...page.body.data.map(post => post.id));
+    }
+
+    assert.deepEqual(seen, posts.map(post => post.id).reverse());
+  });
+
+  it('is empty for users who follow nobody', async () => {
+    const { body } = await api.get(`/api/feed/following/${outsider.id}`);
+    assert.deepEqual(body.data, []);
+    assert.equal(body.meta.next_cursor, null);
+  });
+
+  it('serves the default feed mode on the home feed', async () => {
+    const initial = await api.get(`/api/users/${reader.id}`);
+    assert.equal(initial.body.data.default_feed_mode, 'personalized');
+
+    const ranked = await api.get(`/api/feed/home/${reader.id}`);
+    assert.equal(ranked.body.meta.mode, 'personalized');
+
+    const invalid = await api.put(`/api/users/${reader.id}`, { default_feed_mode: 'random' }, { token: reader.token });
+    assert.equal(invalid.status, 400);
+
+    const saved = await api.put(`/api/users/${reader.id}`, { default_feed_mode: 'following' }, { token: reader.token });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.data.default_feed_mode, 'following');
+
+    const home = await api.get(`/api/feed/home/${reader.id}?limit=2`);
+    assert.equal(home.body.meta.mode, 'following');
+    assert.deepEqual(home.body.data.map(post => post.id), expected.slice(0, 2));
+
+    // ?mode= switches for one request without changing the default
+    const switched = await api.get(`/api/feed/home/${reader.id}?mode=personalized`);
+    assert.equal(switched.body.meta.mode, 'personalized');
+
+    const unknown = await api.get(`/api/feed/home/${reader.id}?mode=random`);
+    assert.equal(unknown.status, 400);
+  });
+});
@@ -0,0 +1,157 @@
+// test/feed-pagination.test.js
+// Personalized feed cursors and the precomputed candidate store
+// (services/feedCandidates.js): fan-out on write, paging without repeats
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp, supabase } = require('./helpers');
+const { createUser, createPost, follow, insert } = require('./fixtures');
+const feedCandidates = require('../services/feedCandidates');
+
+describe('feed pagination', () => {
+  let api;
+  let reader;
+  let creator;
+  let outsider;
+  let created;
+
+  before(async () => {
+    api = await startApp();
+
+    reader = await createUser(api);
+    creator = await createUser(api);
+    outsider = await createUser(api);
+
+    await follow(reader.id, creator.id);
+
+    for (let i = 0; i < 4; i++) {
+      await createPost(creator.id, { caption: `Followed post ${i}` });
+    }
+    await createPost(outsider.id, { caption: 'Trending elsewhere' });
+    await createPost(creator.id, { caption: 'Hidden', visibility: 'private' });
+  });
+
+  after(stopApp);
+
+  it('fans new posts out to the author and their followers', async () => {
+    const { status, body } = await api.post('/api/posts/create', {
+      userId: creator.id,
+      caption: 'Fresh from the oven #baking'
+    }, { token: creator.token });
+    assert.equal(status, 200);
+    created = body.data;
+
+    const { data: rows } = await supabase
+      .from('feed_candidates')
+      .select('user_id')
+      .eq('post_id', created.id);
+    assert.deepEqual(rows.map(row => row.user_id).sort(), [reader.id, creator.id].sort());
+
+    const privatePost = await api.post('/api/posts/create', {
+      userId: creator.id,
+      caption: 'Just for me',
+      visibility: 'private'
+    }, { token: creator.token });
+    const { data: none } = await supabase
+      .from('feed_candidates')
+      .select('user_id')
+      .eq('post_id', privatePost.body.data.id);
+    assert.deepEqual(none, []);
+  });
+
+  it('pages through the feed with a cursor without repeating posts', async () => {
+    const full = await api.get(`/api/feed/personalized/${reader.id}?limit=50`);
+    assert.equal(full.body.meta.has_more, false);
+    assert.equal(full.body.meta.next_cursor, null);
+    const expected = full.body.data.map(post => post.id);
+    assert.equal(expected.length, 6, 'followed posts, the fanned out post and trending; never private ones');
+    assert.ok(expected.includes(created.id));
+
+    const seen = [];
+    let page = await api.get(`/api/feed/personalized/${reader.id}?limit=4`);
+    seen.push(...page.body.data.map(post => post.id));
+
+    while (page.body.meta.next_cursor) {
+      assert.equal(page.body.meta.has_more, true);
+      page = await api.get(`/api/feed/personalized/${reader.id}?limit=4&cursor=${page.body.meta.next_cursor}`);
+      assert.equal(page.status, 200);
+      seen.push(...page.body.data.map(post => post.id));
+    }
+
+    assert.equal(new Set(seen).size, seen.length, 'no post is served twice');
+    assert.deepEqual(seen, expected);
+  });
+
+  it('keeps the first page order after new posts arrive', async () => {
+    const first = await api.get(`/api/feed/personalized/${reader.id}?limit=3`);
+    await createPost(creator.id, { caption: 'Arrived while scrolling' });
+    await feedCandidates.rebuild(reader.id);
+
+    const second = await api.get(`/api/feed/personalized/${reader.id}?limit=3&cursor=${first.body.meta.next_cursor}`);
+    const ids = [...first.body.data, ...second.body.data].map(post => post.id);
+
+    assert.equal(ids.length, 6);
+    assert.equal(new Set(ids).size, 6);
+  });
+
+  it('rejects unknown, tampered and other users\' cursors', async () => {
+    const garbage = await api.get(`/api/feed/personalized/${reader.id}?cursor=not-a-cursor`);
+    assert.equal(garbage.status, 400);
+
+    const first = await api.get(`/api/feed/personalized/${reader.id}?limit=2`);
+    const stolen = await api.get(`/api/feed/personalized/${outsider.id}?cursor=${first.body.meta.next_cursor}`);
+    assert.equal(stolen.status, 400);
+  });
+
+  it('sweeps expired sessions', async () => {
+    const expired = await insert('feed_sessions', {
+      user_id: reader.id,
+      post_ids: [created.id],
+      expires_at: new Date(Date.now() - 60 * 1000).toISOString()
+    });
+    const cursor = Buffer.from(JSON.stringify({ s: expired.id, o: 0 })).toString('base64url');
+
+    const stale = await api.get(`/api/feed/personalized/${reader.id}?cursor=${cursor}`);
+    assert.equal(stale.status, 400);
+
+    await feedCandidates.sweep();
+    const { data } = await supabase.from('feed_sessions').select('id').eq('id', expired.id);
+    assert.deepEqual(data, []);
+  });
+
+  it('drops the stored posts of authors the user stopped following', async () => {
+    const fan = await createUser(api);
+    await follow(fan.id, creator.id);
+    await feedCandidates.rebuild(fan.id);
+
+    await supabase.from('follows').delete().eq('follower_id', fan.id).eq('following_id', creator.id);
+
+    const { status } = await api.get(`/api/feed/personalized/${fan.id}`);
+    assert.equal(status, 200);
+
+    const { data: stored } = await supabase.from('feed_candidates').select('post_id').eq('user_id', fan.id);
+    assert.deepEqual(stored, []);
+  });
+
+  it('still creates the post when fan-out fails', async () => {
+    mock.method(feedCandidates, 'fanOut', async () => {
+      throw new Error('Candidate store unavailable');
+    });
+
+    try {
+      const { status, body } = await api.post('/api/posts/create', {
+        userId: outsider.id,
+        caption: 'Posted while the store is down'
+      }, { token: outsider.token });
+      assert.equal(status, 200);
+
+      const { data: posts } = await supabase
+        .from('wisdom_clips')
+        .select('id')
+        .eq('caption', 'Posted while the store is down');
+      assert.deepEqual(posts.map(post => post.id), [body.data.id]);
+    } finally {
+      mock.restoreAll();
+    }
+  });
+});
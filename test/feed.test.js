@@ -0,0 +1,170 @@
+// test/feed.test.js
+// /api/feed - personalized ranking, discovery, trending and interaction tracking
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp } = require('./helpers');
+const { createUser, createPost, follow, addPassion, insert } = require('./fixtures');
+const feedRanking = require('../services/feedRanking');
+
+describe('feed', () => {
+  let api;
+  let reader;
+  let creator;
+  let outsider;
+  const posts = {};
+
+  before(async () => {
+    api = await startApp();
+
+    reader = await createUser(api);
+    creator = await createUser(api);
+    outsider = await createUser(api);
+
+    await follow(reader.id, creator.id);
+    await addPassion(reader.id, 'photography');
+
+    // Same age for every post so only the ranking signals differ
+    const createdAt = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+
+    posts.plain = await createPost(creator.id, { caption: 'Plain post', created_at: createdAt });
+    posts.passion = await createPost(creator.id, {
+      caption: 'Golden hour #photography',
+      hashtags: ['photography'],
+      created_at: createdAt
+    });
+    posts.crisis = await createPost(creator.id, {
+      caption: 'Crisis post',
+      is_crisis: true,
+      created_at: createdAt
+    });
+    posts.discovery = await createPost(outsider.id, {
+      caption: 'Street #photography walk',
+      hashtags: ['photography'],
+      created_at: createdAt
+    });
+    posts.private = await createPost(creator.id, { caption: 'Hidden', visibility: 'private' });
+
+    await insert('reactions', { user_id: outsider.id, clip_id: posts.plain.id, reaction_type: 'fire' });
+    await insert('reactions', { user_id: reader.id, clip_id: posts.plain.id, reaction_type: 'laugh' });
+  });
+
+  after(stopApp);
+
+  it('ranks passion matches above plain posts and demotes crisis content', async () => {
+    const { status, body } = await api.get(`/api/feed/personalized/${reader.id}`);
+
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.deepEqual(body.meta.personalization.passions, ['photography']);
+    assert.equal(body.meta.personalization.following_count, 1);
+
+    const ids = body.data.map(post => post.id);
+    const score = id => body.data.find(post => post.id === id).feed_score;
+
+    assert.ok(!ids.includes(posts.private.id), 'private posts are never ranked');
+    assert.ok(ids.includes(posts.discovery.id), 'posts from non-followed users are mixed in');
+    assert.equal(score(posts.passion.id) - score(posts.crisis.id), 35 + 20);
+    assert.ok(score(posts.crisis.id) < score(posts.plain.id));
+    assert.ok(ids.indexOf(posts.passion.id) < ids.indexOf(posts.plain.id));
+    assert.ok(ids.indexOf(posts.plain.id) < ids.indexOf(posts.crisis.id));
+
+    const ranked = body.data.map(post => post.feed_score);
+    assert.deepEqual(ranked, [...ranked].sort((a, b) => b - a));
+  });
+
+  it('explains each score per scorer with debug=true', async () => {
+    const { body } = await api.get(`/api/feed/personalized/${reader.id}?debug=true`);
+    const passion = body.data.find(post => post.id === posts.passion.id);
+
+    assert.deepEqual(passion.feed_score_breakdown.passion_match, { points: 35, weight: 1, score: 35 });
+    assert.deepEqual(passion.feed_score_breakdown.recency, { points: 20, weight: 1, score: 20 });
+    assert.equal(
+      Object.values(passion.feed_score_breakdown).reduce((sum, part) => sum + part.score, 0),
+      passion.feed_score
+    );
+
+    const crisis = body.data.find(post => post.id === posts.crisis.id);
+    assert.equal(crisis.feed_score_breakdown.safety.points, -20);
+    assert.equal(body.meta.ranking.weights.creator_quality, 1);
+
+    const plain = await api.get(`/api/feed/personalized/${reader.id}`);
+    assert.equal(plain.body.data[0].feed_score_breakdown, undefined);
+    assert.equal(plain.body.meta.ranking, undefined);
+  });
+
+  it('weights scorers and accepts new ones', () => {
+    const post = { created_at: new Date().toISOString(), hashtags: ['photography'], reactions: { total: 0 } };
+    const context = { now: Date.now(), passions: ['photography'] };
+
+    const doubled = feedRanking.scorePost(post, context, { weights: { passion_match: 2, recency: 0 } });
+    assert.equal(doubled.score, 70);
+    assert.equal(doubled.breakdown.recency, undefined, 'a zero weight switches a scorer off');
+
+    feedRanking.registerScorer('verified_boost', (candidate) => (candidate.is_verified ? 10 : 0));
+    const boosted = feedRanking.scorePost({ ...post, is_verified: true }, context, { weights: { verified_boost: 3 } });
+    assert.deepEqual(boosted.breakdown.verified_boost, { points: 10, weight: 3, score: 30 });
+    assert.ok(feedRanking.scorerNames().includes('verified_boost'));
+  });
+
+  it('attaches engagement counts and default reaction rules to each post', async () => {
+    const { body } = await api.get(`/api/feed/personalized/${reader.id}`);
+    const plain = body.data.find(post => post.id === posts.plain.id);
+
+    assert.equal(plain.reactions.total, 2);
+    assert.equal(plain.reactions.fire, 1);
+    assert.equal(plain.users.username, creator.username);
+    assert.deepEqual(plain.allowed_reactions, ['laugh', 'support', 'care', 'thinking', 'applaud', 'fire']);
+    assert.deepEqual(plain.blocked_reactions, []);
+  });
+
+  it('detects mood from recent reactions', async () => {
+    const { body } = await api.get(`/api/feed/personalized/${reader.id}`);
+    assert.equal(body.meta.personalization.detected_mood, 'balanced');
+
+    const newcomer = await createUser(api);
+    const { body: fresh } = await api.get(`/api/feed/personalized/${newcomer.id}`);
+    assert.equal(fresh.meta.personalization.detected_mood, 'neutral');
+  });
+
+  it('limits the discovery feed to passion matches', async () => {
+    const { status, body } = await api.get(`/api/feed/discover/${reader.id}`);
+
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.data.map(post => post.id).sort(),
+      [posts.passion.id, posts.discovery.id].sort()
+    );
+  });
+
+  it('orders trending posts by engagement', async () => {
+    const { status, body } = await api.get('/api/feed/trending');
+
+    assert.equal(status, 200);
+    assert.equal(body.data[0].id, posts.plain.id);
+    assert.equal(body.meta.timeframe, '24 hours');
+  });
+
+  it('tracks interactions for the signed-in user only', async () => {
+    const anonymous = await api.post('/api/feed/track-interaction', {
+      post_id: posts.plain.id,
+      interaction_type: 'view'
+    });
+    assert.equal(anonymous.status, 401);
+
+    const spoofed = await api.post('/api/feed/track-interaction', {
+      user_id: creator.id,
+      post_id: posts.plain.id,
+      interaction_type: 'view'
+    }, { token: reader.token });
+    assert.equal(spoofed.status, 403);
+
+    const tracked = await api.post('/api/feed/track-interaction', {
+      post_id: posts.plain.id,
+      interaction_type: 'long_view',
+      duration_seconds: 42
+    }, { token: reader.token });
+    assert.equal(tracked.status, 200);
+    assert.equal(tracked.body.success, true);
+  });
+});
@@ -0,0 +1,64 @@
+// test/fixtures.js
+// Seed helpers - users go through the real signup flow, everything else is
+// inserted directly so each test controls exactly the rows it depends on.
+
+const { supabase } = require('./helpers');
+
+let sequence = 0;
+
+// Sign up a fresh user and return { id, username, token, refreshToken }
+async function createUser(api, overrides = {}) {
+  sequence += 1;
+  const username = overrides.username || `tester${process.pid}_${sequence}`;
+
+  const { status, body } = await api.post('/api/auth/signup', {
+    username,
+    email: overrides.email || `${username}@linkwavez.test`,
+    password: overrides.password || 'correct-horse-battery',
+    bio: overrides.bio
+  });
+
+  if (status !== 201) {
+    throw new Error(`Fixture signup failed (${status}): ${JSON.stringify(body)}`);
+  }
+
+  return {
+    id: body.data.user.id,
+    username,
+    token: body.data.accessToken,
+    refreshToken: body.data.refreshToken
+  };
+}
+
+async function insert(table, row) {
+  const { data, error } = await supabase.from(table).insert(row).select().single();
+
+  if (error) {
+    throw new Error(`Fixture insert into ${table} failed: ${error.message}`);
+  }
+
+  return data;
+}
+
+function createPost(userId, overrides = {}) {
+  return insert('wisdom_clips', {
+    user_id: userId,
+    caption: 'Fixture post',
+    media_type: 'text',
+    hashtags: [],
+    visibility: 'public',
+    post_type: 'normal',
+    content_type: 'normal',
+    ...overrides
+  });
+}
+
+function follow(followerId, followingId) {
+  return insert('follows', { follower_id: followerId, following_id: followingId });
+}
+
+function addPassion(userId, passion) {
+  return insert('user_passions', { user_id: userId, passion, is_active: true });
+}
+
+module.exports = { createUser, insert, createPost, follow, addPassion };
@@ -0,0 +1,165 @@
+// test/helper-matching.test.js
+// Crisis helper matching (services/helperMatching.js) and /api/crisis/helpers/profile
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp, supabase } = require('./helpers');
+const { createUser, insert } = require('./fixtures');
+const { rankHelpers, availabilityOf } = require('../services/helperMatching');
+const presence = require('../socket/presence');
+
+let api;
+let user;
+let veteran;
+let malaySpeaker;
+let online;
+let offShift;
+
+// Monday 20:00 in Kuala Lumpur
+const MONDAY_EVENING = new Date('2026-10-19T12:00:00Z');
+
+const ranked = async (alert, options = {}) => {
+  const helpers = await rankHelpers(alert, { now: MONDAY_EVENING, ...options });
+  return helpers.map(helper => helper.user_id);
+};
+
+before(async () => {
+  api = await startApp();
+  user = await createUser(api);
+  veteran = await createUser(api);
+  malaySpeaker = await createUser(api);
+  online = await createUser(api);
+  offShift = await createUser(api);
+
+  await insert('user_scores', { user_id: veteran.id, aura_score: 990 });
+  await insert('user_scores', { user_id: malaySpeaker.id, aura_score: 900 });
+  await insert('user_scores', { user_id: online.id, aura_score: 850 });
+  await insert('user_scores', { user_id: offShift.id, aura_score: 980 });
+
+  await insert('crisis_helper_profiles', { user_id: malaySpeaker.id, languages: ['ms', 'en'] });
+  await insert('crisis_helper_profiles', {
+    user_id: offShift.id,
+    availability_windows: [{ days: [6, 0], start: '09:00', end: '17:00' }]
+  });
+
+  presence.activeUsers.set(online.id, 'socket-1');
+});
+
+after(async () => {
+  presence.activeUsers.delete(online.id);
+  await stopApp();
+});
+
+describe('rankHelpers', () => {
+  it('puts online helpers, then speakers of the case language, ahead of raw aura', async () => {
+    assert.deepEqual(await ranked({ language: 'ms' }), [online.id, malaySpeaker.id, veteran.id]);
+    assert.deepEqual(await ranked({ language: 'en' }), [online.id, veteran.id, malaySpeaker.id]);
+  });
+
+  it('skips helpers outside their availability windows, and paused helpers', async () => {
+    assert.ok(!(await ranked({ language: 'en' })).includes(offShift.id));
+
+    const saturday = new Date('2026-10-24T04:00:00Z');
+    const weekend = await rankHelpers({ language: 'en' }, { now: saturday });
+    assert.equal(weekend.find(helper => helper.user_id === offShift.id).availability, 'in_window');
+
+    await supabase.from('crisis_helper_profiles').update({ is_available: false }).eq('user_id', offShift.id);
+    const paused = await rankHelpers({ language: 'en' }, { now: saturday });
+    assert.ok(!paused.some(helper => helper.user_id === offShift.id));
+  });
+
+  it('handles windows that run past midnight', () => {
+    const profile = {
+      is_available: true,
+      timezone: 'Asia/Kuala_Lumpur',
+      availability_windows: [{ days: [0], start: '22:00', end: '02:00' }]
+    };
+
+    // Monday 01:00 and Sunday 23:00 in Kuala Lumpur
+    assert.equal(availabilityOf(profile, new Date('2026-10-18T17:00:00Z')), 'in_window');
+    assert.equal(availabilityOf(profile, new Date('2026-10-18T15:00:00Z')), 'in_window');
+    assert.equal(availabilityOf(profile, new Date('2026-10-19T17:00:00Z')), 'out_of_window');
+    assert.equal(availabilityOf(null), 'unscheduled');
+  });
+
+  it('spreads load across helpers and stops at their case limit', async () => {
+    await insert('crisis_alerts', { user_id: user.id, content: 'Open case', status: 'in_progress', assigned_helper_id: online.id });
+
+    const loaded = await rankHelpers({ language: 'en' }, { now: MONDAY_EVENING });
+    assert.equal(loaded.find(helper => helper.user_id === online.id).open_cases, 1);
+
+    for (let i = 0; i < 2; i++) {
+      await insert('crisis_alerts', { user_id: user.id, content: 'Open case', status: 'acknowledged', assigned_helper_id: online.id });
+    }
+    assert.ok(!(await ranked({ language: 'en' })).includes(online.id), 'three open cases is the default limit');
+
+    await supabase.from('crisis_alerts').update({ status: 'closed' }).eq('assigned_helper_id', online.id);
+    assert.equal((await ranked({ language: 'en' }))[0], online.id);
+  });
+
+  it('rewards helpers whose earlier responses resolved cases', async () => {
+    const alert = await insert('crisis_alerts', { user_id: user.id, content: 'Earlier case', status: 'resolved' });
+    for (let i = 0; i < 2; i++) {
+      await insert('crisis_responses', { alert_id: alert.id, helper_id: malaySpeaker.id, message: 'Talked it through', action: 'resolved' });
+    }
+
+    const helpers = await rankHelpers({ language: 'en' }, { now: MONDAY_EVENING });
+    const speaker = helpers.find(helper => helper.user_id === malaySpeaker.id);
+    assert.equal(speaker.resolved_responses, 2);
+    assert.deepEqual(helpers.map(helper => helper.user_id), [online.id, malaySpeaker.id, veteran.id]);
+  });
+
+  it('never matches excluded helpers', async () => {
+    assert.deepEqual(await ranked({ language: 'en' }, { excludeIds: [online.id, veteran.id] }), [malaySpeaker.id]);
+  });
+});
+
+describe('helper profile API', () => {
+  it('returns defaults until a profile is saved', async () => {
+    const { body } = await api.get('/api/crisis/helpers/profile', { token: veteran.token });
+
+    assert.deepEqual(body.data.languages, ['en']);
+    assert.equal(body.data.is_available, true);
+  });
+
+  it('saves languages and availability windows', async () => {
+    const { status, body } = await api.put('/api/crisis/helpers/profile', {
+      languages: ['en', 'ta'],
+      availability_windows: [{ days: [1, 2, 3], start: '19:00', end: '23:30' }],
+      timezone: 'Asia/Kuala_Lumpur'
+    }, { token: veteran.token });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.languages, ['en', 'ta']);
+    assert.equal(body.data.availability_windows[0].end, '23:30');
+  });
+
+  it('rejects malformed windows and unknown timezones', async () => {
+    const badTime = await api.put('/api/crisis/helpers/profile', {
+      availability_windows: [{ start: '7pm', end: '23:00' }]
+    }, { token: veteran.token });
+    assert.equal(badTime.status, 400);
+    assert.equal(badTime.body.error.details[0].field, 'body.availability_windows[0].start');
+
+    const badZone = await api.put('/api/crisis/helpers/profile', { timezone: 'Mars/Olympus' }, { token: veteran.token });
+    assert.equal(badZone.status, 400);
+    assert.equal(badZone.body.error.code, 'BAD_REQUEST');
+  });
+
+  it('matches new cases on the language they were written in', async () => {
+    await supabase.from('crisis_helper_profiles').update({ availability_windows: [] }).eq('user_id', veteran.id);
+
+    const { body } = await api.post('/api/crisis/alert/create', {
+      userId: user.id,
+      content: 'Saya rasa tak berguna',
+      severity: 'medium',
+      language: 'ms'
+    }, { token: user.token });
+
+    assert.equal(body.data.alert.language, 'ms');
+    assert.deepEqual(body.data.alert.notified_helper_ids, [online.id, malaySpeaker.id, veteran.id]);
+
+    const denied = await api.get(`/api/crisis/alert/${body.data.alert.id}/matches`, { token: veteran.token });
+    assert.equal(denied.status, 403);
+  });
+});
@@ -0,0 +1,234 @@
+// test/marketplace-discovery.test.js
+// /api/marketplace vendors / bookings / food / products / reviews and
+// /api/discovery local businesses, events and the combined local feed
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp } = require('./helpers');
+const { createUser } = require('./fixtures');
+
+// Kuala Lumpur city centre and a spot ~1 km away; Penang is ~300 km north
+const KL = { lat: 3.139, lng: 101.6869 };
+const BUKIT_BINTANG = { lat: 3.1466, lng: 101.7108 };
+const PENANG = { lat: 5.4141, lng: 100.3288 };
+
+let api;
+let owner;
+let customer;
+
+before(async () => {
+  api = await startApp();
+  owner = await createUser(api);
+  customer = await createUser(api);
+});
+
+after(stopApp);
+
+describe('marketplace', () => {
+  let vendor;
+  let service;
+
+  it('registers one vendor account per user, pending approval', async () => {
+    const { status, body } = await api.post('/api/marketplace/vendors/register', {
+      businessName: 'Kak Ros Catering',
+      businessType: 'food',
+      category: 'malay'
+    }, { token: owner.token });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.status, 'pending_approval');
+    assert.equal(body.data.user_id, owner.id);
+    vendor = body.data;
+
+    const again = await api.post('/api/marketplace/vendors/register', {
+      businessName: 'Second shop',
+      businessType: 'food',
+      category: 'malay'
+    }, { token: owner.token });
+    assert.equal(again.status, 400);
+
+    const detail = await api.get(`/api/marketplace/vendors/${vendor.id}`);
+    assert.equal(detail.body.data.business_name, 'Kak Ros Catering');
+  });
+
+  it('books a service at the listed price', async () => {
+    const notVendor = await api.post('/api/marketplace/services/create', {
+      vendorId: vendor.id,
+      name: 'Fake package',
+      price: 1
+    }, { token: customer.token });
+    assert.equal(notVendor.status, 403);
+
+    const created = await api.post('/api/marketplace/services/create', {
+      name: 'Kenduri package',
+      price: 850,
+      duration: 240
+    }, { token: owner.token });
+    assert.equal(created.body.data.vendor_id, vendor.id);
+    service = created.body.data;
+
+    const services = await api.get(`/api/marketplace/vendors/${vendor.id}/services`);
+    assert.deepEqual(services.body.data.map(s => s.id), [service.id]);
+
+    const { status, body } = await api.post('/api/marketplace/bookings/create', {
+      vendorId: vendor.id,
+      serviceId: service.id,
+      bookingDate: '2030-06-01',
+      bookingTime: '11:00'
+    }, { token: customer.token });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.total_amount, 850);
+    assert.equal(body.data.status, 'pending');
+
+    const anonymous = await api.put(`/api/marketplace/bookings/${body.data.id}/status`, { status: 'confirmed' });
+    assert.equal(anonymous.status, 401);
+
+    const selfConfirmed = await api.put(`/api/marketplace/bookings/${body.data.id}/status`, { status: 'confirmed' }, { token: customer.token });
+    assert.equal(selfConfirmed.status, 403);
+
+    const confirmed = await api.put(`/api/marketplace/bookings/${body.data.id}/status`, { status: 'confirmed' }, { token: owner.token });
+    assert.equal(confirmed.body.data.status, 'confirmed');
+
+    const mine = await api.get(`/api/marketplace/bookings/user/${customer.id}?status=confirmed`, { token: customer.token });
+    assert.equal(mine.body.data.length, 1);
+
+    const theirs = await api.get(`/api/marketplace/bookings/user/${customer.id}`, { token: owner.token });
+    assert.equal(theirs.status, 403);
+  });
+
+  it('prices food orders with the delivery fee', async () => {
+    const dish = await api.post('/api/marketplace/food/menu/create', {
+      vendorId: vendor.id,
+      name: 'Nasi lemak ayam',
+      category: 'rice',
+      price: 12.5
+    }, { token: owner.token });
+    assert.equal(dish.status, 200);
+
+    const menu = await api.get(`/api/marketplace/food/vendors/${vendor.id}/menu`);
+    assert.equal(menu.body.data.length, 1);
+
+    const { body } = await api.post('/api/marketplace/food/orders/create', {
+      vendorId: vendor.id,
+      items: [{ menuItemId: dish.body.data.id, quantity: 2, price: 12.5 }],
+      deliveryAddress: 'Jalan Ampang'
+    }, { token: customer.token });
+
+    assert.equal(body.data.order.subtotal, 25);
+    assert.equal(body.data.order.delivery_fee, 5);
+    assert.equal(body.data.order.total_amount, 30);
+
+    const orders = await api.get(`/api/marketplace/food/orders/user/${customer.id}`, { token: customer.token });
+    assert.equal(orders.body.data.length, 1);
+
+    const delivered = await api.put(`/api/marketplace/food/orders/${body.data.order.id}/status`, { status: 'delivered' }, { token: customer.token });
+    assert.equal(delivered.status, 403);
+
+    const cancelled = await api.put(`/api/marketplace/food/orders/${body.data.order.id}/status`, { status: 'cancelled' }, { token: customer.token });
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.data.status, 'cancelled');
+  });
+
+  it('lists and filters products', async () => {
+    await api.post('/api/marketplace/products/create', {
+      title: 'Used Ducati Monster',
+      category: 'vehicles',
+      price: 38000,
+      condition: 'used'
+    }, { token: owner.token });
+    await api.post('/api/marketplace/products/create', {
+      title: 'Helmet',
+      category: 'vehicles',
+      price: 450
+    }, { token: owner.token });
+
+    const { body } = await api.get('/api/marketplace/products/search?category=vehicles&maxPrice=1000');
+    assert.deepEqual(body.data.map(p => p.title), ['Helmet']);
+
+    const byText = await api.get('/api/marketplace/products/search?query=ducati');
+    assert.equal(byText.body.data.length, 1);
+    assert.equal(byText.body.data[0].seller_id, owner.id);
+  });
+
+  it('averages reviews into the vendor rating', async () => {
+    await api.post('/api/marketplace/reviews/create', { vendorId: vendor.id, rating: 5, comment: 'Sedap!' }, { token: customer.token });
+    await api.post('/api/marketplace/reviews/create', { vendorId: vendor.id, rating: 4 }, { token: owner.token });
+
+    const reviews = await api.get(`/api/marketplace/vendors/${vendor.id}/reviews`);
+    assert.equal(reviews.body.data.length, 2);
+
+    const detail = await api.get(`/api/marketplace/vendors/${vendor.id}`);
+    assert.equal(Number(detail.body.data.rating), 4.5);
+    assert.equal(detail.body.data.total_reviews, 2);
+  });
+});
+
+describe('discovery', () => {
+  let business;
+
+  it('adds businesses and finds them by distance', async () => {
+    const anonymous = await api.post('/api/discovery/businesses', { name: 'x', category: 'cafe', address: 'y' });
+    assert.equal(anonymous.status, 401);
+
+    const created = await api.post('/api/discovery/businesses', {
+      name: 'VCR Cafe',
+      category: 'cafe',
+      address: 'Jalan Galloway',
+      location_lat: BUKIT_BINTANG.lat,
+      location_long: BUKIT_BINTANG.lng
+    }, { token: owner.token });
+    assert.equal(created.status, 201);
+    business = created.body.data;
+
+    await api.post('/api/discovery/businesses', {
+      name: 'Penang Road Cendol',
+      category: 'cafe',
+      address: 'Lebuh Keng Kwee',
+      location_lat: PENANG.lat,
+      location_long: PENANG.lng
+    }, { token: owner.token });
+
+    const missing = await api.get('/api/discovery/businesses/nearby');
+    assert.equal(missing.status, 400);
+
+    const { body } = await api.get(`/api/discovery/businesses/nearby?lat=${KL.lat}&lng=${KL.lng}&radius=5`);
+    assert.deepEqual(body.data.map(b => b.name), ['VCR Cafe']);
+    assert.ok(Number(body.data[0].distance_km) < 5);
+
+    const detail = await api.get(`/api/discovery/businesses/${business.id}`);
+    assert.equal(detail.body.data.owner.username, owner.username);
+  });
+
+  it('lets only the owner edit a business', async () => {
+    const other = await api.put(`/api/discovery/businesses/${business.id}`, { phone: '123' }, { token: customer.token });
+    assert.equal(other.status, 403);
+
+    const own = await api.put(`/api/discovery/businesses/${business.id}`, { phone: '03-1234 5678' }, { token: owner.token });
+    assert.equal(own.status, 200);
+  });
+
+  it('mixes nearby news, events and businesses into the local feed', async () => {
+    const event = await api.post('/api/discovery/events', {
+      title: 'Night market',
+      location: 'Jalan Alor',
+      location_lat: BUKIT_BINTANG.lat,
+      location_long: BUKIT_BINTANG.lng,
+      start_time: new Date(Date.now() + 86400000).toISOString()
+    }, { token: customer.token });
+    assert.equal(event.status, 201);
+
+    const news = await api.post('/api/discovery/news', {
+      title: 'Road closure',
+      content: 'Jalan Bukit Bintang closed for the marathon',
+      location: 'Bukit Bintang',
+      location_lat: BUKIT_BINTANG.lat,
+      location_long: BUKIT_BINTANG.lng
+    }, { token: customer.token });
+    assert.equal(news.status, 201);
+
+    const { body } = await api.get(`/api/discovery/feed?lat=${KL.lat}&lng=${KL.lng}&radius=5`);
+    assert.deepEqual(body.meta.breakdown, { businesses: 1, events: 1, news: 1 });
+    assert.deepEqual(body.data.map(item => item.content_type), ['news', 'event', 'business']);
+  });
+});
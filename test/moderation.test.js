@@ -0,0 +1,303 @@
+// test/moderation.test.js
+// Content safety engine (services/moderation.js) and the surfaces that run it
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp, supabase } = require('./helpers');
+const { createUser, createPost, insert } = require('./fixtures');
+const { analyzeText, reloadTerms } = require('../services/moderation');
+const crisisCases = require('../services/crisisCases');
+
+let api;
+let author;
+let reader;
+
+before(async () => {
+  api = await startApp();
+  author = await createUser(api);
+  reader = await createUser(api);
+});
+
+after(stopApp);
+
+describe('analyzeText', () => {
+  it('scores English crisis phrases', async () => {
+    const result = await analyzeText('I just want to END my life...');
+
+    assert.equal(result.isCrisis, true);
+    assert.equal(result.crisisType, 'self_harm');
+    assert.equal(result.severity, 'critical');
+    assert.equal(result.score, 90);
+    assert.equal(result.keyword, 'end my life');
+    assert.deepEqual(result.labels, ['self_harm']);
+  });
+
+  it('scores Malay phrases, including chat short forms', async () => {
+    const result = await analyzeText('Sy dah penat hidup. Rasa nk mati je');
+
+    assert.equal(result.isCrisis, true);
+    assert.equal(result.crisisType, 'self_harm');
+    assert.equal(result.score, 80, 'nak mati (70) plus a second signal');
+    assert.deepEqual(result.languages, ['ms']);
+    assert.deepEqual(result.matches.map(match => match.term), ['nak mati', 'penat hidup']);
+  });
+
+  it('ignores negated phrases within the same clause', async () => {
+    const english = await analyzeText("I don't want to die, I love my family");
+    assert.equal(english.isCrisis, false);
+    assert.equal(english.severity, 'none');
+    assert.deepEqual(english.negated.map(match => match.term), ['want to die']);
+
+    const malay = await analyzeText('Saya x nak mati lagi, banyak benda nak buat');
+    assert.equal(malay.isCrisis, false);
+    assert.deepEqual(malay.negated.map(match => match.term), ['nak mati']);
+
+    const otherClause = await analyzeText("I'm not okay. I want to die");
+    assert.equal(otherClause.isCrisis, true);
+  });
+
+  it('keeps weak signals below the crisis threshold', async () => {
+    const result = await analyzeText('Nobody cares about my rendang recipe');
+
+    assert.equal(result.isCrisis, false);
+    assert.equal(result.severity, 'low');
+    assert.deepEqual(result.labels, []);
+  });
+
+  it('flags misinformation separately from crisis content', async () => {
+    const result = await analyzeText('Viralkan sebelum dipadam! Doktor tak mahu anda tahu');
+
+    assert.equal(result.isCrisis, false);
+    assert.equal(result.isMisinformation, true);
+    assert.equal(result.misinformationScore, 60);
+    assert.deepEqual(result.labels, ['misinformation']);
+  });
+
+  it('reads its term lists from moderation_terms', async () => {
+    assert.equal((await analyzeText('saya mahu lari dari semua')).isCrisis, false);
+
+    await insert('moderation_terms', { term: 'lari dari semua', language: 'ms', category: 'depression', weight: 60 });
+    reloadTerms();
+
+    const result = await analyzeText('saya mahu lari dari semua');
+    assert.equal(result.isCrisis, true);
+    assert.equal(result.crisisType, 'depression');
+    assert.equal(result.severity, 'high');
+  });
+});
+
+describe('moderated surfaces', () => {
+  it('opens a typed alert for Malay crisis posts', async () => {
+    const { body } = await api.post('/api/posts/create', {
+      caption: 'Aku rasa nak bunuh diri'
+    }, { token: author.token });
+
+    assert.equal(body.meta.crisisDetected, true);
+    assert.equal(body.data.is_crisis, true);
+    assert.equal(body.data.moderation_score, 80);
+    assert.deepEqual(body.data.moderation_labels, ['self_harm']);
+
+    const { data: alerts } = await supabase.from('crisis_alerts').select('*').eq('post_id', body.data.id);
+    assert.equal(alerts.length, 1);
+    assert.equal(alerts[0].severity, 'critical');
+    assert.equal(alerts[0].crisis_type, 'self_harm');
+    assert.equal(alerts[0].detected_keyword, 'bunuh diri');
+  });
+
+  it('does not alert on negated posts', async () => {
+    const { body } = await api.post('/api/posts/create', {
+      caption: 'Penat, but I do not want to die. Just need sleep'
+    }, { token: author.token });
+
+    assert.equal(body.meta.crisisDetected, false);
+    assert.equal(body.data.content_type, 'normal');
+  });
+
+  it('scans silent reposts, keeping the alert even when anonymous', async () => {
+    const { body } = await api.post('/api/posts/silent-repost/create', {
+      caption: 'Everyone hates me. Better off dead',
+      emotion: 'Lonely',
+      isAnonymous: true
+    }, { token: reader.token });
+
+    assert.equal(body.data.user_id, null);
+    assert.equal(body.data.content_type, 'crisis');
+
+    const { data: alerts } = await supabase.from('crisis_alerts').select('*').eq('post_id', body.data.id);
+    assert.equal(alerts[0].user_id, reader.id);
+    assert.equal(alerts[0].crisis_type, 'self_harm');
+  });
+
+  it('keeps a crisis silent repost when the alert cannot be raised', async () => {
+    mock.method(crisisCases, 'openFromModeration', async () => {
+      throw new Error('Helper ranking unavailable');
+    });
+
+    try {
+      const { status, body } = await api.post('/api/posts/silent-repost/create', {
+        caption: 'I want to kill myself',
+        emotion: 'Lonely'
+      }, { token: reader.token });
+
+      assert.equal(status, 200);
+      assert.equal(body.meta.crisisDetected, true);
+      assert.deepEqual(body.meta.crisisResources, []);
+      assert.equal(body.data.content_type, 'crisis');
+    } finally {
+      mock.restoreAll();
+    }
+  });
+
+  it('stores the moderation result on comments, messages and stream comments', async () => {
+    const post = await createPost(author.id);
+    const comment = await api.post('/api/comments/create', {
+      clip_id: post.id,
+      content: 'This is a hoax, do your own research'
+    }, { token: reader.token });
+    assert.equal(comment.body.data.moderation_score, 50);
+    assert.deepEqual(comment.body.data.moderation_labels, ['misinformation']);
+
+    const conversation = await api.post('/api/chat/conversations/create', { participantIds: [author.id] }, { token: reader.token });
+    const message = await api.post('/api/chat/messages/send', {
+      conversationId: conversation.body.data.id,
+      content: 'tak tahan lagi, rasa nak mati'
+    }, { token: reader.token });
+    assert.deepEqual(message.body.data.moderation_labels, ['self_harm', 'depression']);
+
+    const stream = await api.post('/api/streaming/start', { title: 'Late night talk' }, { token: author.token });
+    const streamComment = await api.post(`/api/streaming/${stream.body.data.stream.id}/comment`, {
+      comment: 'Great stream!'
+    }, { token: reader.token });
+    assert.equal(streamComment.body.data.moderation_score, 0);
+    assert.deepEqual(streamComment.body.data.moderation_labels, []);
+  });
+
+  it('opens a case with its source for crisis comments, messages and stream comments', async () => {
+    const helper = await createUser(api);
+    await insert('user_scores', { user_id: helper.id, aura_score: 900 });
+
+    const commenter = await createUser(api);
+    const post = await createPost(author.id, { caption: 'Exam results are out' });
+    const comment = await api.post('/api/comments/create', {
+      clip_id: post.id,
+      content: 'I want to kill myself'
+    }, { token: commenter.token });
+    assert.equal(comment.body.meta.crisisDetected, true);
+    assert.ok(comment.body.meta.crisisResources.length > 0);
+
+    const chatter = await createUser(api);
+    const conversation = await api.post('/api/chat/conversations/create', { participantIds: [author.id] }, { token: chatter.token });
+    const message = await api.post('/api/chat/messages/send', {
+      conversationId: conversation.body.data.id,
+      content: 'I am a burden to everyone'
+    }, { token: chatter.token });
+    assert.equal(message.body.meta.crisisDetected, true);
+
+    const viewer = await createUser(api);
+    const streamer = await createUser(api);
+    const stream = await api.post('/api/streaming/start', { title: 'Study with me' }, { token: streamer.token });
+    const streamComment = await api.post(`/api/streaming/${stream.body.data.stream.id}/comment`, {
+      comment: 'goodbye world'
+    }, { token: viewer.token });
+    assert.equal(streamComment.body.meta.crisisDetected, true);
+
+    const { data: alerts } = await supabase
+      .from('crisis_alerts')
+      .select('user_id, source_type, source_id, crisis_type')
+      .in('user_id', [commenter.id, chatter.id, viewer.id]);
+    const bySource = Object.fromEntries(alerts.map(alert => [alert.source_type, alert]));
+    assert.equal(alerts.length, 3);
+    assert.equal(bySource.comment.source_id, comment.body.data.id);
+    assert.equal(bySource.comment.crisis_type, 'self_harm');
+    assert.equal(bySource.message.source_id, message.body.data.id);
+    assert.equal(bySource.stream_comment.source_id, streamComment.body.data.id);
+
+    const { data: inbox } = await supabase.from('notifications').select('data').eq('user_id', helper.id).eq('type', 'crisis_alert');
+    const offer = inbox.find(notification => notification.data.source_id === comment.body.data.id);
+    assert.equal(offer.data.source_type, 'comment');
+
+    // Helpers see the flagged comment and the post it was left on
+    const { data: [commentAlert] } = await supabase.from('crisis_alerts').select('id').eq('user_id', commenter.id);
+    const source = await api.get(`/api/crisis/alert/${commentAlert.id}/source`, { token: helper.token });
+    assert.equal(source.body.data.source.content, 'I want to kill myself');
+    assert.deepEqual(source.body.data.source.context, { type: 'post', id: post.id, caption: 'Exam results are out' });
+
+    const denied = await api.get(`/api/crisis/alert/${commentAlert.id}/source`, { token: viewer.token });
+    assert.equal(denied.status, 403);
+  });
+
+  it('keeps the saved comment, message or stream comment when the case fails to open', async () => {
+    mock.method(crisisCases, 'openFromModeration', async () => {
+      throw new Error('Helper ranking unavailable');
+    });
+
+    try {
+      const person = await createUser(api);
+      const post = await createPost(author.id);
+
+      const comment = await api.post('/api/comments/create', {
+        clip_id: post.id,
+        content: 'I want to kill myself'
+      }, { token: person.token });
+      assert.equal(comment.status, 200);
+      assert.equal(comment.body.meta.crisisDetected, true);
+      assert.deepEqual(comment.body.meta.crisisResources, []);
+
+      const edited = await api.put(`/api/comments/${comment.body.data.id}`, {
+        content: 'I still want to kill myself'
+      }, { token: person.token });
+      assert.equal(edited.status, 200);
+
+      const conversation = await api.post('/api/chat/conversations/create', { participantIds: [author.id] }, { token: person.token });
+      const message = await api.post('/api/chat/messages/send', {
+        conversationId: conversation.body.data.id,
+        content: 'I am a burden to everyone'
+      }, { token: person.token });
+      assert.equal(message.status, 200);
+
+      const streamer = await createUser(api);
+      const stream = await api.post('/api/streaming/start', { title: 'Quiet hours' }, { token: streamer.token });
+      const streamComment = await api.post(`/api/streaming/${stream.body.data.stream.id}/comment`, {
+        comment: 'goodbye world'
+      }, { token: person.token });
+      assert.equal(streamComment.status, 200);
+
+      const { data: comments } = await supabase.from('comments').select('id').eq('user_id', person.id);
+      const { data: messages } = await supabase.from('messages').select('id').eq('sender_id', person.id);
+      const { data: streamComments } = await supabase.from('stream_comments').select('id').eq('user_id', person.id);
+      assert.equal(comments.length, 1);
+      assert.equal(messages.length, 1);
+      assert.equal(streamComments.length, 1);
+      assert.equal(crisisCases.openFromModeration.mock.callCount(), 4);
+    } finally {
+      mock.restoreAll();
+    }
+  });
+
+  it('adds further flagged chat to the open case instead of opening another', async () => {
+    const person = await createUser(api);
+    const conversation = await api.post('/api/chat/conversations/create', { participantIds: [author.id] }, { token: person.token });
+    const send = (content) => api.post('/api/chat/messages/send', {
+      conversationId: conversation.body.data.id,
+      content
+    }, { token: person.token });
+
+    await send('I am a burden to everyone');
+    const again = await send('I want to kill myself');
+    assert.equal(again.body.meta.crisisDetected, true);
+    assert.ok(again.body.meta.crisisResources.length > 0);
+
+    const { data: alerts } = await supabase.from('crisis_alerts').select('id, severity, response_due_at').eq('user_id', person.id);
+    assert.equal(alerts.length, 1);
+    assert.equal(alerts[0].severity, 'critical');
+    assert.ok(new Date(alerts[0].response_due_at) - Date.now() <= 5 * 60 * 1000, 'the pending case takes the critical deadline');
+
+    const { data: events } = await supabase
+      .from('crisis_alert_events')
+      .select('details')
+      .eq('alert_id', alerts[0].id)
+      .eq('event_type', 'content_flagged');
+    assert.equal(events.length, 1);
+    assert.equal(events[0].details.source_id, again.body.data.id);
+  });
+});
@@ -0,0 +1,166 @@
+// test/notifications-crisis.test.js
+// /api/notifications inbox / preferences and /api/crisis alert + helper flow
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp, supabase } = require('./helpers');
+const { createUser, insert } = require('./fixtures');
+
+let api;
+let alice;
+let bob;
+
+before(async () => {
+  api = await startApp();
+  alice = await createUser(api);
+  bob = await createUser(api);
+});
+
+after(stopApp);
+
+describe('notifications', () => {
+  let notification;
+
+  it('creates notifications stamped with the sender', async () => {
+    const anonymous = await api.post('/api/notifications/create', { userId: alice.id, type: 'like', title: 'Hi' });
+    assert.equal(anonymous.status, 401);
+
+    const { status, body } = await api.post('/api/notifications/create', {
+      userId: alice.id,
+      type: 'follow',
+      title: 'New Follower',
+      data: { sender_id: 'spoofed' }
+    }, { token: bob.token });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.read, false);
+    assert.equal(body.data.data.sender_id, bob.id);
+    notification = body.data;
+
+    const batch = await api.post('/api/notifications/batch', {
+      notifications: [
+        { user_id: alice.id, type: 'like', title: 'New Like' },
+        { user_id: alice.id, type: 'like', title: 'New Like' }
+      ]
+    }, { token: bob.token });
+    assert.equal(batch.body.data.count, 2);
+  });
+
+  it('keeps each inbox private to its owner', async () => {
+    const other = await api.get(`/api/notifications/user/${alice.id}`, { token: bob.token });
+    assert.equal(other.status, 403);
+
+    const { body } = await api.get(`/api/notifications/user/${alice.id}`, { token: alice.token });
+    assert.equal(body.data.total, 3);
+    assert.equal(body.data.unreadCount, 3);
+
+    const foreignRead = await api.put(`/api/notifications/${notification.id}/read`, {}, { token: bob.token });
+    assert.equal(foreignRead.status, 403);
+  });
+
+  it('marks notifications read and reports stats', async () => {
+    const one = await api.put(`/api/notifications/${notification.id}/read`, {}, { token: alice.token });
+    assert.equal(one.status, 200);
+
+    const stats = await api.get(`/api/notifications/stats/${alice.id}`, { token: alice.token });
+    assert.deepEqual(stats.body.data.byType, { follow: 1, like: 2 });
+    assert.equal(stats.body.data.unread, 2);
+
+    await api.put(`/api/notifications/user/${alice.id}/read-all`, {}, { token: alice.token });
+    const unread = await api.get(`/api/notifications/user/${alice.id}?unreadOnly=true`, { token: alice.token });
+    assert.equal(unread.body.data.total, 0);
+
+    const removed = await api.delete(`/api/notifications/user/${alice.id}/all`, { token: alice.token });
+    assert.equal(removed.status, 200);
+  });
+
+  it('returns default preferences until they are saved', async () => {
+    const defaults = await api.get(`/api/notifications/preferences/${alice.id}`, { token: alice.token });
+    assert.equal(defaults.body.data.push_enabled, true);
+
+    const saved = await api.put(`/api/notifications/preferences/${alice.id}`, { likes: false }, { token: alice.token });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.data.likes, false);
+
+    const updated = await api.put(`/api/notifications/preferences/${alice.id}`, { follows: false }, { token: alice.token });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.data.likes, false);
+    assert.equal(updated.body.data.follows, false);
+  });
+});
+
+describe('crisis', () => {
+  let helper;
+  let alert;
+
+  before(async () => {
+    helper = await createUser(api);
+    await insert('user_scores', { user_id: helper.id, aura_score: 900 });
+  });
+
+  it('creates an alert and notifies Good Aura helpers', async () => {
+    const { status, body } = await api.post('/api/crisis/alert/create', {
+      userId: alice.id,
+      content: 'I cannot go on',
+      severity: 'high',
+      crisisType: 'self_harm'
+    }, { token: alice.token });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.alert.status, 'pending');
+    assert.equal(body.data.helpersNotified, 1);
+    alert = body.data.alert;
+
+    const { data: inbox } = await supabase
+      .from('notifications')
+      .select('type, data')
+      .eq('user_id', helper.id);
+    assert.equal(inbox.length, 1);
+    assert.equal(inbox[0].type, 'crisis_alert');
+    assert.equal(inbox[0].data.alert_id, alert.id);
+  });
+
+  it('only shows pending alerts to Good Aura helpers', async () => {
+    const anonymous = await api.get('/api/crisis/alerts/pending');
+    assert.equal(anonymous.status, 401);
+
+    const denied = await api.get('/api/crisis/alerts/pending', { token: bob.token });
+    assert.equal(denied.status, 403);
+
+    const spoofed = await api.get(`/api/crisis/alerts/pending?helperId=${helper.id}`, { token: bob.token });
+    assert.equal(spoofed.status, 403);
+
+    const { body } = await api.get('/api/crisis/alerts/pending', { token: helper.token });
+    assert.deepEqual(body.data.map(a => a.id), [alert.id]);
+  });
+
+  it('lets helpers respond and resolve, earning aura', async () => {
+    const denied = await api.post(`/api/crisis/alert/${alert.id}/respond`, {
+      message: 'Here for you',
+      action: 'message'
+    }, { token: bob.token });
+    assert.equal(denied.status, 403);
+
+    const { status } = await api.post(`/api/crisis/alert/${alert.id}/respond`, {
+      message: 'I called the hotline with them',
+      action: 'resolved'
+    }, { token: helper.token });
+    assert.equal(status, 200);
+
+    const { data: resolved } = await supabase.from('crisis_alerts').select('status, resolved_by').eq('id', alert.id).single();
+    assert.deepEqual(resolved, { status: 'resolved', resolved_by: helper.id });
+
+    const { data: scores } = await supabase.from('user_scores').select('aura_score').eq('user_id', helper.id).single();
+    assert.equal(scores.aura_score, 910);
+  });
+
+  it('summarises alert statistics', async () => {
+    const { body } = await api.get('/api/crisis/stats');
+
+    assert.equal(body.data.totalAlerts, 1);
+    assert.equal(body.data.resolvedAlerts, 1);
+    assert.equal(body.data.severityStats.high, 1);
+    assert.equal(body.data.activeHelpers, 1);
+    assert.equal(body.data.responseRate, '100.0');
+  });
+});
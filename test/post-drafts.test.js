@@ -0,0 +1,236 @@
+// test/post-drafts.test.js
+// Drafts and scheduled posts: stored but invisible until published, edited,
+// rescheduled and cancelled by their author, and published by the scheduler
+// through the same processing as POST /api/posts/create
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp, supabase } = require('./helpers');
+const { createUser, createPost } = require('./fixtures');
+const postDrafts = require('../services/postDrafts');
+const crisisCases = require('../services/crisisCases');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+describe('post drafts', () => {
+  let api;
+  let author;
+  let other;
+
+  before(async () => {
+    api = await startApp();
+    author = await createUser(api);
+    other = await createUser(api);
+  });
+
+  after(stopApp);
+
+  it('saves a draft that is not visible anywhere', async () => {
+    const { status, body } = await api.post('/api/posts/drafts', {
+      caption: 'Work in progress #secretproject'
+    }, { token: author.token });
+
+    assert.equal(status, 201);
+    assert.equal(body.data.status, 'draft');
+    assert.equal(body.data.publish_at, null);
+
+    const posts = await api.get(`/api/posts/user/${author.id}`, { token: author.token });
+    assert.equal(posts.status, 200);
+    assert.ok(!posts.body.data.some(post => post.caption === 'Work in progress #secretproject'));
+
+    const feed = await api.get(`/api/feed/discover/${other.id}`, { token: other.token });
+    assert.ok(!feed.body.data.some(post => post.caption === 'Work in progress #secretproject'));
+  });
+
+  it('schedules posts in the author\'s timezone and rejects past times', async () => {
+    const past = await api.post('/api/posts/drafts', {
+      caption: 'Too late',
+      publishAt: new Date(Date.now() - DAY_MS).toISOString()
+    }, { token: author.token });
+    assert.equal(past.status, 400);
+
+    const { status, body } = await api.post('/api/posts/drafts', {
+      caption: 'Launch day #launch',
+      publishAt: '2030-06-01T19:00'
+    }, { token: author.token, headers: { 'X-Timezone': 'Asia/Kuala_Lumpur' } });
+
+    assert.equal(status, 201);
+    assert.equal(body.data.status, 'scheduled');
+    assert.equal(new Date(body.data.publish_at).toISOString(), '2030-06-01T11:00:00.000Z');
+    assert.equal(body.data.publish_at_local, '2030-06-01T19:00');
+  });
+
+  it('lists, edits and reschedules only for the author', async () => {
+    const listed = await api.get('/api/posts/drafts?status=scheduled', { token: author.token });
+    assert.equal(listed.status, 200);
+    assert.ok(listed.body.data.length >= 1);
+    assert.ok(listed.body.data.every(draft => draft.status === 'scheduled'));
+
+    const draft = listed.body.data[0];
+
+    const foreign = await api.put(`/api/posts/drafts/${draft.id}`, { caption: 'Hijacked' }, { token: other.token });
+    assert.equal(foreign.status, 403);
+
+    const rescheduled = await api.put(`/api/posts/drafts/${draft.id}`, {
+      caption: 'Launch day, take two #launch',
+      publishAt: '2030-06-02T09:00:00Z'
+    }, { token: author.token });
+    assert.equal(rescheduled.status, 200);
+    assert.equal(rescheduled.body.data.caption, 'Launch day, take two #launch');
+    assert.equal(new Date(rescheduled.body.data.publish_at).toISOString(), '2030-06-02T09:00:00.000Z');
+
+    const unscheduled = await api.put(`/api/posts/drafts/${draft.id}`, { publishAt: null }, { token: author.token });
+    assert.equal(unscheduled.status, 200);
+    assert.equal(unscheduled.body.data.status, 'draft');
+    assert.equal(unscheduled.body.data.publish_at, null);
+  });
+
+  it('clears fields sent as null, but will not publish a post without a caption', async () => {
+    const created = await api.post('/api/posts/drafts', {
+      caption: 'Holiday pictures',
+      mediaUrl: 'https://cdn.example.com/beach.jpg',
+      mediaType: 'image'
+    }, { token: author.token });
+    const draftId = created.body.data.id;
+
+    const cleared = await api.put(`/api/posts/drafts/${draftId}`, {
+      caption: '',
+      mediaUrl: null,
+      mediaType: null
+    }, { token: author.token });
+    assert.equal(cleared.status, 200);
+    assert.equal(cleared.body.data.caption, '');
+    assert.equal(cleared.body.data.media_url, null);
+    assert.equal(cleared.body.data.media_type, 'text');
+
+    const scheduled = await api.put(`/api/posts/drafts/${draftId}`, {
+      publishAt: new Date(Date.now() + DAY_MS).toISOString()
+    }, { token: author.token });
+    assert.equal(scheduled.status, 400);
+
+    const published = await api.post(`/api/posts/drafts/${draftId}/publish`, undefined, { token: author.token });
+    assert.equal(published.status, 400);
+
+    const blank = await api.post('/api/posts/drafts', {
+      caption: '   ',
+      publishAt: new Date(Date.now() + DAY_MS).toISOString()
+    }, { token: author.token });
+    assert.equal(blank.status, 400);
+  });
+
+  it('cancels drafts, which can then no longer be changed', async () => {
+    const created = await api.post('/api/posts/drafts', { caption: 'Never mind' }, { token: author.token });
+    const draftId = created.body.data.id;
+
+    const cancelled = await api.delete(`/api/posts/drafts/${draftId}`, { token: author.token });
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.data.status, 'cancelled');
+
+    const edit = await api.put(`/api/posts/drafts/${draftId}`, { caption: 'Changed my mind' }, { token: author.token });
+    assert.equal(edit.status, 409);
+
+    const publish = await api.post(`/api/posts/drafts/${draftId}/publish`, undefined, { token: author.token });
+    assert.equal(publish.status, 409);
+  });
+
+  it('publishes a draft now with hashtags extracted', async () => {
+    const created = await api.post('/api/posts/drafts', {
+      caption: 'Finally done #Pottery #handmade'
+    }, { token: author.token });
+
+    const { status, body } = await api.post(`/api/posts/drafts/${created.body.data.id}/publish`, undefined, {
+      token: author.token
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.hashtags, ['#pottery', '#handmade']);
+    assert.equal(body.meta.draft.status, 'published');
+    assert.equal(body.meta.draft.post_id, body.data.id);
+
+    const post = await api.get(`/api/posts/${body.data.id}`);
+    assert.equal(post.status, 200);
+    assert.equal(post.body.data.caption, 'Finally done #Pottery #handmade');
+  });
+
+  it('publishes due scheduled posts through moderation', async () => {
+    const created = await api.post('/api/posts/drafts', {
+      caption: 'Viralkan sebelum dipadam! Doktor tak mahu anda tahu',
+      publishAt: new Date(Date.now() + DAY_MS).toISOString()
+    }, { token: author.token });
+    const draftId = created.body.data.id;
+
+    const early = await postDrafts.publishDue();
+    assert.equal(early.published, 0);
+
+    const due = await postDrafts.publishDue(new Date(Date.now() + 2 * DAY_MS));
+    assert.equal(due.published, 1);
+
+    const draft = await api.get(`/api/posts/drafts/${draftId}`, { token: author.token });
+    assert.equal(draft.body.data.status, 'published');
+
+    const post = await api.get(`/api/posts/${draft.body.data.post_id}`);
+    assert.equal(post.body.data.content_type, 'misinformation');
+    assert.equal(post.body.data.needs_fact_check, true);
+
+    const again = await postDrafts.publishDue(new Date(Date.now() + 2 * DAY_MS));
+    assert.equal(again.published, 0, 'a published post is not published twice');
+  });
+
+  it('marks the draft published once its post exists, even when processing after it fails', async () => {
+    mock.method(crisisCases, 'openFromModeration', async () => {
+      throw new Error('Helper ranking unavailable');
+    });
+
+    try {
+      const created = await api.post('/api/posts/drafts', { caption: 'I want to kill myself' }, { token: author.token });
+      const { status, body } = await api.post(`/api/posts/drafts/${created.body.data.id}/publish`, undefined, {
+        token: author.token
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.meta.crisisDetected, true);
+      assert.equal(body.meta.draft.status, 'published');
+      assert.equal(body.meta.draft.post_id, body.data.id);
+      assert.equal(body.data.draft_id, created.body.data.id);
+    } finally {
+      mock.restoreAll();
+    }
+  });
+
+  it('reclaims drafts left in publishing without publishing them twice', async () => {
+    const stuckAt = new Date(Date.now() - HOUR_MS).toISOString();
+    const strand = async (caption) => {
+      const created = await api.post('/api/posts/drafts', {
+        caption,
+        publishAt: new Date(Date.now() + DAY_MS).toISOString()
+      }, { token: author.token });
+
+      await supabase
+        .from('post_drafts')
+        .update({ status: 'publishing', publish_at: stuckAt, updated_at: stuckAt })
+        .eq('id', created.body.data.id);
+
+      return created.body.data.id;
+    };
+
+    // Stopped before the post was created, and after
+    const unpublished = await strand('Lost mid-publish');
+    const alreadyPosted = await strand('Posted, then lost');
+    const post = await createPost(author.id, { caption: 'Posted, then lost', draft_id: alreadyPosted });
+
+    const { published } = await postDrafts.publishDue();
+    assert.equal(published, 1);
+
+    const first = await api.get(`/api/posts/drafts/${unpublished}`, { token: author.token });
+    assert.equal(first.body.data.status, 'published');
+    assert.ok(first.body.data.post_id);
+
+    const second = await api.get(`/api/posts/drafts/${alreadyPosted}`, { token: author.token });
+    assert.equal(second.body.data.status, 'published');
+    assert.equal(second.body.data.post_id, post.id);
+
+    const { data: copies } = await supabase.from('wisdom_clips').select('id').eq('caption', 'Posted, then lost');
+    assert.equal(copies.length, 1);
+  });
+});
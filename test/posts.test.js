@@ -0,0 +1,344 @@
+// test/posts.test.js
+// /api/posts, /api/comments and /api/hashtags - content lifecycle
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp, supabase } = require('./helpers');
+const { createUser, insert } = require('./fixtures');
+const crisisCases = require('../services/crisisCases');
+
+let api;
+let author;
+let reader;
+
+before(async () => {
+  api = await startApp();
+  author = await createUser(api);
+  reader = await createUser(api);
+});
+
+after(stopApp);
+
+describe('posts', () => {
+  let post;
+
+  it('creates a post with extracted hashtags', async () => {
+    const missing = await api.post('/api/posts/create', {}, { token: author.token });
+    assert.equal(missing.status, 400);
+
+    const { status, body } = await api.post('/api/posts/create', {
+      caption: 'Sunrise at #Penang with #NasiLemak'
+    }, { token: author.token });
+
+    assert.equal(status, 200);
+    assert.equal(body.meta.crisisDetected, false);
+    assert.equal(body.data.user_id, author.id);
+    assert.deepEqual(body.data.hashtags, ['#penang', '#nasilemak']);
+    assert.equal(body.data.content_type, 'normal');
+    post = body.data;
+  });
+
+  it('flags crisis posts and opens an alert', async () => {
+    const { body } = await api.post('/api/posts/create', {
+      caption: 'I just want to end my life'
+    }, { token: reader.token });
+
+    assert.equal(body.meta.crisisDetected, true);
+    assert.equal(body.data.content_type, 'crisis');
+
+    const { data: alerts } = await supabase.from('crisis_alerts').select('*').eq('post_id', body.data.id);
+    assert.equal(alerts.length, 1);
+    assert.equal(alerts[0].status, 'pending');
+  });
+
+  it('tags misinformation patterns', async () => {
+    const { body } = await api.post('/api/posts/create', {
+      caption: 'Share before they delete this!'
+    }, { token: reader.token });
+
+    assert.equal(body.data.content_type, 'misinformation');
+  });
+
+  it('counts views and shares', async () => {
+    await api.get(`/api/posts/${post.id}`);
+    const { body } = await api.get(`/api/posts/${post.id}`);
+    assert.equal(body.data.analytics.views, 2);
+    assert.equal(body.data.isPremiumUser, false);
+
+    const shared = await api.post(`/api/posts/${post.id}/share`, { shareType: 'repost' }, { token: reader.token });
+    assert.equal(shared.status, 200);
+
+    const list = await api.get(`/api/posts/user/${author.id}`);
+    assert.equal(list.body.data[0].analytics.shares, 1);
+
+    const missing = await api.get('/api/posts/00000000-0000-0000-0000-000000000000');
+    assert.equal(missing.status, 404);
+  });
+
+  it('only lets the author edit, delete or see detailed analytics', async () => {
+    const edit = await api.put(`/api/posts/${post.id}`, { caption: 'Hijacked' }, { token: reader.token });
+    assert.equal(edit.status, 403);
+
+    const own = await api.put(`/api/posts/${post.id}`, { caption: 'Sunset at #Langkawi' }, { token: author.token });
+    assert.equal(own.status, 200);
+    assert.deepEqual(own.body.data.hashtags, ['#langkawi']);
+
+    const analytics = await api.get(`/api/posts/${post.id}/analytics`, { token: author.token });
+    assert.equal(analytics.status, 403);
+    assert.equal(analytics.body.error.code, 'PREMIUM_REQUIRED');
+    assert.equal(analytics.body.error.details.upgrade_url, '/api/subscriptions/plans');
+
+    const removeOther = await api.delete(`/api/posts/${post.id}`, { token: reader.token });
+    assert.equal(removeOther.status, 403);
+  });
+
+  it('publishes silent reposts, optionally anonymously', async () => {
+    const named = await api.post('/api/posts/silent-repost/create', {
+      caption: 'Rough week',
+      emotion: 'Tired'
+    }, { token: reader.token });
+    assert.equal(named.status, 200);
+    assert.deepEqual(named.body.data.hashtags, ['#SilentRepost', '#Tired']);
+
+    const anonymous = await api.post('/api/posts/silent-repost/create', {
+      caption: 'Missing home',
+      emotion: 'Lonely',
+      isAnonymous: true
+    }, { token: reader.token });
+    assert.equal(anonymous.body.data.user_id, null);
+    assert.equal(anonymous.body.data.is_anonymous, true);
+
+    const { body } = await api.get('/api/posts/silent-reposts?emotion=Lonely');
+    assert.deepEqual(body.data.map(p => p.id), [anonymous.body.data.id]);
+
+    const { data: scores } = await supabase.from('users').select('aura_score').eq('id', reader.id).single();
+    assert.equal(scores.aura_score, 5, 'only the named repost earns aura');
+  });
+});
+
+describe('post revisions', () => {
+  let post;
+
+  before(async () => {
+    const { body } = await api.post('/api/posts/create', {
+      caption: 'Viralkan sebelum dipadam! Doktor tak mahu anda tahu'
+    }, { token: author.token });
+    post = body.data;
+  });
+
+  it('stores every edit and keeps the fact-check flag', async () => {
+    assert.equal(post.needs_fact_check, true);
+    assert.equal(post.is_edited, false);
+
+    const edit = await api.put(`/api/posts/${post.id}`, { caption: 'Lovely weather in #Ipoh' }, { token: author.token });
+    assert.equal(edit.status, 200);
+    assert.equal(edit.body.data.is_edited, true);
+    assert.ok(edit.body.data.edited_at);
+    assert.deepEqual(edit.body.data.hashtags, ['#ipoh']);
+    assert.deepEqual(edit.body.data.moderation_labels, []);
+    assert.equal(edit.body.data.needs_fact_check, true, 'editing a flagged post does not clear the flag');
+    assert.equal(edit.body.data.content_type, 'misinformation', 'nor its classification');
+    assert.equal(edit.body.meta.revision, 2);
+
+    const again = await api.put(`/api/posts/${post.id}`, { caption: 'Lovely weather in #Ipoh today' }, { token: author.token });
+    assert.equal(again.body.meta.revision, 3);
+
+    // Same caption again is not a new revision
+    const unchanged = await api.put(`/api/posts/${post.id}`, { caption: 'Lovely weather in #Ipoh today' }, { token: author.token });
+    assert.equal(unchanged.body.meta.revision, null);
+
+    const fetched = await api.get(`/api/posts/${post.id}`);
+    assert.equal(fetched.body.data.is_edited, true);
+  });
+
+  it('lists the revisions of a post', async () => {
+    const { status, body } = await api.get(`/api/posts/${post.id}/revisions`, { token: author.token });
+
+    assert.equal(status, 200);
+    assert.equal(body.meta.is_edited, true);
+    assert.equal(body.meta.count, 3);
+    assert.deepEqual(body.data.map(revision => revision.revision_number), [1, 2, 3]);
+    assert.equal(body.data[0].caption, 'Viralkan sebelum dipadam! Doktor tak mahu anda tahu');
+    assert.deepEqual(body.data[0].moderation_labels, ['misinformation']);
+    assert.equal(new Date(body.data[0].created_at).getTime(), new Date(post.created_at).getTime());
+    assert.equal(body.data[2].caption, 'Lovely weather in #Ipoh today');
+    assert.equal(body.data[2].edited_by, author.id);
+    assert.equal(body.data[2].content_type, 'misinformation');
+    assert.equal(body.data[2].needs_fact_check, true);
+  });
+
+  it('numbers concurrent edits without losing a version', async () => {
+    const { body } = await api.post('/api/posts/create', { caption: 'Draft one' }, { token: author.token });
+
+    const edits = await Promise.all(['Draft two', 'Draft three', 'Draft four'].map(caption =>
+      api.put(`/api/posts/${body.data.id}`, { caption }, { token: author.token })
+    ));
+    assert.deepEqual(edits.map(edit => edit.status), [200, 200, 200]);
+    assert.deepEqual(edits.map(edit => edit.body.meta.revision).sort(), [2, 3, 4]);
+
+    const history = await api.get(`/api/posts/${body.data.id}/revisions`, { token: author.token });
+    assert.deepEqual(history.body.data.map(revision => revision.revision_number), [1, 2, 3, 4]);
+  });
+
+  it('saves an edit into a crisis post even when the alert cannot be raised', async () => {
+    const { body } = await api.post('/api/posts/create', { caption: 'Long week' }, { token: author.token });
+
+    mock.method(crisisCases, 'openFromModeration', async () => {
+      throw new Error('Helper ranking unavailable');
+    });
+
+    try {
+      const edit = await api.put(`/api/posts/${body.data.id}`, { caption: 'I want to kill myself' }, { token: author.token });
+      assert.equal(edit.status, 200);
+      assert.equal(edit.body.data.is_crisis, true);
+      assert.equal(edit.body.meta.revision, 2);
+    } finally {
+      mock.restoreAll();
+    }
+  });
+
+  it('keeps crisis versions and moderation results to the author and case workers', async () => {
+    const { body } = await api.post('/api/posts/create', { caption: 'I want to kill myself' }, { token: author.token });
+    await api.put(`/api/posts/${body.data.id}`, { caption: 'Feeling better now' }, { token: author.token });
+
+    const anonymous = await api.get(`/api/posts/${body.data.id}/revisions`);
+    assert.equal(anonymous.status, 200);
+    assert.deepEqual(anonymous.body.data.map(revision => revision.caption), ['Feeling better now']);
+    assert.equal(anonymous.body.meta.count, 1);
+    assert.ok(anonymous.body.data.every(revision =>
+      !('is_crisis' in revision) && !('moderation_score' in revision) && !('moderation_labels' in revision)
+    ));
+
+    const stranger = await api.get(`/api/posts/${body.data.id}/revisions`, { token: reader.token });
+    assert.equal(stranger.body.meta.count, 1);
+
+    const responder = await createUser(api);
+    await insert('crisis_responders', { user_id: responder.id, organization: 'Befrienders KL' });
+    const worker = await api.get(`/api/posts/${body.data.id}/revisions`, { token: responder.token });
+    assert.equal(worker.body.meta.count, 2);
+    assert.equal(worker.body.data[0].is_crisis, true);
+
+    const own = await api.get(`/api/posts/${body.data.id}/revisions`, { token: author.token });
+    assert.equal(own.body.meta.count, 2);
+    assert.ok('moderation_labels' in own.body.data[1]);
+  });
+
+  it('only shows the history of non-public posts to the author', async () => {
+    const { body } = await api.post('/api/posts/create', {
+      caption: 'Just for me', visibility: 'private'
+    }, { token: author.token });
+    await api.put(`/api/posts/${body.data.id}`, { caption: 'Still just for me' }, { token: author.token });
+
+    const other = await api.get(`/api/posts/${body.data.id}/revisions`, { token: reader.token });
+    assert.equal(other.status, 403);
+
+    const own = await api.get(`/api/posts/${body.data.id}/revisions`, { token: author.token });
+    assert.equal(own.body.meta.count, 2);
+
+    const missing = await api.get('/api/posts/00000000-0000-0000-0000-000000000000/revisions');
+    assert.equal(missing.status, 404);
+  });
+});
+
+describe('comments', () => {
+  let post;
+  let comment;
+
+  before(async () => {
+    const { body } = await api.post('/api/posts/create', { caption: 'Ask me anything' }, { token: author.token });
+    post = body.data;
+  });
+
+  it('creates comments and threaded replies', async () => {
+    const missing = await api.post('/api/comments/create', { clip_id: post.id }, { token: reader.token });
+    assert.equal(missing.status, 400);
+
+    const created = await api.post('/api/comments/create', {
+      clip_id: post.id,
+      content: 'What camera do you use?'
+    }, { token: reader.token });
+    assert.equal(created.status, 200);
+    assert.equal(created.body.meta.priority_score, 10);
+    comment = created.body.data;
+
+    const reply = await api.post('/api/comments/create', {
+      clip_id: post.id,
+      content: 'A Fujifilm X100V',
+      parent_comment_id: comment.id
+    }, { token: author.token });
+    assert.equal(reply.status, 200);
+
+    const { body } = await api.get(`/api/comments/post/${post.id}`);
+    assert.equal(body.meta.total, 1);
+    assert.equal(body.data[0].users.username, reader.username);
+    assert.equal(body.data[0].reply_count, 1);
+    assert.equal(body.data[0].replies[0].users.username, author.username);
+  });
+
+  it('records a fan interaction when commenting on someone else\'s post', async () => {
+    const { data: interactions } = await supabase
+      .from('fan_interactions')
+      .select('interaction_type')
+      .eq('fan_user_id', reader.id)
+      .eq('celebrity_user_id', author.id);
+    assert.deepEqual(interactions, [{ interaction_type: 'comment' }]);
+
+    const { data: status } = await supabase
+      .from('user_fan_status')
+      .select('points, comment_count')
+      .eq('fan_user_id', reader.id)
+      .eq('celebrity_user_id', author.id)
+      .single();
+    assert.deepEqual(status, { points: 3, comment_count: 1 });
+  });
+
+  it('only lets the commenter edit or delete', async () => {
+    const other = await api.put(`/api/comments/${comment.id}`, { content: 'edited' }, { token: author.token });
+    assert.equal(other.status, 403);
+
+    const own = await api.put(`/api/comments/${comment.id}`, { content: 'Which lens too?' }, { token: reader.token });
+    assert.equal(own.status, 200);
+
+    const removed = await api.delete(`/api/comments/${comment.id}`, { token: reader.token });
+    assert.equal(removed.status, 200);
+  });
+});
+
+describe('hashtags', () => {
+  before(async () => {
+    await api.post('/api/posts/create', { caption: 'Weekend #makan trip' }, { token: author.token });
+    await api.post('/api/posts/create', { caption: 'More #makan and #kopi' }, { token: reader.token });
+  });
+
+  it('ranks trending hashtags by usage', async () => {
+    const { body } = await api.get('/api/hashtags/trending');
+    const tags = body.data.map(entry => entry.tag);
+
+    assert.deepEqual(body.data.find(entry => entry.tag === '#makan'), { tag: '#makan', count: 2 });
+    assert.ok(tags.indexOf('#makan') < tags.indexOf('#kopi'));
+  });
+
+  it('finds public posts by hashtag', async () => {
+    const { body } = await api.get('/api/hashtags/search/makan');
+    assert.equal(body.meta.hashtag, '#makan');
+    assert.equal(body.meta.count, 2);
+
+    const stats = await api.get('/api/hashtags/stats/makan');
+    assert.equal(stats.body.data.stats.total_posts, 2);
+  });
+
+  it('follows and unfollows hashtags', async () => {
+    const followed = await api.post('/api/hashtags/follow', { hashtag: 'Makan' }, { token: reader.token });
+    assert.equal(followed.body.data.hashtag, '#makan');
+
+    const again = await api.post('/api/hashtags/follow', { hashtag: '#makan' }, { token: reader.token });
+    assert.equal(again.body.data.already_following, true);
+
+    const following = await api.get(`/api/hashtags/user/${reader.id}/following`);
+    assert.equal(following.body.data.length, 1);
+
+    await api.post('/api/hashtags/unfollow', { hashtag: 'makan' }, { token: reader.token });
+    const after = await api.get(`/api/hashtags/user/${reader.id}/following`);
+    assert.equal(after.body.data.length, 0);
+  });
+});
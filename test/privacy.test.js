@@ -0,0 +1,108 @@
+// test/privacy.test.js
+// /api/privacy - default settings, presets, ghost mode gating and visibility checks
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp } = require('./helpers');
+const { createUser, insert } = require('./fixtures');
+
+describe('privacy', () => {
+  let api;
+  let owner;
+  let friend;
+  let stranger;
+  let premium;
+
+  before(async () => {
+    api = await startApp();
+    owner = await createUser(api);
+    friend = await createUser(api);
+    stranger = await createUser(api);
+    premium = await createUser(api);
+
+    await insert('user_follows', { follower_id: owner.id, following_id: friend.id });
+    await insert('user_follows', { follower_id: friend.id, following_id: owner.id });
+    await insert('user_subscriptions', { user_id: premium.id, tier: 'superfan', is_active: true });
+  });
+
+  after(stopApp);
+
+  it('creates social defaults on first read', async () => {
+    const anonymous = await api.get('/api/privacy/settings');
+    assert.equal(anonymous.status, 401);
+
+    const { status, body } = await api.get('/api/privacy/settings', { token: owner.token });
+    assert.equal(status, 200);
+    assert.equal(body.data.user_id, owner.id);
+    assert.equal(body.data.privacy_preset, 'social');
+    assert.equal(body.data.who_can_message, 'followers');
+  });
+
+  it('lists the available presets', async () => {
+    const { body } = await api.get('/api/privacy/presets');
+    const names = body.data.presets.map(preset => preset.name);
+
+    assert.deepEqual(names, ['public', 'social', 'private', 'ghost']);
+    assert.equal(body.data.presets.find(preset => preset.name === 'ghost').requires_premium, true);
+  });
+
+  it('applies a preset over existing settings', async () => {
+    const unknown = await api.post('/api/privacy/preset/stealth', {}, { token: owner.token });
+    assert.equal(unknown.status, 400);
+    assert.deepEqual(unknown.body.error.details.available_presets, ['public', 'social', 'private', 'ghost']);
+
+    const { status, body } = await api.post('/api/privacy/preset/private', {}, { token: owner.token });
+    assert.equal(status, 200);
+    assert.equal(body.data.privacy_preset, 'private');
+    assert.equal(body.data.show_wisdom_score, false);
+    assert.equal(body.data.who_can_comment, 'friends');
+    assert.equal(body.data.post_visibility, 'community');
+  });
+
+  it('keeps the ghost preset and ghost mode behind a premium subscription', async () => {
+    const preset = await api.post('/api/privacy/preset/ghost', {}, { token: stranger.token });
+    assert.equal(preset.status, 403);
+    assert.equal(preset.body.error.code, 'PREMIUM_REQUIRED');
+
+    const toggle = await api.post('/api/privacy/settings', { ghost_mode_enabled: true }, { token: stranger.token });
+    assert.equal(toggle.status, 403);
+
+    const { status, body } = await api.post('/api/privacy/preset/ghost', {}, { token: premium.token });
+    assert.equal(status, 200);
+    assert.equal(body.data.ghost_mode_enabled, true);
+    assert.equal(body.data.who_can_tag, 'nobody');
+  });
+
+  it('updates individual settings on top of a preset', async () => {
+    const { status, body } = await api.post('/api/privacy/settings', {
+      show_location: false,
+      who_can_message: 'nobody'
+    }, { token: stranger.token });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.privacy_preset, 'social');
+    assert.equal(body.data.show_location, false);
+    assert.equal(body.data.who_can_message, 'nobody');
+  });
+
+  it('resolves visibility from the preset and the viewer relationship', async () => {
+    const self = await api.get(`/api/privacy/check/${owner.id}`, { token: owner.token });
+    assert.equal(self.body.data.is_own_profile, true);
+
+    const asFriend = await api.get(`/api/privacy/check/${owner.id}`, { token: friend.token });
+    assert.equal(asFriend.body.data.relationship, 'friend');
+    assert.equal(asFriend.body.data.privacy_preset, 'private');
+    assert.equal(asFriend.body.data.can_view_wisdom, false);
+    assert.equal(asFriend.body.data.can_comment, true);
+    assert.equal(asFriend.body.data.can_message, true);
+
+    const asStranger = await api.get(`/api/privacy/check/${owner.id}`, { token: stranger.token });
+    assert.equal(asStranger.body.data.relationship, 'stranger');
+    assert.equal(asStranger.body.data.can_comment, false);
+    assert.equal(asStranger.body.data.can_message, false);
+
+    const unset = await api.get(`/api/privacy/check/${friend.id}`);
+    assert.equal(unset.body.data.privacy_preset, 'social');
+    assert.equal(unset.body.data.can_comment, true);
+  });
+});
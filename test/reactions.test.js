@@ -0,0 +1,115 @@
+// test/reactions.test.js
+// /api/reactions - add / switch / remove toggling, reaction rules and counts
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp, supabase } = require('./helpers');
+const { createUser, createPost, insert } = require('./fixtures');
+
+describe('reactions', () => {
+  let api;
+  let author;
+  let fan;
+  let post;
+  let crisisPost;
+
+  const react = (user, clipId, reactionType) => api.post('/api/reactions/add', {
+    clip_id: clipId,
+    reaction_type: reactionType
+  }, { token: user.token });
+
+  before(async () => {
+    api = await startApp();
+    author = await createUser(api);
+    fan = await createUser(api);
+
+    post = await createPost(author.id);
+    crisisPost = await createPost(author.id, { content_type: 'crisis', is_crisis: true });
+    await insert('post_reaction_rules', {
+      post_id: crisisPost.id,
+      allowed_reactions: ['support', 'care'],
+      blocked_reactions: ['laugh', 'fire', 'applaud', 'thinking']
+    });
+  });
+
+  after(stopApp);
+
+  it('requires a signed-in user and a valid reaction type', async () => {
+    const anonymous = await api.post('/api/reactions/add', { clip_id: post.id, reaction_type: 'fire' });
+    assert.equal(anonymous.status, 401);
+
+    const missing = await api.post('/api/reactions/add', { clip_id: post.id }, { token: fan.token });
+    assert.equal(missing.status, 400);
+
+    const invalid = await react(fan, post.id, 'angry');
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.error.details, [{
+      field: 'body.reaction_type',
+      message: 'must be one of: laugh, support, care, thinking, applaud, fire'
+    }]);
+  });
+
+  it('adds a reaction and awards wisdom / aura points', async () => {
+    const { status, body } = await react(fan, post.id, 'thinking');
+
+    assert.equal(status, 200);
+    assert.equal(body.data.action, 'added');
+    assert.equal(body.data.reaction.reaction_type, 'thinking');
+    assert.deepEqual(body.data.scores.gained, { wisdom: 25, aura: 5 });
+
+    const { data: pattern } = await supabase
+      .from('behavioral_patterns')
+      .select('thinking_count, content_engagement')
+      .eq('user_id', fan.id)
+      .single();
+    assert.equal(pattern.thinking_count, 1);
+    assert.deepEqual(pattern.content_engagement, { normal: 1 });
+  });
+
+  it('switches to a different reaction type', async () => {
+    const { body } = await react(fan, post.id, 'fire');
+
+    assert.equal(body.data.action, 'updated');
+    assert.equal(body.data.new_reaction, 'fire');
+
+    const mine = await api.get(`/api/reactions/user/${fan.id}/post/${post.id}`);
+    assert.equal(mine.body.data.has_reacted, true);
+    assert.equal(mine.body.data.reaction_type, 'fire');
+  });
+
+  it('removes the reaction when the same type is sent again', async () => {
+    const { body } = await react(fan, post.id, 'fire');
+    assert.equal(body.data.action, 'removed');
+
+    const mine = await api.get(`/api/reactions/user/${fan.id}/post/${post.id}`);
+    assert.equal(mine.body.data.has_reacted, false);
+    assert.equal(mine.body.data.reaction_type, null);
+  });
+
+  it('rejects reactions blocked by the post reaction rules', async () => {
+    const blocked = await react(fan, crisisPost.id, 'laugh');
+
+    assert.equal(blocked.status, 403);
+    assert.deepEqual(blocked.body.error.details.allowed_reactions, ['support', 'care']);
+    assert.match(blocked.body.error.details.reason, /Crisis content/);
+
+    const allowed = await react(fan, crisisPost.id, 'care');
+    assert.equal(allowed.status, 200);
+    assert.equal(allowed.body.data.action, 'added');
+  });
+
+  it('counts reactions per post and per user', async () => {
+    await react(author, post.id, 'laugh');
+    await react(fan, post.id, 'laugh');
+
+    const perPost = await api.get(`/api/reactions/post/${post.id}`);
+    assert.equal(perPost.body.data.laugh, 2);
+    assert.equal(perPost.body.data.total, 2);
+
+    const stats = await api.get(`/api/reactions/stats/${fan.id}`);
+    assert.equal(stats.status, 200);
+    assert.equal(stats.body.data.total_reactions, 2);
+    assert.equal(stats.body.data.counts.care, 1);
+    assert.equal(stats.body.data.counts.laugh, 1);
+  });
+});
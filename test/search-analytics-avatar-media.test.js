@@ -0,0 +1,172 @@
+// test/search-analytics-avatar-media.test.js
+// /api/search, /api/analytics, /api/avatar and the non-upload paths of /api/media
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp } = require('./helpers');
+const { createUser, createPost, insert } = require('./fixtures');
+
+let api;
+let alice;
+let bob;
+let post;
+
+before(async () => {
+  api = await startApp();
+  alice = await createUser(api, { bio: 'Durian hunter' });
+  bob = await createUser(api);
+
+  await insert('followers', { follower_id: bob.id, following_id: alice.id });
+  post = await createPost(alice.id, { caption: 'Musang King season is here', like_count: 4, share_count: 2 });
+});
+
+after(stopApp);
+
+describe('search', () => {
+  it('requires at least two characters', async () => {
+    const { status } = await api.get('/api/search/all?query=a');
+    assert.equal(status, 400);
+  });
+
+  it('searches users, posts and everything at once', async () => {
+    const users = await api.get('/api/search/users?query=durian');
+    assert.deepEqual(users.body.data.map(u => [u.id, u.followerCount]), [[alice.id, 1]]);
+
+    const posts = await api.get('/api/search/posts?query=musang');
+    assert.deepEqual(posts.body.data.map(p => p.id), [post.id]);
+
+    const { body } = await api.get(`/api/search/all?query=${alice.username}`);
+    assert.deepEqual(body.data.users.map(u => u.id), [alice.id]);
+    assert.deepEqual(body.data.posts, []);
+  });
+
+  it('keeps search history private to its owner', async () => {
+    const saved = await api.post('/api/search/history', { query: 'durian', type: 'users' }, { token: alice.token });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.data.user_id, alice.id);
+
+    const other = await api.get(`/api/search/history/${alice.id}`, { token: bob.token });
+    assert.equal(other.status, 403);
+
+    const own = await api.get(`/api/search/history/${alice.id}`, { token: alice.token });
+    assert.deepEqual(own.body.data.map(h => h.query), ['durian']);
+
+    await api.delete(`/api/search/history/${alice.id}`, { token: alice.token });
+    const cleared = await api.get(`/api/search/history/${alice.id}`, { token: alice.token });
+    assert.deepEqual(cleared.body.data, []);
+  });
+});
+
+describe('analytics', () => {
+  it('summarises a user\'s posts and followers', async () => {
+    const { body } = await api.get(`/api/analytics/user/${alice.id}?timeframe=7d`);
+
+    assert.equal(body.data.user.username, alice.username);
+    assert.equal(body.data.overview.totalPosts, 1);
+    assert.equal(body.data.overview.totalFollowers, 1);
+    assert.equal(body.data.engagement.totalLikes, 4);
+    assert.equal(body.data.engagement.avgEngagementPerPost, '6.00');
+  });
+
+  it('reports post performance and 404s unknown posts', async () => {
+    const { body } = await api.get(`/api/analytics/post/${post.id}`);
+    assert.equal(body.data.metrics.likes, 4);
+    assert.equal(body.data.metrics.engagementRate, '400.00%');
+    assert.equal(body.data.performance.viralScore, 'Growing 🌱');
+
+    const missing = await api.get('/api/analytics/post/00000000-0000-0000-0000-000000000000');
+    assert.equal(missing.status, 404);
+  });
+
+  it('counts platform totals', async () => {
+    const { body } = await api.get('/api/analytics/platform/stats');
+    assert.equal(body.data.users.total, 2);
+    assert.equal(body.data.users.active, 1);
+    assert.equal(body.data.content.totalPosts, 1);
+    assert.equal(body.data.safety.resolutionRate, '0%');
+  });
+});
+
+describe('avatar', () => {
+  let session;
+
+  it('creates then updates the signed-in user\'s avatar', async () => {
+    const created = await api.post('/api/avatar/create', { interests: ['durian'] }, { token: alice.token });
+    assert.equal(created.body.message, 'Avatar created successfully');
+    assert.equal(created.body.data.communication_style, 'balanced');
+
+    const updated = await api.post('/api/avatar/create', { communicationStyle: 'playful' }, { token: alice.token });
+    assert.equal(updated.body.message, 'Avatar updated successfully');
+    assert.deepEqual(updated.body.data.interests, ['durian']);
+
+    const none = await api.get(`/api/avatar/${bob.id}`);
+    assert.equal(none.body.data, null);
+  });
+
+  it('chats with an enabled avatar and tracks the vibe', async () => {
+    const disabled = await api.post('/api/avatar/chat/start', { targetUserId: bob.id }, { token: alice.token });
+    assert.equal(disabled.status, 404);
+
+    const started = await api.post('/api/avatar/chat/start', { targetUserId: alice.id }, { token: bob.token });
+    assert.equal(started.status, 200);
+    session = started.body.data.session;
+    assert.equal(session.requester_id, bob.id);
+
+    const again = await api.post('/api/avatar/chat/start', { targetUserId: alice.id }, { token: bob.token });
+    assert.equal(again.body.data.id, session.id);
+
+    const intruder = await api.post('/api/avatar/chat/message', {
+      sessionId: session.id,
+      message: 'Hijacking this chat'
+    }, { token: alice.token });
+    assert.equal(intruder.status, 403);
+
+    const sent = await api.post('/api/avatar/chat/message', {
+      sessionId: session.id,
+      sender: bob.id,
+      message: 'Where do you find the best durian?'
+    }, { token: bob.token });
+    assert.equal(sent.body.data.messageCount, 2);
+    assert.equal(sent.body.data.avatarResponse.is_avatar, true);
+
+    const history = await api.get(`/api/avatar/chat/${session.id}/messages`);
+    assert.equal(history.body.data.length, 2);
+
+    const vibe = await api.get(`/api/avatar/chat/${session.id}/vibe-score`);
+    assert.equal(vibe.body.data.messageCount, 2);
+  });
+
+  it('ends sessions and reports avatar stats', async () => {
+    const notMine = await api.put(`/api/avatar/chat/${session.id}/end`, { finalVibeScore: 0 }, { token: alice.token });
+    assert.equal(notMine.status, 403);
+
+    const ended = await api.put(`/api/avatar/chat/${session.id}/end`, { finalVibeScore: 80 }, { token: bob.token });
+    assert.equal(ended.body.data.status, 'ended');
+
+    const { body } = await api.get(`/api/avatar/stats/${alice.id}`);
+    assert.equal(body.data.totalChatSessions, 1);
+    assert.equal(body.data.averageVibeScore, '80.0');
+  });
+});
+
+describe('media', () => {
+  it('requires a signed-in user and a file to upload', async () => {
+    const anonymous = await api.post('/api/media/profile-picture', {});
+    assert.equal(anonymous.status, 401);
+
+    const noFile = await api.post('/api/media/profile-picture', {}, { token: alice.token });
+    assert.equal(noFile.status, 400);
+    assert.equal(noFile.body.error.message, 'No file uploaded');
+
+    const thumbnail = await api.post('/api/media/thumbnail', { mediaId: '00000000-0000-0000-0000-000000000000' });
+    assert.equal(thumbnail.status, 401);
+  });
+
+  it('lists an empty gallery and 404s unknown media', async () => {
+    const { body } = await api.get(`/api/media/gallery/${alice.id}`);
+    assert.deepEqual(body.data, { media: [], count: 0, hasMore: false });
+
+    const missing = await api.delete('/api/media/00000000-0000-0000-0000-000000000000', { token: alice.token });
+    assert.equal(missing.status, 404);
+  });
+});
@@ -0,0 +1,158 @@
+// test/timezones.test.js
+// User timezones (services/timezones.js): profile setting, time-of-day feed
+// preference, notification quiet hours, meetup / event times and analytics days
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp } = require('./helpers');
+const { createUser, createPost } = require('./fixtures');
+const timezones = require('../services/timezones');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const partOfDay = (hour) => {
+  if (hour >= 6 && hour < 12) return 'morning';
+  if (hour >= 12 && hour < 17) return 'afternoon';
+  if (hour >= 17 && hour < 22) return 'evening';
+  return 'night';
+};
+
+const hhmm = (minutes) => {
+  const wrapped = (minutes + 24 * 60) % (24 * 60);
+  return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+};
+
+describe('timezones', () => {
+  let api;
+  let user;
+  let other;
+
+  before(async () => {
+    api = await startApp();
+    user = await createUser(api);
+    other = await createUser(api);
+  });
+
+  after(stopApp);
+
+  it('converts local wall clock times', () => {
+    assert.equal(timezones.toUtc('2026-11-01T19:00', 'Asia/Kuala_Lumpur'), '2026-11-01T11:00:00.000Z');
+    assert.equal(timezones.toUtc('2026-11-01T19:00:00Z', 'Asia/Kuala_Lumpur'), '2026-11-01T19:00:00.000Z');
+    // After the spring-forward change New York is UTC-4
+    assert.equal(timezones.toUtc('2026-03-08T09:30', 'America/New_York'), '2026-03-08T13:30:00.000Z');
+    assert.equal(timezones.toUtc('2026-01-08T09:30', 'America/New_York'), '2026-01-08T14:30:00.000Z');
+
+    assert.equal(timezones.localDate('2026-11-01T20:00:00Z', 'Asia/Kuala_Lumpur'), '2026-11-02');
+    assert.equal(timezones.localDateTime('2026-11-01T11:00:00Z', 'Asia/Kuala_Lumpur'), '2026-11-01T19:00');
+    assert.equal(timezones.resolve('Not/AZone', null), timezones.DEFAULT_TIMEZONE);
+  });
+
+  it('stores the timezone on the profile', async () => {
+    const invalid = await api.put(`/api/users/${user.id}`, { timezone: 'Mars/Olympus_Mons' }, { token: user.token });
+    assert.equal(invalid.status, 400);
+
+    const saved = await api.put(`/api/users/${user.id}`, { timezone: 'America/New_York' }, { token: user.token });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.data.timezone, 'America/New_York');
+
+    const profile = await api.get(`/api/users/${user.id}`);
+    assert.equal(profile.body.data.timezone, 'America/New_York');
+  });
+
+  it('picks the feed time preference from the user\'s local hour', async () => {
+    const { body } = await api.get(`/api/feed/personalized/${user.id}`);
+    assert.equal(body.meta.personalization.timezone, 'America/New_York');
+    assert.equal(
+      body.meta.personalization.time_preference,
+      partOfDay(timezones.localTime(new Date(), 'America/New_York').hour)
+    );
+
+    // A timezone sent by the client wins over the profile
+    const sent = await api.get(`/api/feed/personalized/${user.id}`, { headers: { 'X-Timezone': 'Asia/Tokyo' } });
+    assert.equal(sent.body.meta.personalization.timezone, 'Asia/Tokyo');
+    assert.equal(
+      sent.body.meta.personalization.time_preference,
+      partOfDay(timezones.localTime(new Date(), 'Asia/Tokyo').hour)
+    );
+  });
+
+  it('holds pushes during quiet hours in the user\'s timezone', async () => {
+    const half = await api.put(`/api/notifications/preferences/${user.id}`, { quiet_hours_start: '22:00' }, { token: user.token });
+    assert.equal(half.status, 400);
+
+    // Quiet from an hour ago to an hour from now, New York time
+    const { minutes } = timezones.localTime(new Date(), 'America/New_York');
+    const saved = await api.put(`/api/notifications/preferences/${user.id}`, {
+      quiet_hours_start: hhmm(minutes - 60),
+      quiet_hours_end: hhmm(minutes + 60)
+    }, { token: user.token });
+    assert.equal(saved.status, 200);
+
+    const preferences = await api.get(`/api/notifications/preferences/${user.id}`, { token: user.token });
+    assert.equal(preferences.body.data.timezone, 'America/New_York');
+    assert.equal(preferences.body.data.in_quiet_hours, true);
+
+    const held = await api.post('/api/notifications/create', {
+      userId: user.id, type: 'follow', title: 'New Follower'
+    }, { token: other.token });
+    assert.equal(held.status, 200);
+    assert.equal(held.body.meta.pushHeld, true);
+
+    const urgent = await api.post('/api/notifications/create', {
+      userId: user.id, type: 'crisis_alert', title: 'Someone needs help'
+    }, { token: other.token });
+    assert.equal(urgent.body.meta.pushHeld, false);
+
+    // The same clock hours are not quiet hours in Kuala Lumpur (12-13h ahead)
+    await api.put(`/api/users/${user.id}`, { timezone: 'Asia/Kuala_Lumpur' }, { token: user.token });
+    const elsewhere = await api.post('/api/notifications/create', {
+      userId: user.id, type: 'follow', title: 'New Follower'
+    }, { token: other.token });
+    assert.equal(elsewhere.body.meta.pushHeld, false);
+  });
+
+  it('reads meetup and event times in the organizer\'s timezone', async () => {
+    const community = await api.post('/api/communities', { name: 'Night Owls KL' }, { token: other.token });
+    assert.equal(community.status, 201);
+
+    const meetup = await api.post(`/api/communities/${community.body.data.id}/meetups`, {
+      title: 'Supper run',
+      location: 'Jalan Alor',
+      meetup_date: '2030-06-01T19:00'
+    }, { token: other.token });
+    assert.equal(meetup.status, 201);
+    assert.equal(new Date(meetup.body.data.meetup_date).toISOString(), '2030-06-01T11:00:00.000Z');
+    assert.equal(meetup.body.data.meetup_date_local, '2030-06-01T19:00');
+
+    const listed = await api.get(`/api/communities/${community.body.data.id}/meetups`, {
+      headers: { 'X-Timezone': 'Europe/London' }
+    });
+    assert.equal(listed.body.meta.timezone, 'Europe/London');
+    assert.equal(listed.body.data[0].meetup_date_local, '2030-06-01T12:00');
+
+    const event = await api.post('/api/discovery/events', {
+      title: 'Jazz night',
+      location: 'Brooklyn',
+      start_time: '2030-06-01T20:00',
+      end_time: '2030-06-01T23:30'
+    }, { token: other.token, headers: { 'X-Timezone': 'America/New_York' } });
+    assert.equal(event.status, 201);
+    assert.equal(new Date(event.body.data.start_time).toISOString(), '2030-06-02T00:00:00.000Z');
+    assert.equal(event.body.data.start_time_local, '2030-06-01T20:00');
+
+    const detail = await api.get(`/api/discovery/events/${event.body.data.id}`, { token: other.token });
+    assert.equal(detail.body.data.end_time_local, '2030-06-02T11:30');
+  });
+
+  it('counts analytics days in the user\'s timezone', async () => {
+    // 20:00 UTC two days ago is already the next day in Kuala Lumpur
+    const day = new Date(Date.now() - 2 * 24 * HOUR_MS);
+    day.setUTCHours(20, 0, 0, 0);
+    await createPost(user.id, { created_at: day.toISOString() });
+
+    const { body } = await api.get(`/api/analytics/user/${user.id}`, { token: user.token });
+    assert.equal(body.data.timezone, 'Asia/Kuala_Lumpur');
+    assert.deepEqual(body.data.dailyActivity, { [timezones.localDate(day, 'Asia/Kuala_Lumpur')]: 1 });
+    assert.notEqual(timezones.localDate(day, 'Asia/Kuala_Lumpur'), day.toISOString().slice(0, 10));
+  });
+});
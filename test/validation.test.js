@@ -0,0 +1,161 @@
+// test/validation.test.js
+// Declarative request validation (middleware/validate.js + schemas/) across routers
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp } = require('./helpers');
+const { createUser, createPost } = require('./fixtures');
+
+let api;
+let alice;
+let bob;
+let post;
+
+before(async () => {
+  api = await startApp();
+  alice = await createUser(api);
+  bob = await createUser(api);
+  post = await createPost(alice.id, { caption: 'Teh tarik or kopi?' });
+});
+
+after(stopApp);
+
+const fields = (body) => body.error.details.map(d => d.field);
+
+describe('validation errors', () => {
+  it('reports every failing field in one uniform 400', async () => {
+    const { status, body } = await api.post('/api/charity/campaigns/create', {
+      goalAmount: -5,
+      endDate: 'someday'
+    }, { token: alice.token });
+
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+    assert.equal(body.error.code, 'VALIDATION_FAILED');
+    assert.equal(body.error.message, 'Validation failed');
+    assert.deepEqual(body.error.details, [
+      { field: 'body.title', message: 'is required' },
+      { field: 'body.goalAmount', message: 'must be at least 0.01' },
+      { field: 'body.endDate', message: 'must be a valid date' }
+    ]);
+  });
+
+  it('rejects malformed ids in the path before touching the database', async () => {
+    const { status, body } = await api.get('/api/posts/not-a-uuid');
+    assert.equal(status, 400);
+    assert.deepEqual(body.error.details, [{ field: 'params.postId', message: 'must be a valid UUID' }]);
+
+    const owned = await api.delete('/api/comments/42', { token: alice.token });
+    assert.equal(owned.status, 400);
+  });
+
+  it('enforces maximum lengths', async () => {
+    const { status, body } = await api.post('/api/comments/create', {
+      clip_id: post.id,
+      content: 'x'.repeat(2001)
+    }, { token: bob.token });
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.error.details, [{ field: 'body.content', message: 'must be at most 2000 characters' }]);
+  });
+
+  it('checks coordinate ranges on the nearby endpoints', async () => {
+    const { status, body } = await api.get('/api/discovery/businesses/nearby?lat=95&lng=101.7&radius=5000');
+    assert.equal(status, 400);
+    assert.deepEqual(body.error.details, [
+      { field: 'query.lat', message: 'must be at most 90' },
+      { field: 'query.radius', message: 'must be at most 500' }
+    ]);
+
+    const communities = await api.get('/api/communities/discover/nearby?lat=3.1&lng=abc');
+    assert.deepEqual(fields(communities.body), ['query.lng']);
+  });
+});
+
+describe('query coercion', () => {
+  it('turns numeric and boolean query strings into typed values', async () => {
+    await api.post('/api/notifications/create', {
+      userId: alice.id,
+      type: 'system',
+      title: 'Welcome'
+    }, { token: bob.token });
+
+    const { status, body } = await api.get(`/api/notifications/user/${alice.id}?limit=5&unreadOnly=true`, { token: alice.token });
+    assert.equal(status, 200);
+    assert.equal(body.data.notifications.length, 1);
+  });
+
+  it('rejects values that cannot be coerced', async () => {
+    const { status, body } = await api.get(`/api/notifications/user/${alice.id}?limit=ten&unreadOnly=maybe`, { token: alice.token });
+    assert.equal(status, 400);
+    assert.deepEqual(body.error.details, [
+      { field: 'query.limit', message: 'must be an integer' },
+      { field: 'query.unreadOnly', message: 'must be true or false' }
+    ]);
+  });
+});
+
+describe('strict bodies', () => {
+  it('only accepts known notification preference flags', async () => {
+    const unknown = await api.put(`/api/notifications/preferences/${alice.id}`, {
+      likes: false,
+      user_id: bob.id
+    }, { token: alice.token });
+    assert.equal(unknown.status, 400);
+    assert.deepEqual(unknown.body.error.details, [{ field: 'body.user_id', message: 'is not allowed' }]);
+
+    const wrongType = await api.put(`/api/notifications/preferences/${alice.id}`, { likes: 'nope' }, { token: alice.token });
+    assert.deepEqual(wrongType.body.error.details, [{ field: 'body.likes', message: 'must be true or false' }]);
+
+    const { status, body } = await api.put(`/api/notifications/preferences/${alice.id}`, { likes: false }, { token: alice.token });
+    assert.equal(status, 200);
+    assert.equal(body.data.likes, false);
+  });
+
+  it('validates every item of a notification batch', async () => {
+    const empty = await api.post('/api/notifications/batch', { notifications: [] }, { token: alice.token });
+    assert.deepEqual(empty.body.error.details, [{ field: 'body.notifications', message: 'must have at least 1 item' }]);
+
+    const { status, body } = await api.post('/api/notifications/batch', {
+      notifications: [
+        { user_id: bob.id, type: 'system', title: 'Hi' },
+        { user_id: bob.id, type: 'system', read: true },
+        { user_id: 'bob', type: 'system', title: 'Hey' }
+      ]
+    }, { token: alice.token });
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.error.details, [
+      { field: 'body.notifications[1].title', message: 'is required' },
+      { field: 'body.notifications[1].read', message: 'is not allowed' },
+      { field: 'body.notifications[2].user_id', message: 'must be a valid UUID' }
+    ]);
+  });
+
+  it('limits celebrity settings to the documented values', async () => {
+    const { status, body } = await api.put(`/api/celebrity/${alice.id}/settings`, {
+      dm_access_tier: 'everyone',
+      comment_filter_level: 'high',
+      celebrity_user_id: bob.id
+    }, { token: alice.token });
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.error.details, [
+      { field: 'body.dm_access_tier', message: 'must be one of: free, superfan, superfan_plus' },
+      { field: 'body.celebrity_user_id', message: 'is not allowed' }
+    ]);
+  });
+
+  it('keeps ownership columns out of community updates', async () => {
+    const created = await api.post('/api/communities', { name: 'Kopi Club' }, { token: alice.token });
+    assert.equal(created.status, 201);
+
+    const { status, body } = await api.put(`/api/communities/${created.body.data.id}`, {
+      description: 'All things kopi',
+      creator_id: bob.id
+    }, { token: alice.token });
+
+    assert.equal(status, 400);
+    assert.deepEqual(fields(body), ['body.creator_id']);
+  });
+});